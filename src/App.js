@@ -1,11 +1,45 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './App.css';
 import FileUpload from './components/FileUpload';
 import FieldsViewer from './components/FieldsViewer';
 import ComparisonView from './components/ComparisonView';
 import GeneratorView from './components/GeneratorView';
+import ValidationView from './components/ValidationView';
+import QueryView from './components/QueryView';
+import RecordsView from './components/RecordsView';
+import JsonView from './components/JsonView';
+import ParseErrorDialog from './components/ParseErrorDialog';
+import ParseWarnings from './components/ParseWarnings';
 import Statistics from './components/Statistics';
-import { parseXML, extractFields, createFieldTree, compareFields, hasXMLContent } from './utils/xmlParser';
+import { shouldStreamFile } from './utils/streamingParser';
+import { collectNamespaces, resolveNamespaceLabels, applyNamespaceLabels } from './utils/namespaces';
+import { runInAnalysisPool, isAbortError } from './workers/workerPool';
+import { useAnalysisTask, toTaskFiles } from './workers/useAnalysisTask';
+import { useSchemaValidation } from './workers/useSchemaValidation';
+import { compileSchemas } from './utils/xsdSchema';
+import { expandEmbeddedXML } from './utils/embeddedXml';
+import { ENCODING_CHOICES, readTextFile, describeEncoding } from './utils/encoding';
+import { isArchiveFile } from './utils/archive';
+import { isJsonFile } from './utils/jsonParser';
+import { DEFAULT_JSON_OPTIONS } from './utils/jsonConverter';
+
+const isSchemaFile = (file) => file.name.toLowerCase().endsWith('.xsd');
+
+// Encodings offered for a file: the usual ones, plus whatever was detected if it is not among them
+const getEncodingOptions = (name) => {
+  const listed = ENCODING_CHOICES.find(choice => choice.toLowerCase() === (name || '').toLowerCase());
+  return listed || !name ? { options: ENCODING_CHOICES, value: listed } : { options: [name, ...ENCODING_CHOICES], value: name };
+};
+
+const computeFileStats = (fields) => ({
+  totalFields: fields.length,
+  uniqueFieldNames: new Set(fields.map(f => f.name)).size,
+  // Attribute pseudo-fields sit one level below their element and don't add nesting
+  maxDepth: Math.max(...fields.filter(f => !f.isAttribute).map(f => f.depth), 0),
+  nestedFields: fields.filter(f => f.isNested && !f.isAttribute).length,
+  attributeFields: fields.filter(f => f.isAttribute).length,
+  mixedContentFields: fields.filter(f => f.isMixedContent).length,
+});
 
 // Tooltip component for file names
 const FileNameTooltip = ({ text, children }) => {
@@ -48,6 +82,20 @@ function App() {
   const [activeTab, setActiveTab] = useState('single');
   const [selectedFileIndex, setSelectedFileIndex] = useState(0);
   const [prefixToRemove, setPrefixToRemove] = useState('');
+  // What the other files are compared against: '' for the first file, a file id, or the loaded schemas
+  // (SCHEMA_BASELINE in baselineDeviation)
+  const [comparisonBaseline, setComparisonBaseline] = useState('');
+  const [namespaceSettings, setNamespaceSettings] = useState({});
+  const [processingJobs, setProcessingJobs] = useState([]);
+  const [schemas, setSchemas] = useState([]);
+  const [onlyInvalidFiles, setOnlyInvalidFiles] = useState(false);
+  const [parseFailures, setParseFailures] = useState([]);
+  const [openFailureId, setOpenFailureId] = useState(null);
+  // Qualified paths of fields whose XML values are parsed into nested subtrees, in every file
+  const [embeddedXmlPaths, setEmbeddedXmlPaths] = useState(() => new Set());
+  // Field to reveal in Single File Analysis: { fileId, path, id } (id makes repeated requests distinct)
+  const [fieldFocus, setFieldFocus] = useState(null);
+  const jobControllers = useRef(new Map());
 
   // Persist comparison filters across tab switches
   const createEmptyFilter = () => ({
@@ -57,6 +105,10 @@ function App() {
     caseSensitive: false,
   });
   const [comparisonFilters, setComparisonFilters] = useState(() => [createEmptyFilter()]);
+  // Persist the XPath query and its results too, so a match can be opened and the list revisited
+  const [xpathQuery, setXpathQuery] = useState({ expression: '', queriedExpression: '', results: null });
+  const [records, setRecords] = useState({ recordPath: '', columns: [], rows: [], failures: [], truncatedFiles: [] });
+  const [jsonOptions, setJsonOptions] = useState(DEFAULT_JSON_OPTIONS);
 
   // Register service worker for PWA
   useEffect(() => {
@@ -67,63 +119,227 @@ function App() {
     }
   }, []);
 
-  const handleFilesAdded = (newFiles) => {
-    const updatedFiles = [...files];
-
-    newFiles.forEach(file => {
-      // Check if it's a .txt file and validate it contains XML
-      if (file.name.endsWith('.txt')) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          const content = e.target.result;
-          // Check if the TXT file contains XML content
-          if (!hasXMLContent(content)) {
-            alert(`${file.name} does not contain any XML content. Please upload a file with XML elements.`);
-            return;
-          }
-          // Continue with XML processing
-          processXMLFile(content, file, updatedFiles);
-        };
-        reader.readAsText(file);
+  // pathFilter: { include, exclude } globs choosing the entries loaded from archives
+  const handleFilesAdded = (newFiles, pathFilter = {}) => {
+    const schemaFiles = newFiles.filter(isSchemaFile);
+    if (schemaFiles.length > 0) {
+      loadSchemaFiles(schemaFiles);
+    }
+    newFiles.filter(file => !isSchemaFile(file)).forEach(file => {
+      if (isArchiveFile(file)) {
+        processArchive(file, pathFilter);
       } else {
-        // For .xml files, process directly
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          processXMLFile(e.target.result, file, updatedFiles);
-        };
-        reader.readAsText(file);
+        loadDataFile(file);
       }
     });
   };
 
-  const processXMLFile = (xmlString, file, updatedFiles) => {
+  const loadDataFile = (file) => {
+    if (file.name.endsWith('.txt') && !shouldStreamFile(file)) {
+      processTextFile(file);
+    } else {
+      processXMLFile(file);
+    }
+  };
+
+  // Schemas are compiled once here so broken ones are rejected before any file is validated against them
+  const loadSchemaFiles = async (schemaFiles) => {
+    const loaded = await Promise.all(schemaFiles.map(async file => ({
+      id: Date.now() + Math.random(),
+      filename: file.name,
+      content: (await readTextFile(file)).text,
+    })));
+
+    const accepted = [];
+    loaded.forEach(schema => {
+      try {
+        compileSchemas([...schemas, ...accepted, schema]);
+        accepted.push(schema);
+      } catch (error) {
+        alert(`Error loading schema ${schema.filename}: ${error.message}`);
+      }
+    });
+    if (accepted.length > 0) {
+      setSchemas(prev => [...prev, ...accepted]);
+    }
+  };
+
+  const handleRemoveSchema = (schemaId) => {
+    setSchemas(prev => prev.filter(schema => schema.id !== schemaId));
+  };
+
+  // options: { logContext, encoding (override the file is decoded with), detectedEncoding (shown instead of the result's) }
+  const buildFileData = (file, { fields, warnings = [], warningCount = 0, encoding: usedEncoding }, options = {}) => ({
+    id: Date.now() + Math.random(),
+    filename: file.name,
+    // The original File is kept so the raw XML can be re-read on demand (e.g. for the preview)
+    source: file,
+    size: file.size,
+    isLarge: shouldStreamFile(file),
+    fields: fields,
+    stats: computeFileStats(fields),
+    // Problems recovered from when the file was loaded with recovery
+    parseWarnings: warnings,
+    parseWarningCount: warningCount,
+    // For documents split out of a text log: { source, sourceFilename, line, logLine }
+    logContext: options.logContext || null,
+    // How the bytes were decoded ({ name, source }, see resolveEncoding), and the override to re-read them with
+    encoding: options.detectedEncoding || usedEncoding || null,
+    encodingOverride: options.encoding || null,
+  });
+
+  // Parsing runs in the worker pool; progress is shown in the sidebar until the file is ready.
+  // Files that fail to parse are listed with the error so they can be retried with recovery.
+  // options: { lenient, replaceId (file data to replace), and buildFileData's options }
+  const processXMLFile = async (file, options = {}) => {
+    const { lenient = false, replaceId = null, ...fileOptions } = options;
+    const jobId = Date.now() + Math.random();
+    const controller = new AbortController();
+    jobControllers.current.set(jobId, controller);
+    setProcessingJobs(prev => [...prev, { id: jobId, filename: file.name, loaded: 0, total: file.size }]);
+
     try {
-      const xmlDoc = parseXML(xmlString);
-      const fields = extractFields(xmlDoc);
-      const tree = createFieldTree(xmlDoc);
-
-      const fileData = {
-        id: Date.now() + Math.random(),
-        filename: file.name,
-        xmlString: xmlString,
-        xmlDoc: xmlDoc,
-        fields: fields,
-        tree: tree,
-        stats: {
-          totalFields: fields.length,
-          uniqueFieldNames: new Set(fields.map(f => f.name)).size,
-          maxDepth: Math.max(...fields.map(f => f.depth), 0),
-          nestedFields: fields.filter(f => f.isNested).length,
+      const result = await runInAnalysisPool('parseFile', { file, lenient, encoding: fileOptions.encoding || null }, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total }) => {
+          setProcessingJobs(prev => prev.map(job => (job.id === jobId ? { ...job, loaded, total } : job)));
         },
-      };
+      });
+      const fileData = buildFileData(file, result, fileOptions);
+      setFiles(prev => (prev.some(existing => existing.id === replaceId)
+        ? prev.map(existing => (existing.id === replaceId ? fileData : existing))
+        : [...prev, fileData]));
+    } catch (error) {
+      if (!isAbortError(error)) {
+        const failure = {
+          id: jobId,
+          filename: file.name,
+          source: file,
+          lenient,
+          // Recovery repairs XML; a broken JSON file can only be fixed at the source
+          recoverable: !lenient && !isJsonFile(file),
+          options: { ...fileOptions, replaceId },
+          // The position is shown on its own, so drop it from the message
+          message: error.message.replace(/ \(line \d+, column \d+\)$/, ''),
+          line: error.line ?? null,
+          column: error.column ?? null,
+          snippet: error.snippet ?? null,
+        };
+        setParseFailures(prev => [...prev, failure]);
+        setOpenFailureId(failure.id);
+      }
+    } finally {
+      jobControllers.current.delete(jobId);
+      setProcessingJobs(prev => prev.filter(job => job.id !== jobId));
+    }
+  };
+
+  // Text files (e.g. logs) may hold many XML payloads; each one is loaded as a document of its own,
+  // named after the log with its position (app.log#17)
+  const processTextFile = async (file, encoding = null) => {
+    let documents = [];
+    let detectedEncoding = null;
+    try {
+      ({ documents, encoding: detectedEncoding } = await runInAnalysisPool('splitDocuments', { file, encoding }));
+    } catch (error) {
+      // Parsing the whole file reports the problem
+    }
+    if (documents.length <= 1) {
+      processXMLFile(file, { encoding });
+      return;
+    }
+
+    const baseName = file.name.replace(/\.txt$/i, '');
+    documents.forEach((embedded, index) => {
+      const name = `${baseName}#${index + 1}`;
+      // The payload is stored as UTF-8 text now, whatever the log was written in
+      processXMLFile(new File([embedded.content], name, { type: 'text/xml' }), {
+        encoding: 'UTF-8',
+        detectedEncoding,
+        logContext: { source: file, sourceFilename: file.name, line: embedded.line, logLine: embedded.logLine },
+      });
+    });
+  };
+
+  // Archives are expanded in the worker pool and each XML/TXT entry is loaded under its path in the archive
+  const processArchive = async (file, pathFilter) => {
+    const jobId = Date.now() + Math.random();
+    const controller = new AbortController();
+    jobControllers.current.set(jobId, controller);
+    setProcessingJobs(prev => [...prev, { id: jobId, filename: file.name, loaded: 0, total: 0 }]);
 
-      updatedFiles.push(fileData);
-      setFiles([...updatedFiles]);
+    try {
+      const { files: entries, skipped } = await runInAnalysisPool('extractArchive', {
+        file,
+        include: pathFilter.include || '',
+        exclude: pathFilter.exclude || '',
+      }, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total }) => {
+          setProcessingJobs(prev => prev.map(job => (job.id === jobId ? { ...job, loaded, total } : job)));
+        },
+      });
+      if (skipped.length > 0) {
+        const listed = skipped.slice(0, 10).map(entry => `${entry.path}: ${entry.reason}`).join('\n');
+        const more = skipped.length > 10 ? `\n… and ${skipped.length - 10} more` : '';
+        alert(`Could not extract ${skipped.length} entries of ${file.name}:\n${listed}${more}`);
+      } else if (entries.length === 0) {
+        alert(`${file.name} has no XML, JSON or TXT entries${pathFilter.include || pathFilter.exclude ? ' matching the filter' : ''}`);
+      }
+      entries.forEach(loadDataFile);
     } catch (error) {
-      alert(`Error parsing ${file.name}: ${error.message}`);
+      if (!isAbortError(error)) {
+        alert(`Error reading ${file.name}: ${error.message}`);
+      }
+    } finally {
+      jobControllers.current.delete(jobId);
+      setProcessingJobs(prev => prev.filter(job => job.id !== jobId));
     }
   };
 
+  // Re-read a file in another encoding. Documents split out of a log are decoded with the log,
+  // so the whole log is split again
+  const handleChangeEncoding = (file, encoding) => {
+    if (file.logContext) {
+      const { source } = file.logContext;
+      setFiles(prev => prev.filter(existing => !existing.logContext || existing.logContext.source !== source));
+      processTextFile(source, encoding);
+    } else {
+      // Files loaded with recovery keep it
+      processXMLFile(file.source, { encoding, replaceId: file.id, lenient: file.parseWarningCount > 0 });
+    }
+  };
+
+  // Open a field of a file in Single File Analysis, e.g. from an XPath match
+  const handleShowField = (file, path) => {
+    const index = files.findIndex(existing => existing.id === file.id);
+    if (index === -1) {
+      return;
+    }
+    setSelectedFileIndex(index);
+    setFieldFocus({ fileId: file.id, path, id: Date.now() });
+    setActiveTab('single');
+  };
+
+  const handleCancelProcessing = (jobId) => {
+    const controller = jobControllers.current.get(jobId);
+    if (controller) {
+      controller.abort();
+    }
+  };
+
+  const handleRemoveFailure = (failureId) => {
+    setParseFailures(prev => prev.filter(failure => failure.id !== failureId));
+    if (openFailureId === failureId) {
+      setOpenFailureId(null);
+    }
+  };
+
+  const handleRecoverFailure = (failure) => {
+    handleRemoveFailure(failure.id);
+    processXMLFile(failure.source, { ...failure.options, lenient: true });
+  };
+
   const handleRemoveFile = (index) => {
     const newFiles = files.filter((_, i) => i !== index);
     setFiles(newFiles);
@@ -132,8 +348,67 @@ function App() {
     }
   };
 
-  const currentFile = files[selectedFileIndex];
-  const comparison = files.length > 1 ? compareFields(files, prefixToRemove) : null;
+  const handleToggleEmbeddedXml = (qualifiedPath) => {
+    setEmbeddedXmlPaths(prev => {
+      const next = new Set(prev);
+      if (next.has(qualifiedPath)) {
+        next.delete(qualifiedPath);
+      } else {
+        next.add(qualifiedPath);
+      }
+      return next;
+    });
+  };
+
+  // Files as the views see them, with parsed embedded documents added to their fields
+  const expandedFiles = useMemo(
+    () => files.map(file => {
+      const fields = expandEmbeddedXML(file.fields, embeddedXmlPaths);
+      return fields === file.fields ? file : { ...file, fields, stats: computeFileStats(fields) };
+    }),
+    [files, embeddedXmlPaths]
+  );
+
+  const currentFile = expandedFiles[selectedFileIndex];
+  const openFailure = parseFailures.find(failure => failure.id === openFailureId);
+
+  // Multi-file views see fields renamed to canonical namespace-aware names, so elements
+  // match on (namespace URI, local name) whatever prefix each file used
+  const namespaces = useMemo(() => collectNamespaces(expandedFiles), [expandedFiles]);
+  const namespaceLabels = useMemo(
+    () => resolveNamespaceLabels(namespaces, namespaceSettings),
+    [namespaces, namespaceSettings]
+  );
+  const analysisFiles = useMemo(
+    () => expandedFiles.map(file => ({ ...file, fields: applyNamespaceLabels(file.fields, namespaceLabels) })),
+    [expandedFiles, namespaceLabels]
+  );
+
+  // Ordering and structure follow the baseline file (the first file for a schema baseline)
+  const baselineId = useMemo(() => {
+    const baselineFile = analysisFiles.find(file => String(file.id) === comparisonBaseline);
+    return baselineFile ? baselineFile.id : null;
+  }, [analysisFiles, comparisonBaseline]);
+
+  // Recomputed in a worker only when the files, the prefix or the baseline change, not on every render
+  const comparisonPayload = useMemo(
+    () => (analysisFiles.length > 1 ? { files: toTaskFiles(analysisFiles), prefixToRemove, baseline: baselineId } : null),
+    [analysisFiles, prefixToRemove, baselineId]
+  );
+  const { result: comparison, isLoading: isComparing, error: comparisonError } = useAnalysisTask('compare', comparisonPayload);
+
+  const validationResults = useSchemaValidation(files, schemas);
+  const invalidFileIds = useMemo(() => {
+    if (schemas.length === 0) {
+      return null;
+    }
+    return new Set(files
+      .filter(file => {
+        const result = validationResults[file.id];
+        return result && result.status === 'done' && !result.isValid;
+      })
+      .map(file => file.id));
+  }, [files, schemas, validationResults]);
 
   return (
     <div className="app">
@@ -151,22 +426,146 @@ function App() {
         <aside className="sidebar">
           <FileUpload onFilesAdded={handleFilesAdded} />
 
+          {processingJobs.length > 0 && (
+            <div className="processing-list">
+              <h3>Processing ({processingJobs.length})</h3>
+              <ul>
+                {processingJobs.map(job => {
+                  const percent = job.total > 0 ? Math.round((job.loaded / job.total) * 100) : 0;
+                  return (
+                    <li key={job.id} className="processing-item">
+                      <FileNameTooltip text={job.filename}>
+                        <span className="file-name">{job.filename}</span>
+                      </FileNameTooltip>
+                      <span className="processing-percent">{percent}%</span>
+                      <button
+                        className="remove-btn"
+                        onClick={() => handleCancelProcessing(job.id)}
+                        title="Cancel processing"
+                      >
+                        ×
+                      </button>
+                      <div className="processing-progress">
+                        <div className="processing-progress-bar" style={{ width: `${percent}%` }} />
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {parseFailures.length > 0 && (
+            <div className="parse-failures-list">
+              <h3>Failed to Parse ({parseFailures.length})</h3>
+              <ul>
+                {parseFailures.map(failure => (
+                  <li
+                    key={failure.id}
+                    className="file-item parse-failure-item"
+                    onClick={() => setOpenFailureId(failure.id)}
+                    title="Show the parse error"
+                  >
+                    <FileNameTooltip text={failure.filename}>
+                      <span className="file-name">{failure.filename}</span>
+                    </FileNameTooltip>
+                    <span className="parse-failure-position">
+                      {failure.line != null ? `line ${failure.line}` : 'error'}
+                    </span>
+                    <button
+                      className="remove-btn"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRemoveFailure(failure.id);
+                      }}
+                      title="Remove file"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {schemas.length > 0 && (
+            <div className="schemas-list">
+              <h3>Schemas ({schemas.length})</h3>
+              <ul>
+                {schemas.map(schema => (
+                  <li key={schema.id} className="file-item schema-item">
+                    <FileNameTooltip text={schema.filename}>
+                      <span className="file-name">{schema.filename}</span>
+                    </FileNameTooltip>
+                    <button
+                      className="remove-btn"
+                      onClick={() => handleRemoveSchema(schema.id)}
+                      title="Remove schema"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="files-list">
             <h3>Loaded Files ({files.length})</h3>
             {files.length === 0 ? (
               <p className="empty-message">No files loaded yet</p>
             ) : (
               <ul>
-                {files.map((file, index) => (
+                {expandedFiles.map((file, index) => (
                   <li
                     key={file.id}
                     className={`file-item ${selectedFileIndex === index ? 'active' : ''}`}
                     onClick={() => setSelectedFileIndex(index)}
                   >
-                    <FileNameTooltip text={file.filename}>
+                    <FileNameTooltip text={file.logContext?.logLine ? `${file.filename}: ${file.logContext.logLine}` : file.filename}>
                       <span className="file-name">{file.filename}</span>
                     </FileNameTooltip>
                     <span className="file-fields">{file.fields.length} fields</span>
+                    {file.encoding && (() => {
+                      const { options, value } = getEncodingOptions(file.encoding.name);
+                      return (
+                        <select
+                          className="file-encoding"
+                          value={value}
+                          title={`Encoding: ${describeEncoding(file.encoding)}. Choose another to re-read the file`}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={(e) => handleChangeEncoding(file, e.target.value)}
+                        >
+                          {options.map(option => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                      );
+                    })()}
+                    {file.parseWarningCount > 0 && (
+                      <span
+                        className="file-parse-warnings"
+                        title={`Loaded with recovery: ${file.parseWarningCount} problem(s) fixed`}
+                      >
+                        ⚠
+                      </span>
+                    )}
+                    {invalidFileIds && validationResults[file.id]?.status === 'error' && (
+                      <span
+                        className="file-validation failed"
+                        title={`Could not be validated: ${validationResults[file.id].error}`}
+                      >
+                        !
+                      </span>
+                    )}
+                    {invalidFileIds && validationResults[file.id]?.status === 'done' && (
+                      <span
+                        className={`file-validation ${invalidFileIds.has(file.id) ? 'invalid' : 'valid'}`}
+                        title={invalidFileIds.has(file.id)
+                          ? `${validationResults[file.id].errorCount} validation error(s)`
+                          : 'Valid against the loaded schemas'}
+                      >
+                        {invalidFileIds.has(file.id) ? '✗' : '✓'}
+                      </span>
+                    )}
                     <button
                       className="remove-btn"
                       onClick={(e) => {
@@ -189,7 +588,7 @@ function App() {
             <div className="empty-state">
               <div className="empty-icon">📄</div>
               <h2>No XML Files Loaded</h2>
-              <p>Upload one or more XML or TXT files to get started</p>
+              <p>Upload one or more XML, JSON or TXT files to get started, and XSD files to validate them</p>
             </div>
           ) : (
             <>
@@ -208,6 +607,32 @@ function App() {
                     Compare Files
                   </button>
                 )}
+                {schemas.length > 0 && (
+                  <button
+                    className={`tab ${activeTab === 'validation' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('validation')}
+                  >
+                    Validation{invalidFileIds && invalidFileIds.size > 0 ? ` (${invalidFileIds.size} invalid)` : ''}
+                  </button>
+                )}
+                <button
+                  className={`tab ${activeTab === 'query' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('query')}
+                >
+                  XPath Query
+                </button>
+                <button
+                  className={`tab ${activeTab === 'records' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('records')}
+                >
+                  Records
+                </button>
+                <button
+                  className={`tab ${activeTab === 'json' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('json')}
+                >
+                  JSON
+                </button>
                 <button
                   className={`tab ${activeTab === 'generator' ? 'active' : ''}`}
                   onClick={() => setActiveTab('generator')}
@@ -218,25 +643,104 @@ function App() {
 
               {activeTab === 'single' && currentFile && (
                 <div className="content-section">
+                  {currentFile.logContext && (
+                    <p className="log-context">
+                      From <strong>{currentFile.logContext.sourceFilename}</strong>, line {currentFile.logContext.line}
+                      {currentFile.logContext.logLine && <code>{currentFile.logContext.logLine}</code>}
+                    </p>
+                  )}
                   <Statistics file={currentFile} />
-                  <FieldsViewer file={currentFile} prefixToRemove={prefixToRemove} />
+                  {currentFile.parseWarningCount > 0 && (
+                    <ParseWarnings
+                      key={currentFile.id}
+                      warnings={currentFile.parseWarnings}
+                      warningCount={currentFile.parseWarningCount}
+                    />
+                  )}
+                  <FieldsViewer
+                    file={currentFile}
+                    prefixToRemove={prefixToRemove}
+                    embeddedXmlPaths={embeddedXmlPaths}
+                    onToggleEmbeddedXml={handleToggleEmbeddedXml}
+                    focusRequest={fieldFocus && fieldFocus.fileId === currentFile.id ? fieldFocus : null}
+                  />
+                </div>
+              )}
+
+              {activeTab === 'comparison' && !comparison && isComparing && (
+                <div className="content-section">
+                  <p className="empty-message">Comparing files…</p>
+                </div>
+              )}
+
+              {activeTab === 'comparison' && comparisonError && (
+                <div className="content-section">
+                  <p className="query-error">Comparing the files failed: {comparisonError}</p>
                 </div>
               )}
 
               {activeTab === 'comparison' && comparison && (
                 <ComparisonView
                   comparison={comparison}
-                  files={files}
+                  files={analysisFiles}
+                  namespaces={namespaces}
+                  namespaceLabels={namespaceLabels}
+                  namespaceSettings={namespaceSettings}
+                  setNamespaceSettings={setNamespaceSettings}
                   filters={comparisonFilters}
                   setFilters={setComparisonFilters}
                   prefixToRemove={prefixToRemove}
                   setPrefixToRemove={setPrefixToRemove}
+                  baseline={comparisonBaseline}
+                  setBaseline={setComparisonBaseline}
+                  schemas={schemas}
+                  invalidFileIds={invalidFileIds}
+                  onlyInvalidFiles={onlyInvalidFiles}
+                  setOnlyInvalidFiles={setOnlyInvalidFiles}
+                />
+              )}
+
+              {activeTab === 'validation' && schemas.length > 0 && (
+                <ValidationView
+                  files={files}
+                  schemas={schemas}
+                  results={validationResults}
+                  onlyInvalidFiles={onlyInvalidFiles}
+                  setOnlyInvalidFiles={setOnlyInvalidFiles}
+                />
+              )}
+
+              {activeTab === 'query' && (
+                <QueryView
+                  files={files}
+                  namespaceLabels={namespaceLabels}
+                  query={xpathQuery}
+                  setQuery={setXpathQuery}
+                  onShowField={handleShowField}
+                />
+              )}
+
+              {activeTab === 'records' && (
+                <RecordsView
+                  files={analysisFiles}
+                  namespaceLabels={namespaceLabels}
+                  records={records}
+                  setRecords={setRecords}
+                />
+              )}
+
+              {activeTab === 'json' && (
+                <JsonView
+                  files={analysisFiles}
+                  namespaceLabels={namespaceLabels}
+                  options={jsonOptions}
+                  setOptions={setJsonOptions}
                 />
               )}
 
               {activeTab === 'generator' && (
                 <GeneratorView
-                  files={files}
+                  files={analysisFiles}
                   comparison={comparison}
                   prefixToRemove={prefixToRemove}
                 />
@@ -246,6 +750,15 @@ function App() {
         </main>
       </div>
 
+      {openFailure && (
+        <ParseErrorDialog
+          failure={openFailure}
+          onRecover={() => handleRecoverFailure(openFailure)}
+          onRemove={() => handleRemoveFailure(openFailure.id)}
+          onClose={() => setOpenFailureId(null)}
+        />
+      )}
+
       <footer className="app-footer">
         <div className="footer-content">
           <p className="footer-text">
@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+import { compileSchemas } from '../utils/xsdSchema';
+import { compareWithBaseline, deviationsToExcel } from '../utils/baselineDeviation';
+import { downloadBlob } from '../utils/fileExport';
+
+// Elements under another parent and children out of the baseline's order
+const countMoved = (report) => report.moved.length + report.reordered.length;
+
+const countDeviations = (report) => (
+  report.missing.length + report.extra.length + countMoved(report) + report.changedValues.length + (report.error ? 1 : 0)
+);
+
+const formatValues = (values, count) => (
+  values.map(value => (value === '' ? '(empty)' : value)).join(', ') + (count > values.length ? ` and ${count - values.length} more` : '')
+);
+
+function DeviationDetails({ report }) {
+  return (
+    <div className="baseline-details">
+      {report.error && <p className="query-error">{report.error}</p>}
+      {report.missing.length > 0 && (
+        <div>
+          <h5>Missing</h5>
+          <ul>
+            {report.missing.map(path => <li key={path}><code>{path}</code></li>)}
+          </ul>
+        </div>
+      )}
+      {report.extra.length > 0 && (
+        <div>
+          <h5>Extra</h5>
+          <ul>
+            {report.extra.map(path => <li key={path}><code>{path}</code></li>)}
+          </ul>
+        </div>
+      )}
+      {countMoved(report) > 0 && (
+        <div>
+          <h5>Moved</h5>
+          <ul>
+            {report.moved.map(item => (
+              <li key={item.from}>
+                <code>{item.from}</code> → <code>{item.to}</code>
+              </li>
+            ))}
+            {report.reordered.map(item => (
+              <li key={item.path}>
+                <code>{item.path}</code> out of order, expected {item.expectedAfter
+                  ? <>after <code>{item.expectedAfter}</code></>
+                  : 'first'} ({item.instanceCount} instance{item.instanceCount !== 1 ? 's' : ''})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {report.changedValues.length > 0 && (
+        <div>
+          <h5>Changed values</h5>
+          <ul>
+            {report.changedValues.map(item => (
+              <li key={item.path}>
+                <code>{item.path}</code>
+                {item.message ? (
+                  <span className="baseline-values"> {item.message}</span>
+                ) : (
+                  <span className="baseline-values">
+                    {item.removedCount > 0 && <> baseline {formatValues(item.removed, item.removedCount)}</>}
+                    {item.removedCount > 0 && item.addedCount > 0 && ';'}
+                    {item.addedCount > 0 && <> file {formatValues(item.added, item.addedCount)}</>}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Deviations of every compared file from the baseline file or the loaded schemas
+function BaselineView({ files, baselineFile, useSchemas, schemas, namespaceLabels, prefixToRemove = '' }) {
+  const [expandedFile, setExpandedFile] = useState(null);
+
+  const schemaSet = useMemo(() => {
+    if (!useSchemas || schemas.length === 0) {
+      return { value: null, error: null };
+    }
+    try {
+      return { value: compileSchemas(schemas), error: null };
+    } catch (error) {
+      return { value: null, error: error.message };
+    }
+  }, [useSchemas, schemas]);
+
+  const reports = useMemo(() => {
+    if (useSchemas) {
+      return schemaSet.value
+        ? compareWithBaseline(files, { schemaSet: schemaSet.value }, { namespaceLabels, prefixToRemove })
+        : [];
+    }
+    return baselineFile ? compareWithBaseline(files, { file: baselineFile }, { namespaceLabels, prefixToRemove }) : [];
+  }, [files, baselineFile, useSchemas, schemaSet, namespaceLabels, prefixToRemove]);
+
+  const baselineName = useSchemas
+    ? schemas.map(schema => schema.filename).join(', ')
+    : (baselineFile ? baselineFile.filename : '');
+  const deviatingCount = reports.filter(report => countDeviations(report) > 0).length;
+
+  const handleExportExcel = () => {
+    downloadBlob(deviationsToExcel(reports, baselineName), 'baseline_deviations.xlsx');
+  };
+
+  if (schemaSet.error) {
+    return <p className="query-error">The schemas could not be compiled: {schemaSet.error}</p>;
+  }
+
+  return (
+    <div>
+      <div className="baseline-header">
+        <p>
+          Compared with <strong>{useSchemas ? `the XML Schema${schemas.length !== 1 ? 's' : ''} ${baselineName}` : baselineName}</strong>:{' '}
+          {reports.length === 0
+            ? 'there are no other files to compare.'
+            : `${deviatingCount} of ${reports.length} file${reports.length !== 1 ? 's' : ''} deviate.`}
+          {useSchemas
+            ? ' Missing paths are the required elements and attributes; values are checked against their declared types.'
+            : ' Values are compared as sets: values the baseline has and the file lacks, and the other way round.'}
+        </p>
+        {deviatingCount > 0 && (
+          <button className="export-btn" onClick={handleExportExcel}>
+            📊 Export to Excel
+          </button>
+        )}
+      </div>
+
+      {reports.length > 0 && (
+        <table className="fields-table baseline-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Missing</th>
+              <th>Extra</th>
+              <th>Moved</th>
+              <th>Changed values</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reports.map(report => {
+              const isExpanded = expandedFile === report.id;
+              const hasDeviations = countDeviations(report) > 0;
+              return (
+                <React.Fragment key={report.id}>
+                  <tr
+                    className={`baseline-row ${hasDeviations ? 'deviates' : ''}`}
+                    onClick={() => hasDeviations && setExpandedFile(isExpanded ? null : report.id)}
+                  >
+                    <td>
+                      {hasDeviations ? (isExpanded ? '▼ ' : '▶ ') : '✓ '}
+                      {report.filename}
+                    </td>
+                    {report.error ? (
+                      <td colSpan={4} className="baseline-error">{report.error}</td>
+                    ) : (
+                      <>
+                        <td>{report.missing.length}</td>
+                        <td>{report.extra.length}</td>
+                        <td>{countMoved(report)}</td>
+                        <td>{report.changedValues.length}</td>
+                      </>
+                    )}
+                  </tr>
+                  {isExpanded && (
+                    <tr className="baseline-details-row">
+                      <td colSpan={5}>
+                        <DeviationDetails report={report} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default BaselineView;
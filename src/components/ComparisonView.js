@@ -1,5 +1,14 @@
 import React, { useState, useMemo, useEffect, useCallback } from 'react';
-import { comparisonToExcel, compareFields, mergeFieldsFromFiles, removePrefixFromFieldName, removePrefixFromPath } from '../utils/xmlParser';
+import { comparisonToExcel, formatOccursRange, removePrefixFromFieldName, removePrefixFromPath } from '../utils/xmlParser';
+import { useAnalysisTask, toTaskFiles } from '../workers/useAnalysisTask';
+import NamespacePanel from './NamespacePanel';
+import DiffView from './DiffView';
+import SiblingOrderView from './SiblingOrderView';
+import BaselineView from './BaselineView';
+import { SCHEMA_BASELINE } from '../utils/baselineDeviation';
+import { DATA_TYPES } from '../utils/typeInference';
+import { formatStatistic, REPORTED_PERCENTILES } from '../utils/valueStatistics';
+import { generateXSD } from '../utils/xsdGenerator';
 
 // Component to render hierarchical field list
 function HierarchicalFieldList({ fields, expandedPaths, setExpandedPaths, type, totalFiles, prefixToRemove = '' }) {
@@ -178,6 +187,68 @@ function HierarchicalFieldList({ fields, expandedPaths, setExpandedPaths, type,
   );
 }
 
+// Numeric or length statistics of a summary row, across all files and per file
+function ValueStatisticsDetail({ item }) {
+  const rows = [];
+  if (item.numericStats || item.lengthStats) {
+    rows.push({ scope: 'All files', numeric: item.numericStats, length: item.lengthStats });
+    const perFile = Object.entries(item.statisticsByFile || {});
+    // A single file's statistics are the same as the overall ones
+    if (perFile.length > 1) {
+      perFile.forEach(([filename, statistics]) => rows.push({ scope: filename, ...statistics }));
+    }
+  }
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const isNumeric = !!item.numericStats;
+  const columns = isNumeric
+    ? [
+        ['Min', s => s.numeric && s.numeric.min],
+        ['Max', s => s.numeric && s.numeric.max],
+        ['Mean', s => s.numeric && s.numeric.mean],
+        ['Median', s => s.numeric && s.numeric.median],
+        ['Std Dev', s => s.numeric && s.numeric.standardDeviation],
+        ...REPORTED_PERCENTILES.map(percentile => [
+          `P${percentile}`,
+          s => s.numeric && s.numeric.percentiles[`p${percentile}`],
+        ]),
+      ]
+    : [
+        ['Min Length', s => s.length && s.length.min],
+        ['Max Length', s => s.length && s.length.max],
+        ['Avg Length', s => s.length && s.length.average],
+      ];
+
+  return (
+    <div className="summary-statistics">
+      <strong>{isNumeric ? 'Numeric statistics' : 'Length statistics'}</strong>
+      <div className="summary-statistics-table-wrapper">
+        <table className="summary-statistics-table">
+          <thead>
+            <tr>
+              <th>Scope</th>
+              {columns.map(([label]) => <th key={label}>{label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.scope}>
+                <td title={row.scope}>{row.scope}</td>
+                {columns.map(([label, getValue]) => (
+                  <td key={label}>{formatStatistic(getValue(row))}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 // Reusable Summary Table Component for Split View
 function SummaryTablePanel({
   title,
@@ -193,12 +264,12 @@ function SummaryTablePanel({
   hideDepth = false, // For split view - remove depth column
 }) {
   const visibleRows = summaryRows.slice(0, visibleCount);
-  // Grid template: Field Name | Depth (if not hidden) | Files | Presence | Occurrences
+  // Grid template: Field Name | Depth (if not hidden) | Files | Presence | Occurrences | Type
   // Make Field Name column wider to prevent "snake" layout and keep columns aligned
   // Use fixed widths for numeric columns to ensure alignment
   const gridColumns = hideDepth 
-    ? 'minmax(280px, 1fr) 90px 90px 110px' 
-    : (summaryMode === 'hierarchical' ? 'minmax(140px, 2fr) 50px 60px 70px 100px' : 'minmax(140px, 2fr) 60px 70px 100px');
+    ? 'minmax(280px, 1fr) 90px 90px 110px 120px' 
+    : (summaryMode === 'hierarchical' ? 'minmax(140px, 2fr) 50px 60px 70px 100px 120px' : 'minmax(140px, 2fr) 60px 70px 100px 120px');
 
   return (
     <div style={{ display: 'flex', flexDirection: 'column', height: '100%', minWidth: 0 }}>
@@ -222,10 +293,14 @@ function SummaryTablePanel({
           <div>Files</div>
           <div>Presence</div>
           <div>Occurrences</div>
+          <div>Type</div>
         </div>
         {visibleRows.map(item => {
           const rowKey = item.uniqueKey || item.fieldName;
           const isExpanded = expandedRowKey === rowKey;
+          const typesByFileLabel = Object.entries(item.typesByFile || {})
+            .map(([filename, type]) => `${filename}: ${type}`)
+            .join('\n');
           const valueCounts = item.valueCounts || [];
           const showAllValuesForRow = !!showAllValues[rowKey];
           const displayedValueCounts = showAllValuesForRow ? valueCounts : valueCounts.slice(0, 5);
@@ -297,6 +372,21 @@ function SummaryTablePanel({
                 <div className="summary-occurrences" style={{ fontSize: '0.85rem', textAlign: 'center', fontWeight: 600, display: 'block' }}>
                   {item.totalOccurrences}
                 </div>
+                <div className="summary-type" style={{ fontSize: '0.8rem' }}>
+                  {item.inferredType && item.inferredType !== DATA_TYPES.EMPTY ? (
+                    <span title={`${Math.round(item.typeConfidence * 100)}% of values fit this type`}>
+                      {item.inferredType}
+                    </span>
+                  ) : '—'}
+                  {item.hasTypeConflict && (
+                    <span
+                      className="summary-type-conflict"
+                      title={`Files disagree on the type of this field:\n${typesByFileLabel}`}
+                    >
+                      ⚠️
+                    </span>
+                  )}
+                </div>
               </div>
 
               {isExpanded && (
@@ -308,6 +398,11 @@ function SummaryTablePanel({
                     <span>
                       <strong>Total occurrences:</strong> {item.totalOccurrences}
                     </span>
+                    {formatOccursRange(item) && (
+                      <span title="Fewest and most times the field appears inside one instance of its parent">
+                        <strong>Per parent:</strong> {formatOccursRange(item)}
+                      </span>
+                    )}
                   </div>
 
                   {summaryMode === 'hierarchical' && item.path && (
@@ -316,6 +411,19 @@ function SummaryTablePanel({
                     </div>
                   )}
 
+                  {item.inferredType && item.inferredType !== DATA_TYPES.EMPTY && (
+                    <div className="summary-path-detail" style={{ fontSize: '0.75rem' }}>
+                      <strong>Inferred type:</strong> {item.inferredType} ({Math.round(item.typeConfidence * 100)}% confidence)
+                      {item.hasTypeConflict && (
+                        <span className="summary-type-conflict-detail">
+                          {' '}— files disagree: {typesByFileLabel.split('\n').join(', ')}
+                        </span>
+                      )}
+                    </div>
+                  )}
+
+                  <ValueStatisticsDetail item={item} />
+
                   {hasValues ? (
                     <>
                       <ul className="summary-values-list" style={{ fontSize: '0.8rem' }}>
@@ -542,7 +650,35 @@ function FilterPanel({
   );
 }
 
-function ComparisonView({ comparison, files, filters: filtersProp, setFilters: setFiltersProp, prefixToRemove = '', setPrefixToRemove }) {
+// Placeholders shown until the first worker result arrives
+const EMPTY_FIELDS = [];
+const EMPTY_COMPARISON = {
+  commonFields: [],
+  uniqueFields: {},
+  fieldDifferences: {},
+  structuralDifferences: {},
+  totalUniqueFields: 0,
+  aggregation: null,
+};
+
+function ComparisonView({
+  comparison,
+  files,
+  filters: filtersProp,
+  setFilters: setFiltersProp,
+  prefixToRemove = '',
+  setPrefixToRemove,
+  baseline = '',
+  setBaseline,
+  schemas = [],
+  namespaces = [],
+  namespaceLabels = new Map(),
+  namespaceSettings = {},
+  setNamespaceSettings,
+  invalidFileIds = null,
+  onlyInvalidFiles = false,
+  setOnlyInvalidFiles,
+}) {
   const [activeTab, setActiveTab] = useState('summary');
   const [expandedPaths, setExpandedPaths] = useState(new Set());
   const [summaryMode, setSummaryMode] = useState('hierarchical');
@@ -589,7 +725,9 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
       .filter(Boolean);
   }, [filters]);
 
-  const isFilterActive = activeFilters.length > 0;
+  // Schema validation results are only available once XSD files are loaded
+  const isInvalidFilterActive = Boolean(onlyInvalidFiles && invalidFileIds);
+  const isFilterActive = activeFilters.length > 0 || isInvalidFilterActive;
   const hasAnyFilterInput = useMemo(
     () =>
       filters.some(
@@ -704,7 +842,8 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
       return files;
     }
 
-    return files.filter(file =>
+    const candidateFiles = isInvalidFilterActive ? files.filter(file => invalidFileIds.has(file.id)) : files;
+    return candidateFiles.filter(file =>
       activeFilters.every(filterCondition => {
         return file.fields.some(field => {
           // Normalize field name for comparison
@@ -737,16 +876,32 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
         });
       })
     );
-  }, [files, isFilterActive, activeFilters, prefixToRemove, matchesPattern]);
+  }, [files, isFilterActive, isInvalidFilterActive, invalidFileIds, activeFilters, prefixToRemove, matchesPattern]);
 
   const comparisonFiles = filteredFiles;
 
+  // The file the others are compared against (the first one unless chosen), or the loaded schemas
+  const chosenBaselineFile = files.find(file => String(file.id) === baseline) || null;
+  const useSchemaBaseline = baseline === SCHEMA_BASELINE && schemas.length > 0;
+  const baselineId = chosenBaselineFile ? chosenBaselineFile.id : null;
+  const baselineFile = useSchemaBaseline ? null : chosenBaselineFile || files[0] || null;
+  const baselineSelectValue = chosenBaselineFile || useSchemaBaseline ? baseline : '';
+
+  // Filtered comparisons and merges are computed in the worker pool
+  const filteredComparisonPayload = useMemo(() => {
+    if (!isFilterActive) {
+      return null;
+    }
+    return { files: toTaskFiles(comparisonFiles), prefixToRemove, baseline: baselineId };
+  }, [comparisonFiles, isFilterActive, prefixToRemove, baselineId]);
+  const { result: filteredComparison, isLoading: isFilteredComparisonLoading, error: filteredComparisonError } = useAnalysisTask('compare', filteredComparisonPayload);
+
   const activeComparison = useMemo(() => {
     if (!isFilterActive) {
       return comparison;
     }
-    return compareFields(comparisonFiles, prefixToRemove);
-  }, [comparison, comparisonFiles, isFilterActive, prefixToRemove]);
+    return filteredComparison || EMPTY_COMPARISON;
+  }, [comparison, filteredComparison, isFilterActive]);
 
   // Filter comparison computations
   const activeFiltersA = useMemo(() => computeActiveFilters(filtersA), [filtersA, computeActiveFilters]);
@@ -764,19 +919,33 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
     return filterFilesByActiveFilters(files, activeFiltersB);
   }, [filterComparisonMode, files, activeFiltersB, filterFilesByActiveFilters]);
 
-  const comparisonA = useMemo(() => {
+  const comparisonPayloadA = useMemo(() => {
     if (!filterComparisonMode || filteredFilesA.length === 0) {
       return null;
     }
-    return compareFields(filteredFilesA, prefixToRemove);
-  }, [filterComparisonMode, filteredFilesA, prefixToRemove]);
+    return { files: toTaskFiles(filteredFilesA), prefixToRemove, baseline: baselineId };
+  }, [filterComparisonMode, filteredFilesA, prefixToRemove, baselineId]);
+  const { result: comparisonA, isLoading: isComparisonALoading, error: comparisonAError } = useAnalysisTask('compare', comparisonPayloadA);
 
-  const comparisonB = useMemo(() => {
+  const comparisonPayloadB = useMemo(() => {
     if (!filterComparisonMode || filteredFilesB.length === 0) {
       return null;
     }
-    return compareFields(filteredFilesB, prefixToRemove);
-  }, [filterComparisonMode, filteredFilesB, prefixToRemove]);
+    return { files: toTaskFiles(filteredFilesB), prefixToRemove, baseline: baselineId };
+  }, [filterComparisonMode, filteredFilesB, prefixToRemove, baselineId]);
+  const { result: comparisonB, isLoading: isComparisonBLoading, error: comparisonBError } = useAnalysisTask('compare', comparisonPayloadB);
+
+  // Merge all fields from all files, grouping by similar structure
+  // For each parent path, show all unique field names from all files
+  const mergePayload = useMemo(
+    () => ({ files: toTaskFiles(comparisonFiles), prefixToRemove, baseline: baselineId }),
+    [comparisonFiles, prefixToRemove, baselineId]
+  );
+  const { result: mergeResult, isLoading: isMergeLoading, error: mergeError } = useAnalysisTask('merge', mergePayload);
+  const mergedFields = mergeResult || EMPTY_FIELDS;
+
+  const isUpdating = isFilteredComparisonLoading || isComparisonALoading || isComparisonBLoading || isMergeLoading;
+  const updateError = filteredComparisonError || comparisonAError || comparisonBError || mergeError;
 
   const aggregationA = useMemo(() => {
     if (!comparisonA || !comparisonA.aggregation) {
@@ -856,6 +1025,15 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
           uniqueValuesCount: item.uniqueValuesCount ?? (item.valueCounts ? item.valueCounts.length : 0),
           hasChildren: !!item.hasChildren,
           orderIndex: item.orderIndex,
+          inferredType: item.inferredType,
+          typeConfidence: item.typeConfidence,
+          typesByFile: item.typesByFile,
+          hasTypeConflict: item.hasTypeConflict,
+          minOccurs: item.minOccurs,
+          maxOccurs: item.maxOccurs,
+          numericStats: item.numericStats,
+          lengthStats: item.lengthStats,
+          statisticsByFile: item.statisticsByFile,
           children: [],
         };
 
@@ -1045,6 +1223,15 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
         uniqueValuesCount: item.uniqueValuesCount ?? (item.valueCounts ? item.valueCounts.length : 0),
         hasChildren: !!item.hasChildren,
         orderIndex: item.orderIndex,
+        inferredType: item.inferredType,
+        typeConfidence: item.typeConfidence,
+        typesByFile: item.typesByFile,
+        hasTypeConflict: item.hasTypeConflict,
+        minOccurs: item.minOccurs,
+        maxOccurs: item.maxOccurs,
+        numericStats: item.numericStats,
+        lengthStats: item.lengthStats,
+        statisticsByFile: item.statisticsByFile,
         children: [],
       };
 
@@ -1196,9 +1383,19 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
     }));
   };
 
+  const filterDescriptions = [
+    ...(isInvalidFilterActive ? [<span key="invalid-files">the file fails schema validation</span>] : []),
+    ...activeFilters.map(filter => (
+      <span key={filter.id}>
+        <code>{removePrefixFromFieldName(filter.field, prefixToRemove)}</code> = "<span>{filter.trimmedValue}</span>"{filter.caseSensitive ? ' (case sensitive)' : ''}
+      </span>
+    )),
+  ];
+
   const noMatchingFiles = isFilterActive && comparisonFiles.length === 0;
   const insufficientFilesForComparison = comparisonFiles.length > 0 && comparisonFiles.length < 2;
-  const canExport = comparisonFiles.length > 0;
+  // Exports wait for the worker results so they never mix stale and fresh data
+  const canExport = comparisonFiles.length > 0 && !isUpdating;
 
   const buildStructureFromFields = (fields) => {
     if (!fields || fields.length === 0) {
@@ -1235,14 +1432,6 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
     return structure;
   };
 
-  // Merge all fields from all files, grouping by similar structure
-  // For each parent path, show all unique field names from all files
-  // Merge all fields from all files, grouping by similar structure
-  // For each parent path, show all unique field names from all files
-  const mergedFields = useMemo(() => {
-    return mergeFieldsFromFiles(comparisonFiles, prefixToRemove);
-  }, [comparisonFiles, prefixToRemove]);
-
   const collectExpandablePaths = useCallback((fields) => {
     const paths = new Set();
     if (!fields || fields.length === 0) {
@@ -1328,6 +1517,27 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
     document.body.removeChild(link);
   };
 
+  const canExportXsd = canExport && mergedFields.length > 0;
+
+  const handleExportXsd = () => {
+    if (!canExportXsd) {
+      return;
+    }
+
+    const xsdContent = generateXSD(mergedFields, {
+      comment: `Generated from ${comparisonFiles.length} file(s) on ${new Date().toISOString()}`,
+    });
+    const blob = new Blob([xsdContent], { type: 'application/xml' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'schema.xsd');
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
   const filesWithUniqueFields = useMemo(() => {
     if (!activeComparison || !activeComparison.uniqueFields) {
       return [];
@@ -1344,6 +1554,7 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
       <div className="fields-header">
         <h2>File Comparison</h2>
         <div className="fields-header-actions">
+          {isUpdating && <span className="updating-indicator">Updating comparison…</span>}
           <button
             className="export-btn"
             onClick={handleExportComparison}
@@ -1360,9 +1571,19 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
           >
             📝 Export JSON
           </button>
+          <button
+            className="export-btn"
+            onClick={handleExportXsd}
+            disabled={!canExportXsd}
+            title={canExportXsd ? 'Generate an XML Schema from the merged structure' : 'No data available to export'}
+          >
+            🧾 Export XSD
+          </button>
         </div>
       </div>
 
+      {updateError && <p className="query-error">Updating the comparison failed: {updateError}</p>}
+
       <div className="comparison-filter-bar">
         <div className="filter-comparison-toggle" style={{ marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
           <button
@@ -1509,6 +1730,16 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
           >
             Clear Filters
           </button>
+          {invalidFileIds && setOnlyInvalidFiles && (
+            <label className="filter-case-sensitive filter-only-invalid" title="Show only files that fail validation against the loaded XSD schemas">
+              <input
+                type="checkbox"
+                checked={onlyInvalidFiles}
+                onChange={(e) => setOnlyInvalidFiles(e.target.checked)}
+              />
+              Only invalid files ({invalidFileIds.size})
+            </label>
+          )}
         </div>
 
         {isFilterActive && (
@@ -1516,22 +1747,14 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
             {noMatchingFiles ? (
               <span>
                 No files match the selected filters:{' '}
-                {activeFilters.map(filter => (
-                  <span key={filter.id}>
-                    <code>{removePrefixFromFieldName(filter.field, prefixToRemove)}</code> = "<span>{filter.trimmedValue}</span>"{filter.caseSensitive ? ' (case sensitive)' : ''}
-                  </span>
-                )).reduce((acc, element, idx) => (
+                {filterDescriptions.reduce((acc, element, idx) => (
                   idx === 0 ? [element] : [...acc, ', ', element]
                 ), [])}
               </span>
             ) : (
               <span>
                 Showing {comparisonFiles.length} of {files.length} files where{' '}
-                {activeFilters.map(filter => (
-                  <span key={filter.id}>
-                    <code>{removePrefixFromFieldName(filter.field, prefixToRemove)}</code> = "<span>{filter.trimmedValue}</span>"{filter.caseSensitive ? ' (case sensitive)' : ''}
-                  </span>
-                )).reduce((acc, element, idx) => (
+                {filterDescriptions.reduce((acc, element, idx) => (
                   idx === 0 ? [element] : [...acc, ' and ', element]
                 ), [])}
               </span>
@@ -1599,6 +1822,44 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
             }}
           />
         </div>
+
+        {setBaseline && (
+          <div className="filter-prefix-input" style={{ marginTop: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <label htmlFor="comparison-baseline" style={{ fontSize: '0.875rem', whiteSpace: 'nowrap' }}>
+              Baseline:
+            </label>
+            <select
+              id="comparison-baseline"
+              value={baselineSelectValue}
+              onChange={(e) => setBaseline(e.target.value)}
+              title="Common fields follow the baseline's structure and order; Baseline Deviations lists how every other file departs from it"
+              style={{
+                padding: '0.5rem',
+                border: '1px solid var(--border-color)',
+                borderRadius: '0.5rem',
+                fontSize: '0.875rem',
+                maxWidth: '320px',
+              }}
+            >
+              <option value="">First file{files[0] ? ` (${files[0].filename})` : ''}</option>
+              {files.map(file => (
+                <option key={file.id} value={String(file.id)}>{file.filename}</option>
+              ))}
+              {schemas.length > 0 && (
+                <option value={SCHEMA_BASELINE}>XML Schema ({schemas.map(schema => schema.filename).join(', ')})</option>
+              )}
+            </select>
+          </div>
+        )}
+
+        {setNamespaceSettings && (
+          <NamespacePanel
+            namespaces={namespaces}
+            namespaceLabels={namespaceLabels}
+            settings={namespaceSettings}
+            setSettings={setNamespaceSettings}
+          />
+        )}
       </div>
 
       <div className="tabs" style={{ borderBottom: '1px solid var(--border-color)', padding: '0 1rem', margin: 0 }}>
@@ -1630,6 +1891,27 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
         >
           Unique Fields
         </button>
+        <button
+          className={`tab ${activeTab === 'order' ? 'active' : ''}`}
+          onClick={() => setActiveTab('order')}
+          style={{ borderBottom: activeTab === 'order' ? '3px solid var(--primary-color)' : 'none' }}
+        >
+          Sibling Order
+        </button>
+        <button
+          className={`tab ${activeTab === 'baseline' ? 'active' : ''}`}
+          onClick={() => setActiveTab('baseline')}
+          style={{ borderBottom: activeTab === 'baseline' ? '3px solid var(--primary-color)' : 'none' }}
+        >
+          Baseline Deviations
+        </button>
+        <button
+          className={`tab ${activeTab === 'diff' ? 'active' : ''}`}
+          onClick={() => setActiveTab('diff')}
+          style={{ borderBottom: activeTab === 'diff' ? '3px solid var(--primary-color)' : 'none' }}
+        >
+          Diff Two Files
+        </button>
       </div>
 
       <div style={{ padding: '1.5rem' }}>
@@ -1842,11 +2124,15 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
                   <div>Files</div>
                   <div>Presence</div>
                   <div>Occurrences</div>
+                  <div>Type</div>
                   <div>Sample Paths</div>
                 </div>
                 {visibleSummary.map(item => {
                   const rowKey = item.uniqueKey || item.fieldName;
                   const isExpanded = expandedSummaryRowKey === rowKey;
+                  const typesByFileLabel = Object.entries(item.typesByFile || {})
+                    .map(([filename, type]) => `${filename}: ${type}`)
+                    .join('\n');
                   const valueCounts = item.valueCounts || [];
                   const showAllValues = !!showAllSummaryValues[rowKey];
                   const displayedValueCounts = showAllValues ? valueCounts : valueCounts.slice(0, 10);
@@ -1915,6 +2201,21 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
                             avg {item.averageOccurrencesPerFile.toFixed(1)}
                           </span>
                         </div>
+                        <div className="summary-type">
+                          {item.inferredType && item.inferredType !== DATA_TYPES.EMPTY ? (
+                            <span title={`${Math.round(item.typeConfidence * 100)}% of values fit this type`}>
+                              {item.inferredType}
+                            </span>
+                          ) : '—'}
+                          {item.hasTypeConflict && (
+                            <span
+                              className="summary-type-conflict"
+                              title={`Files disagree on the type of this field:\n${typesByFileLabel}`}
+                            >
+                              ⚠️
+                            </span>
+                          )}
+                        </div>
                         <div className="summary-sample-paths">
                           {item.samplePaths && item.samplePaths.length > 0 ? (
                             item.samplePaths.map(path => (
@@ -1937,6 +2238,11 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
                             <span>
                               <strong>Total occurrences:</strong> {item.totalOccurrences}
                             </span>
+                            {formatOccursRange(item) && (
+                              <span title="Fewest and most times the field appears inside one instance of its parent">
+                                <strong>Per parent:</strong> {formatOccursRange(item)}
+                              </span>
+                            )}
                           </div>
 
                           {summaryMode === 'hierarchical' && item.path && (
@@ -1945,6 +2251,19 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
                             </div>
                           )}
 
+                          {item.inferredType && item.inferredType !== DATA_TYPES.EMPTY && (
+                            <div className="summary-path-detail">
+                              <strong>Inferred type:</strong> {item.inferredType} ({Math.round(item.typeConfidence * 100)}% confidence)
+                              {item.hasTypeConflict && (
+                                <span className="summary-type-conflict-detail">
+                                  {' '}— files disagree: {typesByFileLabel.split('\n').join(', ')}
+                                </span>
+                              )}
+                            </div>
+                          )}
+
+                          <ValueStatisticsDetail item={item} />
+
                           {hasValues ? (
                             <>
                               <ul className="summary-values-list">
@@ -2157,6 +2476,35 @@ function ComparisonView({ comparison, files, filters: filtersProp, setFilters: s
             )}
           </div>
         )}
+
+        {activeTab === 'order' && (
+          <div>
+            <h3 style={{ marginBottom: '1rem', color: 'var(--text-primary)' }}>
+              Order of child elements across the selected files
+            </h3>
+            <SiblingOrderView files={comparisonFiles} baselineFile={baselineFile} prefixToRemove={prefixToRemove} />
+          </div>
+        )}
+
+        {activeTab === 'baseline' && (
+          <div>
+            <h3 style={{ marginBottom: '1rem', color: 'var(--text-primary)' }}>
+              Missing, extra, moved and changed paths compared with the baseline
+            </h3>
+            <BaselineView
+              files={comparisonFiles}
+              baselineFile={baselineFile}
+              useSchemas={useSchemaBaseline}
+              schemas={schemas}
+              namespaceLabels={namespaceLabels}
+              prefixToRemove={prefixToRemove}
+            />
+          </div>
+        )}
+
+        {activeTab === 'diff' && (
+          <DiffView files={files} namespaceLabels={namespaceLabels} />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,321 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { runInAnalysisPool, isAbortError } from '../workers/workerPool';
+import { withoutEmbeddedXML } from '../utils/embeddedXml';
+import { diffToExcel, diffToJSON } from '../utils/documentDiff';
+import { downloadBlob } from '../utils/fileExport';
+
+const MAX_DISPLAYED_ROWS = 500;
+
+// Characters of a value shown in a cell; the exports keep them all
+const MAX_VALUE_LENGTH = 500;
+
+const STATUS_MARKERS = { added: '+', removed: '−', changed: '~', same: '' };
+
+const clampValue = (value) => (
+  value && value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value
+);
+
+// File name without folders and extension, for export names
+const baseName = (filename) => filename.split('/').pop().replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+
+// Flatten the diff tree into indented rows: elements, then their attributes and children
+function toRows(nodes, onlyDifferences, depth = 0, rows = []) {
+  nodes.forEach(node => {
+    if (onlyDifferences && node.changeCount === 0) {
+      return;
+    }
+    rows.push({
+      key: node.location,
+      depth,
+      name: node.name,
+      location: node.location,
+      status: node.status,
+      before: node.before,
+      after: node.after,
+      identicalChildCount: node.identicalChildCount,
+    });
+    node.attributes.forEach(attribute => {
+      if (onlyDifferences && attribute.status === 'same') {
+        return;
+      }
+      rows.push({
+        key: `${node.location}/@${attribute.name}`,
+        depth: depth + 1,
+        name: `@${attribute.name}`,
+        location: `${node.location}/@${attribute.name}`,
+        status: attribute.status,
+        before: attribute.before,
+        after: attribute.after,
+        identicalChildCount: 0,
+      });
+    });
+    toRows(node.children, onlyDifferences, depth + 1, rows);
+  });
+  return rows;
+}
+
+// Aligned value diff of two loaded files, with repeated elements matched by position or a key
+function DiffView({ files, namespaceLabels }) {
+  const [beforeId, setBeforeId] = useState(files[0] ? String(files[0].id) : '');
+  const [afterId, setAfterId] = useState(files[1] ? String(files[1].id) : '');
+  const [keys, setKeys] = useState({});
+  const [onlyDifferences, setOnlyDifferences] = useState(true);
+  const [diff, setDiff] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  const beforeFile = files.find(file => String(file.id) === beforeId) || null;
+  const afterFile = files.find(file => String(file.id) === afterId) || null;
+  const canCompare = beforeFile && afterFile && beforeFile !== afterFile && !beforeFile.isLarge && !afterFile.isLarge;
+
+  // Elements repeating in either file, with the leaf children and attributes they can be matched by
+  const repeatedElements = useMemo(() => {
+    const elements = new Map();
+    const selectedFiles = [beforeFile, afterFile].filter(Boolean);
+    selectedFiles.forEach(file => {
+      withoutEmbeddedXML(file.fields).forEach(field => {
+        if (!field.isAttribute && !field.isVirtual && (field.maxOccurs ?? 0) > 1 && !elements.has(field.path)) {
+          elements.set(field.path, new Set());
+        }
+      });
+    });
+    selectedFiles.forEach(file => {
+      withoutEmbeddedXML(file.fields).forEach(field => {
+        const keyNames = elements.get(field.parentPath);
+        if (keyNames && !field.hasChildren && !field.isVirtual) {
+          keyNames.add(field.path.slice(field.parentPath.length + 3));
+        }
+      });
+    });
+    return Array.from(elements, ([path, keyNames]) => ({ path, keyNames: Array.from(keyNames) }));
+  }, [beforeFile, afterFile]);
+
+  const activeKeys = useMemo(() => {
+    const result = {};
+    repeatedElements.forEach(({ path }) => {
+      if (keys[path]) {
+        result[path] = keys[path];
+      }
+    });
+    return result;
+  }, [repeatedElements, keys]);
+
+  const rows = useMemo(() => (diff ? toRows(diff.nodes, onlyDifferences) : []), [diff, onlyDifferences]);
+
+  const counts = useMemo(() => {
+    const result = { add: 0, remove: 0, replace: 0 };
+    if (diff) {
+      diff.changes.forEach(change => {
+        result[change.op] += 1;
+      });
+    }
+    return result;
+  }, [diff]);
+
+  const selectFile = (setId) => (e) => {
+    setId(e.target.value);
+    setDiff(null);
+  };
+
+  const handleSwap = () => {
+    setBeforeId(afterId);
+    setAfterId(beforeId);
+    setDiff(null);
+  };
+
+  const handleKeyChange = (path, keyName) => {
+    setKeys(prev => ({ ...prev, [path]: keyName }));
+    setDiff(null);
+  };
+
+  const handleCompare = async () => {
+    if (!canCompare) {
+      return;
+    }
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress(0);
+    setError(null);
+
+    try {
+      const result = await runInAnalysisPool('diffFiles', {
+        before: { file: beforeFile.source, lenient: beforeFile.parseWarningCount > 0, encoding: beforeFile.encodingOverride || null },
+        after: { file: afterFile.source, lenient: afterFile.parseWarningCount > 0, encoding: afterFile.encodingOverride || null },
+        keys: activeKeys,
+        namespaceLabels,
+      }, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total }) => {
+          if (controllerRef.current === controller && total > 0) {
+            setProgress(Math.round((loaded / total) * 100));
+          }
+        },
+      });
+      setDiff({ ...result, beforeName: beforeFile.filename, afterName: afterFile.filename });
+    } catch (compareError) {
+      if (isAbortError(compareError)) {
+        return;
+      }
+      setDiff(null);
+      setError(compareError.message);
+    }
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const exportName = diff ? `${baseName(diff.beforeName)}_vs_${baseName(diff.afterName)}_diff` : '';
+
+  const handleExportExcel = () => {
+    downloadBlob(diffToExcel(diff.changes, diff.beforeName, diff.afterName), `${exportName}.xlsx`);
+  };
+
+  const handleExportJSON = () => {
+    const json = diffToJSON(diff.changes, diff.beforeName, diff.afterName);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${exportName}.json`);
+  };
+
+  const renderFileSelect = (value, onChange, label) => (
+    <label className="diff-file-select">
+      {label}
+      <select className="query-input" value={value} onChange={onChange}>
+        {files.map(file => (
+          <option key={file.id} value={file.id} disabled={file.isLarge}>
+            {file.filename}{file.isLarge ? ' (too large to diff)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const keyCount = Object.keys(activeKeys).length;
+
+  return (
+    <div className="diff-view">
+      <div className="fields-header">
+        <h3>Diff Two Files</h3>
+        {diff && diff.changes.length > 0 && (
+          <div className="fields-header-actions">
+            <button className="export-btn" onClick={handleExportExcel}>
+              📊 Export to Excel
+            </button>
+            <button className="export-btn" onClick={handleExportJSON} title="Download the changes as a JSON patch-like list">
+              📥 Export as JSON Patch
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="query-form diff-form">
+        {renderFileSelect(beforeId, selectFile(setBeforeId), 'Before')}
+        <button className="secondary-btn" onClick={handleSwap} title="Swap the files">⇄</button>
+        {renderFileSelect(afterId, selectFile(setAfterId), 'After')}
+        <button className="primary-btn" onClick={handleCompare} disabled={!canCompare || progress !== null}>
+          Compare
+        </button>
+      </div>
+      <div className="query-hint">
+        Elements and attributes are aligned by name; repeated elements are matched by position unless a key is chosen
+        below. Names use the namespace labels, so different prefixes for the same namespace are not differences.
+      </div>
+
+      {repeatedElements.length > 0 && (
+        <details className="diff-keys">
+          <summary>
+            Match repeated elements by key{keyCount > 0 ? ` (${keyCount} set)` : ''}
+          </summary>
+          {repeatedElements.map(({ path, keyNames }) => (
+            <div key={path} className="diff-key-row">
+              <code>{path}</code>
+              <select value={activeKeys[path] || ''} onChange={(e) => handleKeyChange(path, e.target.value)}>
+                <option value="">By position</option>
+                {keyNames.map(keyName => (
+                  <option key={keyName} value={keyName}>By {keyName}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </details>
+      )}
+
+      {progress !== null && (
+        <p className="empty-message">Comparing… {progress}%</p>
+      )}
+
+      {error && <div className="query-error">{error}</div>}
+
+      {progress === null && diff && (
+        <>
+          <div className="validation-summary">
+            <span>
+              <code>{diff.beforeName}</code> → <code>{diff.afterName}</code>
+            </span>
+            {diff.changes.length === 0 ? (
+              <span className="validation-count valid">No differences</span>
+            ) : (
+              <>
+                <span className="validation-count diff-added">{counts.add} added</span>
+                <span className="validation-count diff-removed">{counts.remove} removed</span>
+                <span className="validation-count diff-changed">{counts.replace} changed</span>
+              </>
+            )}
+            <label className="query-only-matching" style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.8rem' }}>
+              <input
+                type="checkbox"
+                checked={onlyDifferences}
+                onChange={(e) => setOnlyDifferences(e.target.checked)}
+              />
+              Only differences
+            </label>
+          </div>
+
+          {rows.length > 0 && (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="fields-table diff-table">
+                <thead>
+                  <tr>
+                    <th>Element</th>
+                    <th>Before</th>
+                    <th>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, MAX_DISPLAYED_ROWS).map((row, index) => (
+                    // Locations repeat when several instances share a key value
+                    <tr key={`${index}:${row.key}`} className={`diff-row diff-${row.status}`}>
+                      <td title={row.location}>
+                        <span style={{ paddingLeft: `${row.depth * 1.25}rem` }}>
+                          <span className="diff-marker">{STATUS_MARKERS[row.status]}</span>
+                          {row.name}
+                        </span>
+                        {row.identicalChildCount > 0 && (
+                          <span className="diff-identical">
+                            {row.identicalChildCount} identical child element{row.identicalChildCount !== 1 ? 's' : ''}
+                          </span>
+                        )}
+                      </td>
+                      <td className="diff-value" title={row.before ?? ''}>{clampValue(row.before)}</td>
+                      <td className="diff-value" title={row.after ?? ''}>{clampValue(row.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length > MAX_DISPLAYED_ROWS && (
+                <p className="empty-message">
+                  Showing the first {MAX_DISPLAYED_ROWS} of {rows.length} rows; the exports include every change
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DiffView;
@@ -1,5 +1,8 @@
 import React, { useState, useMemo, useRef, useEffect } from 'react';
-import { fieldsToCSV, removePrefixFromFieldName, removePrefixFromPath } from '../utils/xmlParser';
+import { fieldsToCSV, formatOccursRange, removePrefixFromFieldName, removePrefixFromPath } from '../utils/xmlParser';
+import { inferFieldType, formatInferredType } from '../utils/typeInference';
+import { findEmbeddedXMLPaths, EMBEDDED_XML_SEGMENT } from '../utils/embeddedXml';
+import { readTextFile } from '../utils/encoding';
 
 // Tooltip component
 const Tooltip = ({ text, children }) => {
@@ -102,9 +105,10 @@ const HeaderWithTooltip = ({ title, tooltip, width, onResize, columnIndex }) =>
   );
 };
 
-function FieldsViewer({ file, prefixToRemove = '' }) {
+function FieldsViewer({ file, prefixToRemove = '', embeddedXmlPaths = new Set(), onToggleEmbeddedXml = null, focusRequest = null }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [expandedPaths, setExpandedPaths] = useState(new Set());
+  const tableBodyRef = useRef(null);
   const [showXMLPreview, setShowXMLPreview] = useState(false);
   const [formattedXML, setFormattedXML] = useState('');
   const [columnWidths, setColumnWidths] = useState({
@@ -113,8 +117,10 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
     2: 120, // Children
     3: 100, // Has Content
     4: 200, // Data
-    5: 150, // Attributes
-    6: 100, // Occurrences
+    5: 130, // Type
+    6: 150, // Attributes
+    7: 100, // Occurrences
+    8: 110, // Cardinality
   });
 
   const toggleExpand = (path) => {
@@ -134,6 +140,45 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
     }));
   };
 
+  // Inferred data type per path, from the values collected at that path
+  const inferredTypes = useMemo(
+    () => new Map(file.fields.map(field => [field.path, inferFieldType(field.valueCounts)])),
+    [file.fields]
+  );
+
+  // Fields whose values are XML documents, which can be parsed into a nested subtree
+  const embeddedXmlCandidates = useMemo(() => findEmbeddedXMLPaths(file.fields), [file.fields]);
+
+  const handleToggleEmbeddedXml = (field) => {
+    if (!embeddedXmlPaths.has(field.qualifiedPath)) {
+      // Open the new subtree straight away
+      setExpandedPaths(prev => new Set([...prev, field.path, `${field.path} > ${EMBEDDED_XML_SEGMENT}`]));
+    }
+    onToggleEmbeddedXml(field.qualifiedPath);
+  };
+
+  // Reveal a field asked for from elsewhere (e.g. an XPath match): open its ancestors, then scroll to it
+  useEffect(() => {
+    if (!focusRequest) {
+      return;
+    }
+    const segments = focusRequest.path.split(' > ');
+    const ancestors = segments.slice(1).map((_, index) => segments.slice(0, index + 1).join(' > '));
+    setSearchTerm('');
+    setExpandedPaths(prev => new Set([...prev, ...ancestors]));
+  }, [focusRequest]);
+
+  useEffect(() => {
+    if (!focusRequest || !tableBodyRef.current) {
+      return;
+    }
+    const row = Array.from(tableBodyRef.current.querySelectorAll('tr[data-path]'))
+      .find(candidate => candidate.dataset.path === focusRequest.path);
+    if (row && row.scrollIntoView) {
+      row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [focusRequest, expandedPaths]);
+
   // Get all visible fields for counting
   const allVisibleFields = useMemo(() => {
     const visible = [];
@@ -149,11 +194,8 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
         
         // If field is expanded or has no children, check descendants
         const isExpanded = expandedPaths.has(field.path);
-        if (isExpanded || !field.hasChildren) {
-          const children = file.fields.filter(child => 
-            child.path.startsWith(field.path + ' > ') && 
-            child.depth === depth + 1
-          );
+        if (isExpanded) {
+          const children = file.fields.filter(child => child.parentPath === field.path);
           collectVisible(children, depth + 1);
         }
       });
@@ -179,6 +221,9 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
   };
 
   // Format XML with proper indentation
+  // Only whitespace between elements is reflowed: text, CDATA sections, comments, processing
+  // instructions and the doctype are kept as written, and elements holding text (leaves and
+  // mixed content) are written out unchanged so no significant whitespace is added or lost
   const formatXML = (xmlString) => {
     try {
       // Parse the XML to ensure it's valid
@@ -190,61 +235,76 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
         return xmlString; // Return original if parsing fails
       }
 
+      const escapeText = (text) => text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+      const escapeAttribute = (value) => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#9;')
+        .replace(/\n/g, '&#10;')
+        .replace(/\r/g, '&#13;');
+
+      const openTag = (node) => {
+        let tag = `<${node.nodeName}`;
+        Array.from(node.attributes || []).forEach(attr => {
+          tag += ` ${attr.name}="${escapeAttribute(attr.value)}"`;
+        });
+        return tag;
+      };
+
+      // Serialize a node exactly, without adding any whitespace
+      const serializeInline = (node) => {
+        switch (node.nodeType) {
+          case Node.ELEMENT_NODE:
+            return node.childNodes.length === 0
+              ? `${openTag(node)}/>`
+              : `${openTag(node)}>${Array.from(node.childNodes).map(serializeInline).join('')}</${node.nodeName}>`;
+          case Node.TEXT_NODE:
+            return escapeText(node.nodeValue);
+          case Node.CDATA_SECTION_NODE:
+            return `<![CDATA[${node.nodeValue}]]>`;
+          case Node.COMMENT_NODE:
+            return `<!--${node.nodeValue}-->`;
+          case Node.PROCESSING_INSTRUCTION_NODE:
+            return `<?${node.target}${node.data ? ` ${node.data}` : ''}?>`;
+          default:
+            return '';
+        }
+      };
+
       // Format the XML with indentation
       const formatNode = (node, indent = 0) => {
         const indentStr = '  '.repeat(indent);
-        let result = '';
-
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Build opening tag with attributes
-          let tag = `${indentStr}<${node.nodeName}`;
-          
-          // Add attributes
-          if (node.attributes && node.attributes.length > 0) {
-            Array.from(node.attributes).forEach(attr => {
-              tag += ` ${attr.name}="${attr.value.replace(/"/g, '&quot;')}"`;
-            });
-          }
-          
-          // Check if node has element children
-          const hasElementChildren = node.children.length > 0;
-          
-          // Get text content (only direct text nodes, not from nested elements)
-          const directTextNodes = Array.from(node.childNodes)
-            .filter(n => n.nodeType === Node.TEXT_NODE)
-            .map(n => n.textContent.trim())
-            .filter(t => t.length > 0);
-
-          if (hasElementChildren) {
-            // Has element children - format with newlines
-            tag += '>\n';
-            
-            // Process all child nodes (both elements and text)
-            let childrenResult = '';
-            Array.from(node.childNodes).forEach(child => {
-              if (child.nodeType === Node.ELEMENT_NODE) {
-                childrenResult += formatNode(child, indent + 1);
-              } else if (child.nodeType === Node.TEXT_NODE && child.textContent.trim()) {
-                childrenResult += `${indentStr}  ${child.textContent.trim()}\n`;
-              }
-            });
-            
-            result = tag + childrenResult + `${indentStr}</${node.nodeName}>\n`;
-          } else if (directTextNodes.length > 0) {
-            // Only text content, no element children
-            result = tag + `>${directTextNodes.join(' ')}</${node.nodeName}>\n`;
-          } else {
-            // Empty element
-            result = tag + '/>\n';
-          }
-          
-          return result;
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          return `${indentStr}${serializeInline(node)}\n`;
         }
-        
-        return '';
+
+        const childNodes = Array.from(node.childNodes);
+        const hasElementChildren = childNodes.some(child => child.nodeType === Node.ELEMENT_NODE);
+        // Text next to child elements (mixed content) or a CDATA section makes the whitespace significant
+        const hasSignificantText = childNodes.some(child =>
+          child.nodeType === Node.CDATA_SECTION_NODE ||
+          (child.nodeType === Node.TEXT_NODE && child.nodeValue.trim().length > 0)
+        );
+
+        if (!hasElementChildren || hasSignificantText) {
+          // Empty elements, leaves and mixed content are written as they are
+          return `${indentStr}${serializeInline(node)}\n`;
+        }
+
+        // Only elements, comments and processing instructions inside - one per line
+        const childrenResult = childNodes
+          .filter(child => child.nodeType !== Node.TEXT_NODE)
+          .map(child => formatNode(child, indent + 1))
+          .join('');
+
+        return `${indentStr}${openTag(node)}>\n${childrenResult}${indentStr}</${node.nodeName}>\n`;
       };
 
-      // Format the document element
       let formatted = '';
       // Preserve XML declaration if present
       if (xmlString.trim().startsWith('<?xml')) {
@@ -255,7 +315,17 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
       } else {
         formatted = '<?xml version="1.0" encoding="UTF-8"?>\n';
       }
-      formatted += formatNode(xmlDoc.documentElement, 0);
+
+      // Comments, processing instructions and the doctype around the document element
+      Array.from(xmlDoc.childNodes).forEach(node => {
+        if (node.nodeType === Node.DOCUMENT_TYPE_NODE) {
+          // The DOM does not keep the internal subset, so the doctype is copied from the source
+          const doctypeMatch = xmlString.match(/<!DOCTYPE[^[>]*(\[[\s\S]*?\]\s*)?>/);
+          formatted += doctypeMatch ? `${doctypeMatch[0]}\n` : '';
+        } else {
+          formatted += formatNode(node, 0);
+        }
+      });
       
       return formatted;
     } catch (error) {
@@ -264,11 +334,17 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
     }
   };
 
-  const handleShowXMLPreview = () => {
-    if (file.xmlString) {
-      const formatted = formatXML(file.xmlString);
-      setFormattedXML(formatted);
+  // The raw XML is not kept in memory; it is re-read from the original file on demand
+  const handleShowXMLPreview = async () => {
+    if (!file.source || file.isLarge) {
+      return;
+    }
+    try {
+      const { text: xmlString } = await readTextFile(file.source, file.encodingOverride);
+      setFormattedXML(formatXML(xmlString));
       setShowXMLPreview(true);
+    } catch (error) {
+      alert(`Could not read ${file.filename}: ${error.message}`);
     }
   };
 
@@ -290,14 +366,10 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
   const renderFieldRows = (fields, depth = 0) => {
     return fields.map(field => {
       const isExpanded = expandedPaths.has(field.path);
-      const hasChildren = field.hasChildren;
       
-      // Get direct children and sort by order index (XML order)
+      // Get direct children (child elements and attribute pseudo-fields) and sort by order index (XML order)
       const children = file.fields
-        .filter(f => 
-          f.path.startsWith(field.path + ' > ') && 
-          f.depth === depth + 1
-        )
+        .filter(f => f.parentPath === field.path)
         .sort((a, b) => {
           // Sort by orderIndex to maintain XML order
           const orderA = a.orderIndex !== undefined ? a.orderIndex : 999999;
@@ -312,7 +384,7 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
       const hasMatchingDescendants = children.some(child => {
         const childNormalizedName = removePrefixFromFieldName(child.name, prefixToRemove);
         return childNormalizedName.toLowerCase().includes(searchTerm.toLowerCase());
-      }) || (hasChildren && file.fields.some(f => 
+      }) || (children.length > 0 && file.fields.some(f => 
         f.path.startsWith(field.path + ' > ') && 
         removePrefixFromFieldName(f.name, prefixToRemove).toLowerCase().includes(searchTerm.toLowerCase())
       ));
@@ -326,10 +398,14 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
       return (
         <React.Fragment key={field.path}>
           {matchesSearch && (
-            <tr className="field-row" style={{ backgroundColor: depth % 2 === 0 ? 'var(--surface-color)' : 'rgba(0,0,0,0.02)' }}>
+            <tr
+              className={`field-row ${focusRequest && focusRequest.path === field.path ? 'focused' : ''}`}
+              data-path={field.path}
+              style={{ backgroundColor: depth % 2 === 0 ? 'var(--surface-color)' : 'rgba(0,0,0,0.02)' }}
+            >
               <td style={{ width: columnWidths[0] }}>
                 <div style={{ display: 'flex', alignItems: 'center', paddingLeft: `${indent}px` }}>
-                  {hasChildren && children.length > 0 && (
+                  {children.length > 0 && (
                     <button
                       className="expand-toggle"
                       onClick={() => toggleExpand(field.path)}
@@ -353,8 +429,11 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
                       </span>
                     </button>
                   )}
-                  {!hasChildren && <span style={{ width: '1.75rem', display: 'inline-block' }} />}
-                  <code style={{ backgroundColor: 'var(--bg-color)', padding: '0.25rem 0.5rem', borderRadius: '0.25rem' }}>
+                  {children.length === 0 && <span style={{ width: '1.75rem', display: 'inline-block' }} />}
+                  <code
+                    style={{ backgroundColor: 'var(--bg-color)', padding: '0.25rem 0.5rem', borderRadius: '0.25rem' }}
+                    title={field.namespaceURI ? `Namespace: ${field.namespaceURI}` : undefined}
+                  >
                     {normalizedName}
                   </code>
                 </div>
@@ -366,13 +445,43 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
                 {field.hasChildren && (
                   <span className="field-badge badge-children">{field.childCount} child{field.childCount !== 1 ? 'ren' : ''}</span>
                 )}
+                {field.isAttribute && <span className="field-badge badge-attribute">attribute</span>}
+                {field.isMixedContent && (
+                  <span className="field-badge badge-mixed" title="Text and child elements side by side">mixed</span>
+                )}
+                {field.cdataSections > 0 && (
+                  <span className="field-badge badge-cdata" title={`${field.cdataSections} CDATA section${field.cdataSections !== 1 ? 's' : ''}`}>
+                    CDATA
+                  </span>
+                )}
+                {field.commentCount > 0 && (
+                  <span className="field-badge badge-comment" title={field.comments.join('\n')}>
+                    {field.commentCount} comment{field.commentCount !== 1 ? 's' : ''}
+                  </span>
+                )}
+                {field.isVirtual && (
+                  <span className="field-badge badge-embedded" title="Parsed from the value of the field above">
+                    embedded XML
+                  </span>
+                )}
+                {onToggleEmbeddedXml && embeddedXmlCandidates.has(field.qualifiedPath) && (
+                  <button
+                    className={`field-badge badge-embedded badge-embedded-toggle ${embeddedXmlPaths.has(field.qualifiedPath) ? 'active' : ''}`}
+                    onClick={() => handleToggleEmbeddedXml(field)}
+                    title={embeddedXmlPaths.has(field.qualifiedPath)
+                      ? 'Remove the parsed subtree (from every file)'
+                      : 'The value is an XML document: parse it into a subtree (in every file)'}
+                  >
+                    {embeddedXmlPaths.has(field.qualifiedPath) ? '✓ parsed XML' : 'parse XML'}
+                  </button>
+                )}
               </td>
               <td style={{ width: columnWidths[3], textAlign: 'center' }}>
                 {field.hasText && <span style={{ fontSize: '1.2rem', color: 'var(--secondary-color)' }}>✓</span>}
               </td>
               <td style={{ width: columnWidths[4], maxWidth: columnWidths[4], overflow: 'hidden' }}>
-                {field.hasChildren ? (
-                  '—'
+                {field.hasChildren && !field.isMixedContent ? (
+                  <span title={field.descendantText || undefined}>—</span>
                 ) : field.textContent ? (
                   <div
                     style={{
@@ -382,21 +491,50 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
                       width: '100%',
                       maxWidth: '100%',
                     }}
-                    title={field.textContent}
+                    title={field.uniqueValues > 1
+                      ? `${field.uniqueValues} distinct values at this path:\n${Object.keys(field.valueCounts).slice(0, 20).join('\n')}`
+                      : field.textContent}
                   >
                     {field.textContent}
+                    {field.uniqueValues > 1 && (
+                      <span style={{ color: 'var(--text-secondary)', marginLeft: '0.5rem' }}>
+                        (+{field.uniqueValues - 1} more)
+                      </span>
+                    )}
                   </div>
                 ) : (
                   '—'
                 )}
               </td>
               <td style={{ width: columnWidths[5] }}>
+                {(() => {
+                  const inference = inferredTypes.get(field.path);
+                  if (!inference || !inference.sampleSize) {
+                    return '—';
+                  }
+                  const breakdown = Object.entries(inference.typeCounts)
+                    .map(([type, count]) => `${type}: ${count}`)
+                    .join('\n');
+                  return (
+                    <span
+                      className="field-badge badge-type"
+                      title={`Based on ${inference.sampleSize} value${inference.sampleSize !== 1 ? 's' : ''}:\n${breakdown}`}
+                    >
+                      {formatInferredType(inference)}
+                    </span>
+                  );
+                })()}
+              </td>
+              <td style={{ width: columnWidths[6] }}>
                 {field.attributes.length > 0 ? field.attributes.join(', ') : '—'}
               </td>
-              <td style={{ width: columnWidths[6] }}>{field.occurrences}</td>
+              <td style={{ width: columnWidths[7] }}>{field.occurrences}</td>
+              <td style={{ width: columnWidths[8] }}>
+                {formatOccursRange(field) ? <code>{formatOccursRange(field)}</code> : '—'}
+              </td>
             </tr>
           )}
-          {hasChildren && isExpanded && children.length > 0 && renderFieldRows(children, depth + 1)}
+          {isExpanded && children.length > 0 && renderFieldRows(children, depth + 1)}
         </React.Fragment>
       );
     });
@@ -421,7 +559,7 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
             className="export-btn"
             onClick={() => {
               // Expand all when showing all
-              const allPaths = new Set(file.fields.filter(f => f.hasChildren).map(f => f.path));
+              const allPaths = new Set(file.fields.map(f => f.parentPath).filter(Boolean));
               setExpandedPaths(allPaths);
             }}
             style={{ 
@@ -446,7 +584,12 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
           <button className="export-btn" onClick={handleExportCSV}>
             📥 Export to CSV
           </button>
-          <button className="export-btn" onClick={handleShowXMLPreview}>
+          <button
+            className="export-btn"
+            onClick={handleShowXMLPreview}
+            disabled={file.isLarge}
+            title={file.isLarge ? 'Preview is not available for very large files' : undefined}
+          >
             👁️ Preview XML
           </button>
         </div>
@@ -488,42 +631,56 @@ function FieldsViewer({ file, prefixToRemove = '' }) {
               />
               <HeaderWithTooltip
                 title="Children"
-                tooltip="Shows the number of direct child elements this field contains."
+                tooltip="Shows the number of direct child elements this field contains, and flags attributes, mixed content, CDATA sections and comments."
                 width={columnWidths[2]}
                 onResize={handleColumnResize}
                 columnIndex={2}
               />
               <HeaderWithTooltip
                 title="Has Content"
-                tooltip="Indicates whether this field contains text content (not just child elements)."
+                tooltip="Indicates whether this field has text of its own, directly inside it rather than only in its child elements."
                 width={columnWidths[3]}
                 onResize={handleColumnResize}
                 columnIndex={3}
               />
               <HeaderWithTooltip
                 title="Data"
-                tooltip="The text content of this field. Hover for three seconds to see full content if truncated."
+                tooltip="The direct text of this field (for mixed content, the text between its child elements). Hover for three seconds to see full content if truncated; hover the dash of a parent element to see the text of its descendants."
                 width={columnWidths[4]}
                 onResize={handleColumnResize}
                 columnIndex={4}
               />
               <HeaderWithTooltip
-                title="Attributes"
-                tooltip="Lists any XML attributes defined on this field (e.g., id, class, type)."
+                title="Type"
+                tooltip="The data type inferred from the values at this path (integer, decimal, boolean, date, datetime, UUID, email, enumeration or free text), with the share of values that fit it."
                 width={columnWidths[5]}
                 onResize={handleColumnResize}
                 columnIndex={5}
               />
               <HeaderWithTooltip
-                title="Occurrences"
-                tooltip="The total number of times this field appears in the XML document."
+                title="Attributes"
+                tooltip="Lists any XML attributes defined on this field (e.g., id, class, type)."
                 width={columnWidths[6]}
                 onResize={handleColumnResize}
                 columnIndex={6}
               />
+              <HeaderWithTooltip
+                title="Occurrences"
+                tooltip="The total number of times this field appears in the XML document."
+                width={columnWidths[7]}
+                onResize={handleColumnResize}
+                columnIndex={7}
+              />
+              <HeaderWithTooltip
+                title="Per Parent"
+                tooltip="How many times this field appears inside one instance of its parent, as minOccurs..maxOccurs (e.g. 0..1 is optional and single, 1..50 is required and repeating)."
+                width={columnWidths[8]}
+                onResize={handleColumnResize}
+                columnIndex={8}
+              />
             </tr>
           </thead>
-          <tbody>
+          <tbody ref={tableBodyRef}>
             {renderedRows}
           </tbody>
         </table>
@@ -1,8 +1,17 @@
 import React, { useRef, useState } from 'react';
+import { supportsDirectoryPicker, readDirectoryHandle, readDirectoryInput, selectFolderFiles } from '../utils/folderReader';
+
+const isAcceptedFile = (file) => (
+  file.type === 'text/xml' ||
+  /\.(xml|txt|json|xsd|zip|gz)$/i.test(file.name)
+);
 
 function FileUpload({ onFilesAdded }) {
   const [isDragOver, setIsDragOver] = useState(false);
+  // Globs choosing which files of folders and entries of archives are loaded
+  const [pathFilter, setPathFilter] = useState({ include: '', exclude: '' });
   const inputRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   const handleDragOver = (e) => {
     e.preventDefault();
@@ -21,16 +30,12 @@ function FileUpload({ onFilesAdded }) {
     e.stopPropagation();
     setIsDragOver(false);
 
-    const files = Array.from(e.dataTransfer.files).filter(
-      file => file.type === 'text/xml' || 
-              file.name.endsWith('.xml') || 
-              file.name.endsWith('.txt')
-    );
+    const files = Array.from(e.dataTransfer.files).filter(isAcceptedFile);
 
     if (files.length > 0) {
-      onFilesAdded(files);
+      onFilesAdded(files, pathFilter);
     } else {
-      alert('Please drop XML or TXT files only');
+      alert('Please drop XML, JSON, TXT, XSD, ZIP or GZ files only');
     }
   };
 
@@ -41,10 +46,47 @@ function FileUpload({ onFilesAdded }) {
   const handleFileChange = (e) => {
     const files = Array.from(e.target.files);
     if (files.length > 0) {
-      onFilesAdded(files);
+      onFilesAdded(files, pathFilter);
+    }
+  };
+
+  const addFolderFiles = (folderFiles) => {
+    const files = selectFolderFiles(folderFiles, pathFilter);
+    if (files.length > 0) {
+      onFilesAdded(files, pathFilter);
+    } else {
+      alert('The folder has no XML, JSON, TXT, XSD, ZIP or GZ files matching the filter');
     }
   };
 
+  // The File System Access API where available, a directory <input> elsewhere
+  const handleLoadFolder = async () => {
+    if (!supportsDirectoryPicker()) {
+      folderInputRef.current?.click();
+      return;
+    }
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker();
+    } catch (error) {
+      // Closing the picker rejects with an AbortError
+      return;
+    }
+    try {
+      addFolderFiles(await readDirectoryHandle(handle));
+    } catch (error) {
+      alert(`Error reading folder ${handle.name}: ${error.message}`);
+    }
+  };
+
+  const handleFolderChange = (e) => {
+    if (e.target.files.length > 0) {
+      addFolderFiles(readDirectoryInput(e.target.files));
+    }
+    // Allow the same folder to be chosen again
+    e.target.value = '';
+  };
+
   return (
     <div className="file-upload">
       <div
@@ -56,17 +98,52 @@ function FileUpload({ onFilesAdded }) {
       >
         <div className="upload-icon">📤</div>
         <p className="upload-text">
-          Drag and drop XML or TXT files here or click to select
+          Drag and drop XML, JSON or TXT files, ZIP/GZ archives of them (and XSD schemas) here or click to select
         </p>
         <input
           ref={inputRef}
           type="file"
           multiple
-          accept=".xml,.txt,text/xml,text/plain"
+          accept=".xml,.txt,.json,.xsd,.zip,.gz,text/xml,text/plain,application/json,application/zip,application/gzip"
           onChange={handleFileChange}
           className="upload-input"
         />
       </div>
+      <button className="secondary-btn load-folder-btn" onClick={handleLoadFolder}>
+        📁 Load folder
+      </button>
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        onChange={handleFolderChange}
+        className="upload-input"
+      />
+      <details className="path-filter">
+        <summary>Folder and archive filter</summary>
+        <label>
+          Include
+          <input
+            type="text"
+            value={pathFilter.include}
+            onChange={(e) => setPathFilter(prev => ({ ...prev, include: e.target.value }))}
+            placeholder="all, or e.g. orders/**/*.xml"
+          />
+        </label>
+        <label>
+          Exclude
+          <input
+            type="text"
+            value={pathFilter.exclude}
+            onChange={(e) => setPathFilter(prev => ({ ...prev, exclude: e.target.value }))}
+            placeholder="e.g. **/test/**, *-old.xml"
+          />
+        </label>
+        <p className="path-filter-hint">
+          Comma-separated globs over paths like "before/orders/1.xml": * and ? match within a folder,
+          ** across folders. A glob without "/" matches the file name only.
+        </p>
+      </details>
     </div>
   );
 }
@@ -1,5 +1,16 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { mergeFieldsFromFiles, removePrefixFromFieldName, removePrefixFromPath, getFieldValuesFromFiles } from '../utils/xmlParser';
+import { removePrefixFromFieldName, removePrefixFromPath, getFieldValuesFromFiles } from '../utils/xmlParser';
+import { useAnalysisTask, toTaskFiles } from '../workers/useAnalysisTask';
+import { withoutEmbeddedXML } from '../utils/embeddedXml';
+import { readSpreadsheet, formatFilename } from '../utils/spreadsheet';
+import { createZipArchive } from '../utils/archive';
+import { downloadBlob } from '../utils/fileExport';
+
+// Spreadsheet values are text, so markup characters in them are escaped
+const escapeXMLText = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
 
 function GeneratorView({ files, comparison, prefixToRemove = '' }) {
     const [sourceType, setSourceType] = useState('merged'); // 'merged', 'common', or 'field-based'
@@ -71,11 +82,23 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
         );
     }, [files, sourceType, sourceFieldName, sourceFieldValue, sourceFieldCaseSensitive, prefixToRemove]);
 
+    // Merged and field-based sources are merged in the worker pool
+    const mergePayload = useMemo(() => {
+        if (sourceType === 'merged') {
+            return { files: toTaskFiles(files), prefixToRemove };
+        }
+        if (sourceType === 'field-based' && filteredSourceFiles.length > 0) {
+            return { files: toTaskFiles(filteredSourceFiles), prefixToRemove };
+        }
+        return null;
+    }, [sourceType, files, filteredSourceFiles, prefixToRemove]);
+    const { result: mergedSourceFields, isLoading: isMerging, error: mergeError } = useAnalysisTask('merge', mergePayload);
+
     // Initialize fields based on selection
     useEffect(() => {
         let initialFields = [];
         if (sourceType === 'merged') {
-            initialFields = mergeFieldsFromFiles(files, prefixToRemove) || [];
+            initialFields = mergedSourceFields || [];
         } else if (sourceType === 'common') {
             // For common fields, we need to map them to a structure similar to merged fields
             // but only including those in comparison.commonFields
@@ -92,12 +115,13 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
         } else if (sourceType === 'field-based') {
             // Filter files based on field selection and merge matching files
             if (filteredSourceFiles.length > 0) {
-                initialFields = mergeFieldsFromFiles(filteredSourceFiles, prefixToRemove) || [];
+                initialFields = mergedSourceFields || [];
             }
         }
 
-        // Add UI state properties and ensure depth matches path structure
-        const fieldsWithState = initialFields.map(f => {
+        // Add UI state properties and ensure depth matches path structure.
+        // Parsed embedded documents stay the text of their field, so their subtrees are left out
+        const fieldsWithState = withoutEmbeddedXML(initialFields).map(f => {
             // Calculate depth from path structure to ensure consistency
             const pathDepth = f.path ? f.path.split(' > ').length - 1 : 0;
             
@@ -120,7 +144,7 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
         });
 
         setFields(fieldsWithState);
-    }, [sourceType, files, comparison, prefixToRemove, filteredSourceFiles]);
+    }, [sourceType, comparison, filteredSourceFiles, mergedSourceFields]);
 
     // Ensure fields are always displayed with correct depth calculated from path
     // and sorted hierarchically (parents before children, maintaining XML order)
@@ -511,20 +535,19 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
             return newFields;
         });
     };
-    const generateXML = () => {
+    // Build the element tree of the enabled fields in display order; attributes hang on their element.
+    // Returns null when no field is enabled
+    const buildTemplateTree = () => {
         // Filter enabled fields
         const enabledFields = fields.filter(f => f.enabled);
 
         if (enabledFields.length === 0) {
-            setGeneratedXML('<!-- No fields enabled -->');
-            return;
+            return null;
         }
 
         // Build tree structure from flat fields
         // We need to reconstruct the hierarchy based on paths
         const root = { children: [] };
-        const pathMap = new Map();
-        pathMap.set('', root);
 
         // Use displayFields order (which maintains hierarchy) but get actual field data from enabledFields
         // This ensures we process fields in the correct hierarchical order with correct values
@@ -541,10 +564,21 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
         const lastNodeForPath = new Map();
         lastNodeForPath.set('', root);
         
-        enabledDisplayFields.forEach((field, fieldIndex) => {
+        enabledDisplayFields.forEach(field => {
             const parentPath = field.parentPath || '';
             let parentNode = lastNodeForPath.get(parentPath);
 
+            // Attribute pseudo-fields are written on their element, which must itself be enabled
+            if (field.isAttribute || field.name.startsWith('@')) {
+                if (parentNode && parentNode !== root) {
+                    parentNode.attributes.push({
+                        name: removePrefixFromFieldName(field.name, prefixToRemove).slice(1),
+                        field,
+                    });
+                }
+                return;
+            }
+
             // If parent doesn't exist, try to find the nearest enabled ancestor
             if (!parentNode) {
                 let currentPath = parentPath;
@@ -558,65 +592,180 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
 
             const node = {
                 name: removePrefixFromFieldName(field.name, prefixToRemove),
-                text: field.hasChildren ? undefined : field.customValue,
+                field,
                 children: [],
-                attributes: field.attributes || []
+                attributes: []
             };
 
             parentNode.children.push(node);
             // Update the last node for this path (handles duplicates - last one wins for children lookup)
             lastNodeForPath.set(field.path, node);
-            // Also store by uiId for direct lookup if needed
-            pathMap.set(field.uiId, node);
         });
 
-        // Recursive function to build XML string
-        const buildXMLString = (node, indentLevel = 0) => {
+        return root;
+    };
+
+    // Write a template tree as an XML document. valueFor(field, row) gives the text of a leaf or attribute;
+    // with repeat ({ uiId, rows }), that element is written once per row, with the row's values inside it
+    const serializeTree = (root, valueFor, repeat = null, documentRow = null) => {
+        const buildXMLString = (node, indentLevel, row) => {
             const indent = '  '.repeat(indentLevel);
             let xml = '';
 
-            node.children.forEach(child => {
+            const writeElement = (child, childRow) => {
                 xml += `${indent}<${child.name}`;
 
-                // Add attributes if any (placeholder for now as we don't have attribute editing yet)
-                // if (child.attributes && child.attributes.length > 0) { ... }
+                child.attributes.forEach(attr => {
+                    const escapedValue = (valueFor(attr.field, childRow) || '')
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/"/g, '&quot;');
+                    xml += ` ${attr.name}="${escapedValue}"`;
+                });
 
                 xml += '>';
 
                 if (child.children.length > 0) {
                     xml += '\n';
-                    xml += buildXMLString(child, indentLevel + 1);
+                    xml += buildXMLString(child, indentLevel + 1, childRow);
                     xml += `${indent}</${child.name}>\n`;
                 } else {
-                    if (child.text) {
-                        xml += `${child.text}`;
+                    const text = child.field.hasChildren ? undefined : valueFor(child.field, childRow);
+                    if (text) {
+                        xml += `${text}`;
                     }
                     xml += `</${child.name}>\n`;
                 }
+            };
+
+            node.children.forEach(child => {
+                if (repeat && child.field.uiId === repeat.uiId) {
+                    repeat.rows.forEach(repeatRow => writeElement(child, repeatRow));
+                } else {
+                    writeElement(child, row);
+                }
             });
 
             return xml;
         };
 
-        const xmlContent = '<?xml version="1.0" encoding="UTF-8"?>\n' + buildXMLString(root);
-        setGeneratedXML(xmlContent);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + buildXMLString(root, 0, documentRow);
+    };
+
+    const generateXML = () => {
+        const root = buildTemplateTree();
+        if (!root) {
+            setGeneratedXML('<!-- No fields enabled -->');
+            return;
+        }
+        setGeneratedXML(serializeTree(root, field => field.customValue));
     };
 
     const handleDownload = () => {
-        const blob = new Blob([generatedXML], { type: 'text/xml' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'generated.xml';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(new Blob([generatedXML], { type: 'text/xml' }), 'generated.xml');
     };
 
     const [selectedFieldId, setSelectedFieldId] = useState(null);
     const [draggedItemIndex, setDraggedItemIndex] = useState(null);
-    const [activeTab, setActiveTab] = useState('config'); // 'config' or 'preview'
+    const [activeTab, setActiveTab] = useState('config'); // 'config', 'preview' or 'bulk'
+
+    // Bulk generation: a spreadsheet's sheets ({ filename, sheets, sheetIndex }) and the column
+    // mapped to each leaf field or attribute, by uiId
+    const [spreadsheet, setSpreadsheet] = useState(null);
+    const [columnMapping, setColumnMapping] = useState({});
+    const [bulkMode, setBulkMode] = useState('files'); // 'files' (one document per row) or 'repeat'
+    const [repeatFieldId, setRepeatFieldId] = useState('');
+    const [filenamePattern, setFilenamePattern] = useState('{#}.xml');
+    const [bulkStatus, setBulkStatus] = useState(null); // { message, isError }
+
+    const currentSheet = spreadsheet ? spreadsheet.sheets[spreadsheet.sheetIndex] : null;
+    const mappableFields = displayFields.filter(field => field.enabled && !field.hasChildren);
+    // Any enabled element below the root can be written once per row
+    const repeatableFields = displayFields.filter(field => (
+        field.enabled && field.depth > 0 && !field.isAttribute && !field.name.startsWith('@')
+    ));
+
+    // Map each field to the column named like its path or its name (attributes with or without "@")
+    const autoMapColumns = (columns) => {
+        const columnsByName = new Map(columns.map(column => [column.toLowerCase(), column]));
+        const mapping = {};
+        mappableFields.forEach(field => {
+            const name = removePrefixFromFieldName(field.name, prefixToRemove);
+            const candidates = [removePrefixFromPath(field.path, prefixToRemove), name, name.replace(/^@/, '')];
+            const match = candidates.map(candidate => columnsByName.get(candidate.toLowerCase())).find(Boolean);
+            if (match) {
+                mapping[field.uiId] = match;
+            }
+        });
+        return mapping;
+    };
+
+    const handleSpreadsheetChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const sheets = (await readSpreadsheet(file)).filter(sheet => sheet.columns.length > 0);
+            if (sheets.length === 0) {
+                setBulkStatus({ message: `${file.name} has no rows with a header`, isError: true });
+                return;
+            }
+            setSpreadsheet({ filename: file.name, sheets, sheetIndex: 0 });
+            setColumnMapping(autoMapColumns(sheets[0].columns));
+            setBulkStatus(null);
+        } catch (error) {
+            setBulkStatus({ message: `Could not read ${file.name}: ${error.message}`, isError: true });
+        }
+    };
+
+    const handleSheetChange = (sheetIndex) => {
+        setSpreadsheet(prev => ({ ...prev, sheetIndex }));
+        setColumnMapping(autoMapColumns(spreadsheet.sheets[sheetIndex].columns));
+    };
+
+    const handleBulkGenerate = async () => {
+        const root = buildTemplateTree();
+        if (!root || !currentSheet || currentSheet.rows.length === 0) {
+            setBulkStatus({ message: !root ? 'No fields enabled' : 'The sheet has no rows', isError: true });
+            return;
+        }
+
+        // Mapped fields take the row's value; the others keep their configured value
+        const columnIndexes = new Map(Object.entries(columnMapping)
+            .map(([uiId, column]) => [uiId, currentSheet.columns.indexOf(column)])
+            .filter(([, index]) => index !== -1));
+        const valueFor = (field, row) => (
+            row && columnIndexes.has(field.uiId) ? escapeXMLText(row[columnIndexes.get(field.uiId)]) : field.customValue
+        );
+
+        if (bulkMode === 'repeat') {
+            if (!repeatableFields.some(field => field.uiId === repeatFieldId)) {
+                setBulkStatus({ message: 'Choose the element to repeat for each row', isError: true });
+                return;
+            }
+            // Fields outside the repeated element take the first row's values
+            const xml = serializeTree(root, valueFor, { uiId: repeatFieldId, rows: currentSheet.rows }, currentSheet.rows[0]);
+            downloadBlob(new Blob([xml], { type: 'text/xml' }), 'generated.xml');
+            setBulkStatus({ message: `Generated one document with ${currentSheet.rows.length} repeated elements`, isError: false });
+            return;
+        }
+
+        const entries = [];
+        const usedNames = new Set();
+        currentSheet.rows.forEach((row, index) => {
+            // Rows that give the same name are numbered
+            const baseName = formatFilename(filenamePattern, currentSheet.columns, row, index + 1);
+            let name = baseName;
+            for (let copy = 2; usedNames.has(name); copy++) {
+                name = baseName.replace(/\.xml$/i, ` (${copy}).xml`);
+            }
+            usedNames.add(name);
+            entries.push({ name, content: serializeTree(root, valueFor, null, row) });
+        });
+        downloadBlob(await createZipArchive(entries), 'generated_xml.zip');
+        setBulkStatus({ message: `Generated ${entries.length} file${entries.length === 1 ? '' : 's'}`, isError: false });
+    };
 
     // ... (existing code) ...
 
@@ -739,6 +888,8 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
                                 <option value="field-based">Field-based</option>
                             </select>
                         </div>
+                        {isMerging && <span className="updating-indicator">Merging fields…</span>}
+                        {mergeError && <span className="query-error">Merging fields failed: {mergeError}</span>}
                         <div className="view-tabs">
                             <button
                                 className={`view-tab ${activeTab === 'config' ? 'active' : ''}`}
@@ -755,6 +906,12 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
                             >
                                 Preview
                             </button>
+                            <button
+                                className={`view-tab ${activeTab === 'bulk' ? 'active' : ''}`}
+                                onClick={() => setActiveTab('bulk')}
+                            >
+                                Bulk
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -988,6 +1145,131 @@ function GeneratorView({ files, comparison, prefixToRemove = '' }) {
                         </pre>
                     </div>
                 )}
+
+                {activeTab === 'bulk' && (
+                    <div className="fields-editor full-width">
+                        <h3>Bulk Generation <span style={{ fontSize: '0.8em', fontWeight: 'normal', color: '#666' }}>(Fill the configured fields from the rows of a CSV or Excel sheet)</span></h3>
+                        <div className="fields-list-container">
+                            <div className="bulk-row">
+                                <label className="secondary-btn bulk-file-btn">
+                                    📄 {spreadsheet ? 'Change sheet…' : 'Load CSV or Excel…'}
+                                    <input
+                                        type="file"
+                                        accept=".csv,.tsv,.xlsx,.xls,text/csv"
+                                        onChange={handleSpreadsheetChange}
+                                        style={{ display: 'none' }}
+                                    />
+                                </label>
+                                {spreadsheet && (
+                                    <>
+                                        <span className="field-name">{spreadsheet.filename}</span>
+                                        {spreadsheet.sheets.length > 1 && (
+                                            <select
+                                                value={spreadsheet.sheetIndex}
+                                                onChange={(e) => handleSheetChange(Number(e.target.value))}
+                                                className="bulk-select"
+                                            >
+                                                {spreadsheet.sheets.map((sheet, index) => (
+                                                    <option key={sheet.name} value={index}>{sheet.name}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        <span className="field-value-count">
+                                            {currentSheet.rows.length} row{currentSheet.rows.length === 1 ? '' : 's'}, {currentSheet.columns.length} column{currentSheet.columns.length === 1 ? '' : 's'}
+                                        </span>
+                                    </>
+                                )}
+                            </div>
+
+                            {currentSheet && (
+                                <>
+                                    <h4 className="bulk-heading">Columns</h4>
+                                    {mappableFields.length === 0 && (
+                                        <p className="empty-message">Enable some fields in the configuration to map columns to them.</p>
+                                    )}
+                                    <ul className="field-list">
+                                        {mappableFields.map(field => (
+                                            <li key={field.uiId} className="field-item" style={{ paddingLeft: `${field.depth * 20}px` }}>
+                                                <div className="field-row">
+                                                    <span className="field-name" style={{ flex: 1 }} title={removePrefixFromPath(field.path, prefixToRemove)}>
+                                                        {removePrefixFromFieldName(field.name, prefixToRemove)}
+                                                    </span>
+                                                    <select
+                                                        className="bulk-select"
+                                                        value={columnMapping[field.uiId] || ''}
+                                                        onChange={(e) => setColumnMapping(prev => ({ ...prev, [field.uiId]: e.target.value }))}
+                                                    >
+                                                        <option value="">Configured value{field.customValue ? ` (${field.customValue})` : ''}</option>
+                                                        {currentSheet.columns.map(column => (
+                                                            <option key={column} value={column}>Column: {column}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    <h4 className="bulk-heading">Output</h4>
+                                    <div className="bulk-row">
+                                        <label className="bulk-option">
+                                            <input
+                                                type="radio"
+                                                checked={bulkMode === 'files'}
+                                                onChange={() => setBulkMode('files')}
+                                            />
+                                            One file per row, as a ZIP named
+                                        </label>
+                                        <input
+                                            type="text"
+                                            className="field-value-input"
+                                            value={filenamePattern}
+                                            onChange={(e) => setFilenamePattern(e.target.value)}
+                                            disabled={bulkMode !== 'files'}
+                                            style={{ width: '220px', fontFamily: 'monospace' }}
+                                        />
+                                        <span className="bulk-hint">
+                                            {'{Column}'} is the row's value in that column, {'{#}'} the row number
+                                        </span>
+                                    </div>
+                                    <div className="bulk-row">
+                                        <label className="bulk-option">
+                                            <input
+                                                type="radio"
+                                                checked={bulkMode === 'repeat'}
+                                                onChange={() => setBulkMode('repeat')}
+                                            />
+                                            One document, repeating
+                                        </label>
+                                        <select
+                                            className="bulk-select"
+                                            value={repeatFieldId}
+                                            onChange={(e) => setRepeatFieldId(e.target.value)}
+                                            disabled={bulkMode !== 'repeat'}
+                                        >
+                                            <option value="">Choose element…</option>
+                                            {repeatableFields.map(field => (
+                                                <option key={field.uiId} value={field.uiId}>
+                                                    {removePrefixFromPath(field.path, prefixToRemove)}
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <span className="bulk-hint">once per row; fields outside it take the first row's values</span>
+                                    </div>
+
+                                    <div className="bulk-row">
+                                        <button className="primary-btn" onClick={handleBulkGenerate} disabled={currentSheet.rows.length === 0}>
+                                            Generate {bulkMode === 'files' ? `${currentSheet.rows.length} file${currentSheet.rows.length === 1 ? '' : 's'}` : 'document'}
+                                        </button>
+                                    </div>
+                                </>
+                            )}
+
+                            {bulkStatus && (
+                                <p className={`bulk-status ${bulkStatus.isError ? 'error' : ''}`}>{bulkStatus.message}</p>
+                            )}
+                        </div>
+                    </div>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,269 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { runInAnalysisPool, isAbortError } from '../workers/workerPool';
+import { withoutEmbeddedXML } from '../utils/embeddedXml';
+import { createZipArchive } from '../utils/archive';
+import { downloadBlob } from '../utils/fileExport';
+import { JSON_CONVENTIONS, DEFAULT_JSON_OPTIONS, toJsonFilename } from '../utils/jsonConverter';
+
+// Characters of the converted file shown in the preview; downloads are complete
+const MAX_PREVIEW_LENGTH = 100000;
+
+// options: { convention, attributePrefix, textKey, typedValues, consistentArrays, pretty } kept by the app
+function JsonView({ files, namespaceLabels, options, setOptions }) {
+  const [selectedFileId, setSelectedFileId] = useState(files[0] ? String(files[0].id) : '');
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [failures, setFailures] = useState([]);
+  const controllerRef = useRef(null);
+
+  const selectedFile = files.find(file => String(file.id) === selectedFileId) || files[0] || null;
+  const convertibleFiles = files.filter(file => !file.isLarge);
+  const skippedCount = files.length - convertibleFiles.length;
+
+  // Elements that repeat in any loaded file, written as arrays in every file when consistentArrays is on
+  const arrayPaths = useMemo(() => {
+    const paths = new Set();
+    files.forEach(file => {
+      withoutEmbeddedXML(file.fields).forEach(field => {
+        if (!field.isAttribute && (field.maxOccurs ?? 0) > 1) {
+          paths.add(field.path);
+        }
+      });
+    });
+    return Array.from(paths);
+  }, [files]);
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+    setPreview(null);
+  };
+
+  const convert = (file, signal) => runInAnalysisPool('convertToJson', {
+    file: file.source,
+    options: {
+      ...options,
+      textKey: options.textKey || DEFAULT_JSON_OPTIONS.textKey,
+      namespaceLabels,
+      arrayPaths: options.consistentArrays ? arrayPaths : [],
+    },
+    lenient: file.parseWarningCount > 0,
+    encoding: file.encodingOverride || null,
+  }, { signal });
+
+  // Start a run, cancelling the one in progress
+  const startRun = () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return controller;
+  };
+
+  const handlePreview = async () => {
+    if (!selectedFile || selectedFile.isLarge) {
+      return;
+    }
+    const controller = startRun();
+    setProgress({ done: 0, total: 1 });
+    try {
+      const { json } = await convert(selectedFile, controller.signal);
+      setPreview({ fileId: selectedFile.id, filename: selectedFile.filename, json });
+      setFailures([]);
+    } catch (error) {
+      if (isAbortError(error)) {
+        return;
+      }
+      setPreview(null);
+      setFailures([{ filename: selectedFile.filename, message: error.message }]);
+    }
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleDownloadPreview = () => {
+    downloadBlob(new Blob([preview.json], { type: 'application/json' }), toJsonFilename(preview.filename).split('/').pop());
+  };
+
+  const handleDownloadAll = async () => {
+    const controller = startRun();
+    setProgress({ done: 0, total: convertibleFiles.length });
+
+    let done = 0;
+    const outcomes = await Promise.allSettled(convertibleFiles.map(file => convert(file, controller.signal).finally(() => {
+      done += 1;
+      if (controllerRef.current === controller) {
+        setProgress({ done, total: convertibleFiles.length });
+      }
+    })));
+    if (controllerRef.current !== controller) {
+      return;
+    }
+
+    const entries = [];
+    const usedNames = new Set();
+    const failed = [];
+    outcomes.forEach((outcome, index) => {
+      const file = convertibleFiles[index];
+      if (outcome.status === 'rejected') {
+        if (!isAbortError(outcome.reason)) {
+          failed.push({ filename: file.filename, message: outcome.reason.message });
+        }
+        return;
+      }
+      // Files with the same name (e.g. loaded from different archives without folders) are numbered
+      const baseName = toJsonFilename(file.filename);
+      let name = baseName;
+      for (let copy = 2; usedNames.has(name); copy++) {
+        name = baseName.replace(/\.json$/, ` (${copy}).json`);
+      }
+      usedNames.add(name);
+      entries.push({ name, content: outcome.value.json });
+    });
+
+    if (entries.length > 0) {
+      downloadBlob(await createZipArchive(entries), `xml_to_json_${options.convention}.zip`);
+    }
+    controllerRef.current = null;
+    setProgress(null);
+    setFailures(failed);
+  };
+
+  const convention = JSON_CONVENTIONS.find(item => item.value === options.convention) || JSON_CONVENTIONS[0];
+  const previewText = preview && preview.json.length > MAX_PREVIEW_LENGTH
+    ? `${preview.json.slice(0, MAX_PREVIEW_LENGTH)}\n…`
+    : preview && preview.json;
+
+  return (
+    <div className="fields-viewer">
+      <div className="fields-header">
+        <h2>JSON Export</h2>
+        <div className="fields-header-actions">
+          <button
+            className="export-btn"
+            onClick={handleDownloadAll}
+            disabled={convertibleFiles.length === 0 || !!progress}
+            title="Convert every loaded file and download the JSON files as one ZIP"
+          >
+            📦 Download all as ZIP ({convertibleFiles.length} file{convertibleFiles.length !== 1 ? 's' : ''})
+          </button>
+        </div>
+      </div>
+
+      <div className="query-form json-options">
+        <label>
+          Convention
+          <select value={options.convention} onChange={(e) => updateOption('convention', e.target.value)}>
+            {JSON_CONVENTIONS.map(item => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+        </label>
+        {options.convention === 'custom' && (
+          <>
+            <label>
+              Attribute prefix
+              <input
+                type="text"
+                value={options.attributePrefix}
+                onChange={(e) => updateOption('attributePrefix', e.target.value)}
+                spellCheck={false}
+              />
+            </label>
+            <label>
+              Text key
+              <input
+                type="text"
+                value={options.textKey}
+                onChange={(e) => updateOption('textKey', e.target.value)}
+                placeholder={DEFAULT_JSON_OPTIONS.textKey}
+                spellCheck={false}
+              />
+            </label>
+          </>
+        )}
+        <label className="json-option-check">
+          <input
+            type="checkbox"
+            checked={options.consistentArrays}
+            onChange={(e) => updateOption('consistentArrays', e.target.checked)}
+          />
+          Arrays for elements that repeat in any file
+        </label>
+        <label className="json-option-check" title={options.convention === 'badgerfish' ? 'Badgerfish keeps every value as a string' : ''}>
+          <input
+            type="checkbox"
+            checked={options.typedValues && options.convention !== 'badgerfish'}
+            disabled={options.convention === 'badgerfish'}
+            onChange={(e) => updateOption('typedValues', e.target.checked)}
+          />
+          Numbers and booleans as JSON values
+        </label>
+        <label className="json-option-check">
+          <input
+            type="checkbox"
+            checked={options.pretty}
+            onChange={(e) => updateOption('pretty', e.target.checked)}
+          />
+          Indented
+        </label>
+      </div>
+      <div className="query-hint">
+        <span>
+          {convention.description}. Names use the namespace labels, so every file converts to the same keys
+          whatever prefixes it declared.
+          {skippedCount > 0 && ` ${skippedCount} file${skippedCount !== 1 ? 's are' : ' is'} too large to convert and left out.`}
+        </span>
+      </div>
+
+      <div className="query-form">
+        <select
+          className="query-input"
+          value={selectedFile ? String(selectedFile.id) : ''}
+          onChange={(e) => {
+            setSelectedFileId(e.target.value);
+            setPreview(null);
+          }}
+        >
+          {files.map(file => (
+            <option key={file.id} value={file.id} disabled={file.isLarge}>
+              {file.filename}{file.isLarge ? ' (too large to convert)' : ''}
+            </option>
+          ))}
+        </select>
+        <button
+          className="primary-btn"
+          onClick={handlePreview}
+          disabled={!selectedFile || selectedFile.isLarge || !!progress}
+        >
+          Convert
+        </button>
+        {preview && preview.fileId === (selectedFile && selectedFile.id) && (
+          <button className="secondary-btn" onClick={handleDownloadPreview}>
+            📥 Download JSON
+          </button>
+        )}
+      </div>
+
+      {progress && (
+        <p className="empty-message">Converting {progress.done} of {progress.total} file{progress.total !== 1 ? 's' : ''}…</p>
+      )}
+
+      {failures.length > 0 && (
+        <div className="query-error">
+          {failures.map(failure => (
+            <div key={failure.filename}>{failure.filename}: {failure.message}</div>
+          ))}
+        </div>
+      )}
+
+      {!progress && preview && preview.fileId === (selectedFile && selectedFile.id) && (
+        <pre className="json-preview">{previewText}</pre>
+      )}
+    </div>
+  );
+}
+
+export default JsonView;
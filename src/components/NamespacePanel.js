@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { NAMESPACE_ACTIONS } from '../utils/namespaces';
+
+// Lets the user decide, per namespace URI, how elements are matched across files:
+// keep the namespace (optionally under a chosen prefix), ignore it, or map it onto another one
+function NamespacePanel({ namespaces, namespaceLabels, settings, setSettings }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const declaredNamespaces = namespaces.filter(ns => ns.uri !== '');
+
+  if (declaredNamespaces.length === 0) {
+    return null;
+  }
+
+  const updateSetting = (uri, changes) => {
+    setSettings(prev => ({
+      ...prev,
+      [uri]: { action: NAMESPACE_ACTIONS.KEEP, mapTo: '', prefix: '', ...prev[uri], ...changes },
+    }));
+  };
+
+  const customizedCount = declaredNamespaces.filter(ns => {
+    const setting = settings[ns.uri];
+    return setting && (setting.action !== NAMESPACE_ACTIONS.KEEP || setting.prefix);
+  }).length;
+
+  return (
+    <div className="namespace-panel">
+      <button className="namespace-panel-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span style={{ fontSize: '0.75rem', width: '12px', display: 'inline-block' }}>{isOpen ? '▼' : '▶'}</span>
+        Namespaces ({declaredNamespaces.length})
+        {customizedCount > 0 && <span className="namespace-panel-count">{customizedCount} customized</span>}
+      </button>
+
+      {isOpen && (
+        <>
+          <p className="namespace-panel-hint">
+            Elements are matched by namespace URI and local name, whatever prefix each file uses.
+          </p>
+          <table className="namespace-table">
+            <thead>
+              <tr>
+                <th>Namespace URI</th>
+                <th>Prefixes Used</th>
+                <th>Files</th>
+                <th>Handling</th>
+                <th>Shown As</th>
+              </tr>
+            </thead>
+            <tbody>
+              {declaredNamespaces.map(ns => {
+                const setting = settings[ns.uri] || {};
+                const action = setting.action || NAMESPACE_ACTIONS.KEEP;
+                const resolved = namespaceLabels.get(ns.uri);
+                const mapTargets = namespaces.filter(other => other.uri !== ns.uri);
+
+                return (
+                  <tr key={ns.uri}>
+                    <td className="namespace-uri" title={ns.uri}>
+                      <code>{ns.uri}</code>
+                    </td>
+                    <td>
+                      {ns.prefixes.map(({ prefix }) => (prefix ? `${prefix}:` : '(default)')).join(', ')}
+                    </td>
+                    <td>{ns.files.length}</td>
+                    <td>
+                      <div className="namespace-handling">
+                        <select
+                          value={action}
+                          onChange={(e) => {
+                            const value = e.target.value;
+                            updateSetting(ns.uri, {
+                              action: value,
+                              ...(value === NAMESPACE_ACTIONS.MAP && !setting.mapTo ? { mapTo: mapTargets[0].uri } : {}),
+                            });
+                          }}
+                        >
+                          <option value={NAMESPACE_ACTIONS.KEEP}>Keep</option>
+                          <option value={NAMESPACE_ACTIONS.IGNORE}>Ignore (local names only)</option>
+                          <option value={NAMESPACE_ACTIONS.MAP} disabled={mapTargets.length === 0}>Map to…</option>
+                        </select>
+                        {action === NAMESPACE_ACTIONS.MAP && (
+                          <select
+                            value={setting.mapTo || ''}
+                            onChange={(e) => updateSetting(ns.uri, { mapTo: e.target.value })}
+                          >
+                            <option value="" disabled={!namespaces.some(other => other.uri === '')}>
+                              (no namespace)
+                            </option>
+                            {mapTargets
+                              .filter(other => other.uri !== '')
+                              .map(other => (
+                                <option key={other.uri} value={other.uri}>
+                                  {other.uri}
+                                </option>
+                              ))}
+                          </select>
+                        )}
+                        {action === NAMESPACE_ACTIONS.KEEP && (
+                          <input
+                            type="text"
+                            placeholder="Prefix"
+                            value={setting.prefix || ''}
+                            onChange={(e) => updateSetting(ns.uri, { prefix: e.target.value.replace(/[:\s]/g, '') })}
+                            title="Prefix used to display this namespace in the comparison"
+                          />
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <code>
+                        {resolved && resolved.label ? `${resolved.label}:` : '(no prefix)'}
+                      </code>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NamespacePanel;
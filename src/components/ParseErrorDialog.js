@@ -0,0 +1,132 @@
+import React from 'react';
+
+// Source lines around a parse error, with the offending character marked on the error line
+function SourceSnippet({ snippet }) {
+  const numberWidth = String(snippet.lines[snippet.lines.length - 1].number).length;
+
+  return (
+    <pre className="source-snippet">
+      {snippet.lines.map(line => {
+        const number = String(line.number).padStart(numberWidth, ' ');
+        if (!line.isErrorLine) {
+          return (
+            <div key={line.number} className="source-snippet-line">
+              <span className="source-snippet-number">{number}</span>
+              {line.text}
+            </div>
+          );
+        }
+
+        const index = Math.min(snippet.highlightIndex, line.text.length);
+        return (
+          <div key={line.number} className="source-snippet-line error">
+            <span className="source-snippet-number">{number}</span>
+            {line.text.slice(0, index)}
+            <mark className="source-snippet-highlight">{line.text.slice(index, index + 1) || ' '}</mark>
+            {line.text.slice(index + 1)}
+          </div>
+        );
+      })}
+    </pre>
+  );
+}
+
+function ParseErrorDialog({ failure, onRecover, onRemove, onClose }) {
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        zIndex: 10000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: '2rem',
+      }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: 'var(--surface-color)',
+          borderRadius: '0.75rem',
+          boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)',
+          width: '100%',
+          maxWidth: '900px',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          overflow: 'hidden',
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '1rem 1.5rem',
+            borderBottom: '1px solid var(--border-color)',
+            backgroundColor: 'var(--bg-color)',
+          }}
+        >
+          <h3 style={{ margin: 0, fontSize: '1rem', fontWeight: 600 }}>
+            Could not parse {failure.filename}
+          </h3>
+          <button
+            onClick={onClose}
+            style={{
+              backgroundColor: 'transparent',
+              border: '1px solid var(--border-color)',
+              padding: '0.5rem 1rem',
+              borderRadius: '0.5rem',
+              cursor: 'pointer',
+              fontSize: '0.875rem',
+            }}
+          >
+            Close
+          </button>
+        </div>
+
+        <div style={{ padding: '1rem 1.5rem', overflow: 'auto' }}>
+          <p className="parse-error-message">{failure.message}</p>
+          {failure.line != null && (
+            <p className="parse-error-position">
+              Line {failure.line}, column {failure.column}
+            </p>
+          )}
+          {failure.snippet && <SourceSnippet snippet={failure.snippet} />}
+          {failure.lenient && (
+            <p className="parse-error-hint">This file could not be recovered either.</p>
+          )}
+          {failure.recoverable && (
+            <p className="parse-error-hint">
+              Loading with recovery closes unclosed and mismatched tags, keeps stray "&amp;" and "&lt;"
+              characters as text and accepts unquoted or repeated attributes. Every fix is listed as a warning on the file.
+            </p>
+          )}
+        </div>
+
+        <div className="parse-error-actions">
+          {failure.recoverable && (
+            <button className="primary-btn" onClick={onRecover}>
+              Load with recovery
+            </button>
+          )}
+          <button className="secondary-btn" onClick={onRemove}>
+            Remove file
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ParseErrorDialog;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+
+// Problems the parser recovered from when a file was loaded with recovery
+function ParseWarnings({ warnings, warningCount }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const hiddenWarnings = warningCount - warnings.length;
+
+  return (
+    <div className="parse-warnings">
+      <div className="parse-warnings-header">
+        <span>
+          ⚠ Loaded with recovery: {warningCount} problem{warningCount === 1 ? '' : 's'} fixed.
+          Fields near these positions may not match the author's intent.
+        </span>
+        <button className="secondary-btn" onClick={() => setIsExpanded(!isExpanded)}>
+          {isExpanded ? 'Hide' : 'Show'} warnings
+        </button>
+      </div>
+      {isExpanded && (
+        <table className="fields-table parse-warnings-table">
+          <thead>
+            <tr>
+              <th style={{ width: '10%' }}>Line</th>
+              <th style={{ width: '10%' }}>Column</th>
+              <th>Problem</th>
+            </tr>
+          </thead>
+          <tbody>
+            {warnings.map((warning, index) => (
+              <tr key={index}>
+                <td>{warning.line}</td>
+                <td>{warning.column}</td>
+                <td>{warning.message}</td>
+              </tr>
+            ))}
+            {hiddenWarnings > 0 && (
+              <tr>
+                <td colSpan={3}>… and {hiddenWarnings} more warning{hiddenWarnings === 1 ? '' : 's'}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default ParseWarnings;
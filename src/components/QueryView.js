@@ -0,0 +1,271 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { parseXML, parseXMLLenient } from '../utils/xmlParser';
+import { readTextFile } from '../utils/encoding';
+import { isJsonFile } from '../utils/jsonParser';
+import {
+  checkXPathSyntax,
+  createNamespaceResolver,
+  evaluateXPath,
+  queryResultsToCSV,
+  queryResultsToExcel,
+  MAX_MATCHES_PER_FILE,
+} from '../utils/xpathQuery';
+import { downloadBlob } from '../utils/fileExport';
+
+// Matches shown per file; the exports include up to MAX_MATCHES_PER_FILE
+const MAX_DISPLAYED_MATCHES = 20;
+
+const EXAMPLE_QUERIES = [
+  "//Order[Status='FAILED']/OrderId",
+  '//Customer[not(Email)]',
+  'count(//Line)',
+  "//*[local-name()='Invoice']/@id",
+];
+
+// Parse a file for one query; the document is let go afterwards, so only the fields stay in memory.
+// Files loaded with recovery are parsed with the same recovery
+const readDocument = async (file) => {
+  const { text } = await readTextFile(file.source, file.encodingOverride);
+  return file.parseWarningCount > 0 ? parseXMLLenient(text) : parseXML(text);
+};
+
+// query: { expression, queriedExpression, results } kept by the app so results survive tab switches
+function QueryView({ files, namespaceLabels, query, setQuery, onShowField }) {
+  const { expression, queriedExpression, results } = query;
+  const [progress, setProgress] = useState(null);
+  const [queryError, setQueryError] = useState(null);
+  const [onlyMatchingFiles, setOnlyMatchingFiles] = useState(false);
+  const runCounter = useRef(0);
+
+  const setExpression = (value) => setQuery(prev => ({ ...prev, expression: value }));
+
+  // Files are parsed on the main thread (workers have no DOM), one at a time so the page stays responsive
+  const runQuery = async (e) => {
+    e.preventDefault();
+    const trimmed = expression.trim();
+    if (!trimmed) {
+      return;
+    }
+    const runId = ++runCounter.current;
+    const collected = [];
+    try {
+      checkXPathSyntax(trimmed);
+    } catch (error) {
+      setQueryError(`Invalid XPath expression: ${error.message}`);
+      return;
+    }
+    setQueryError(null);
+    setProgress({ done: 0, total: files.length });
+
+    for (let index = 0; index < files.length; index++) {
+      const file = files[index];
+      const result = { fileId: file.id, filename: file.filename, file, kind: null, count: 0, matches: [], error: null };
+      if (file.isLarge) {
+        result.error = 'Too large to query (streamed files have no document in memory)';
+      } else if (isJsonFile(file.source)) {
+        result.error = 'JSON file (XPath queries run on XML files)';
+      } else {
+        try {
+          const xmlDoc = await readDocument(file);
+          Object.assign(result, evaluateXPath(xmlDoc, trimmed, createNamespaceResolver(xmlDoc, namespaceLabels)));
+        } catch (error) {
+          result.error = error.message;
+        }
+      }
+      collected.push(result);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (runId !== runCounter.current) {
+        // A newer query replaced this one
+        return;
+      }
+      setProgress({ done: index + 1, total: files.length });
+    }
+
+    setQuery(prev => ({ ...prev, queriedExpression: trimmed, results: collected }));
+    setProgress(null);
+  };
+
+  const summary = useMemo(() => {
+    if (!results) {
+      return null;
+    }
+    const evaluated = results.filter(result => !result.error);
+    return {
+      isScalar: evaluated.some(result => result.kind !== 'nodes'),
+      matches: evaluated.reduce((total, result) => total + (result.kind === 'nodes' ? result.count : 0), 0),
+      matchingFiles: evaluated.filter(result => result.kind === 'nodes' && result.count > 0).length,
+      failedFiles: results.length - evaluated.length,
+    };
+  }, [results]);
+
+  const visibleResults = results && onlyMatchingFiles
+    ? results.filter(result => !result.error && (result.kind !== 'nodes' || result.count > 0))
+    : results;
+
+  const handleExportCSV = () => {
+    downloadBlob(new Blob([queryResultsToCSV(visibleResults)], { type: 'text/csv;charset=utf-8;' }), 'xpath_results.csv');
+  };
+
+  const handleExportExcel = () => {
+    downloadBlob(queryResultsToExcel(visibleResults, queriedExpression), 'xpath_results.xlsx');
+  };
+
+  return (
+    <div className="fields-viewer">
+      <div className="fields-header">
+        <h2>XPath Query</h2>
+        {results && (
+          <div className="fields-header-actions">
+            <button className="export-btn" onClick={handleExportCSV}>
+              📥 Export to CSV
+            </button>
+            <button className="export-btn" onClick={handleExportExcel}>
+              📊 Export to Excel
+            </button>
+          </div>
+        )}
+      </div>
+
+      <form className="query-form" onSubmit={runQuery}>
+        <input
+          type="text"
+          className="query-input"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          placeholder="XPath 1.0 expression, e.g. //Order[Status='FAILED']/OrderId"
+          spellCheck={false}
+        />
+        <button type="submit" className="primary-btn" disabled={!expression.trim()}>
+          Run on {files.length} file{files.length !== 1 ? 's' : ''}
+        </button>
+      </form>
+      <div className="query-hint">
+        Examples:{' '}
+        {EXAMPLE_QUERIES.map(example => (
+          <button key={example} type="button" className="query-example" onClick={() => setExpression(example)}>
+            {example}
+          </button>
+        ))}
+        <span>
+          Prefixes are the labels shown in the namespace panel, so <code>inv:Invoice</code> finds invoices in
+          every file whatever prefix (or default namespace) the file used.
+        </span>
+      </div>
+
+      {queryError && <p className="query-error">{queryError}</p>}
+
+      {progress && (
+        <p className="empty-message">Querying {progress.done} of {progress.total} files…</p>
+      )}
+
+      {!progress && results && (
+        <>
+          <div className="validation-summary">
+            <span>
+              <code>{queriedExpression}</code>
+            </span>
+            {summary.isScalar ? (
+              <span className="validation-count">Evaluated in {results.length - summary.failedFiles} files</span>
+            ) : (
+              <span className="validation-count">
+                {summary.matches} match{summary.matches !== 1 ? 'es' : ''} in {summary.matchingFiles} of {results.length} files
+              </span>
+            )}
+            {summary.failedFiles > 0 && (
+              <span className="validation-count invalid">{summary.failedFiles} not queried</span>
+            )}
+            <label className="validation-only-invalid query-only-matching">
+              <input
+                type="checkbox"
+                checked={onlyMatchingFiles}
+                onChange={(e) => setOnlyMatchingFiles(e.target.checked)}
+              />
+              Only files with matches
+            </label>
+          </div>
+
+          {visibleResults.length === 0 ? (
+            <p className="empty-message">No file matches</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="fields-table validation-table query-table">
+                <thead>
+                  <tr>
+                    <th style={{ width: '20%' }}>File</th>
+                    <th style={{ width: '8%' }}>Matches</th>
+                    <th style={{ width: '32%' }}>Node</th>
+                    <th>Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleResults.map(result => {
+                    if (result.error) {
+                      return (
+                        <tr key={result.fileId} className="validation-row failed">
+                          <td title={result.filename}>{result.filename}</td>
+                          <td>—</td>
+                          <td colSpan={2}>{result.error}</td>
+                        </tr>
+                      );
+                    }
+                    if (result.matches.length === 0) {
+                      return (
+                        <tr key={result.fileId} className="validation-row pending">
+                          <td title={result.filename}>{result.filename}</td>
+                          <td>0</td>
+                          <td colSpan={2}>No matches</td>
+                        </tr>
+                      );
+                    }
+
+                    const hiddenMatches = result.count - Math.min(result.matches.length, MAX_DISPLAYED_MATCHES);
+                    return (
+                      <React.Fragment key={result.fileId}>
+                        {result.matches.slice(0, MAX_DISPLAYED_MATCHES).map((match, index) => (
+                          <tr key={index}>
+                            <td title={result.filename}>{index === 0 ? result.filename : ''}</td>
+                            <td>{index === 0 ? (result.kind === 'nodes' ? result.count : result.kind) : ''}</td>
+                            <td title={match.location}>
+                              {match.fieldPath ? (
+                                <button
+                                  type="button"
+                                  className="query-node-link"
+                                  onClick={() => onShowField(result.file, match.fieldPath)}
+                                  title="Show this field in Single File Analysis"
+                                >
+                                  {match.location}
+                                </button>
+                              ) : (
+                                <code>{match.location || '—'}</code>
+                              )}
+                            </td>
+                            <td className="validation-message">{match.value}</td>
+                          </tr>
+                        ))}
+                        {hiddenMatches > 0 && (
+                          <tr>
+                            <td />
+                            <td />
+                            <td colSpan={2} className="validation-message">
+                              … and {hiddenMatches} more
+                              {result.count > MAX_MATCHES_PER_FILE
+                                ? ` (the exports include the first ${MAX_MATCHES_PER_FILE})`
+                                : ' (included in the exports)'}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QueryView;
@@ -0,0 +1,285 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { runInAnalysisPool, isAbortError } from '../workers/workerPool';
+import { withoutEmbeddedXML } from '../utils/embeddedXml';
+import { recordsToCSV, recordsToExcel, MAX_RECORDS_PER_FILE, RECORD_TEXT_COLUMN } from '../utils/recordFlattener';
+import { downloadBlob } from '../utils/fileExport';
+
+// Rows rendered in the grid; sorting, filtering and the exports use all of them
+const MAX_DISPLAYED_ROWS = 500;
+
+const compareValues = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+
+// Columns the grid sorts and filters on: the file, the instance index and the flattened values
+const getCellValue = (row, column) => {
+  if (column === '#file') {
+    return row.filename;
+  }
+  if (column === '#index') {
+    return row.index;
+  }
+  return row.values[column];
+};
+
+const formatColumn = (column) => (column === RECORD_TEXT_COLUMN ? '(text)' : column);
+
+// records: { recordPath, columns, rows, failures, truncatedFiles } kept by the app so the table survives tab switches
+function RecordsView({ files, namespaceLabels, records, setRecords }) {
+  const [selectedPath, setSelectedPath] = useState(records.recordPath);
+  const [progress, setProgress] = useState(null);
+  const [sort, setSort] = useState({ column: null, direction: 'asc' });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [columnFilters, setColumnFilters] = useState({});
+  const controllerRef = useRef(null);
+
+  // Element paths that can be flattened: repeating ones first, then the other elements with children
+  const pathOptions = useMemo(() => {
+    const options = new Map();
+    files.forEach(file => {
+      withoutEmbeddedXML(file.fields).forEach(field => {
+        if (field.isAttribute || (!field.hasChildren && (field.maxOccurs ?? 0) <= 1)) {
+          return;
+        }
+        const option = options.get(field.path) || { path: field.path, maxOccurs: 0, occurrences: 0, fileCount: 0 };
+        option.maxOccurs = Math.max(option.maxOccurs, field.maxOccurs ?? 0);
+        option.occurrences += field.occurrences || 0;
+        option.fileCount += 1;
+        options.set(field.path, option);
+      });
+    });
+    return Array.from(options.values()).sort((a, b) => (
+      (b.maxOccurs > 1) - (a.maxOccurs > 1) || a.path.localeCompare(b.path)
+    ));
+  }, [files]);
+
+  const handleExtract = async () => {
+    if (!selectedPath) {
+      return;
+    }
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress({ done: 0, total: files.length });
+
+    let done = 0;
+    const outcomes = await Promise.allSettled(files.map(file => runInAnalysisPool('flattenRecords', {
+      file: file.source,
+      recordPath: selectedPath,
+      namespaceLabels,
+      lenient: file.parseWarningCount > 0,
+      encoding: file.encodingOverride || null,
+    }, { signal: controller.signal }).finally(() => {
+      done += 1;
+      if (controllerRef.current === controller) {
+        setProgress({ done, total: files.length });
+      }
+    })));
+    if (controllerRef.current !== controller) {
+      return;
+    }
+    controllerRef.current = null;
+    setProgress(null);
+
+    const columns = [];
+    const knownColumns = new Set();
+    const rows = [];
+    const failures = [];
+    const truncatedFiles = [];
+    outcomes.forEach((outcome, index) => {
+      const file = files[index];
+      if (outcome.status === 'rejected') {
+        if (!isAbortError(outcome.reason)) {
+          failures.push({ filename: file.filename, message: outcome.reason.message });
+        }
+        return;
+      }
+      const result = outcome.value;
+      result.columns.forEach(column => {
+        if (!knownColumns.has(column)) {
+          knownColumns.add(column);
+          columns.push(column);
+        }
+      });
+      result.rows.forEach(row => rows.push({ id: `${file.id}-${row.index}`, filename: file.filename, ...row }));
+      if (result.recordCount > result.rows.length) {
+        truncatedFiles.push({ filename: file.filename, recordCount: result.recordCount });
+      }
+    });
+
+    setRecords({ recordPath: selectedPath, columns, rows, failures, truncatedFiles });
+    setSort({ column: null, direction: 'asc' });
+    setColumnFilters({});
+  };
+
+  const visibleRows = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    const activeFilters = Object.entries(columnFilters).filter(([, value]) => value.trim());
+    const filtered = records.rows.filter(row => {
+      if (term && ![row.filename, ...Object.values(row.values)].some(value => String(value).toLowerCase().includes(term))) {
+        return false;
+      }
+      return activeFilters.every(([column, value]) => (
+        String(getCellValue(row, column) ?? '').toLowerCase().includes(value.trim().toLowerCase())
+      ));
+    });
+    if (!sort.column) {
+      return filtered;
+    }
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => direction * compareValues(getCellValue(a, sort.column), getCellValue(b, sort.column)));
+  }, [records.rows, searchTerm, columnFilters, sort]);
+
+  const handleSort = (column) => {
+    setSort(prev => (prev.column === column
+      ? { column, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { column, direction: 'asc' }));
+  };
+
+  const exportName = (records.recordPath.split(' > ').pop() || 'records').replace(/[^\w.-]+/g, '_');
+
+  const handleExportCSV = () => {
+    const csv = recordsToCSV(records.columns, visibleRows);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `${exportName}_records.csv`);
+  };
+
+  const handleExportExcel = () => {
+    downloadBlob(recordsToExcel(records.columns, visibleRows, records.recordPath), `${exportName}_records.xlsx`);
+  };
+
+  const gridColumns = [
+    { key: '#file', title: 'File' },
+    { key: '#index', title: '#' },
+    ...records.columns.map(column => ({ key: column, title: formatColumn(column) })),
+  ];
+
+  return (
+    <div className="fields-viewer">
+      <div className="fields-header">
+        <h2>Records</h2>
+        {records.rows.length > 0 && (
+          <div className="fields-header-actions">
+            <button className="export-btn" onClick={handleExportCSV}>
+              📥 Export to CSV
+            </button>
+            <button className="export-btn" onClick={handleExportExcel}>
+              📊 Export to Excel
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="query-form">
+        <select
+          className="query-input"
+          value={selectedPath}
+          onChange={(e) => setSelectedPath(e.target.value)}
+        >
+          <option value="">Choose a repeating element…</option>
+          {pathOptions.map(option => (
+            <option key={option.path} value={option.path}>
+              {option.path} ({option.maxOccurs > 1 ? `up to ${option.maxOccurs} per parent, ` : ''}{option.occurrences} in {option.fileCount} file{option.fileCount !== 1 ? 's' : ''})
+            </option>
+          ))}
+        </select>
+        <button className="primary-btn" onClick={handleExtract} disabled={!selectedPath || !!progress}>
+          Flatten
+        </button>
+      </div>
+      <div className="query-hint">
+        Every instance of the element becomes a row, with the values of its leaf elements and attributes as columns.
+        Values repeated inside one instance are joined with "|".
+      </div>
+
+      {progress && (
+        <p className="empty-message">Flattening {progress.done} of {progress.total} files…</p>
+      )}
+
+      {!progress && records.recordPath && (
+        <>
+          <div className="validation-summary">
+            <span><code>{records.recordPath}</code></span>
+            <span className="validation-count">
+              {visibleRows.length === records.rows.length
+                ? `${records.rows.length} records`
+                : `${visibleRows.length} of ${records.rows.length} records`}
+              , {records.columns.length} column{records.columns.length !== 1 ? 's' : ''}
+            </span>
+            {records.failures.length > 0 && (
+              <span
+                className="validation-count invalid"
+                title={records.failures.map(failure => `${failure.filename}: ${failure.message}`).join('\n')}
+              >
+                {records.failures.length} file{records.failures.length !== 1 ? 's' : ''} failed
+              </span>
+            )}
+            {records.truncatedFiles.length > 0 && (
+              <span
+                className="validation-count pending"
+                title={records.truncatedFiles.map(file => `${file.filename}: ${file.recordCount} records`).join('\n')}
+              >
+                Only the first {MAX_RECORDS_PER_FILE} records of {records.truncatedFiles.length} file{records.truncatedFiles.length !== 1 ? 's' : ''} are listed
+              </span>
+            )}
+            <input
+              type="text"
+              className="records-search"
+              placeholder="Search all columns..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+
+          {records.rows.length === 0 ? (
+            <p className="empty-message">No instances of this element were found</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="fields-table records-table">
+                <thead>
+                  <tr>
+                    {gridColumns.map(column => (
+                      <th key={column.key} onClick={() => handleSort(column.key)} title={`Sort by ${column.title}`}>
+                        {column.title}
+                        {sort.column === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </th>
+                    ))}
+                  </tr>
+                  <tr className="records-filter-row">
+                    {gridColumns.map(column => (
+                      <th key={column.key}>
+                        <input
+                          type="text"
+                          value={columnFilters[column.key] || ''}
+                          onChange={(e) => setColumnFilters(prev => ({ ...prev, [column.key]: e.target.value }))}
+                          placeholder="Filter"
+                        />
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.slice(0, MAX_DISPLAYED_ROWS).map(row => (
+                    <tr key={row.id}>
+                      <td title={row.filename}>{row.filename}</td>
+                      <td>{row.index}</td>
+                      {records.columns.map(column => (
+                        <td key={column} title={row.values[column]}>{row.values[column] ?? ''}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {visibleRows.length > MAX_DISPLAYED_ROWS && (
+                <p className="empty-message">
+                  Showing the first {MAX_DISPLAYED_ROWS} of {visibleRows.length} records; the exports include them all
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RecordsView;
@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from 'react';
+import { analyzeSiblingOrder } from '../utils/siblingOrder';
+
+const ordinal = (number) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = number % 100;
+  return `${number}${lastTwo >= 11 && lastTwo <= 13 ? 'th' : suffixes[number % 10] || 'th'}`;
+};
+
+function Sequence({ names, movedNames = null }) {
+  return (
+    <span className="order-sequence">
+      {names.map((name, index) => (
+        <React.Fragment key={index}>
+          {index > 0 && <span className="order-arrow">→</span>}
+          <code className={movedNames && movedNames.has(name) ? 'order-moved' : ''}>{name}</code>
+        </React.Fragment>
+      ))}
+    </span>
+  );
+}
+
+const countFiles = (deviations) => new Set(deviations.map(deviation => deviation.filename)).size;
+
+// Order consistency of child elements across the instances in the compared files; the order of
+// the baseline file is canonical (the most common order with a schema baseline)
+function SiblingOrderView({ files, baselineFile = null, prefixToRemove = '' }) {
+  const [onlyInconsistent, setOnlyInconsistent] = useState(true);
+
+  const report = useMemo(
+    () => analyzeSiblingOrder(files, { baseline: baselineFile, prefixToRemove }),
+    [files, baselineFile, prefixToRemove]
+  );
+  const inconsistentCount = report.filter(entry => entry.deviations.length > 0).length;
+  const visibleEntries = onlyInconsistent ? report.filter(entry => entry.deviations.length > 0) : report;
+
+  return (
+    <div>
+      <div className="order-controls">
+        <label className="query-only-matching">
+          <input
+            type="checkbox"
+            checked={onlyInconsistent}
+            onChange={(e) => setOnlyInconsistent(e.target.checked)}
+          />
+          Only parents with order differences
+        </label>
+      </div>
+      <p className="order-intro">
+        {inconsistentCount === 0
+          ? `Child elements come in the same order in every file (${report.length} parent element${report.length !== 1 ? 's' : ''} checked).`
+          : `${inconsistentCount} of ${report.length} parent elements have children in a different order in some instances.`}
+        {' '}Every instance of a parent is checked against the order of {baselineFile
+          ? <>the baseline, <strong>{baselineFile.filename}</strong>, or the most common order where it lacks the parent</>
+          : 'most instances'}; missing optional elements are not differences.
+      </p>
+
+      {visibleEntries.map(entry => (
+        <div key={entry.parentPath} className={`order-parent ${entry.deviations.length > 0 ? 'inconsistent' : ''}`}>
+          <div className="order-parent-header">
+            <code>{entry.parentPath}</code>
+            <span className={`validation-count ${entry.deviations.length > 0 ? 'invalid' : 'valid'}`}>
+              {entry.deviations.length > 0
+                ? `${countFiles(entry.deviations)} of ${entry.fileCount} files deviate`
+                : `Same order in all ${entry.instanceCount} instances`}
+            </span>
+          </div>
+          <div className="order-canonical">
+            <span className="order-label">Canonical</span>
+            <Sequence names={entry.canonical} />
+          </div>
+          {entry.deviations.map((deviation, deviationIndex) => (
+            <div key={deviationIndex} className="order-deviation">
+              <span className="order-label" title={deviation.filename}>
+                {deviation.filename}
+                {deviation.count > 1 && <> ({deviation.count} instances)</>}
+              </span>
+              <div>
+                <Sequence names={deviation.sequence} movedNames={new Set(deviation.moved.map(item => item.name))} />
+                <ul className="order-moves">
+                  {deviation.moved.map(item => (
+                    <li key={item.position}>
+                      <code>{item.name}</code> is {ordinal(item.position)}, expected {item.expectedAfter
+                        ? <>after <code>{item.expectedAfter}</code></>
+                        : 'first'} ({ordinal(item.expectedPosition)})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SiblingOrderView;
@@ -21,6 +21,14 @@ function Statistics({ file }) {
         <div className="stat-label">Nested Fields</div>
         <div className="stat-value">{stats.nestedFields}</div>
       </div>
+      <div className="stat-card">
+        <div className="stat-label">Attribute Fields</div>
+        <div className="stat-value">{stats.attributeFields || 0}</div>
+      </div>
+      <div className="stat-card">
+        <div className="stat-label">Mixed Content Fields</div>
+        <div className="stat-value">{stats.mixedContentFields || 0}</div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,130 @@
+import React, { useMemo } from 'react';
+
+// Validation state of a file for the summary counts and the status column
+function getValidationStatus(result) {
+  if (!result || result.status === 'running') {
+    return 'pending';
+  }
+  if (result.status === 'error') {
+    return 'failed';
+  }
+  if (result.status === 'notApplicable') {
+    return 'skipped';
+  }
+  return result.isValid ? 'valid' : 'invalid';
+}
+
+function ValidationView({ files, schemas, results, onlyInvalidFiles, setOnlyInvalidFiles }) {
+  const fileStatuses = useMemo(
+    () => files.map(file => ({ file, result: results[file.id], status: getValidationStatus(results[file.id]) })),
+    [files, results]
+  );
+
+  const counts = useMemo(() => {
+    const totals = { valid: 0, invalid: 0, pending: 0, failed: 0, skipped: 0 };
+    fileStatuses.forEach(({ status }) => {
+      totals[status] += 1;
+    });
+    return totals;
+  }, [fileStatuses]);
+
+  // Files whose validation failed are counted apart from the invalid ones
+  const visibleFiles = onlyInvalidFiles
+    ? fileStatuses.filter(({ status }) => status === 'invalid')
+    : fileStatuses;
+
+  return (
+    <div className="fields-viewer">
+      <div className="fields-header">
+        <h2>Schema Validation</h2>
+        <label className="validation-only-invalid">
+          <input
+            type="checkbox"
+            checked={onlyInvalidFiles}
+            onChange={(e) => setOnlyInvalidFiles(e.target.checked)}
+          />
+          Only invalid files
+        </label>
+      </div>
+
+      <div className="validation-summary">
+        <span>
+          Validated against{' '}
+          {schemas.map((schema, index) => (
+            <React.Fragment key={schema.id}>
+              {index > 0 && ', '}
+              <code>{schema.filename}</code>
+            </React.Fragment>
+          ))}
+        </span>
+        <span className="validation-count valid">✓ {counts.valid} valid</span>
+        <span className="validation-count invalid">✗ {counts.invalid} invalid</span>
+        {counts.failed > 0 && <span className="validation-count failed">! {counts.failed} could not be validated</span>}
+        {counts.skipped > 0 && <span className="validation-count pending">{counts.skipped} JSON not validated</span>}
+        {counts.pending > 0 && <span className="validation-count pending">{counts.pending} validating…</span>}
+      </div>
+
+      {visibleFiles.length === 0 ? (
+        <p className="empty-message">
+          {onlyInvalidFiles ? 'No invalid files' : 'No files to validate'}
+        </p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="fields-table validation-table">
+            <thead>
+              <tr>
+                <th style={{ width: '18%' }}>File</th>
+                <th style={{ width: '24%' }}>Path</th>
+                <th style={{ width: '7%' }}>Line</th>
+                <th style={{ width: '7%' }}>Column</th>
+                <th>Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleFiles.map(({ file, result, status }) => {
+                if (status !== 'invalid') {
+                  return (
+                    <tr key={file.id} className={`validation-row ${status}`}>
+                      <td title={file.filename}>{file.filename}</td>
+                      <td colSpan={4}>
+                        {status === 'valid' && '✓ Valid'}
+                        {status === 'pending' && 'Validating…'}
+                        {status === 'failed' && `Validation failed: ${result.error}`}
+                        {status === 'skipped' && 'Not validated: JSON files cannot be checked against an XML Schema'}
+                      </td>
+                    </tr>
+                  );
+                }
+
+                const hiddenErrors = result.errorCount - result.errors.length;
+                return (
+                  <React.Fragment key={file.id}>
+                    {result.errors.map((error, index) => (
+                      <tr key={index} className="validation-row invalid">
+                        <td title={file.filename}>{index === 0 ? file.filename : ''}</td>
+                        <td title={error.path}><code>{error.path}</code></td>
+                        <td>{error.line ?? '—'}</td>
+                        <td>{error.column ?? '—'}</td>
+                        <td className="validation-message">{error.message}</td>
+                      </tr>
+                    ))}
+                    {hiddenErrors > 0 && (
+                      <tr className="validation-row invalid">
+                        <td />
+                        <td colSpan={4} className="validation-message">
+                          … and {hiddenErrors} more error{hiddenErrors === 1 ? '' : 's'}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ValidationView;
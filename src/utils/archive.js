@@ -0,0 +1,326 @@
+/**
+ * Archives
+ * Expands .zip bundles and .gz files into the XML, JSON and text files they hold, and bundles exports into .zip files,
+ * without leaving the browser.
+ * Compression uses the native DecompressionStream and CompressionStream; the ZIP container is read from its central directory.
+ */
+
+import { createPathFilter } from './pathFilter';
+
+// Entries loaded from an archive; everything else (images, manifests, ...) is skipped
+const LOADABLE_ENTRY_REGEX = /\.(xml|txt|json)$/i;
+const ARCHIVE_REGEX = /\.(zip|gz)$/i;
+const ENTRY_TYPES = { xml: 'text/xml', txt: 'text/plain', json: 'application/json' };
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// The end of central directory record is 22 bytes plus a comment of up to 65535 bytes
+const EOCD_SEARCH_BYTES = 22 + 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Check whether a file is an archive to expand
+ * @param {File} file - File to check
+ * @returns {boolean} True for .zip and .gz files
+ */
+export function isArchiveFile(file) {
+  return ARCHIVE_REGEX.test(file.name);
+}
+
+// Read a 64-bit little-endian value as a Number (exact up to 2^53)
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+async function readBytes(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+// Locate the central directory: { offset, size, count }
+async function readEndOfCentralDirectory(blob) {
+  const searchStart = Math.max(0, blob.size - EOCD_SEARCH_BYTES);
+  const tail = await readBytes(blob, searchStart, blob.size);
+
+  let eocd = -1;
+  for (let index = tail.byteLength - 22; index >= 0; index--) {
+    if (tail.getUint32(index, true) === EOCD_SIGNATURE) {
+      eocd = index;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a ZIP archive (no end of central directory record)');
+  }
+
+  const directory = {
+    count: tail.getUint16(eocd + 10, true),
+    size: tail.getUint32(eocd + 12, true),
+    offset: tail.getUint32(eocd + 16, true),
+  };
+  const isZip64 = directory.count === 0xFFFF || directory.size === 0xFFFFFFFF || directory.offset === 0xFFFFFFFF;
+  if (!isZip64) {
+    return directory;
+  }
+
+  // ZIP64 archives (over 65535 entries or 4 GB) keep the real values in a second record
+  if (eocd < 20 || tail.getUint32(eocd - 20, true) !== ZIP64_LOCATOR_SIGNATURE) {
+    return directory;
+  }
+  const recordOffset = getUint64(tail, eocd - 20 + 8);
+  const record = await readBytes(blob, recordOffset, recordOffset + 56);
+  if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+    throw new Error('Corrupt ZIP64 archive');
+  }
+  return {
+    count: getUint64(record, 32),
+    size: getUint64(record, 40),
+    offset: getUint64(record, 48),
+  };
+}
+
+// Values too large for the central header are stored in its ZIP64 extra field, in this order
+function applyZip64Extra(view, start, length, entry) {
+  for (let pos = start; pos + 4 <= start + length;) {
+    const id = view.getUint16(pos, true);
+    const size = view.getUint16(pos + 2, true);
+    if (id === ZIP64_EXTRA_FIELD_ID) {
+      let valuePos = pos + 4;
+      ['size', 'compressedSize', 'headerOffset'].forEach(key => {
+        if (entry[key] === 0xFFFFFFFF) {
+          entry[key] = getUint64(view, valuePos);
+          valuePos += 8;
+        }
+      });
+      return;
+    }
+    pos += 4 + size;
+  }
+}
+
+/**
+ * List the entries of a ZIP archive
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Array>} [{ path, method, compressedSize, size, headerOffset, isEncrypted }], directories excluded
+ */
+export async function readZipEntries(blob) {
+  const directory = await readEndOfCentralDirectory(blob);
+  const view = await readBytes(blob, directory.offset, directory.offset + directory.size);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+
+  let pos = 0;
+  for (let index = 0; index < directory.count && pos + 46 <= view.byteLength; index++) {
+    if (view.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP archive (bad central directory entry)');
+    }
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const nameStart = view.byteOffset + pos + 46;
+    const entry = {
+      path: decoder.decode(new Uint8Array(view.buffer, nameStart, nameLength)),
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      headerOffset: view.getUint32(pos + 42, true),
+      isEncrypted: (view.getUint16(pos + 8, true) & 0x1) !== 0,
+    };
+    applyZip64Extra(view, pos + 46 + nameLength, extraLength, entry);
+
+    if (!entry.path.endsWith('/')) {
+      entries.push(entry);
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function decompress(blob, format) {
+  return new Response(blob.stream().pipeThrough(new DecompressionStream(format))).blob();
+}
+
+/**
+ * Extract one ZIP entry
+ * @param {Blob} blob - The archive
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Promise<Blob>} The entry's uncompressed content
+ */
+export async function extractZipEntry(blob, entry) {
+  if (entry.isEncrypted) {
+    throw new Error('encrypted entries are not supported');
+  }
+  // The local header repeats the name and may carry a different extra field, so the data offset is read from it
+  const header = await readBytes(blob, entry.headerOffset, entry.headerOffset + 30);
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error('corrupt local header');
+  }
+  const dataStart = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return data;
+  }
+  if (entry.method === METHOD_DEFLATE) {
+    return decompress(data, 'deflate-raw');
+  }
+  throw new Error(`compression method ${entry.method} is not supported`);
+}
+
+/**
+ * Expand an archive into the XML, JSON and text files it holds
+ * ZIP entries are named by their path in the archive (after the archive's own folder, if its name has one);
+ * a .gz file is named without its .gz extension.
+ * Archives inside archives are expanded too, their entries named "outer.zip/inner.zip/entry.xml".
+ * @param {File} file - A .zip or .gz file
+ * @param {Object} options - { include, exclude (globs, see createPathFilter), onProgress(done, total) }
+ * @returns {Promise<Object>} { files: [File], skipped: [{ path, reason }] }
+ */
+export async function extractArchive(file, options = {}) {
+  const { onProgress = null } = options;
+  const accepts = createPathFilter(options);
+  const files = [];
+  const skipped = [];
+
+  // Load an entry (or expand it, when it is an archive itself) under its archive-relative path
+  const addEntry = async (path, blob) => {
+    if (ARCHIVE_REGEX.test(path)) {
+      await expand(blob, path, `${path}/`);
+    } else if (LOADABLE_ENTRY_REGEX.test(path) && accepts(path)) {
+      files.push(new File([blob], path, { type: ENTRY_TYPES[path.slice(path.lastIndexOf('.') + 1).toLowerCase()] }));
+    }
+  };
+
+  const expand = async (blob, name, prefix, reportProgress = null) => {
+    if (/\.gz$/i.test(name)) {
+      const inner = name.replace(/\.gz$/i, '');
+      try {
+        await addEntry(inner, await decompress(blob, 'gzip'));
+      } catch (error) {
+        skipped.push({ path: inner, reason: error.message });
+      }
+      return;
+    }
+
+    const entries = await readZipEntries(blob);
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      const path = `${prefix}${entry.path}`;
+      const isWanted = ARCHIVE_REGEX.test(path) || (LOADABLE_ENTRY_REGEX.test(path) && accepts(path));
+      if (isWanted) {
+        try {
+          await addEntry(path, await extractZipEntry(blob, entry));
+        } catch (error) {
+          skipped.push({ path, reason: error.message });
+        }
+      }
+      if (reportProgress) {
+        reportProgress(index + 1, entries.length);
+      }
+    }
+  };
+
+  // An archive loaded from a folder ("before/batch.zip") keeps its folder in front of its entries
+  await expand(file, file.name, file.name.slice(0, file.name.lastIndexOf('/') + 1), onProgress);
+  return { files, skipped };
+}
+
+// CRC-32 (IEEE) lookup table, built on first use
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let index = 0; index < bytes.length; index++) {
+    crc = crcTable[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Date and time of a ZIP entry in MS-DOS format
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * Entries are deflated with the native CompressionStream where it exists, and stored otherwise.
+ * Names are written as UTF-8; archives are limited to 65535 entries of under 4 GB each.
+ * @param {Array} entries - [{ name, content (string or Blob) }]
+ * @returns {Promise<Blob>} The archive
+ */
+export async function createZipArchive(entries) {
+  const encoder = new TextEncoder();
+  const canDeflate = typeof CompressionStream === 'function';
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.content === 'string'
+      ? encoder.encode(entry.content)
+      : new Uint8Array(await new Response(entry.content).arrayBuffer());
+    const compressed = canDeflate
+      ? new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer())
+      : data;
+    const method = canDeflate ? METHOD_DEFLATE : METHOD_STORED;
+    const crc = crc32(data);
+
+    // Fields shared by the local and central headers, from "version needed" to the extra field length
+    const common = new DataView(new ArrayBuffer(26));
+    common.setUint16(0, 20, true);
+    common.setUint16(2, 0x0800, true); // UTF-8 names
+    common.setUint16(4, method, true);
+    common.setUint16(6, time, true);
+    common.setUint16(8, date, true);
+    common.setUint32(10, crc, true);
+    common.setUint32(14, compressed.length, true);
+    common.setUint32(18, data.length, true);
+    common.setUint16(22, name.length, true);
+    common.setUint16(24, 0, true);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    new Uint8Array(local.buffer).set(new Uint8Array(common.buffer), 4);
+    parts.push(local, name, compressed);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    new Uint8Array(central.buffer).set(new Uint8Array(common.buffer), 6);
+    central.setUint32(42, offset, true);
+    centralHeaders.push(central, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralHeaders.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, EOCD_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+}
@@ -0,0 +1,387 @@
+/**
+ * Baseline Deviations
+ * Reports how each file departs from a baseline: a chosen "golden" file, or the loaded XML
+ * Schemas. Paths are compared the way the comparison view shows them (namespace labels, the
+ * removed prefix stripped):
+ * - missing: in the baseline (for a schema, required) but not in the file, under a parent the file has
+ * - extra: in the file but not in the baseline, under a parent the baseline has
+ * - moved: a missing and an extra path ending in the same name, i.e. the element sits under another parent
+ * - reordered: children that come in another order than the baseline's under the same parent
+ * - changed values: values the baseline file does not have, or that the schema's type rejects
+ * Only the topmost missing or extra path of a subtree is listed; its descendants go with it.
+ */
+
+import * as XLSX from 'xlsx';
+import { clampExcelText, workbookToBlob } from './fileExport';
+import { removePrefixFromPath } from './xmlParser';
+import { parseClarkName } from './namespaces';
+import { checkSimpleValue } from './xsdSchema';
+import { canonicalChildOrder, findMovedSiblings, getChildSequences } from './siblingOrder';
+import { withoutEmbeddedXML } from './embeddedXml';
+
+const XSI_NAMESPACE_URI = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Baseline choice standing for the loaded XML Schemas rather than a file
+export const SCHEMA_BASELINE = 'schema';
+
+// Values listed per changed path; the counts cover them all
+export const MAX_LISTED_VALUES = 10;
+
+// Schema nesting followed when expanding recursive content models
+const MAX_SCHEMA_DEPTH = 40;
+
+const isLeaf = (field) => field.isAttribute || !field.hasChildren;
+
+const valuesOf = (field) => Object.keys(field.valueCounts || {});
+
+/**
+ * Expected paths of a baseline file
+ * @param {Object} file - { filename, fields }
+ * @param {string} prefixToRemove - Optional prefix to strip from names
+ * @returns {Map} Path -> { path, parentPath, isAttribute, required, values: [value] | null, simpleType: null,
+ *   childOrder: [name] | null }, childOrder being the canonical order of the baseline's child elements
+ */
+export function expectedFromFile(file, prefixToRemove = '') {
+  const expected = new Map();
+  const childOrders = getChildSequences(file.fields, prefixToRemove);
+  file.fields.forEach(field => {
+    const path = removePrefixFromPath(field.path, prefixToRemove);
+    expected.set(path, {
+      path,
+      parentPath: removePrefixFromPath(field.parentPath || '', prefixToRemove),
+      isAttribute: !!field.isAttribute,
+      required: true,
+      values: isLeaf(field) ? valuesOf(field) : null,
+      simpleType: null,
+      childOrder: childOrders.has(path) ? canonicalChildOrder(childOrders.get(path)) : null,
+    });
+  });
+  return expected;
+}
+
+// Names of the child elements a content model puts in a fixed order, or null when a choice, xs:all
+// or repeated sequence allows other orders (or a name comes twice); wildcards and abstract elements add none
+function declaredChildOrder(particle, labelName) {
+  if (!particle || particle.kind === 'any') {
+    return [];
+  }
+  if (particle.kind === 'element') {
+    return particle.declaration.abstract ? [] : [labelName(particle.declaration.clarkName)];
+  }
+  if (particle.kind !== 'sequence' || (particle.max > 1 && particle.particles.length > 1)) {
+    return null;
+  }
+  const names = [];
+  for (const child of particle.particles) {
+    const childNames = declaredChildOrder(child, labelName);
+    if (childNames === null || childNames.some(name => names.includes(name))) {
+      return null;
+    }
+    names.push(...childNames);
+  }
+  return names;
+}
+
+/**
+ * Expected paths of a document under a schema's element declaration
+ * Elements are required when every particle leading to them is (choices never are); content
+ * below a wildcard or xs:anyType is open, so nothing under it counts as extra.
+ * @param {Object} schemaSet - Result of compileSchemas
+ * @param {string} rootClarkName - The document element's namespace-aware name
+ * @param {Map} namespaceLabels - Result of resolveNamespaceLabels (uri -> { uri, label })
+ * @param {string} prefixToRemove - Optional prefix to strip from names
+ * @returns {Map|null} Path -> { path, parentPath, isAttribute, required, values: null, simpleType,
+ *   openContent, openAttributes, childOrder }, or null when the schema does not declare the element
+ */
+export function expectedFromSchema(schemaSet, rootClarkName, namespaceLabels = new Map(), prefixToRemove = '') {
+  const rootDeclaration = schemaSet.getElement(rootClarkName);
+  if (!rootDeclaration) {
+    return null;
+  }
+  const expected = new Map();
+
+  const labelName = (clarkName) => {
+    const { namespaceURI, localName } = parseClarkName(clarkName);
+    const entry = namespaceLabels.get(namespaceURI || '');
+    const name = entry && entry.label ? `${entry.label}:${localName}` : localName;
+    return removePrefixFromPath(name, prefixToRemove);
+  };
+
+  const addElement = (declaration, parentPath, required, ancestors) => {
+    const path = parentPath ? `${parentPath} > ${labelName(declaration.clarkName)}` : labelName(declaration.clarkName);
+    const existing = expected.get(path);
+    if (existing) {
+      // The same name in several branches of a content model
+      existing.required = existing.required || required;
+      return;
+    }
+    const type = declaration.getType();
+    const entry = {
+      path,
+      parentPath,
+      isAttribute: false,
+      required,
+      values: null,
+      simpleType: type.kind === 'simple' ? type : type.simpleType,
+      openContent: false,
+      openAttributes: false,
+      childOrder: null,
+    };
+    expected.set(path, entry);
+    if (type.kind !== 'complex') {
+      return;
+    }
+    entry.childOrder = declaredChildOrder(type.particle, labelName);
+
+    entry.openAttributes = !!type.anyAttribute;
+    type.attributeUses.forEach(use => {
+      const attributePath = `${path} > @${labelName(use.clarkName)}`;
+      expected.set(attributePath, {
+        path: attributePath,
+        parentPath: path,
+        isAttribute: true,
+        required: use.use === 'required',
+        values: null,
+        simpleType: use.type,
+      });
+    });
+
+    // Recursive structures are expanded once along each branch
+    if (ancestors.includes(declaration) || ancestors.length >= MAX_SCHEMA_DEPTH) {
+      entry.openContent = true;
+      return;
+    }
+    const visit = (particle, isRequired) => {
+      if (!particle) {
+        return;
+      }
+      const particleRequired = isRequired && particle.min > 0;
+      if (particle.kind === 'element') {
+        if (!particle.declaration.abstract) {
+          addElement(particle.declaration, path, particleRequired, [...ancestors, declaration]);
+        }
+      } else if (particle.kind === 'any') {
+        entry.openContent = true;
+      } else {
+        const branchRequired = particle.kind === 'choice' ? particleRequired && particle.particles.length === 1 : particleRequired;
+        particle.particles.forEach(child => visit(child, branchRequired));
+      }
+    };
+    visit(type.particle, required);
+  };
+
+  addElement(rootDeclaration, '', true, []);
+  return expected;
+}
+
+const limitValues = (values) => values.slice(0, MAX_LISTED_VALUES);
+
+/**
+ * Compare a file with a baseline
+ * @param {Object} file - { filename, fields }
+ * @param {Map} expected - Result of expectedFromFile or expectedFromSchema
+ * @param {string} prefixToRemove - Optional prefix to strip from names
+ * @returns {Object} { missing: [path], extra: [path], moved: [{ name, from, to }],
+ *   reordered: [{ path, expectedAfter, instanceCount }] (expectedAfter null for a child expected first),
+ *   changedValues: [{ path, added: [value], removed: [value], addedCount, removedCount, message }] }
+ */
+export function findDeviations(file, expected, prefixToRemove = '') {
+  const actual = new Map();
+  file.fields.forEach(field => {
+    // Schema instance attributes (xsi:type, xsi:nil) are not data
+    if (field.isAttribute && field.namespaceURI === XSI_NAMESPACE_URI) {
+      return;
+    }
+    actual.set(removePrefixFromPath(field.path, prefixToRemove), field);
+  });
+
+  let missing = [];
+  expected.forEach(entry => {
+    if (entry.required && !actual.has(entry.path) && (!entry.parentPath || actual.has(entry.parentPath))) {
+      missing.push(entry.path);
+    }
+  });
+
+  let extra = [];
+  actual.forEach((field, path) => {
+    const parentPath = removePrefixFromPath(field.parentPath || '', prefixToRemove);
+    const parent = parentPath ? expected.get(parentPath) : null;
+    if (expected.has(path) || (parentPath && !parent)) {
+      return;
+    }
+    if (parent && (field.isAttribute ? parent.openAttributes : parent.openContent)) {
+      return;
+    }
+    extra.push(path);
+  });
+
+  // A missing path and an extra one with the same name are the same element under another parent
+  const moved = [];
+  const lastSegment = (path) => path.split(' > ').pop();
+  missing.forEach(from => {
+    const to = extra.find(path => lastSegment(path) === lastSegment(from));
+    if (to) {
+      moved.push({ name: lastSegment(from), from, to });
+      extra = extra.filter(path => path !== to);
+    }
+  });
+  const movedFrom = new Set(moved.map(item => item.from));
+  missing = missing.filter(path => !movedFrom.has(path));
+
+  // Children out of the baseline's order, once per element with the instances that misplace it
+  const reordered = [];
+  getChildSequences(file.fields, prefixToRemove).forEach((orders, parentPath) => {
+    const entry = expected.get(parentPath);
+    if (!entry || !entry.childOrder) {
+      return;
+    }
+    const byName = new Map();
+    orders.forEach(({ sequence, count }) => {
+      findMovedSiblings(sequence, entry.childOrder).forEach(item => {
+        if (byName.has(item.name)) {
+          byName.get(item.name).instanceCount += count;
+        } else {
+          byName.set(item.name, { path: `${parentPath} > ${item.name}`, expectedAfter: item.expectedAfter, instanceCount: count });
+        }
+      });
+    });
+    reordered.push(...byName.values());
+  });
+
+  const changedValues = [];
+  actual.forEach((field, path) => {
+    const entry = expected.get(path);
+    if (!entry || !isLeaf(field)) {
+      return;
+    }
+    const fileValues = valuesOf(field);
+    if (entry.values) {
+      const baselineValues = new Set(entry.values);
+      const presentValues = new Set(fileValues);
+      const added = fileValues.filter(value => !baselineValues.has(value));
+      const removed = entry.values.filter(value => !presentValues.has(value));
+      if (added.length > 0 || removed.length > 0) {
+        changedValues.push({
+          path,
+          added: limitValues(added),
+          removed: limitValues(removed),
+          addedCount: added.length,
+          removedCount: removed.length,
+          message: null,
+        });
+      }
+    } else if (entry.simpleType) {
+      const problems = fileValues
+        .map(value => ({ value, problem: checkSimpleValue(entry.simpleType, value) }))
+        .filter(item => item.problem);
+      if (problems.length > 0) {
+        changedValues.push({
+          path,
+          added: limitValues(problems.map(item => item.value)),
+          removed: [],
+          addedCount: problems.length,
+          removedCount: 0,
+          message: problems[0].problem,
+        });
+      }
+    }
+  });
+
+  return { missing, extra, moved, reordered, changedValues };
+}
+
+/**
+ * Compare every file with a baseline file or the loaded schemas
+ * @param {Array} files - [{ id, filename, fields }] to report on (the baseline file itself, matched
+ *   by id, is skipped; files with the same name from other folders or archives are not)
+ * @param {Object} baseline - { file } for a baseline file, or { schemaSet } for the loaded schemas
+ * @param {Object} options - { namespaceLabels, prefixToRemove }
+ * @returns {Array} [{ id, filename, error, missing, extra, moved, reordered, changedValues }] (see
+ *   findDeviations); error is set when the schemas do not declare the file's document element
+ */
+export function compareWithBaseline(files, baseline, options = {}) {
+  const { namespaceLabels = new Map(), prefixToRemove = '' } = options;
+  const baselineExpected = baseline.file ? expectedFromFile(baseline.file, prefixToRemove) : null;
+  const schemaExpected = new Map(); // root clark name -> expected paths
+  const isBaselineFile = (file) => !!baseline.file
+    && (file === baseline.file || (file.id !== undefined && file.id === baseline.file.id));
+
+  return files
+    .filter(file => !isBaselineFile(file))
+    .map(file => {
+      let expected = baselineExpected;
+      let fields = file.fields;
+      if (!expected) {
+        // Embedded documents are not described by the schema
+        fields = withoutEmbeddedXML(file.fields);
+        const root = fields.find(field => !field.parentPath && !field.isAttribute);
+        const rootName = root ? root.qualifiedPath : '';
+        if (!schemaExpected.has(rootName)) {
+          schemaExpected.set(rootName, root ? expectedFromSchema(baseline.schemaSet, rootName, namespaceLabels, prefixToRemove) : null);
+        }
+        expected = schemaExpected.get(rootName);
+        if (!expected) {
+          return {
+            id: file.id,
+            filename: file.filename,
+            error: `The schemas do not declare the document element ${root ? root.path : ''}`.trim(),
+            missing: [],
+            extra: [],
+            moved: [],
+            reordered: [],
+            changedValues: [],
+          };
+        }
+      }
+      return { id: file.id, filename: file.filename, error: null, ...findDeviations({ ...file, fields }, expected, prefixToRemove) };
+    });
+}
+
+// Values of a changed path as one cell, with the count of those left out
+const joinValues = (values, count) => (
+  values.join(' | ') + (count > values.length ? ` (+${count - values.length} more)` : '')
+);
+
+/**
+ * Export baseline deviations to Excel
+ * @param {Array} reports - Result of compareWithBaseline
+ * @param {string} baselineName - Name of the baseline file, or a description of the schemas
+ * @returns {Blob} Excel file blob
+ */
+export function deviationsToExcel(reports, baselineName) {
+  const workbook = XLSX.utils.book_new();
+
+  const rows = [];
+  reports.forEach(report => {
+    if (report.error) {
+      rows.push([report.filename, 'Error', '', report.error, '']);
+    }
+    report.missing.forEach(path => rows.push([report.filename, 'Missing', path, 'Present', 'Absent']));
+    report.extra.forEach(path => rows.push([report.filename, 'Extra', path, 'Absent', 'Present']));
+    report.moved.forEach(item => rows.push([report.filename, 'Moved', item.name, item.from, item.to]));
+    report.reordered.forEach(item => rows.push([
+      report.filename,
+      'Moved',
+      item.path,
+      item.expectedAfter ? `After ${item.expectedAfter}` : 'First',
+      `Out of order in ${item.instanceCount} instance${item.instanceCount !== 1 ? 's' : ''}`,
+    ]));
+    report.changedValues.forEach(item => rows.push([
+      report.filename,
+      'Changed values',
+      item.path,
+      item.message || joinValues(item.removed, item.removedCount),
+      joinValues(item.added, item.addedCount),
+    ]));
+  });
+
+  const data = [
+    [`Deviations from ${baselineName}`],
+    [],
+    ['File', 'Deviation', 'Path', 'Baseline', 'File Value'],
+    ...rows.map(row => row.map(clampExcelText)),
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Deviations');
+
+  return workbookToBlob(workbook);
+}
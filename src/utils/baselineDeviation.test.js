@@ -0,0 +1,51 @@
+import { compileSchemas } from './xsdSchema';
+import { compareWithBaseline } from './baselineDeviation';
+import { loadLabelledFiles } from './testUtils';
+
+const GOLDEN = '<Orders><Order><Id>1</Id><Customer>Ann</Customer><Total>5</Total></Order></Orders>';
+
+const ORDER_SCHEMA = (group) => `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+  <xs:element name="Orders">
+    <xs:complexType><xs:sequence>
+      <xs:element name="Order" maxOccurs="unbounded">
+        <xs:complexType><xs:${group}>
+          <xs:element name="Id"/><xs:element name="Customer"/><xs:element name="Total" minOccurs="0"/>
+        </xs:${group}></xs:complexType>
+      </xs:element>
+    </xs:sequence></xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+describe('compareWithBaseline', () => {
+  test('skips only the baseline file itself, not files with the same name', () => {
+    const files = loadLabelledFiles([
+      ['order.xml', GOLDEN],
+      ['order.xml', GOLDEN.replace('<Total>5</Total>', '')],
+    ]);
+    const reports = compareWithBaseline(files, { file: files[0] });
+    expect(reports.map(report => [report.id, report.missing])).toEqual([[2, ['Orders > Order > Total']]]);
+  });
+
+  test('reports children out of the baseline file order as moved, once per element', () => {
+    const files = loadLabelledFiles([
+      ['golden.xml', GOLDEN],
+      ['orders.xml', `<Orders>
+        <Order><Id>2</Id><Customer>Bob</Customer><Total>7</Total></Order>
+        <Order><Customer>Cy</Customer><Id>3</Id><Total>8</Total></Order>
+        <Order><Customer>Di</Customer><Id>4</Id></Order>
+      </Orders>`],
+    ]);
+    const [report] = compareWithBaseline(files, { file: files[0] });
+    expect(report.reordered).toEqual([{ path: 'Orders > Order > Customer', expectedAfter: 'Id', instanceCount: 2 }]);
+    expect(report.moved).toEqual([]);
+  });
+
+  test('orders children by a schema sequence, but not by a choice', () => {
+    const [file] = loadLabelledFiles([['orders.xml', '<Orders><Order><Total>9</Total><Id>5</Id><Customer>Ed</Customer></Order></Orders>']]);
+    const compare = (group) => compareWithBaseline([file], {
+      schemaSet: compileSchemas([{ filename: 'orders.xsd', content: ORDER_SCHEMA(group) }]),
+    })[0];
+    expect(compare('sequence').reordered).toEqual([{ path: 'Orders > Order > Total', expectedAfter: 'Customer', instanceCount: 1 }]);
+    expect(compare('choice').reordered).toEqual([]);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Document Diff
+ * Compares the values of two documents: both are read into element trees (names labelled the
+ * way the field tree shows them, so prefixes do not matter) and aligned element by element.
+ * Repeated siblings are matched by position, or by the value of a key child or attribute
+ * (e.g. Line elements by their "Sku"), so reordered records are not reported as changed.
+ */
+
+import * as XLSX from 'xlsx';
+import { clampExcelText, workbookToBlob } from './fileExport';
+import { createSaxParser } from './saxParser';
+import { feedStream } from './streamingParser';
+import { readTextFile } from './encoding';
+import { isJsonFile, walkJSON } from './jsonParser';
+import { splitQualifiedName, extendNamespaceScope, resolveNamespacePrefix } from './namespaces';
+
+const CHANGE_LABELS = { add: 'Added', remove: 'Removed', replace: 'Changed' };
+
+/**
+ * Create a collector building the element tree of a document
+ * Takes element events with qualified names and resolves their namespaces, so it can be fed by
+ * the SAX parser and by walkJSON alike.
+ * @param {Map} namespaceLabels - Result of resolveNamespaceLabels (uri -> { uri, label })
+ * @returns {Object} { openElement(name, attributes), addText(text), closeElement(),
+ *   getRoot() => { name, attributes: [[name, value]], text, children } or null }
+ */
+export function createTreeBuilder(namespaceLabels = new Map()) {
+  const openNodes = [];
+  let root = null;
+
+  const labelName = (namespaceURI, localName) => {
+    const entry = namespaceLabels.get(namespaceURI || '');
+    return entry && entry.label ? `${entry.label}:${localName}` : localName;
+  };
+
+  return {
+    openElement: (name, attributes = []) => {
+      const parent = openNodes[openNodes.length - 1];
+      const scope = extendNamespaceScope(parent ? parent.scope : new Map(), attributes);
+      const { prefix, localName } = splitQualifiedName(name);
+      const node = {
+        name: labelName(resolveNamespacePrefix(scope, prefix), localName),
+        attributes: [],
+        text: '',
+        children: [],
+      };
+      attributes.forEach(attribute => {
+        if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) {
+          return;
+        }
+        // Unprefixed attributes are in no namespace
+        const parts = splitQualifiedName(attribute.name);
+        const attributeName = parts.prefix
+          ? labelName(resolveNamespacePrefix(scope, parts.prefix), parts.localName)
+          : parts.localName;
+        node.attributes.push([attributeName, attribute.value]);
+      });
+      if (parent) {
+        parent.node.children.push(node);
+      } else if (!root) {
+        root = node;
+      }
+      openNodes.push({ node, scope });
+    },
+    addText: (text) => {
+      if (openNodes.length > 0) {
+        openNodes[openNodes.length - 1].node.text += text;
+      }
+    },
+    closeElement: () => {
+      openNodes.pop();
+    },
+    getRoot: () => root,
+  };
+}
+
+/**
+ * Read a File/Blob into an element tree
+ * JSON files are mapped the way jsonParser maps them onto fields.
+ * @param {Blob} blob - The file
+ * @param {Object} options - { namespaceLabels, lenient, encoding, onProgress(bytesRead, totalBytes) }
+ * @returns {Promise<Object|null>} The root node (see createTreeBuilder)
+ */
+export async function readDocumentTree(blob, options = {}) {
+  const { namespaceLabels, lenient = false, encoding = null, onProgress = null } = options;
+  const builder = createTreeBuilder(namespaceLabels);
+
+  if (isJsonFile(blob)) {
+    const { text } = await readTextFile(blob, encoding);
+    walkJSON(JSON.parse(text), builder);
+    if (onProgress) {
+      onProgress(blob.size, blob.size);
+    }
+    return builder.getRoot();
+  }
+
+  const handlers = {
+    onOpenTag: ({ name, attributes }) => builder.openElement(name, attributes),
+    onText: builder.addText,
+    onCData: builder.addText,
+    onCloseTag: builder.closeElement,
+  };
+  await feedStream(blob, createSaxParser(handlers, { lenient }), { encoding, onProgress });
+  return builder.getRoot();
+}
+
+const escapeXML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function serializeNode(node) {
+  const attributes = node.attributes.map(([name, value]) => ` ${name}="${escapeXML(value)}"`).join('');
+  const content = escapeXML(node.text.trim()) + node.children.map(serializeNode).join('');
+  return content ? `<${node.name}${attributes}>${content}</${node.name}>` : `<${node.name}${attributes}/>`;
+}
+
+// Value shown for an added or removed element: its text when it is a plain value, its XML otherwise
+const toElementValue = (node) => (
+  node.children.length === 0 && node.attributes.length === 0 ? node.text.trim() : serializeNode(node)
+);
+
+// Value of the key child ("Sku") or attribute ("@id") identifying a repeated element, null when it has none
+function keyValueOf(node, keyName) {
+  if (keyName.startsWith('@')) {
+    const attribute = node.attributes.find(([name]) => name === keyName.slice(1));
+    return attribute ? attribute[1] : null;
+  }
+  const child = node.children.find(item => item.name === keyName);
+  return child ? child.text.trim() : null;
+}
+
+// XPath 1.0 string literals cannot escape quotes, so a value holding both kinds is built with concat()
+function quoteXPath(value) {
+  if (!value.includes("'")) {
+    return `'${value}'`;
+  }
+  if (!value.includes('"')) {
+    return `"${value}"`;
+  }
+  return `concat(${value.split("'").map(part => `'${part}'`).join(`, "'", `)})`;
+}
+
+// Pair the before and after instances of one element name: [{ before, after, beforeIndex, afterIndex }]
+function matchSiblings(before, after, keyName) {
+  const partners = new Map(); // before index -> after index
+  const matchedAfter = new Set();
+
+  if (keyName) {
+    const afterByKey = new Map();
+    after.forEach((node, index) => {
+      const key = keyValueOf(node, keyName);
+      if (key !== null) {
+        if (!afterByKey.has(key)) {
+          afterByKey.set(key, []);
+        }
+        afterByKey.get(key).push(index);
+      }
+    });
+    before.forEach((node, index) => {
+      const candidates = afterByKey.get(keyValueOf(node, keyName));
+      if (candidates && candidates.length > 0) {
+        const afterIndex = candidates.shift();
+        partners.set(index, afterIndex);
+        matchedAfter.add(afterIndex);
+      }
+    });
+  }
+
+  // Instances not matched by key (or all of them, without a key) are paired by position
+  const restBefore = before.map((node, index) => index).filter(index => !partners.has(index)
+    && (!keyName || keyValueOf(before[index], keyName) === null));
+  const restAfter = after.map((node, index) => index).filter(index => !matchedAfter.has(index)
+    && (!keyName || keyValueOf(after[index], keyName) === null));
+  restBefore.slice(0, restAfter.length).forEach((beforeIndex, position) => {
+    partners.set(beforeIndex, restAfter[position]);
+    matchedAfter.add(restAfter[position]);
+  });
+
+  // Walk the before instances in order, slotting in the after-only ones where they appear
+  const pairs = [];
+  let nextAfterIndex = 0;
+  const emitAddedUpTo = (limit) => {
+    for (; nextAfterIndex < limit; nextAfterIndex++) {
+      if (!matchedAfter.has(nextAfterIndex)) {
+        pairs.push({ before: null, after: after[nextAfterIndex], beforeIndex: null, afterIndex: nextAfterIndex });
+      }
+    }
+  };
+  before.forEach((node, index) => {
+    if (!partners.has(index)) {
+      pairs.push({ before: node, after: null, beforeIndex: index, afterIndex: null });
+      return;
+    }
+    const afterIndex = partners.get(index);
+    emitAddedUpTo(afterIndex);
+    pairs.push({ before: node, after: after[afterIndex], beforeIndex: index, afterIndex });
+  });
+  emitAddedUpTo(after.length);
+  return pairs;
+}
+
+function diffAttributes(before, after) {
+  const beforeValues = new Map(before.attributes);
+  const afterValues = new Map(after.attributes);
+  const names = [...beforeValues.keys(), ...Array.from(afterValues.keys()).filter(name => !beforeValues.has(name))];
+  return names.map(name => {
+    const beforeValue = beforeValues.has(name) ? beforeValues.get(name) : null;
+    const afterValue = afterValues.has(name) ? afterValues.get(name) : null;
+    let status = 'same';
+    if (beforeValue === null) {
+      status = 'added';
+    } else if (afterValue === null) {
+      status = 'removed';
+    } else if (beforeValue !== afterValue) {
+      status = 'changed';
+    }
+    return { name, status, before: beforeValue, after: afterValue };
+  });
+}
+
+// Diff the children of two matched elements (or the two documents), grouped by element name
+function diffChildren(before, after, parentPath, parentLocation, keys) {
+  const names = [];
+  const groups = new Map();
+  const addToGroup = (side) => (node) => {
+    if (!groups.has(node.name)) {
+      groups.set(node.name, { before: [], after: [] });
+      names.push(node.name);
+    }
+    groups.get(node.name)[side].push(node);
+  };
+  before.forEach(addToGroup('before'));
+  after.forEach(addToGroup('after'));
+
+  const result = [];
+  names.forEach(name => {
+    const group = groups.get(name);
+    const path = parentPath ? `${parentPath} > ${name}` : name;
+    const keyName = keys[path] || null;
+    const isRepeated = group.before.length > 1 || group.after.length > 1;
+
+    matchSiblings(group.before, group.after, keyName).forEach(pair => {
+      const node = pair.before || pair.after;
+      const keyValue = keyName ? keyValueOf(node, keyName) : null;
+      let predicate = '';
+      if (keyValue !== null) {
+        predicate = `[${keyName}=${quoteXPath(keyValue)}]`;
+      } else if (isRepeated) {
+        predicate = `[${(pair.before ? pair.beforeIndex : pair.afterIndex) + 1}]`;
+      }
+      const location = `${parentLocation}/${name}${predicate}`;
+
+      if (!pair.after) {
+        result.push({
+          name, path, location, status: 'removed', before: toElementValue(pair.before), after: null,
+          attributes: [], children: [], identicalChildCount: 0, changeCount: 1,
+        });
+      } else if (!pair.before) {
+        result.push({
+          name, path, location, status: 'added', before: null, after: toElementValue(pair.after),
+          attributes: [], children: [], identicalChildCount: 0, changeCount: 1,
+        });
+      } else {
+        result.push(diffElements(pair.before, pair.after, path, location, keys));
+      }
+    });
+  });
+  return result;
+}
+
+function diffElements(before, after, path, location, keys) {
+  const attributes = diffAttributes(before, after);
+  const beforeText = before.text.trim();
+  const afterText = after.text.trim();
+  const children = diffChildren(before.children, after.children, path, location, keys);
+  const changedAttributeCount = attributes.filter(attribute => attribute.status !== 'same').length;
+  const changeCount = changedAttributeCount + (beforeText !== afterText ? 1 : 0)
+    + children.reduce((sum, child) => sum + child.changeCount, 0);
+
+  return {
+    name: before.name,
+    path,
+    location,
+    status: beforeText !== afterText || changedAttributeCount > 0 ? 'changed' : 'same',
+    before: beforeText,
+    after: afterText,
+    attributes,
+    // Identical subtrees are summarised rather than repeated
+    children: changeCount === 0 ? [] : children,
+    identicalChildCount: changeCount === 0 ? children.length : 0,
+    changeCount,
+  };
+}
+
+// Flatten the diff tree into patch operations, in document order
+function collectChanges(nodes, changes = []) {
+  nodes.forEach(node => {
+    if (node.status === 'added') {
+      changes.push({ op: 'add', path: node.location, field: node.path, value: node.after });
+      return;
+    }
+    if (node.status === 'removed') {
+      changes.push({ op: 'remove', path: node.location, field: node.path, oldValue: node.before });
+      return;
+    }
+    if (node.before !== node.after) {
+      changes.push({ op: 'replace', path: node.location, field: node.path, oldValue: node.before, value: node.after });
+    }
+    node.attributes.forEach(attribute => {
+      const change = { path: `${node.location}/@${attribute.name}`, field: `${node.path} > @${attribute.name}` };
+      if (attribute.status === 'added') {
+        changes.push({ op: 'add', ...change, value: attribute.after });
+      } else if (attribute.status === 'removed') {
+        changes.push({ op: 'remove', ...change, oldValue: attribute.before });
+      } else if (attribute.status === 'changed') {
+        changes.push({ op: 'replace', ...change, oldValue: attribute.before, value: attribute.after });
+      }
+    });
+    collectChanges(node.children, changes);
+  });
+  return changes;
+}
+
+/**
+ * Diff two element trees
+ * @param {Object|null} before - Root node of the first document (see createTreeBuilder)
+ * @param {Object|null} after - Root node of the second document
+ * @param {Object} keys - Labelled path of a repeated element -> key child name or "@attribute"
+ *   it is matched by; elements without a key are matched by position
+ * @returns {Object} { nodes: [diff node], changes: [{ op: 'add'|'remove'|'replace', path, field, oldValue, value }] }
+ *   Diff nodes: { name, path, location, status: 'same'|'changed'|'added'|'removed', before, after,
+ *   attributes: [{ name, status, before, after }], children, identicalChildCount, changeCount }
+ */
+export function diffDocuments(before, after, keys = {}) {
+  const nodes = diffChildren(before ? [before] : [], after ? [after] : [], '', '', keys);
+  return { nodes, changes: collectChanges(nodes) };
+}
+
+/**
+ * Diff two Files/Blobs
+ * @param {Blob} beforeBlob - The first document
+ * @param {Blob} afterBlob - The second document
+ * @param {Object} options - { keys, namespaceLabels, before: { lenient, encoding }, after: { lenient, encoding },
+ *   onProgress(bytesRead, totalBytes) over both files }
+ * @returns {Promise<Object>} See diffDocuments
+ */
+export async function diffFilesFromStream(beforeBlob, afterBlob, options = {}) {
+  const { keys = {}, namespaceLabels, before = {}, after = {}, onProgress = null } = options;
+  const totalBytes = beforeBlob.size + afterBlob.size;
+  const beforeTree = await readDocumentTree(beforeBlob, {
+    ...before,
+    namespaceLabels,
+    onProgress: onProgress && ((bytesRead) => onProgress(bytesRead, totalBytes)),
+  });
+  const afterTree = await readDocumentTree(afterBlob, {
+    ...after,
+    namespaceLabels,
+    onProgress: onProgress && ((bytesRead) => onProgress(beforeBlob.size + bytesRead, totalBytes)),
+  });
+  return diffDocuments(beforeTree, afterTree, keys);
+}
+
+/**
+ * Export a diff as a JSON patch-like list
+ * Paths are XPath-like locations ("/Order/Line[Sku='A1']/Qty", "/Order/@id"); "oldValue" is kept
+ * beside "value" so the list reads both ways.
+ * @param {Array} changes - Changes from diffDocuments
+ * @param {string} beforeName - Name of the first file
+ * @param {string} afterName - Name of the second file
+ * @returns {string} JSON content
+ */
+export function diffToJSON(changes, beforeName, afterName) {
+  const operations = changes.map(({ op, path, oldValue, value }) => (
+    op === 'remove' ? { op, path, oldValue } : op === 'add' ? { op, path, value } : { op, path, oldValue, value }
+  ));
+  return JSON.stringify({ from: beforeName, to: afterName, operations }, null, 2);
+}
+
+/**
+ * Export a diff to Excel
+ * @param {Array} changes - Changes from diffDocuments
+ * @param {string} beforeName - Name of the first file
+ * @param {string} afterName - Name of the second file
+ * @returns {Blob} Excel file blob
+ */
+export function diffToExcel(changes, beforeName, afterName) {
+  const workbook = XLSX.utils.book_new();
+  const data = [
+    [`Diff: ${beforeName} → ${afterName}`],
+    [],
+    ['Change', 'Location', 'Field Path', `Before (${beforeName})`, `After (${afterName})`],
+    ...changes.map(change => [
+      CHANGE_LABELS[change.op],
+      change.path,
+      change.field,
+      change.oldValue ?? '',
+      change.value ?? '',
+    ].map(clampExcelText)),
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Differences');
+
+  return workbookToBlob(workbook);
+}
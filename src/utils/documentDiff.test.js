@@ -0,0 +1,47 @@
+import { createSaxParser } from './saxParser';
+import { createTreeBuilder, diffDocuments } from './documentDiff';
+import { parseXML } from './xmlParser';
+
+// Build the element tree of a document the way readDocumentTree does
+const readTree = (xml) => {
+  const builder = createTreeBuilder();
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes }) => builder.openElement(name, attributes),
+    onText: builder.addText,
+    onCData: builder.addText,
+    onCloseTag: builder.closeElement,
+  });
+  parser.write(xml);
+  parser.close();
+  return builder.getRoot();
+};
+
+const selectValue = (xml, location) => {
+  const xmlDoc = parseXML(xml);
+  return xmlDoc.evaluate(location, xmlDoc, null, XPathResult.STRING_TYPE, null).stringValue;
+};
+
+describe('diffDocuments', () => {
+  test('matches repeated elements by their key and locates changes by it', () => {
+    const before = '<Order><Line><Sku>A</Sku><Qty>1</Qty></Line><Line><Sku>B</Sku><Qty>2</Qty></Line></Order>';
+    const after = '<Order><Line><Sku>B</Sku><Qty>2</Qty></Line><Line><Sku>A</Sku><Qty>3</Qty></Line></Order>';
+    const { changes } = diffDocuments(readTree(before), readTree(after), { 'Order > Line': 'Sku' });
+    expect(changes).toEqual([
+      { op: 'replace', path: "/Order/Line[Sku='A']/Qty", field: 'Order > Line > Qty', oldValue: '1', value: '3' },
+    ]);
+  });
+
+  test('quotes key values holding either or both kinds of quote', () => {
+    const before = `<Order>
+      <Line><Sku>it's</Sku><Qty>1</Qty></Line>
+      <Line><Sku>5' 2" pipe</Sku><Qty>2</Qty></Line>
+    </Order>`;
+    const after = before.replace('<Qty>1</Qty>', '<Qty>4</Qty>').replace('<Qty>2</Qty>', '<Qty>5</Qty>');
+    const { changes } = diffDocuments(readTree(before), readTree(after), { 'Order > Line': 'Sku' });
+    expect(changes.map(change => change.path)).toEqual([
+      `/Order/Line[Sku="it's"]/Qty`,
+      `/Order/Line[Sku=concat('5', "'", ' 2" pipe')]/Qty`,
+    ]);
+    expect(changes.map(change => selectValue(after, change.path))).toEqual(['4', '5']);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Embedded XML Document Splitter
+ * Finds every XML document in a text log, where payloads are mixed with timestamps and log prefixes
+ */
+
+// Where a document may start: an XML declaration or a start tag
+const DOCUMENT_START_REGEX = /<\?xml[\s?]|<[A-Za-z_:][^\s<>/]*/g;
+const TAG_NAME_REGEX = /^[^\s/>]+/;
+
+// Longest log line kept as a document's context
+const MAX_LOG_LINE_LENGTH = 500;
+
+// Find the '>' closing a start tag, skipping quoted attribute values; -1 if a '<' comes first
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return index;
+    } else if (char === '<') {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+// Find the end of <!DOCTYPE ...>, which may contain an internal subset in [...]
+function findDoctypeEnd(text, start) {
+  let bracketDepth = 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (char === '[') {
+      bracketDepth += 1;
+    } else if (char === ']') {
+      bracketDepth -= 1;
+    } else if (char === '>' && bracketDepth <= 0) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find where the document starting at start ends
+ * Elements are matched by name, so an unclosed element is closed by its parent's end tag and
+ * a broken document is still cut at the right place (the parser reports what is wrong with it).
+ * A document with an XML declaration runs to the next declaration or the end of the text even
+ * when its root element is never closed.
+ * @param {string} text - The whole text
+ * @param {number} start - Offset of the document's first '<'
+ * @param {Map} endTagPositions - Next known offset of "</name" by name (-1 when there is none), shared across calls
+ * @returns {number} Offset just past the document, or -1 if this is not the start of a document
+ */
+function findDocumentEnd(text, start, endTagPositions) {
+  const hasDeclaration = text.startsWith('<?xml', start);
+  if (!hasDeclaration) {
+    // Cheap rejection of tag-like log text ("<init>") that is never closed
+    const tagEnd = findTagEnd(text, start + 1);
+    if (tagEnd === -1) {
+      return -1;
+    }
+    const name = text.slice(start + 1, start + 100).match(TAG_NAME_REGEX)[0];
+    if (text[tagEnd - 1] !== '/') {
+      let endTag = endTagPositions.get(name);
+      if (endTag === undefined || (endTag !== -1 && endTag < tagEnd)) {
+        endTag = text.indexOf(`</${name}`, tagEnd);
+        endTagPositions.set(name, endTag);
+      }
+      if (endTag === -1) {
+        return -1;
+      }
+    }
+  }
+
+  // A document cut short by the next one ends with the last line before it
+  const cutBefore = (offset) => {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return lineStart > start ? lineStart : offset;
+  };
+
+  const openTags = [];
+  let sawRoot = false;
+  let pos = start;
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    if (lt === -1) {
+      break;
+    }
+    // Before the root element only markup and whitespace may appear
+    if (!sawRoot && text.slice(pos, lt).trim().length > 0) {
+      return hasDeclaration ? cutBefore(lt) : -1;
+    }
+
+    let end;
+    if (text.startsWith('<!--', lt)) {
+      end = text.indexOf('-->', lt + 4);
+      pos = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      end = text.indexOf(']]>', lt + 9);
+      pos = end === -1 ? text.length : end + 3;
+    } else if (text.startsWith('<!DOCTYPE', lt)) {
+      end = findDoctypeEnd(text, lt + 9);
+      pos = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('<?xml', lt) && lt !== start) {
+      // The next document begins: this one was cut short
+      return hasDeclaration ? cutBefore(lt) : -1;
+    } else if (text.startsWith('<?', lt)) {
+      end = text.indexOf('?>', lt + 2);
+      pos = end === -1 ? text.length : end + 2;
+    } else if (text.startsWith('</', lt)) {
+      end = text.indexOf('>', lt + 2);
+      if (end === -1) {
+        break;
+      }
+      const name = text.slice(lt + 2, end).trim();
+      const openIndex = openTags.lastIndexOf(name);
+      if (openIndex !== -1) {
+        openTags.length = openIndex;
+        if (openIndex === 0) {
+          return end + 1;
+        }
+      }
+      pos = end + 1;
+    } else {
+      end = findTagEnd(text, lt + 1);
+      const nameMatch = text.slice(lt + 1, lt + 100).match(TAG_NAME_REGEX);
+      if (end === -1 || !nameMatch) {
+        // A '<' in text content, not a tag
+        pos = lt + 1;
+        continue;
+      }
+      sawRoot = true;
+      if (text[end - 1] === '/') {
+        if (openTags.length === 0) {
+          return end + 1;
+        }
+      } else {
+        openTags.push(nameMatch[0]);
+      }
+      pos = end + 1;
+    }
+  }
+
+  return hasDeclaration ? text.length : -1;
+}
+
+// The log line that introduces a document: the text before it on its first line,
+// or the nearest non-blank line above it when the payload starts on a line of its own
+function findLogLine(text, start, previousEnd) {
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  let logLine = text.slice(Math.max(lineStart, previousEnd), start).trim();
+  if (logLine.length === 0) {
+    let lineEnd = lineStart - 1;
+    while (lineEnd > previousEnd) {
+      const previousLineStart = text.lastIndexOf('\n', lineEnd - 1) + 1;
+      logLine = text.slice(Math.max(previousLineStart, previousEnd), lineEnd).trim();
+      if (logLine.length > 0) {
+        break;
+      }
+      lineEnd = previousLineStart - 1;
+    }
+  }
+  return logLine.length > MAX_LOG_LINE_LENGTH ? `${logLine.slice(0, MAX_LOG_LINE_LENGTH)}…` : logLine;
+}
+
+/**
+ * Find every XML document embedded in a text (e.g. a log with many payloads)
+ * @param {string} text - The text to search
+ * @returns {Array} Documents in order: [{ content, line, logLine }], where line is the 1-based line
+ *   the document starts on and logLine is the log text that introduces it (may be empty)
+ */
+export function splitXMLDocuments(text) {
+  const documents = [];
+  if (!text || typeof text !== 'string') {
+    return documents;
+  }
+
+  const endTagPositions = new Map();
+  let previousEnd = 0;
+  let line = 1;
+  let lineCountedTo = 0;
+  DOCUMENT_START_REGEX.lastIndex = 0;
+  let match;
+  while ((match = DOCUMENT_START_REGEX.exec(text)) !== null) {
+    const start = match.index;
+    const end = findDocumentEnd(text, start, endTagPositions);
+    if (end === -1) {
+      DOCUMENT_START_REGEX.lastIndex = start + 1;
+      continue;
+    }
+
+    for (let index = text.indexOf('\n', lineCountedTo); index !== -1 && index < start; index = text.indexOf('\n', index + 1)) {
+      line += 1;
+    }
+    lineCountedTo = start;
+
+    documents.push({
+      content: text.slice(start, end),
+      line,
+      logLine: findLogLine(text, start, previousEnd),
+    });
+    previousEnd = end;
+    DOCUMENT_START_REGEX.lastIndex = end;
+  }
+
+  return documents;
+}
@@ -0,0 +1,162 @@
+/**
+ * Embedded XML
+ * Values that are XML documents themselves (escaped as &lt;Order&gt;... or wrapped in CDATA,
+ * as in SOAP wrappers and message queue envelopes) can be parsed into a nested subtree.
+ * The subtree hangs under a virtual "#xml" field below the field holding the value, so it
+ * shows in the field tree and takes part in comparison like any other fields.
+ */
+
+import { createSaxParser } from './saxParser';
+import { createFieldCollector, sortFieldsByStructure } from './xmlParser';
+
+// Path segment of the virtual field the embedded document hangs under ('#' can't start an XML name)
+export const EMBEDDED_XML_SEGMENT = '#xml';
+
+// Distinct values looked at when deciding whether a field holds XML
+const DETECTION_SAMPLE_SIZE = 20;
+
+/**
+ * Cheap check for values worth trying to parse as XML
+ * @param {string} value - A field value
+ * @returns {boolean} True if the value starts with markup and ends with a tag
+ */
+export function looksLikeXML(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const trimmed = value.trim();
+  return trimmed.length > 2 && /^<[?!A-Za-z_:]/.test(trimmed) && trimmed.endsWith('>');
+}
+
+/**
+ * Tokenize a value as a standalone XML document
+ * @param {string} value - The value
+ * @returns {Array|null} Recorded events to replay into a field collector, or null if the value is not well-formed XML
+ */
+function recordEvents(value) {
+  const events = [];
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes }) => events.push(collector => collector.openElement(name, attributes)),
+    onCloseTag: () => events.push(collector => collector.closeElement()),
+    onText: text => events.push(collector => collector.addText(text)),
+    onCData: text => events.push(collector => collector.addCData(text)),
+    onComment: text => events.push(collector => collector.addComment(text)),
+  });
+  try {
+    parser.write(value.trim());
+    parser.close();
+  } catch (error) {
+    return null;
+  }
+  return events;
+}
+
+/**
+ * Find the fields whose values include well-formed XML documents
+ * Only leaves and attributes are considered: their text is the whole value
+ * @param {Array} fields - Fields of one file
+ * @returns {Set} Qualified paths of the fields holding embedded XML
+ */
+export function findEmbeddedXMLPaths(fields) {
+  const paths = new Set();
+  fields.forEach(field => {
+    if (field.hasChildren || field.isVirtual || !field.valueCounts) {
+      return;
+    }
+    const candidates = Object.keys(field.valueCounts).slice(0, DETECTION_SAMPLE_SIZE).filter(looksLikeXML);
+    if (candidates.some(value => recordEvents(value) !== null)) {
+      paths.add(field.qualifiedPath);
+    }
+  });
+  return paths;
+}
+
+// Parse the XML values of one field into fields below it, under the virtual #xml field
+function parseEmbeddedFields(field, childCount) {
+  const collector = createFieldCollector();
+  let embeddedCount = 0;
+
+  Object.entries(field.valueCounts).forEach(([value, count]) => {
+    const events = looksLikeXML(value) ? recordEvents(value) : null;
+    if (!events) {
+      return;
+    }
+    // Every instance of the value is one embedded document
+    for (let i = 0; i < count; i++) {
+      collector.openElement(EMBEDDED_XML_SEGMENT);
+      events.forEach(replay => replay(collector));
+      collector.closeElement();
+    }
+    embeddedCount += count;
+  });
+
+  if (embeddedCount === 0) {
+    return [];
+  }
+
+  return collector.getFields().map(nested => {
+    const rebased = {
+      ...nested,
+      depth: field.depth + 1 + nested.depth,
+      path: `${field.path} > ${nested.path}`,
+      qualifiedPath: `${field.qualifiedPath} > ${nested.qualifiedPath}`,
+      isNested: true,
+      parentPath: nested.parentPath ? `${field.path} > ${nested.parentPath}` : field.path,
+    };
+    if (nested.depth === 0) {
+      // The virtual field comes after the field's own attributes, once per instance holding XML
+      rebased.isVirtual = true;
+      rebased.orderIndex = childCount;
+      rebased.minOccurs = embeddedCount === field.occurrences ? 1 : 0;
+      rebased.maxOccurs = 1;
+    }
+    return rebased;
+  });
+}
+
+/**
+ * Check whether a field belongs to an embedded document's subtree
+ * @param {Object} field - Field object
+ * @returns {boolean} True for the virtual #xml field and everything below it
+ */
+export function isEmbeddedXMLField(field) {
+  return !!field.path && field.path.split(' > ').includes(EMBEDDED_XML_SEGMENT);
+}
+
+/**
+ * Drop embedded documents' subtrees, e.g. where fields become real elements (generated XML, XSD)
+ * @param {Array} fields - Field objects
+ * @returns {Array} Fields outside embedded documents
+ */
+export function withoutEmbeddedXML(fields) {
+  return fields.filter(field => !isEmbeddedXMLField(field));
+}
+
+// Subtrees of the embedded documents held by fields, and of the documents embedded in those
+function collectEmbeddedFields(fields, paths) {
+  const added = [];
+  fields.forEach(field => {
+    if (!paths.has(field.qualifiedPath) || field.hasChildren) {
+      return;
+    }
+    const childCount = fields.filter(child => child.parentPath === field.path).length;
+    const nested = parseEmbeddedFields(field, childCount);
+    added.push(...nested, ...collectEmbeddedFields(nested, paths));
+  });
+  return added;
+}
+
+/**
+ * Add the subtrees of embedded XML documents to a file's fields
+ * Documents embedded in embedded documents are expanded too when their path is included
+ * @param {Array} fields - Fields of one file
+ * @param {Set} paths - Qualified paths of the fields to expand
+ * @returns {Array} Fields with the subtrees added (the same array when nothing was expanded)
+ */
+export function expandEmbeddedXML(fields, paths) {
+  if (!paths || paths.size === 0) {
+    return fields;
+  }
+  const added = collectEmbeddedFields(fields, paths);
+  return added.length > 0 ? sortFieldsByStructure([...fields, ...added]) : fields;
+}
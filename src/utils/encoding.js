@@ -0,0 +1,136 @@
+/**
+ * Character Encoding Detection
+ * Works out how a file's bytes are to be decoded, the way an XML processor does:
+ * a byte order mark wins, then the encoding in the XML declaration, then UTF-8.
+ */
+
+// Offered as manual overrides; any label TextDecoder knows is accepted
+export const ENCODING_CHOICES = [
+  'UTF-8',
+  'UTF-16LE',
+  'UTF-16BE',
+  'ISO-8859-1',
+  'ISO-8859-15',
+  'windows-1252',
+  'windows-1250',
+  'Shift_JIS',
+  'EUC-JP',
+  'EUC-KR',
+  'GB18030',
+  'Big5',
+  'KOI8-R',
+];
+
+export const DEFAULT_ENCODING = 'UTF-8';
+
+// The XML declaration (or, in text logs, the first one) is looked for in this many leading bytes
+const DETECTION_BYTES = 1024;
+
+const DECLARED_ENCODING_REGEX = /<\?xml[^>]*?\sencoding\s*=\s*["']([A-Za-z][A-Za-z0-9._-]*)["']/;
+
+/**
+ * Check whether the browser can decode an encoding
+ * @param {string} label - Encoding label, e.g. "ISO-8859-1"
+ * @returns {boolean} True if TextDecoder accepts the label
+ */
+export function isSupportedEncoding(label) {
+  try {
+    new TextDecoder(label);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect the encoding of a file from its first bytes
+ * @param {Uint8Array} bytes - The leading bytes of the file
+ * @returns {Object} { name, source } where source is 'bom', 'declaration' or 'default';
+ *   an encoding the browser can't decode is reported as { declared } and UTF-8 is used instead
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { name: 'UTF-8', source: 'bom' };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { name: 'UTF-16LE', source: 'bom' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { name: 'UTF-16BE', source: 'bom' };
+  }
+  // UTF-16 without a BOM: "<?" with a zero byte on one side of each character
+  if (bytes[0] === 0x3C && bytes[1] === 0x00 && bytes[2] === 0x3F && bytes[3] === 0x00) {
+    return { name: 'UTF-16LE', source: 'declaration' };
+  }
+  if (bytes[0] === 0x00 && bytes[1] === 0x3C && bytes[2] === 0x00 && bytes[3] === 0x3F) {
+    return { name: 'UTF-16BE', source: 'declaration' };
+  }
+
+  // Every encoding a declaration can usefully name is ASCII-compatible up to the declaration,
+  // so reading the bytes as Latin-1 is enough to find it
+  let head = '';
+  for (let index = 0; index < bytes.length && index < DETECTION_BYTES; index++) {
+    head += String.fromCharCode(bytes[index]);
+  }
+  const match = head.match(DECLARED_ENCODING_REGEX);
+  if (match) {
+    const declared = match[1];
+    // A UTF-16 declaration in a file without UTF-16 byte patterns is wrong; the bytes are ASCII-compatible
+    if (/^utf-?16/i.test(declared)) {
+      return { name: DEFAULT_ENCODING, source: 'default', declared };
+    }
+    if (isSupportedEncoding(declared)) {
+      return { name: declared, source: 'declaration' };
+    }
+    return { name: DEFAULT_ENCODING, source: 'default', declared };
+  }
+  return { name: DEFAULT_ENCODING, source: 'default' };
+}
+
+/**
+ * Work out how to decode a File/Blob
+ * @param {Blob} blob - The file
+ * @param {string|null} override - Encoding chosen by the user, used as is
+ * @returns {Promise<Object>} { name, source } (see detectEncoding; source is 'override' for overrides)
+ */
+export async function resolveEncoding(blob, override = null) {
+  if (override) {
+    return { name: override, source: 'override' };
+  }
+  const head = await blob.slice(0, DETECTION_BYTES).arrayBuffer();
+  return detectEncoding(new Uint8Array(head));
+}
+
+/**
+ * Read a whole File/Blob as text in its detected (or chosen) encoding
+ * @param {Blob} blob - The file
+ * @param {string|null} override - Encoding chosen by the user
+ * @returns {Promise<Object>} { text, encoding } where encoding is the result of resolveEncoding
+ */
+export async function readTextFile(blob, override = null) {
+  const encoding = await resolveEncoding(blob, override);
+  const buffer = await blob.arrayBuffer();
+  return { text: new TextDecoder(encoding.name).decode(buffer), encoding };
+}
+
+/**
+ * Describe a detected encoding for display
+ * @param {Object} encoding - Result of resolveEncoding
+ * @returns {string} e.g. "ISO-8859-1 (from the XML declaration)"
+ */
+export function describeEncoding(encoding) {
+  if (!encoding) {
+    return '';
+  }
+  const sources = {
+    bom: 'from the byte order mark',
+    declaration: 'from the XML declaration',
+    override: 'chosen manually',
+    default: 'no BOM or declared encoding',
+  };
+  if (encoding.source === 'default' && encoding.declared) {
+    const problem = /^utf-?16/i.test(encoding.declared) ? 'but the file is not UTF-16' : "which this browser can't decode";
+    return `${encoding.name} (declared ${encoding.declared}, ${problem})`;
+  }
+  return `${encoding.name} (${sources[encoding.source]})`;
+}
@@ -0,0 +1,52 @@
+/**
+ * File Export
+ * Shared helpers of the exports: building Excel workbooks and handing a Blob to the browser
+ * as a download.
+ */
+
+import * as XLSX from 'xlsx';
+
+// Excel rejects cells longer than 32767 characters; longer values are cut with an ellipsis
+export const MAX_EXCEL_TEXT_LENGTH = 32000;
+
+const EXCEL_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Cut a cell value to the length Excel accepts
+ * @param {*} value - Cell value; only strings are cut
+ * @returns {*} The value, shortened when it is a string over MAX_EXCEL_TEXT_LENGTH
+ */
+export function clampExcelText(value) {
+  if (typeof value !== 'string' || value.length <= MAX_EXCEL_TEXT_LENGTH) {
+    return value;
+  }
+  return `${value.slice(0, MAX_EXCEL_TEXT_LENGTH - 1)}…`;
+}
+
+/**
+ * Write a workbook as an .xlsx file
+ * @param {Object} workbook - An XLSX workbook
+ * @returns {Blob} Excel file blob
+ */
+export function workbookToBlob(workbook) {
+  const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  return new Blob([excelBuffer], { type: EXCEL_MIME_TYPE });
+}
+
+/**
+ * Save a Blob as a file through a temporary link
+ * The object URL is released once the browser has started the download.
+ * @param {Blob} blob - File content
+ * @param {string} filename - Name offered in the save dialog
+ */
+export function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,77 @@
+/**
+ * Folder Reader
+ * Collects the files of a chosen folder and its subfolders, named by their path relative to the folder's parent
+ * ("batch-before/orders/1.xml"), so files with the same name in different folders stay apart.
+ */
+
+import { createPathFilter } from './pathFilter';
+import { isArchiveFile } from './archive';
+
+// Files the app can load from a folder; archives are expanded later and filter their own entries
+const LOADABLE_FILE_REGEX = /\.(xml|txt|json|xsd|zip|gz)$/i;
+
+/**
+ * Check whether the File System Access API's folder picker is available
+ * @returns {boolean} True if window.showDirectoryPicker exists
+ */
+export function supportsDirectoryPicker() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Give a file its relative path as its name
+ * @param {File} file - The file
+ * @param {string} path - Relative path, e.g. "before/orders/1.xml"
+ * @returns {File} The same content under the new name
+ */
+export function withRelativePath(file, path) {
+  return file.name === path ? file : new File([file], path, { type: file.type, lastModified: file.lastModified });
+}
+
+/**
+ * Read every file below a directory handle (File System Access API)
+ * Hidden files and folders (names starting with ".") are skipped.
+ * @param {FileSystemDirectoryHandle} handle - The chosen folder
+ * @param {string} prefix - Path of the folder, ending in "/" (defaults to the folder's own name)
+ * @returns {Promise<Array>} Files named by their relative path
+ */
+export async function readDirectoryHandle(handle, prefix = `${handle.name}/`) {
+  const files = [];
+  for await (const entry of handle.values()) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    const path = `${prefix}${entry.name}`;
+    if (entry.kind === 'directory') {
+      files.push(...await readDirectoryHandle(entry, `${path}/`));
+    } else {
+      files.push(withRelativePath(await entry.getFile(), path));
+    }
+  }
+  return files;
+}
+
+/**
+ * Name the files of a directory <input> (webkitdirectory) by their relative path
+ * @param {FileList|Array} fileList - Files from the input
+ * @returns {Array} Files named by their relative path, hidden files and folders skipped
+ */
+export function readDirectoryInput(fileList) {
+  return Array.from(fileList)
+    .map(file => withRelativePath(file, file.webkitRelativePath || file.name))
+    .filter(file => !file.name.split('/').some(segment => segment.startsWith('.')));
+}
+
+/**
+ * Keep the files of a folder the app can load and the filter accepts
+ * Archives are kept whatever their path: their entries are filtered when they are expanded.
+ * @param {Array} files - Files named by their relative path
+ * @param {Object} filter - { include, exclude } globs (see createPathFilter)
+ * @returns {Array} The files to load, sorted by path
+ */
+export function selectFolderFiles(files, filter = {}) {
+  const accepts = createPathFilter(filter);
+  return files
+    .filter(file => LOADABLE_FILE_REGEX.test(file.name) && (isArchiveFile(file) || accepts(file.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
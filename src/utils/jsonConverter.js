@@ -0,0 +1,202 @@
+/**
+ * XML to JSON Conversion
+ * Converts whole documents, values included, to JSON in one of three conventions:
+ * - Badgerfish: every element is an object, attributes are "@name", text is "$" and namespace
+ *   declarations are kept in "@xmlns"
+ * - Parker: the root element is dropped, attributes are dropped and text-only elements become plain values
+ * - Custom: attributes and text under a configurable prefix and key ("@name", "#text"), text-only
+ *   elements without attributes become plain values
+ * Files are streamed through the SAX parser, so conversion runs in the worker pool.
+ */
+
+import { createSaxParser } from './saxParser';
+import { feedStream } from './streamingParser';
+import { splitQualifiedName, extendNamespaceScope, resolveNamespacePrefix } from './namespaces';
+
+export const JSON_CONVENTIONS = [
+  { value: 'badgerfish', label: 'Badgerfish', description: 'Attributes as "@name", text as "$", namespace declarations in "@xmlns"; values stay strings' },
+  { value: 'parker', label: 'Parker', description: 'Root element, attributes and namespaces dropped; text-only elements become plain values' },
+  { value: 'custom', label: 'Custom', description: 'Attributes and text under the prefix and key below; text-only elements become plain values' },
+];
+
+export const DEFAULT_JSON_OPTIONS = {
+  convention: 'badgerfish',
+  attributePrefix: '@',
+  textKey: '#text',
+  typedValues: false,
+  consistentArrays: true,
+  pretty: true,
+};
+
+// Plain decimal numbers; leading zeros ("007") mark codes, which stay strings
+const NUMBER_REGEX = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+// Turn "42", "-1.5" and "true" into JSON numbers and booleans; integers too large to keep every digit stay strings
+function toTypedValue(text) {
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (NUMBER_REGEX.test(text)) {
+    const number = Number(text);
+    if (Number.isFinite(number) && (!Number.isInteger(number) || Number.isSafeInteger(number))) {
+      return number;
+    }
+  }
+  return text;
+}
+
+/**
+ * Create SAX handlers building the JSON value of a document
+ * Element and attribute names are labelled the way the field tree shows them, so files writing
+ * the same namespace with different prefixes convert to the same keys.
+ * Elements repeated under one parent become arrays; with arrayPaths, so do the elements that
+ * repeat in any loaded file, keeping the shape the same across a batch.
+ * @param {Object} options - See DEFAULT_JSON_OPTIONS, plus namespaceLabels (uri -> { uri, label })
+ *   and arrayPaths (labelled element paths to always write as arrays)
+ * @returns {Object} { handlers, getResult() => the JSON value (undefined before the root element closes) }
+ */
+export function createJsonBuilder(options = {}) {
+  const {
+    convention,
+    attributePrefix,
+    textKey,
+    typedValues,
+    namespaceLabels = new Map(),
+    arrayPaths = [],
+  } = { ...DEFAULT_JSON_OPTIONS, ...options };
+  const alwaysArrays = new Set(arrayPaths);
+  const isBadgerfish = convention === 'badgerfish';
+  const frames = [];
+  let result;
+
+  const labelName = (namespaceURI, localName) => {
+    const entry = namespaceLabels.get(namespaceURI || '');
+    return entry && entry.label ? `${entry.label}:${localName}` : localName;
+  };
+
+  const toValue = (text) => (typedValues && !isBadgerfish ? toTypedValue(text) : text);
+
+  // Child elements by name, in first-seen order; single ones unwrapped unless they are known to repeat
+  const addChildren = (target, frame) => {
+    frame.children.forEach((values, name) => {
+      target[name] = values.length > 1 || alwaysArrays.has(`${frame.path} > ${name}`) ? values : values[0];
+    });
+  };
+
+  const buildValue = (frame) => {
+    const text = frame.text.trim();
+    if (isBadgerfish) {
+      const value = {};
+      if (frame.namespaces.length > 0) {
+        value['@xmlns'] = Object.fromEntries(frame.namespaces);
+      }
+      frame.attributes.forEach(([name, attributeValue]) => {
+        value[`@${name}`] = attributeValue;
+      });
+      if (text) {
+        value.$ = text;
+      }
+      addChildren(value, frame);
+      return value;
+    }
+
+    const attributes = convention === 'parker' ? [] : frame.attributes;
+    if (attributes.length === 0 && frame.children.size === 0) {
+      return text ? toValue(text) : null;
+    }
+    const value = {};
+    attributes.forEach(([name, attributeValue]) => {
+      value[`${attributePrefix}${name}`] = toValue(attributeValue);
+    });
+    // Parker keeps no text beside child elements (mixed content)
+    if (text && (convention !== 'parker' || frame.children.size === 0)) {
+      value[textKey] = toValue(text);
+    }
+    addChildren(value, frame);
+    return value;
+  };
+
+  const handlers = {
+    onOpenTag: ({ name, attributes }) => {
+      const parentFrame = frames[frames.length - 1];
+      const scope = extendNamespaceScope(parentFrame ? parentFrame.scope : new Map(), attributes);
+      const { prefix, localName } = splitQualifiedName(name);
+      const elementName = labelName(resolveNamespacePrefix(scope, prefix), localName);
+      const frame = {
+        name: elementName,
+        path: parentFrame ? `${parentFrame.path} > ${elementName}` : elementName,
+        scope,
+        namespaces: [],
+        attributes: [],
+        children: new Map(),
+        text: '',
+      };
+
+      attributes.forEach(attribute => {
+        if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) {
+          // Declarations are written under the labels the names use ("$" for the default namespace)
+          const entry = attribute.value ? namespaceLabels.get(attribute.value) : null;
+          const label = entry ? entry.label : attribute.name.slice(6);
+          frame.namespaces.push([label || '$', attribute.value]);
+          return;
+        }
+        // Unprefixed attributes are in no namespace
+        const parts = splitQualifiedName(attribute.name);
+        const attributeName = parts.prefix
+          ? labelName(resolveNamespacePrefix(scope, parts.prefix), parts.localName)
+          : parts.localName;
+        frame.attributes.push([attributeName, attribute.value]);
+      });
+      frames.push(frame);
+    },
+    onText: (text) => {
+      if (frames.length > 0) {
+        frames[frames.length - 1].text += text;
+      }
+    },
+    onCData: (text) => {
+      if (frames.length > 0) {
+        frames[frames.length - 1].text += text;
+      }
+    },
+    onCloseTag: () => {
+      const frame = frames.pop();
+      const value = buildValue(frame);
+      const parentFrame = frames[frames.length - 1];
+      if (!parentFrame) {
+        result = convention === 'parker' ? value : { [frame.name]: value };
+        return;
+      }
+      if (!parentFrame.children.has(frame.name)) {
+        parentFrame.children.set(frame.name, []);
+      }
+      parentFrame.children.get(frame.name).push(value);
+    },
+  };
+
+  return { handlers, getResult: () => result };
+}
+
+/**
+ * Convert a File/Blob to JSON
+ * @param {Blob} blob - The file
+ * @param {Object} options - See createJsonBuilder, plus lenient, encoding and onProgress(bytesRead, totalBytes)
+ * @returns {Promise<string>} The JSON text
+ */
+export async function convertXMLStreamToJSON(blob, options = {}) {
+  const { lenient = false, encoding = null, onProgress = null, pretty = DEFAULT_JSON_OPTIONS.pretty, ...builderOptions } = options;
+  const { handlers, getResult } = createJsonBuilder(builderOptions);
+  await feedStream(blob, createSaxParser(handlers, { lenient }), { encoding, onProgress });
+  return JSON.stringify(getResult() ?? null, null, pretty ? 2 : 0);
+}
+
+/**
+ * Name of the JSON file converted from a loaded file
+ * Folder paths are kept; characters most file systems reject become "_"
+ * @param {string} filename - Name of the loaded file, e.g. "orders/1.xml", "app.log#3" or "orders/2.json"
+ * @returns {string} e.g. "orders/1.json" or "app.log_3.json"
+ */
+export function toJsonFilename(filename) {
+  const withoutExtension = filename.replace(/\.(xml|txt|json)$/i, '');
+  return `${withoutExtension.replace(/[<>:"\\|?*#]+/g, '_')}.json`;
+}
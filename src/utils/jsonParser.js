@@ -0,0 +1,163 @@
+/**
+ * JSON Parsing
+ * Maps JSON documents onto the XML field model, so JSON files are analysed, compared and
+ * exported like XML ones (and mixed XML/JSON batches line up):
+ * - an object is an element, each property a child element named after its key
+ * - an array repeats its key: "Line": [a, b] is two Line elements (arrays inside arrays are "item" elements)
+ * - a string, number or boolean is the element's value; null is an empty element
+ * - "@name" properties are attributes and "#text" or "$" the element's own text, the way the
+ *   JSON export writes them, with "@xmlns" holding namespace declarations (Badgerfish)
+ * A document that is an object with a single object property is rooted at that property
+ * ({ "Order": { ... } } has the root Order); any other document is rooted at "root".
+ */
+
+import { createFieldCollector } from './xmlParser';
+import { createSourceSnippet } from './saxParser';
+
+const JSON_FILE_REGEX = /\.json$/i;
+
+export const JSON_ROOT_NAME = 'root';
+
+export const JSON_ARRAY_ITEM_NAME = 'item';
+
+const TEXT_KEYS = new Set(['#text', '$']);
+
+/**
+ * Check whether a file is a JSON document
+ * @param {File} file - File to check
+ * @returns {boolean} True for .json files
+ */
+export function isJsonFile(file) {
+  return JSON_FILE_REGEX.test(file.name) || file.type === 'application/json';
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Value of a primitive as element text or attribute value; nested structures in attributes are kept as JSON
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Badgerfish "@xmlns": { "$": default URI, prefix: URI } (or just the default URI) as xmlns attributes
+function toNamespaceAttributes(declarations) {
+  if (!isPlainObject(declarations)) {
+    return [{ name: 'xmlns', value: toText(declarations) }];
+  }
+  return Object.entries(declarations).map(([prefix, uri]) => ({
+    name: prefix === '$' ? 'xmlns' : `xmlns:${prefix}`,
+    value: toText(uri),
+  }));
+}
+
+/**
+ * Feed a parsed JSON value to a collector as element events, mapped as described above
+ * @param {*} document - Result of JSON.parse
+ * @param {Object} collector - { openElement(name, attributes), addText(text), closeElement() },
+ *   e.g. a field collector (see createFieldCollector)
+ */
+export function walkJSON(document, collector) {
+  const addElement = (name, value) => {
+    if (Array.isArray(value)) {
+      collector.openElement(name);
+      value.forEach(item => addElement(JSON_ARRAY_ITEM_NAME, item));
+      collector.closeElement();
+      return;
+    }
+    if (!isPlainObject(value)) {
+      collector.openElement(name);
+      collector.addText(toText(value));
+      collector.closeElement();
+      return;
+    }
+
+    const entries = Object.entries(value);
+    const attributes = [];
+    entries.forEach(([key, entryValue]) => {
+      if (key === '@xmlns') {
+        attributes.push(...toNamespaceAttributes(entryValue));
+      } else if (key.startsWith('@') && key.length > 1) {
+        attributes.push({ name: key.slice(1), value: toText(entryValue) });
+      }
+    });
+    collector.openElement(name, attributes);
+    entries.forEach(([key, entryValue]) => {
+      if (TEXT_KEYS.has(key)) {
+        collector.addText(toText(entryValue));
+      } else if (!key.startsWith('@') || key.length === 1) {
+        addValue(key, entryValue);
+      }
+    });
+    collector.closeElement();
+  };
+
+  // An array property repeats its key, every other value is one element
+  const addValue = (name, value) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => addElement(name, item));
+      return;
+    }
+    addElement(name, value);
+  };
+
+  const keys = isPlainObject(document) ? Object.keys(document) : [];
+  if (keys.length === 1 && isPlainObject(document[keys[0]]) && !keys[0].startsWith('@') && !TEXT_KEYS.has(keys[0])) {
+    addElement(keys[0], document[keys[0]]);
+  } else {
+    addElement(JSON_ROOT_NAME, document);
+  }
+}
+
+/**
+ * Extract fields from a parsed JSON value
+ * Produces the same field model as extractFields does for XML
+ * @param {*} document - Result of JSON.parse
+ * @returns {Array} Array of field objects with nesting info
+ */
+export function extractFieldsFromJSON(document) {
+  const collector = createFieldCollector();
+  walkJSON(document, collector);
+  return collector.getFields();
+}
+
+// Line and column of a JSON.parse error, from "line 3 column 5" (Firefox, recent Chrome) or "position 42"
+function locateSyntaxError(error, text) {
+  const lineMatch = error.message.match(/line (\d+) column (\d+)/);
+  if (lineMatch) {
+    return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+  }
+  const positionMatch = error.message.match(/position (\d+)/);
+  if (positionMatch) {
+    const before = text.slice(0, Number(positionMatch[1])).split(/\r\n?|\n/);
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+  return { line: null, column: null };
+}
+
+/**
+ * Parse JSON text into fields
+ * Syntax errors carry the line and column (when the browser reports them) and a source snippet.
+ * @param {string} text - The JSON content
+ * @returns {Object} { fields, warnings: [], warningCount: 0 }, the shape parseFieldsFromText returns
+ */
+export function parseFieldsFromJSON(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    const { line, column } = locateSyntaxError(error, text);
+    // Drop the position (reported on its own) and any copy of the source ('Unexpected token, "{ ..." is not valid JSON')
+    const message = error.message
+      .replace(/^JSON\.parse: /, '')
+      .replace(/ (in JSON )?at (position \d+|line \d+ column \d+).*$/s, '')
+      .replace(/, ".*" is not valid JSON$/s, '');
+    const parseError = new Error(`JSON Parse Error: ${message}${line !== null ? ` (line ${line}, column ${column})` : ''}`);
+    parseError.line = line;
+    parseError.column = column;
+    parseError.snippet = line !== null ? createSourceSnippet(text, line, column) : null;
+    throw parseError;
+  }
+  return { fields: extractFieldsFromJSON(document), warnings: [], warningCount: 0 };
+}
@@ -0,0 +1,295 @@
+/**
+ * XML Namespace Utility
+ * Resolves element names to (namespace URI, local name) pairs and builds the canonical
+ * field names used to compare files that bind the same namespace to different prefixes
+ */
+
+export const XML_NAMESPACE_URI = 'http://www.w3.org/XML/1998/namespace';
+
+// Namespace actions available in the namespace panel
+export const NAMESPACE_ACTIONS = {
+  KEEP: 'keep',
+  IGNORE: 'ignore',
+  MAP: 'map',
+};
+
+/**
+ * Split a qualified name into prefix and local name
+ * @param {string} qualifiedName - e.g. "inv:Invoice" or "Invoice"
+ * @returns {{prefix: string, localName: string}} Prefix ('' when unprefixed) and local name
+ */
+export function splitQualifiedName(qualifiedName) {
+  const colon = qualifiedName.indexOf(':');
+  if (colon === -1) {
+    return { prefix: '', localName: qualifiedName };
+  }
+  return { prefix: qualifiedName.slice(0, colon), localName: qualifiedName.slice(colon + 1) };
+}
+
+/**
+ * Extend a namespace scope with the xmlns declarations found in an element's attributes
+ * @param {Map} parentScope - prefix -> URI bindings in scope at the parent ('' is the default namespace)
+ * @param {Array} attributes - Array of { name, value } objects
+ * @returns {Map} The parent scope itself when nothing is declared, otherwise a new extended scope
+ */
+export function extendNamespaceScope(parentScope, attributes) {
+  let scope = parentScope;
+  attributes.forEach(({ name, value }) => {
+    let prefix = null;
+    if (name === 'xmlns') {
+      prefix = '';
+    } else if (name.startsWith('xmlns:')) {
+      prefix = name.slice(6);
+    }
+    if (prefix === null) {
+      return;
+    }
+    if (scope === parentScope) {
+      scope = new Map(parentScope);
+    }
+    // xmlns="" undeclares the default namespace
+    scope.set(prefix, value || null);
+  });
+  return scope;
+}
+
+/**
+ * Resolve a prefix against a namespace scope
+ * @param {Map} scope - prefix -> URI bindings
+ * @param {string} prefix - Prefix ('' for unprefixed element names)
+ * @returns {string|null} Namespace URI, or null for no namespace (or an undeclared prefix)
+ */
+export function resolveNamespacePrefix(scope, prefix) {
+  if (prefix === 'xml') {
+    return XML_NAMESPACE_URI;
+  }
+  return scope.get(prefix) || null;
+}
+
+/**
+ * Build the Clark-notation name used as namespace-aware identity: "{uri}local" or "local"
+ * @param {string|null} namespaceURI - Namespace URI
+ * @param {string} localName - Local name
+ * @returns {string} Clark name
+ */
+export function toClarkName(namespaceURI, localName) {
+  return namespaceURI ? `{${namespaceURI}}${localName}` : localName;
+}
+
+/**
+ * Parse a Clark-notation name
+ * @param {string} clarkName - "{uri}local" or "local"
+ * @returns {{namespaceURI: string|null, localName: string}} Parsed name
+ */
+export function parseClarkName(clarkName) {
+  if (!clarkName.startsWith('{')) {
+    return { namespaceURI: null, localName: clarkName };
+  }
+  const close = clarkName.indexOf('}');
+  return { namespaceURI: clarkName.slice(1, close), localName: clarkName.slice(close + 1) };
+}
+
+/**
+ * List the namespaces used by element fields across files
+ * @param {Array} files - Array of {filename, fields} objects
+ * @returns {Array} [{ uri, prefixes: [{ prefix, count }], files: [filename], fieldCount }], most used first;
+ *   uri is '' for elements in no namespace
+ */
+export function collectNamespaces(files) {
+  const namespaces = new Map();
+
+  files.forEach(file => {
+    (file.fields || []).forEach(field => {
+      // Unprefixed attributes are in no namespace by definition; they never clash with
+      // element names, so they don't claim the unprefixed label
+      if (field.localName === undefined || (field.isAttribute && !field.namespaceURI)) {
+        return;
+      }
+      const uri = field.namespaceURI || '';
+      if (!namespaces.has(uri)) {
+        namespaces.set(uri, { uri, prefixCounts: new Map(), files: new Set(), fieldCount: 0 });
+      }
+      const entry = namespaces.get(uri);
+      const prefix = field.prefix || '';
+      entry.prefixCounts.set(prefix, (entry.prefixCounts.get(prefix) || 0) + 1);
+      entry.files.add(file.filename);
+      entry.fieldCount += 1;
+    });
+  });
+
+  return Array.from(namespaces.values())
+    .map(entry => ({
+      uri: entry.uri,
+      prefixes: Array.from(entry.prefixCounts.entries())
+        .map(([prefix, count]) => ({ prefix, count }))
+        .sort((a, b) => b.count - a.count || a.prefix.localeCompare(b.prefix)),
+      files: Array.from(entry.files),
+      fieldCount: entry.fieldCount,
+    }))
+    .sort((a, b) => b.fieldCount - a.fieldCount || a.uri.localeCompare(b.uri));
+}
+
+/**
+ * Decide the canonical label (display prefix) for every namespace
+ * Labels are unique per URI, so two namespaces never collapse into one just because partners
+ * happened to pick the same prefix; the unprefixed label '' is reserved for no-namespace
+ * elements when there are any.
+ * @param {Array} namespaces - Result of collectNamespaces
+ * @param {Object} settings - { [uri]: { action, mapTo, prefix } } from the namespace panel
+ * @returns {Map} uri -> { uri (after mapping), label (null when ignored) }
+ */
+export function resolveNamespaceLabels(namespaces, settings = {}) {
+  const labels = new Map();
+  const takenLabels = new Set();
+  const keptNamespaces = [];
+
+  // First free candidate, or a generated nsN label
+  const claimLabel = (candidates) => {
+    let label = candidates.find(candidate => !takenLabels.has(candidate));
+    for (let n = 1; label === undefined; n++) {
+      if (!takenLabels.has(`ns${n}`)) {
+        label = `ns${n}`;
+      }
+    }
+    takenLabels.add(label);
+    return label;
+  };
+
+  if (namespaces.some(ns => ns.uri === '')) {
+    takenLabels.add('');
+    labels.set('', { uri: '', label: '' });
+  }
+
+  namespaces.forEach(ns => {
+    if (ns.uri === '') {
+      return;
+    }
+    const setting = settings[ns.uri] || {};
+    if (setting.action === NAMESPACE_ACTIONS.IGNORE) {
+      labels.set(ns.uri, { uri: '', label: null });
+    } else if (setting.action !== NAMESPACE_ACTIONS.MAP) {
+      keptNamespaces.push(ns);
+    }
+  });
+
+  keptNamespaces.forEach(ns => {
+    const setting = settings[ns.uri] || {};
+    const candidates = [
+      ...(setting.prefix && setting.prefix.trim() ? [setting.prefix.trim()] : []),
+      ...ns.prefixes.map(({ prefix }) => prefix),
+    ];
+    labels.set(ns.uri, { uri: ns.uri, label: claimLabel(candidates) });
+  });
+
+  // Mapped namespaces borrow the identity of their target (one hop; mapping to a
+  // mapped or unknown namespace falls back to keeping the source as is)
+  namespaces.forEach(ns => {
+    const setting = settings[ns.uri] || {};
+    if (ns.uri === '' || setting.action !== NAMESPACE_ACTIONS.MAP) {
+      return;
+    }
+    const target = labels.get(setting.mapTo || '');
+    if (target && setting.mapTo !== ns.uri) {
+      labels.set(ns.uri, target);
+      return;
+    }
+    labels.set(ns.uri, { uri: ns.uri, label: claimLabel(ns.prefixes.map(({ prefix }) => prefix)) });
+  });
+
+  return labels;
+}
+
+/**
+ * Render a qualified (Clark) path with canonical labels
+ * @param {string} qualifiedPath - "{uri}a > {uri}b > @attr"
+ * @param {Map} labels - Result of resolveNamespaceLabels
+ * @returns {string} e.g. "inv:Invoice > inv:Line"
+ */
+export function labelQualifiedPath(qualifiedPath, labels) {
+  return qualifiedPath
+    .split(' > ')
+    .map(segment => {
+      // Attribute segments keep their "@" marker in front of the label
+      const marker = segment.startsWith('@') ? '@' : '';
+      const { namespaceURI, localName } = parseClarkName(segment.slice(marker.length));
+      const entry = labels.get(namespaceURI || '');
+      return entry && entry.label ? `${marker}${entry.label}:${localName}` : `${marker}${localName}`;
+    })
+    .join(' > ');
+}
+
+// Add child element orders (see createFieldCollector) to already labelled ones, labelling their
+// names; orders that become identical are combined
+function addChildSequences(target, childSequences, labels) {
+  const combined = target.map(entry => ({ ...entry }));
+  childSequences.forEach(({ names, count }) => {
+    const labelled = names
+      .map(name => labelQualifiedPath(name, labels))
+      .filter((name, index, all) => index === 0 || name !== all[index - 1]);
+    const key = labelled.join(' > ');
+    const existing = combined.find(entry => entry.names.join(' > ') === key);
+    if (existing) {
+      existing.count += count;
+    } else {
+      combined.push({ names: labelled, count });
+    }
+  });
+  return combined;
+}
+
+/**
+ * Rename fields to their canonical namespace-aware names
+ * Fields with the same (namespace URI, local name) path get identical names and paths whatever
+ * prefix each file used, so comparison and merging can keep matching on name and path strings.
+ * Fields that become identical (e.g. after ignoring a namespace) are combined.
+ * @param {Array} fields - Field objects from extractFields
+ * @param {Map} labels - Result of resolveNamespaceLabels
+ * @returns {Array} Renamed field objects (the input is not modified)
+ */
+export function applyNamespaceLabels(fields, labels) {
+  const renamed = [];
+  const byPath = new Map();
+
+  fields.forEach(field => {
+    if (!field.qualifiedPath) {
+      renamed.push(field);
+      return;
+    }
+
+    const path = labelQualifiedPath(field.qualifiedPath, labels);
+    const separator = path.lastIndexOf(' > ');
+    const entry = labels.get(field.namespaceURI || '');
+    const existing = byPath.get(path);
+
+    if (existing) {
+      existing.occurrences += field.occurrences || 0;
+      // Both elements now count towards one field, so a parent instance may hold both
+      existing.minOccurs = Math.max(existing.minOccurs ?? 0, field.minOccurs ?? 0);
+      existing.maxOccurs = (existing.maxOccurs ?? 0) + (field.maxOccurs ?? 0);
+      existing.hasChildren = existing.hasChildren || field.hasChildren;
+      existing.isMixedContent = existing.isMixedContent || field.isMixedContent;
+      existing.childOrderVaries = existing.childOrderVaries || field.childOrderVaries;
+      existing.childSequences = addChildSequences(existing.childSequences, field.childSequences || [], labels);
+      existing.childCount = Math.max(existing.childCount || 0, field.childCount || 0);
+      existing.valueCounts = { ...existing.valueCounts };
+      Object.entries(field.valueCounts || {}).forEach(([value, count]) => {
+        existing.valueCounts[value] = (existing.valueCounts[value] || 0) + count;
+      });
+      existing.uniqueValues = Object.keys(existing.valueCounts).length;
+      return;
+    }
+
+    const canonical = {
+      ...field,
+      name: separator === -1 ? path : path.slice(separator + 3),
+      path,
+      parentPath: separator === -1 ? '' : path.slice(0, separator),
+      namespaceURI: entry ? entry.uri || null : field.namespaceURI,
+      childSequences: addChildSequences([], field.childSequences || [], labels),
+    };
+    byPath.set(path, canonical);
+    renamed.push(canonical);
+  });
+
+  return renamed;
+}
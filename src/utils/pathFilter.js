@@ -0,0 +1,54 @@
+/**
+ * Path Filter
+ * Glob matching for the relative paths of files loaded from archives and folders
+ */
+
+// Translate one glob into a regular expression: * and ? stay within a path segment, ** crosses them
+function globToRegex(glob) {
+  let source = '';
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (glob[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Split a comma or newline separated list of globs
+function parseGlobs(globs) {
+  return (globs || '').split(/[,\n]/).map(glob => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Build a filter for relative paths (archive entries, files in folders) from include and exclude globs
+ * Globs are separated by commas; one without a "/" is matched against the file name only.
+ * @param {Object} filter - { include, exclude } glob lists (an empty include list takes every entry)
+ * @returns {Function} (path) => boolean
+ */
+export function createPathFilter({ include = '', exclude = '' } = {}) {
+  const toMatcher = (glob) => {
+    const regex = globToRegex(glob);
+    return glob.includes('/')
+      ? path => regex.test(path)
+      : path => regex.test(path.slice(path.lastIndexOf('/') + 1));
+  };
+  const includes = parseGlobs(include).map(toMatcher);
+  const excludes = parseGlobs(exclude).map(toMatcher);
+
+  return path => (includes.length === 0 || includes.some(matches => matches(path)))
+    && !excludes.some(matches => matches(path));
+}
@@ -0,0 +1,168 @@
+/**
+ * Record Flattener
+ * Turns every instance of a repeating element (e.g. "Invoice > Lines > Line") into a row, with the
+ * values of its leaf descendants and attributes as columns. Files are streamed through the SAX
+ * parser, so large files are flattened without building a DOM.
+ */
+
+import * as XLSX from 'xlsx';
+import { clampExcelText, workbookToBlob } from './fileExport';
+import { createSaxParser } from './saxParser';
+import { feedStream } from './streamingParser';
+import { splitQualifiedName, extendNamespaceScope, resolveNamespacePrefix } from './namespaces';
+
+// Rows kept per file; later instances are still counted
+export const MAX_RECORDS_PER_FILE = 10000;
+
+// Column of the record element's own text, when it has no child elements
+export const RECORD_TEXT_COLUMN = '#text';
+
+// Values of a column repeated inside one record (e.g. several Tax elements in a Line) are joined
+const REPEATED_VALUE_SEPARATOR = ' | ';
+
+/**
+ * Create SAX handlers collecting the instances of one element path
+ * Names are matched by namespace, labelled the way the field tree shows them, so the same
+ * element written with different prefixes in different files lands in the same column.
+ * @param {string} recordPath - Labelled path of the repeating element, e.g. "inv:Invoice > inv:Line"
+ * @param {Map} namespaceLabels - Result of resolveNamespaceLabels (uri -> { uri, label })
+ * @returns {Object} { handlers, getResult() => { columns, rows: [{ index, values }], recordCount } }
+ */
+export function createRecordCollector(recordPath, namespaceLabels = new Map()) {
+  const columns = [];
+  const knownColumns = new Set();
+  const rows = [];
+  const openFrames = [];
+  let recordCount = 0;
+  let record = null; // { depth, values: Map(column -> [values]) } while inside an instance
+
+  const labelName = (namespaceURI, localName) => {
+    const entry = namespaceLabels.get(namespaceURI || '');
+    return entry && entry.label ? `${entry.label}:${localName}` : localName;
+  };
+
+  const addValue = (column, value) => {
+    if (!knownColumns.has(column)) {
+      knownColumns.add(column);
+      columns.push(column);
+    }
+    if (!record.values.has(column)) {
+      record.values.set(column, []);
+    }
+    record.values.get(column).push(value);
+  };
+
+  // Column of a path below the record element ('' for the record element itself)
+  const relativeColumn = (path) => (path.length > recordPath.length ? path.slice(recordPath.length + 3) : '');
+
+  const handlers = {
+    onOpenTag: ({ name, attributes }) => {
+      const parentFrame = openFrames[openFrames.length - 1];
+      if (parentFrame) {
+        parentFrame.hasChildElements = true;
+      }
+      const scope = extendNamespaceScope(parentFrame ? parentFrame.scope : new Map(), attributes);
+      const { prefix, localName } = splitQualifiedName(name);
+      const segment = labelName(resolveNamespacePrefix(scope, prefix), localName);
+      const path = parentFrame ? `${parentFrame.path} > ${segment}` : segment;
+      openFrames.push({ path, scope, hasChildElements: false, text: '' });
+
+      if (!record && path === recordPath) {
+        record = { depth: openFrames.length, values: new Map() };
+      }
+      if (!record) {
+        return;
+      }
+      const column = relativeColumn(path);
+      attributes.forEach(attribute => {
+        if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) {
+          return;
+        }
+        // Unprefixed attributes are in no namespace
+        const parts = splitQualifiedName(attribute.name);
+        const attributeName = `@${parts.prefix ? labelName(resolveNamespacePrefix(scope, parts.prefix), parts.localName) : parts.localName}`;
+        addValue(column ? `${column} > ${attributeName}` : attributeName, attribute.value);
+      });
+    },
+    onText: (text) => {
+      if (record) {
+        openFrames[openFrames.length - 1].text += text;
+      }
+    },
+    onCData: (text) => {
+      if (record) {
+        openFrames[openFrames.length - 1].text += text;
+      }
+    },
+    onCloseTag: () => {
+      const frame = openFrames.pop();
+      if (!record) {
+        return;
+      }
+      if (!frame.hasChildElements) {
+        addValue(relativeColumn(frame.path) || RECORD_TEXT_COLUMN, frame.text.trim());
+      }
+      if (openFrames.length + 1 === record.depth) {
+        recordCount += 1;
+        if (rows.length < MAX_RECORDS_PER_FILE) {
+          const values = {};
+          record.values.forEach((list, column) => {
+            values[column] = list.join(REPEATED_VALUE_SEPARATOR);
+          });
+          rows.push({ index: recordCount, values });
+        }
+        record = null;
+      }
+    },
+  };
+
+  return { handlers, getResult: () => ({ columns, rows, recordCount }) };
+}
+
+/**
+ * Flatten the instances of an element path in a File/Blob
+ * @param {Blob} blob - The file
+ * @param {string} recordPath - Labelled path of the repeating element
+ * @param {Object} options - { namespaceLabels, lenient, encoding, onProgress(bytesRead, totalBytes) }
+ * @returns {Promise<Object>} { columns, rows: [{ index, values }], recordCount }
+ */
+export async function flattenRecordsFromStream(blob, recordPath, options = {}) {
+  const { namespaceLabels, lenient = false, ...streamOptions } = options;
+  const { handlers, getResult } = createRecordCollector(recordPath, namespaceLabels);
+  await feedStream(blob, createSaxParser(handlers, { lenient }), streamOptions);
+  return getResult();
+}
+
+// Header and value rows shared by the CSV and Excel exports
+function toTable(columns, rows) {
+  return [
+    ['File', 'Instance', ...columns],
+    ...rows.map(row => [row.filename, row.index, ...columns.map(column => row.values[column] ?? '')]),
+  ];
+}
+
+/**
+ * Export flattened records to CSV
+ * @param {Array} columns - Column keys
+ * @param {Array} rows - [{ filename, index, values }]
+ * @returns {string} CSV content
+ */
+export function recordsToCSV(columns, rows) {
+  const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  return toTable(columns, rows).map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Export flattened records to Excel
+ * @param {Array} columns - Column keys
+ * @param {Array} rows - [{ filename, index, values }]
+ * @param {string} recordPath - The flattened element path, used as the sheet's title row
+ * @returns {Blob} Excel file blob
+ */
+export function recordsToExcel(columns, rows, recordPath) {
+  const workbook = XLSX.utils.book_new();
+  const data = [[`Records: ${recordPath}`], [], ...toTable(columns, rows).map(row => row.map(clampExcelText))];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Records');
+
+  return workbookToBlob(workbook);
+}
@@ -0,0 +1,535 @@
+/**
+ * Streaming SAX-style XML Tokenizer
+ * Emits markup events chunk by chunk so large documents never need a DOM
+ */
+
+const NAME_START_REGEX = /[A-Za-z_:\u00C0-\uFFFF]/;
+const NAME_REGEX = /^[^\s/>=]+/;
+const ATTRIBUTE_REGEX = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+// Longest markup opener we need to see in full before deciding what a '<' starts
+const MARKUP_LOOKAHEAD = 10;
+
+// Source snippets show this many lines around an error, and at most this much of each line
+const SNIPPET_CONTEXT_LINES = 2;
+const SNIPPET_MAX_LINE_LENGTH = 160;
+
+// Unquoted attribute values, accepted (with a warning) only in lenient mode
+const UNQUOTED_ATTRIBUTE_REGEX = /\s*([^\s=/>]+)\s*=\s*([^\s"'>]+)/y;
+
+/**
+ * Cut the lines around an error out of the source, for display
+ * Long lines (minified XML) are shortened to a window around the error column
+ * @param {string} text - Source text
+ * @param {number} line - 1-based line of the error
+ * @param {number} column - 1-based column of the error
+ * @param {Object} start - { line, column } of the first character of text, when text is a fragment
+ * @returns {Object|null} { line, column, lines: [{ number, text, isErrorLine }], highlightIndex },
+ *   where highlightIndex is the position of the error in the error line's text; null when the line is not in text
+ */
+export function createSourceSnippet(text, line, column, start = { line: 1, column: 1 }) {
+  if (typeof text !== 'string' || !(line >= start.line)) {
+    return null;
+  }
+  const sourceLines = text.split(/\r\n?|\n/);
+  const errorIndex = line - start.line;
+  if (errorIndex >= sourceLines.length) {
+    return null;
+  }
+
+  // The first line of a fragment may start mid-line
+  const cutBefore = (index) => (index === 0 && start.column > 1);
+  const errorColumn = Math.max(0, (column || 1) - 1 - (errorIndex === 0 ? start.column - 1 : 0));
+  const windowStart = Math.max(0, errorColumn - SNIPPET_MAX_LINE_LENGTH / 2);
+
+  const shorten = (lineText, index) => {
+    const from = lineText.length <= SNIPPET_MAX_LINE_LENGTH
+      ? 0
+      : Math.min(windowStart, lineText.length - SNIPPET_MAX_LINE_LENGTH);
+    const prefix = from > 0 || cutBefore(index) ? '…' : '';
+    const suffix = from + SNIPPET_MAX_LINE_LENGTH < lineText.length ? '…' : '';
+    return { text: `${prefix}${lineText.slice(from, from + SNIPPET_MAX_LINE_LENGTH)}${suffix}`, shift: prefix.length - from };
+  };
+
+  const lines = [];
+  let highlightIndex = errorColumn;
+  const from = Math.max(0, errorIndex - SNIPPET_CONTEXT_LINES);
+  const to = Math.min(sourceLines.length - 1, errorIndex + SNIPPET_CONTEXT_LINES);
+  for (let index = from; index <= to; index++) {
+    const shortened = shorten(sourceLines[index], index);
+    if (index === errorIndex) {
+      highlightIndex = errorColumn + shortened.shift;
+    }
+    lines.push({ number: start.line + index, text: shortened.text, isErrorLine: index === errorIndex });
+  }
+  return { line, column, lines, highlightIndex };
+}
+
+/**
+ * Resolve the body of an entity or character reference (the part between & and ;)
+ * @param {string} reference - e.g. "amp", "#38" or "#x26"
+ * @returns {string|null} The referenced text, or null if the reference is not valid
+ */
+function resolveReference(reference) {
+  if (Object.prototype.hasOwnProperty.call(PREDEFINED_ENTITIES, reference)) {
+    return PREDEFINED_ENTITIES[reference];
+  }
+
+  let codePoint = NaN;
+  if (/^#x[0-9a-fA-F]+$/.test(reference)) {
+    codePoint = parseInt(reference.slice(2), 16);
+  } else if (/^#[0-9]+$/.test(reference)) {
+    codePoint = parseInt(reference.slice(1), 10);
+  }
+
+  if (Number.isNaN(codePoint) || codePoint > 0x10FFFF) {
+    return null;
+  }
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Create an incremental XML tokenizer
+ * Handlers are all optional:
+ * - onOpenTag({ name, attributes: [{ name, value }], selfClosing, line, column })
+ * - onCloseTag(name)
+ * - onText(text) / onCData(text) / onComment(text)
+ * - onProcessingInstruction({ target, data })
+ * - onDoctype(text)
+ * - onWarning({ message, line, column }) for errors recovered from in lenient mode
+ * Errors carry line, column and a source snippet (see createSourceSnippet).
+ * In lenient mode, unclosed and mismatched tags are closed where the document implies,
+ * stray "&" and "<" characters are kept as text and unquoted or repeated attributes are
+ * accepted, each with a warning instead of an error.
+ * @param {Object} handlers - Event callbacks
+ * @param {Object} options - { lenient }
+ * @returns {{write: Function, close: Function}} Parser handle; write() accepts string chunks
+ */
+export function createSaxParser(handlers = {}, options = {}) {
+  const { lenient = false } = options;
+  let buffer = '';
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+  let pendingCarriageReturn = '';
+  // Already parsed text just before the buffer, kept as context for error snippets
+  let context = '';
+  let contextStart = { line: 1, column: 1 };
+  let sawRoot = false;
+  let rootClosed = false;
+  let closed = false;
+  const openTags = [];
+
+  const emit = (name, payload) => {
+    if (typeof handlers[name] === 'function') {
+      handlers[name](payload);
+    }
+  };
+
+  // Line/column of an offset in the buffer, counted from the current position
+  const positionAt = (offset) => {
+    let targetLine = line;
+    let targetColumn = column;
+    let index = pos;
+    while (index < offset) {
+      const newline = buffer.indexOf('\n', index);
+      if (newline === -1 || newline >= offset) {
+        targetColumn += offset - index;
+        break;
+      }
+      targetLine += 1;
+      targetColumn = 1;
+      index = newline + 1;
+    }
+    return { line: targetLine, column: targetColumn };
+  };
+
+  // Keep the last few parsed lines (or the end of a long line) before dropping them from the buffer
+  const keepContext = () => {
+    let text = context + buffer.slice(0, pos);
+    let start = contextStart;
+    const skipTo = (index) => {
+      const skipped = text.slice(0, index);
+      const newlines = skipped.match(/\n/g);
+      start = newlines
+        ? { line: start.line + newlines.length, column: index - skipped.lastIndexOf('\n') }
+        : { line: start.line, column: start.column + index };
+      text = text.slice(index);
+    };
+
+    let newline = text.length;
+    for (let count = 0; count <= SNIPPET_CONTEXT_LINES && newline > 0; count++) {
+      newline = text.lastIndexOf('\n', newline - 1);
+    }
+    if (newline > 0) {
+      skipTo(newline + 1);
+    }
+    if (text.length > SNIPPET_MAX_LINE_LENGTH * (SNIPPET_CONTEXT_LINES + 1)) {
+      skipTo(text.length - SNIPPET_MAX_LINE_LENGTH * (SNIPPET_CONTEXT_LINES + 1));
+    }
+    context = text;
+    contextStart = start;
+  };
+
+  const advance = (offset) => {
+    const position = positionAt(offset);
+    line = position.line;
+    column = position.column;
+    pos = offset;
+  };
+
+  const fail = (message, offset = pos) => {
+    const position = positionAt(offset);
+    const error = new Error(`${message} (line ${position.line}, column ${position.column})`);
+    error.line = position.line;
+    error.column = position.column;
+    error.snippet = createSourceSnippet(context + buffer, position.line, position.column, contextStart);
+    throw error;
+  };
+
+  // Report a recovered error in lenient mode, or fail
+  const recover = (message, offset = pos) => {
+    if (!lenient) {
+      fail(message, offset);
+    }
+    const position = positionAt(offset);
+    emit('onWarning', { message, line: position.line, column: position.column });
+  };
+
+  const decodeEntities = (text, offset) => {
+    if (text.indexOf('&') === -1) {
+      return text;
+    }
+
+    let result = '';
+    let index = 0;
+    while (index < text.length) {
+      const ampersand = text.indexOf('&', index);
+      if (ampersand === -1) {
+        result += text.slice(index);
+        break;
+      }
+      result += text.slice(index, ampersand);
+
+      const semicolon = text.indexOf(';', ampersand);
+      const resolved = semicolon === -1 ? null : resolveReference(text.slice(ampersand + 1, semicolon));
+      if (resolved === null) {
+        recover('Invalid entity or stray "&" (escape it as &amp;)', offset + ampersand);
+        result += '&';
+        index = ampersand + 1;
+        continue;
+      }
+      result += resolved;
+      index = semicolon + 1;
+    }
+    return result;
+  };
+
+  const handleText = (start, end) => {
+    const raw = buffer.slice(start, end);
+    if (openTags.length === 0) {
+      // Text outside the root element: leading non-XML text (e.g. log prefixes in .txt files)
+      // is skipped, anything after the root element is an error
+      if (rootClosed && raw.trim().length > 0) {
+        fail('Extra content at the end of the document', start);
+      }
+      return;
+    }
+    emit('onText', decodeEntities(raw, start));
+  };
+
+  // Find the closing '>' of a start tag, skipping over quoted attribute values
+  const findTagEnd = (start) => {
+    let quote = null;
+    for (let index = start; index < buffer.length; index++) {
+      const char = buffer[index];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  // Find the end of <!DOCTYPE ...>, which may contain an internal subset in [...]
+  const findDoctypeEnd = (start) => {
+    let quote = null;
+    let bracketDepth = 0;
+    for (let index = start; index < buffer.length; index++) {
+      const char = buffer[index];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[') {
+        bracketDepth += 1;
+      } else if (char === ']') {
+        bracketDepth -= 1;
+      } else if (char === '>' && bracketDepth <= 0) {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  const parseAttributes = (source, offset) => {
+    const attributes = [];
+    const seen = new Set();
+    ATTRIBUTE_REGEX.lastIndex = 0;
+    let index = 0;
+
+    while (index < source.length) {
+      if (source.slice(index).trim().length === 0) {
+        break;
+      }
+      ATTRIBUTE_REGEX.lastIndex = index;
+      let match = ATTRIBUTE_REGEX.exec(source);
+      if (!match) {
+        recover('Malformed attribute (attribute values must be quoted)', offset + index);
+        UNQUOTED_ATTRIBUTE_REGEX.lastIndex = index;
+        match = UNQUOTED_ATTRIBUTE_REGEX.exec(source);
+        if (!match) {
+          // Nothing attribute-like is left: drop the rest of the tag
+          break;
+        }
+        ATTRIBUTE_REGEX.lastIndex = UNQUOTED_ATTRIBUTE_REGEX.lastIndex;
+      }
+      const name = match[1];
+      const rawValue = match[2] !== undefined ? match[2] : match[3];
+      if (rawValue.indexOf('<') !== -1) {
+        recover(`Unescaped "<" in value of attribute ${name}`, offset + index);
+      }
+      if (seen.has(name)) {
+        recover(`Attribute ${name} redefined`, offset + index);
+        index = ATTRIBUTE_REGEX.lastIndex;
+        continue;
+      }
+      seen.add(name);
+      // Attribute-value normalization: literal whitespace characters become spaces
+      const value = decodeEntities(rawValue, offset + index).replace(/[\t\n]/g, ' ');
+      attributes.push({ name, value });
+      index = ATTRIBUTE_REGEX.lastIndex;
+    }
+
+    return attributes;
+  };
+
+  const handleStartTag = (end) => {
+    let body = buffer.slice(pos + 1, end);
+    const selfClosing = body.endsWith('/');
+    if (selfClosing) {
+      body = body.slice(0, -1);
+    }
+
+    // A '<' before the closing '>' (outside attribute values) means this was never a tag
+    if (body.indexOf('<') !== -1 && body.replace(/"[^"]*"|'[^']*'/g, '').indexOf('<') !== -1) {
+      recover('Unescaped "<" (escape it as &lt;)');
+      return false;
+    }
+
+    const nameMatch = body.match(NAME_REGEX);
+    if (!nameMatch || !NAME_START_REGEX.test(nameMatch[0][0])) {
+      recover('Invalid element name');
+      return false;
+    }
+    if (rootClosed) {
+      fail('Extra content at the end of the document');
+    }
+
+    const name = nameMatch[0];
+    const attributes = parseAttributes(body.slice(name.length), pos + 1 + name.length);
+
+    sawRoot = true;
+    emit('onOpenTag', { name, attributes, selfClosing, line, column });
+    if (selfClosing) {
+      emit('onCloseTag', name);
+      if (openTags.length === 0) {
+        rootClosed = true;
+      }
+    } else {
+      openTags.push(name);
+    }
+    return true;
+  };
+
+  const handleEndTag = (end) => {
+    const name = buffer.slice(pos + 2, end).trim();
+    const expected = openTags[openTags.length - 1];
+    if (expected === undefined) {
+      recover(`Unexpected closing tag </${name}>`);
+      return;
+    }
+    if (name !== expected) {
+      recover(`Opening and ending tag mismatch: ${expected} and ${name}`);
+      if (!openTags.includes(name)) {
+        // Closes nothing that is open: ignore it
+        return;
+      }
+      // Close the elements left open inside the one being closed
+      while (openTags[openTags.length - 1] !== name) {
+        emit('onCloseTag', openTags.pop());
+      }
+    }
+    openTags.pop();
+    emit('onCloseTag', name);
+    if (openTags.length === 0) {
+      rootClosed = true;
+    }
+  };
+
+  const parse = (isFinal) => {
+    while (pos < buffer.length) {
+      if (buffer[pos] !== '<') {
+        let end = buffer.indexOf('<', pos);
+        if (end === -1) {
+          end = buffer.length;
+          if (!isFinal) {
+            // Hold back a possibly incomplete entity reference until the next chunk
+            const ampersand = buffer.lastIndexOf('&');
+            if (ampersand >= pos && buffer.indexOf(';', ampersand) === -1) {
+              end = ampersand;
+            }
+          }
+        }
+        if (end === pos) {
+          return;
+        }
+        handleText(pos, end);
+        advance(end);
+        continue;
+      }
+
+      if (!isFinal && buffer.length - pos < MARKUP_LOOKAHEAD) {
+        return;
+      }
+
+      let end;
+      if (buffer.startsWith('<!--', pos)) {
+        end = buffer.indexOf('-->', pos + 4);
+        if (end === -1) {
+          break;
+        }
+        emit('onComment', buffer.slice(pos + 4, end));
+        advance(end + 3);
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        end = buffer.indexOf(']]>', pos + 9);
+        if (end === -1) {
+          break;
+        }
+        if (openTags.length === 0) {
+          fail('CDATA section outside of the root element');
+        }
+        emit('onCData', buffer.slice(pos + 9, end));
+        advance(end + 3);
+      } else if (buffer.startsWith('<!DOCTYPE', pos)) {
+        end = findDoctypeEnd(pos + 9);
+        if (end === -1) {
+          break;
+        }
+        emit('onDoctype', buffer.slice(pos, end + 1));
+        advance(end + 1);
+      } else if (buffer.startsWith('<?', pos)) {
+        end = buffer.indexOf('?>', pos + 2);
+        if (end === -1) {
+          break;
+        }
+        const content = buffer.slice(pos + 2, end);
+        const target = (content.match(/^[^\s]+/) || [''])[0];
+        emit('onProcessingInstruction', { target, data: content.slice(target.length).trim() });
+        advance(end + 2);
+      } else if (buffer.startsWith('</', pos)) {
+        end = buffer.indexOf('>', pos + 2);
+        if (end === -1) {
+          break;
+        }
+        handleEndTag(end);
+        advance(end + 1);
+      } else if (!sawRoot && !NAME_START_REGEX.test(buffer[pos + 1] || '')) {
+        // A lone '<' in leading non-XML text, not the start of markup
+        advance(pos + 1);
+      } else {
+        end = findTagEnd(pos + 1);
+        if (end === -1) {
+          break;
+        }
+        if (handleStartTag(end)) {
+          advance(end + 1);
+        } else {
+          // Recovered: the '<' does not start a tag, keep it as text
+          if (openTags.length > 0) {
+            emit('onText', '<');
+          }
+          advance(pos + 1);
+        }
+      }
+    }
+
+    if (isFinal && pos < buffer.length) {
+      recover('Unexpected end of document inside markup');
+      advance(buffer.length);
+    }
+  };
+
+  return {
+    /**
+     * Feed the next chunk of XML text
+     * @param {string} chunk - Decoded text
+     */
+    write(chunk) {
+      if (closed) {
+        throw new Error('Cannot write to a closed parser');
+      }
+      let text = pendingCarriageReturn + chunk;
+      pendingCarriageReturn = '';
+      if (text.endsWith('\r')) {
+        pendingCarriageReturn = '\r';
+        text = text.slice(0, -1);
+      }
+      keepContext();
+      // End-of-line normalization, as an XML processor is required to do
+      buffer = buffer.slice(pos) + text.replace(/\r\n?/g, '\n');
+      pos = 0;
+      parse(false);
+    },
+
+    /**
+     * Signal end of input and verify the document is complete
+     */
+    close() {
+      if (closed) {
+        return;
+      }
+      keepContext();
+      buffer = buffer.slice(pos) + (pendingCarriageReturn ? '\n' : '');
+      pendingCarriageReturn = '';
+      pos = 0;
+      parse(true);
+      closed = true;
+
+      if (!sawRoot) {
+        fail('Document contains no XML elements');
+      }
+      if (openTags.length > 0) {
+        recover(`Premature end of data in tag ${openTags[openTags.length - 1]}`);
+        while (openTags.length > 0) {
+          emit('onCloseTag', openTags.pop());
+        }
+      }
+    },
+  };
+}
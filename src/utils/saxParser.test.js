@@ -0,0 +1,113 @@
+import { createSaxParser, createSourceSnippet } from './saxParser';
+import { parseFieldsFromText } from './streamingParser';
+import { extractFields, parseXML } from './xmlParser';
+
+// Run a document through the tokenizer in chunks of the given size and record its events
+const tokenize = (xml, { chunkSize = xml.length, lenient = false } = {}) => {
+  const events = [];
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes, selfClosing }) => events.push(['open', name, attributes, selfClosing]),
+    onCloseTag: (name) => events.push(['close', name]),
+    onText: (text) => events.push(['text', text]),
+    onCData: (text) => events.push(['cdata', text]),
+    onComment: (text) => events.push(['comment', text]),
+    onWarning: ({ message }) => events.push(['warning', message]),
+  }, { lenient });
+  for (let offset = 0; offset < xml.length; offset += chunkSize) {
+    parser.write(xml.slice(offset, offset + chunkSize));
+  }
+  parser.close();
+  return events;
+};
+
+// Text events can be split at chunk boundaries; join neighbouring ones to compare
+const joinText = (events) => events.reduce((joined, event) => {
+  const previous = joined[joined.length - 1];
+  if (event[0] === 'text' && previous && previous[0] === 'text') {
+    previous[1] += event[1];
+  } else {
+    joined.push([...event]);
+  }
+  return joined;
+}, []);
+
+const SAMPLE = `<?xml version="1.0"?>
+<!-- order -->
+<o:Order xmlns:o="urn:orders" id='7'>
+  <o:Note><![CDATA[a < b]]></o:Note>
+  <o:Line sku="A&amp;B"/>
+  <o:Total>12&#46;5</o:Total>
+</o:Order>`;
+
+describe('createSaxParser', () => {
+  test('emits tags, attributes, text, CDATA and comments in document order', () => {
+    const events = tokenize(SAMPLE).filter(event => event[0] !== 'text' || event[1].trim());
+    expect(events).toEqual([
+      ['comment', ' order '],
+      ['open', 'o:Order', [{ name: 'xmlns:o', value: 'urn:orders' }, { name: 'id', value: '7' }], false],
+      ['open', 'o:Note', [], false],
+      ['cdata', 'a < b'],
+      ['close', 'o:Note'],
+      ['open', 'o:Line', [{ name: 'sku', value: 'A&B' }], true],
+      ['close', 'o:Line'],
+      ['open', 'o:Total', [], false],
+      ['text', '12.5'],
+      ['close', 'o:Total'],
+      ['close', 'o:Order'],
+    ]);
+  });
+
+  test('gives the same events whatever the chunk size', () => {
+    const whole = joinText(tokenize(SAMPLE));
+    [1, 2, 3, 7, 16].forEach(chunkSize => {
+      expect(joinText(tokenize(SAMPLE, { chunkSize }))).toEqual(whole);
+    });
+  });
+
+  test('reports errors with their line and column', () => {
+    expect(() => tokenize('<a>\n  <b></c>\n</a>')).toThrow(expect.objectContaining({ line: 2, column: 6 }));
+    expect(() => tokenize('<a>')).toThrow();
+    expect(() => tokenize('<a>&bogus;</a>')).toThrow();
+  });
+
+  test('recovers from unclosed tags, stray ampersands and unquoted attributes in lenient mode', () => {
+    const events = tokenize('<a x=1><b>Fish & Chips</a>', { lenient: true });
+    expect(events.filter(event => event[0] === 'warning').length).toBeGreaterThanOrEqual(3);
+    const structure = joinText(events.filter(event => event[0] !== 'warning'));
+    expect(structure).toEqual([
+      ['open', 'a', [{ name: 'x', value: '1' }], false],
+      ['open', 'b', [], false],
+      ['text', 'Fish & Chips'],
+      ['close', 'b'],
+      ['close', 'a'],
+    ]);
+  });
+});
+
+describe('createSourceSnippet', () => {
+  test('cuts the lines around the error and marks the error line', () => {
+    const snippet = createSourceSnippet('one\ntwo\nthree\nfour\nfive\nsix', 4, 3);
+    expect(snippet.lines.map(line => line.number)).toEqual([2, 3, 4, 5, 6]);
+    expect(snippet.lines.find(line => line.isErrorLine).text).toBe('four');
+    expect(snippet.highlightIndex).toBe(2);
+  });
+
+  test('returns null for a line outside the text', () => {
+    expect(createSourceSnippet('one', 5, 1)).toBeNull();
+  });
+});
+
+describe('parseFieldsFromText', () => {
+  test('produces the same fields as the DOM parser', () => {
+    const { fields, warningCount } = parseFieldsFromText(SAMPLE);
+    expect(warningCount).toBe(0);
+    expect(fields).toEqual(extractFields(parseXML(SAMPLE)));
+  });
+
+  test('adds a position to parse errors', () => {
+    expect(() => parseFieldsFromText('<a>\n<b>\n</a>')).toThrow(expect.objectContaining({
+      message: expect.stringMatching(/^XML Parse Error/),
+      line: 3,
+    }));
+  });
+});
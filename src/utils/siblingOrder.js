@@ -0,0 +1,158 @@
+/**
+ * Sibling Order
+ * Checks that child elements come in the same order in every instance of their parent, across
+ * files and within each file. The collector records the distinct orders of each element's
+ * children (see createFieldCollector), so two instances of a parent ordering their children
+ * differently are told apart even in one file. Attributes are unordered in XML and are left out.
+ */
+
+import { extendSequence, removePrefixFromPath } from './xmlParser';
+
+const joinSequence = (sequence) => sequence.join('\u0000');
+
+/**
+ * Child element orders of a file's fields
+ * @param {Array} fields - Field objects with path and childSequences, names labelled
+ * @param {string} prefixToRemove - Optional prefix to strip from names
+ * @returns {Map} Parent path -> [{ sequence: [name], count }], one entry per distinct order
+ *   of the parent's instances, repeats in a row collapsed
+ */
+export function getChildSequences(fields, prefixToRemove = '') {
+  const sequences = new Map();
+  fields.forEach(field => {
+    if (field.isAttribute || !field.childSequences || field.childSequences.length === 0) {
+      return;
+    }
+    sequences.set(removePrefixFromPath(field.path, prefixToRemove), field.childSequences.map(({ names, count }) => ({
+      sequence: names.map(name => removePrefixFromPath(name, prefixToRemove)),
+      count,
+    })));
+  });
+  return sequences;
+}
+
+// Longest common subsequence of two name sequences, as the set of indexes in the first that are part of it
+function commonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const indexes = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      indexes.add(i);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return indexes;
+}
+
+/**
+ * Find the children out of place in one order of a parent's children
+ * Children missing from either order are skipped, so optional (or extra) elements do not count
+ * as order differences; the elements reported are the fewest that, moved, restore the expected order.
+ * @param {Array} sequence - Child names in the order an instance has them (a name may come back
+ *   after another one)
+ * @param {Array} expectedOrder - Child names in the expected order
+ * @returns {Array} [{ name, position, expectedPosition, expectedAfter }], positions counted from 1;
+ *   empty when the sequence follows the expected order
+ */
+export function findMovedSiblings(sequence, expectedOrder) {
+  const known = new Set(expectedOrder);
+  const compared = sequence.map((name, index) => ({ name, position: index + 1 })).filter(item => known.has(item.name));
+  const comparedNames = compared.map(item => item.name);
+  const present = new Set(comparedNames);
+  const expected = expectedOrder.filter(name => present.has(name));
+  if (joinSequence(expected) === joinSequence(comparedNames)) {
+    return [];
+  }
+  const inPlace = commonSubsequence(comparedNames, expected);
+  return compared
+    .filter((item, index) => !inPlace.has(index))
+    .map(({ name, position }) => {
+      const expectedIndex = expected.indexOf(name);
+      return {
+        name,
+        position,
+        expectedPosition: expectedIndex + 1,
+        expectedAfter: expectedIndex > 0 ? expected[expectedIndex - 1] : null,
+      };
+    });
+}
+
+/**
+ * Canonical order of a parent's children
+ * The order most of the preferred instances use (the first seen on a tie), extended with the
+ * children it lacks, each placed after the sibling it follows in the first order that has it.
+ * @param {Array} preferred - [{ sequence, count }] orders the canonical one is chosen from
+ * @param {Array} all - Further [{ sequence, count }] orders whose children are added
+ * @returns {Array} Child names, each once
+ */
+export function canonicalChildOrder(preferred, all = []) {
+  const counts = new Map();
+  preferred.forEach(({ sequence, count }) => {
+    const key = joinSequence(sequence);
+    const entry = counts.get(key) || { sequence, count: 0 };
+    entry.count += count;
+    counts.set(key, entry);
+  });
+  const mostCommon = Array.from(counts.values()).reduce((best, entry) => (entry.count > best.count ? entry : best)).sequence;
+  const base = mostCommon.filter((name, index) => mostCommon.indexOf(name) === index);
+  return extendSequence(base, [...preferred, ...all].map(entry => entry.sequence));
+}
+
+/**
+ * Compare the order of child elements across the instances of each parent
+ * @param {Array} files - [{ filename, fields }]
+ * @param {Object} options - { baseline: file ({ fields }) whose order is canonical (the most
+ *   common order when null or when the baseline lacks the parent), prefixToRemove }
+ * @returns {Array} [{ parentPath, canonical: [name], fileCount, instanceCount, deviations: [{ filename,
+ *   sequence, count, moved: [{ name, position, expectedPosition, expectedAfter }] }] }] with a
+ *   deviation per file and order that differs, for parents with at least two children in one
+ *   instance and more than one instance (or an instance out of order on its own)
+ */
+export function analyzeSiblingOrder(files, options = {}) {
+  const { baseline = null, prefixToRemove = '' } = options;
+  const baselineSequences = baseline ? getChildSequences(baseline.fields, prefixToRemove) : new Map();
+  const entriesByParent = new Map(); // parent path -> [{ filename, sequence, count }]
+  const filesByParent = new Map(); // parent path -> number of files having it
+  files.forEach(file => {
+    getChildSequences(file.fields, prefixToRemove).forEach((orders, parentPath) => {
+      if (!entriesByParent.has(parentPath)) {
+        entriesByParent.set(parentPath, []);
+      }
+      orders.forEach(order => entriesByParent.get(parentPath).push({ filename: file.filename, ...order }));
+      filesByParent.set(parentPath, (filesByParent.get(parentPath) || 0) + 1);
+    });
+  });
+
+  const report = [];
+  entriesByParent.forEach((entries, parentPath) => {
+    if (entries.every(entry => entry.sequence.length < 2)) {
+      return;
+    }
+    const canonical = canonicalChildOrder(baselineSequences.get(parentPath) || entries, entries);
+    const deviations = [];
+    entries.forEach(({ filename, sequence, count }) => {
+      const moved = findMovedSiblings(sequence, canonical);
+      if (moved.length > 0) {
+        deviations.push({ filename, sequence, count, moved });
+      }
+    });
+    const instanceCount = entries.reduce((sum, entry) => sum + entry.count, 0);
+    if (instanceCount < 2 && deviations.length === 0) {
+      return;
+    }
+    report.push({ parentPath, canonical, fileCount: filesByParent.get(parentPath), instanceCount, deviations });
+  });
+  return report;
+}
@@ -0,0 +1,52 @@
+import { analyzeSiblingOrder, findMovedSiblings } from './siblingOrder';
+import { loadLabelledFiles } from './testUtils';
+
+const reportFor = (report, parentPath) => report.find(entry => entry.parentPath === parentPath);
+
+describe('findMovedSiblings', () => {
+  test('reports the fewest elements out of place, skipping missing ones', () => {
+    expect(findMovedSiblings(['Id', 'Total'], ['Id', 'Customer', 'Total'])).toEqual([]);
+    expect(findMovedSiblings(['Customer', 'Id', 'Total'], ['Id', 'Customer', 'Total'])).toEqual([
+      { name: 'Customer', position: 1, expectedPosition: 2, expectedAfter: 'Id' },
+    ]);
+  });
+
+  test('reports an element that comes back after another one', () => {
+    expect(findMovedSiblings(['Item', 'Gift', 'Item'], ['Item', 'Gift'])).toEqual([
+      { name: 'Item', position: 3, expectedPosition: 1, expectedAfter: null },
+    ]);
+  });
+});
+
+describe('analyzeSiblingOrder', () => {
+  test('detects instances in one file ordering their children differently', () => {
+    const files = loadLabelledFiles([
+      ['orders.xml', `<Orders>
+        <Order><Id>1</Id><Customer>Ann</Customer></Order>
+        <Order><Id>2</Id><Customer>Bob</Customer></Order>
+        <Order><Customer>Cy</Customer><Id>3</Id></Order>
+      </Orders>`],
+    ]);
+    const entry = reportFor(analyzeSiblingOrder(files), 'Orders > Order');
+    expect(entry.canonical).toEqual(['Id', 'Customer']);
+    expect(entry.instanceCount).toBe(3);
+    expect(entry.deviations).toEqual([{
+      filename: 'orders.xml',
+      sequence: ['Customer', 'Id'],
+      count: 1,
+      moved: [{ name: 'Customer', position: 1, expectedPosition: 2, expectedAfter: 'Id' }],
+    }]);
+  });
+
+  test('takes the canonical order from the baseline, across prefixes', () => {
+    const files = loadLabelledFiles([
+      ['a.xml', '<o:Order xmlns:o="urn:o"><o:Id>1</o:Id><o:Customer>Ann</o:Customer></o:Order>'],
+      ['b.xml', '<Order xmlns="urn:o"><Id>2</Id><Customer>Bob</Customer></Order>'],
+      ['c.xml', '<x:Order xmlns:x="urn:o"><x:Customer>Cy</x:Customer><x:Id>3</x:Id></x:Order>'],
+    ]);
+    const [, , baseline] = files;
+    const entry = reportFor(analyzeSiblingOrder(files, { baseline }), 'Order');
+    expect(entry.canonical).toEqual(['Customer', 'Id']);
+    expect(entry.deviations.map(deviation => deviation.filename)).toEqual(['a.xml', 'b.xml']);
+  });
+});
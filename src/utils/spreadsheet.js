@@ -0,0 +1,67 @@
+/**
+ * Spreadsheet Import
+ * Reads CSV and Excel sheets into header and value rows for bulk XML generation, and names the
+ * generated files from a pattern over the row's columns.
+ */
+
+import * as XLSX from 'xlsx';
+import { readTextFile } from './encoding';
+
+const CSV_REGEX = /\.(csv|tsv)$/i;
+
+/**
+ * Read every sheet of a CSV or Excel file
+ * CSV files are decoded as text first (UTF-8 unless they carry a byte order mark), so accented
+ * values survive; every value is read as the text the sheet displays.
+ * @param {File} file - A .csv, .tsv, .xlsx or .xls file
+ * @returns {Promise<Array>} [{ name, columns: [header], rows: [[value]] }], empty rows dropped
+ */
+export async function readSpreadsheet(file) {
+  const workbook = CSV_REGEX.test(file.name)
+    ? XLSX.read((await readTextFile(file)).text, { type: 'string', raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+  return workbook.SheetNames.map(name => {
+    const [headerRow = [], ...valueRows] = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+      header: 1,
+      raw: false,
+      defval: '',
+      blankrows: false,
+    });
+
+    // Blank headers get their position and repeated ones a number, so every column can be told apart
+    const seen = new Map();
+    const columns = headerRow.map((header, index) => {
+      const base = String(header).trim() || `Column ${index + 1}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count > 1 ? `${base} (${count})` : base;
+    });
+    const rows = valueRows
+      .filter(row => row.some(value => String(value).trim() !== ''))
+      .map(row => columns.map((column, index) => (row[index] === undefined ? '' : String(row[index]))));
+    return { name, columns, rows };
+  });
+}
+
+/**
+ * Name a generated file from a pattern
+ * "{Column}" is replaced by the row's value in that column and "{#}" by the row number (from 1);
+ * characters file systems reject become "_" and ".xml" is added when missing.
+ * @param {string} pattern - e.g. "order-{OrderId}.xml"
+ * @param {Array} columns - Column headers
+ * @param {Array} row - The row's values
+ * @param {number} rowNumber - Position of the row, from 1
+ * @returns {string} The file name
+ */
+export function formatFilename(pattern, columns, row, rowNumber) {
+  const name = (pattern.trim() || '{#}').replace(/\{([^{}]+)\}/g, (placeholder, key) => {
+    if (key === '#') {
+      return String(rowNumber);
+    }
+    const index = columns.indexOf(key);
+    return index === -1 ? placeholder : row[index].trim();
+  });
+  const safeName = name.replace(/[<>:"/\\|?*]+/g, '_') || String(rowNumber);
+  return /\.xml$/i.test(safeName) ? safeName : `${safeName}.xml`;
+}
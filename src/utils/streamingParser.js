@@ -0,0 +1,124 @@
+/**
+ * Streaming field extraction for very large XML files
+ * Reads the file in chunks and feeds a SAX tokenizer straight into a field collector,
+ * so neither the full string nor a DOM is ever held in memory.
+ */
+
+import { createSaxParser } from './saxParser';
+import { createFieldCollector } from './xmlParser';
+import { resolveEncoding } from './encoding';
+
+export const STREAMING_CHUNK_SIZE = 4 * 1024 * 1024; // 4 MB
+
+// Files above this size skip DOMParser and use the streaming path
+export const LARGE_FILE_THRESHOLD = 50 * 1024 * 1024; // 50 MB
+
+// Recovered errors kept per file in lenient mode; the rest are only counted
+export const MAX_PARSE_WARNINGS = 100;
+
+/**
+ * Check whether a file should be parsed with the streaming parser
+ * @param {Blob} file - File or Blob
+ * @returns {boolean} True if the file is too large for DOMParser
+ */
+export function shouldStreamFile(file) {
+  return !!file && typeof file.size === 'number' && file.size > LARGE_FILE_THRESHOLD;
+}
+
+// Wire a SAX tokenizer to a field collector, collecting recovered errors in lenient mode
+function createFieldParser(lenient) {
+  const collector = createFieldCollector();
+  const warnings = [];
+  let warningCount = 0;
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes }) => collector.openElement(name, attributes),
+    onCloseTag: () => collector.closeElement(),
+    onText: text => collector.addText(text),
+    onCData: text => collector.addCData(text),
+    onComment: text => collector.addComment(text),
+    onWarning: (warning) => {
+      warningCount += 1;
+      if (warnings.length < MAX_PARSE_WARNINGS) {
+        warnings.push(warning);
+      }
+    },
+  }, { lenient });
+  const getResult = () => ({ fields: collector.getFields(), warnings, warningCount });
+  return { parser, getResult };
+}
+
+// Prefix a tokenizer error, keeping its position and source snippet
+function toParseError(error) {
+  const parseError = new Error(`XML Parse Error: ${error.message}`);
+  parseError.line = error.line;
+  parseError.column = error.column;
+  parseError.snippet = error.snippet;
+  return parseError;
+}
+
+/**
+ * Extract fields from an XML string without building a DOM, optionally recovering from
+ * well-formedness errors. Usable where DOMParser is not available (e.g. inside Web Workers)
+ * @param {string} xmlString - The XML content (may contain leading non-XML text)
+ * @param {Object} options - { lenient }
+ * @returns {Object} { fields, warnings: [{ message, line, column }], warningCount }
+ */
+export function parseFieldsFromText(xmlString, options = {}) {
+  const { parser, getResult } = createFieldParser(!!options.lenient);
+
+  try {
+    parser.write(xmlString);
+    parser.close();
+  } catch (error) {
+    throw toParseError(error);
+  }
+
+  return getResult();
+}
+
+/**
+ * Read a File/Blob in chunks into a SAX parser and close it
+ * The bytes are decoded in the encoding given by the BOM or the XML declaration, unless one is passed in.
+ * Parse errors are thrown as the tokenizer reports them (with line and column)
+ * @param {Blob} blob - The file to read
+ * @param {Object} parser - Parser created by createSaxParser
+ * @param {Object} options - { chunkSize, onProgress(bytesRead, totalBytes), encoding (override) }
+ * @returns {Promise<Object>} The encoding used (see resolveEncoding), once the whole file has been parsed
+ */
+export async function feedStream(blob, parser, options = {}) {
+  const { chunkSize = STREAMING_CHUNK_SIZE, onProgress = null, encoding: override = null } = options;
+  const encoding = await resolveEncoding(blob, override);
+  const decoder = new TextDecoder(encoding.name);
+
+  for (let offset = 0; offset < blob.size; offset += chunkSize) {
+    const buffer = await blob.slice(offset, offset + chunkSize).arrayBuffer();
+    parser.write(decoder.decode(buffer, { stream: true }));
+    if (onProgress) {
+      onProgress(Math.min(offset + chunkSize, blob.size), blob.size);
+    }
+  }
+  parser.write(decoder.decode());
+  parser.close();
+  return encoding;
+}
+
+/**
+ * Extract fields from a File/Blob without building a DOM, optionally recovering from
+ * well-formedness errors. Produces the same fields as extractFields(parseXML(text))
+ * @param {Blob} blob - The file to read
+ * @param {Object} options - { lenient, chunkSize, onProgress(bytesRead, totalBytes), encoding (override) }
+ * @returns {Promise<Object>} { fields, warnings: [{ message, line, column }], warningCount, encoding }
+ */
+export async function parseFieldsFromStream(blob, options = {}) {
+  const { lenient = false, ...streamOptions } = options;
+  const { parser, getResult } = createFieldParser(lenient);
+
+  let encoding;
+  try {
+    encoding = await feedStream(blob, parser, streamOptions);
+  } catch (error) {
+    throw toParseError(error);
+  }
+
+  return { ...getResult(), encoding };
+}
@@ -0,0 +1,19 @@
+/**
+ * Test Utilities
+ * Fixtures shared by the unit tests.
+ */
+
+import { extractFields, parseXML } from './xmlParser';
+import { applyNamespaceLabels, collectNamespaces, resolveNamespaceLabels } from './namespaces';
+
+/**
+ * Load documents the way the app does: fields extracted, then renamed with the namespace labels
+ * resolved across all of them
+ * @param {Array} documents - [[filename, xml]]; filenames may repeat
+ * @returns {Array} [{ id, filename, fields }], ids counted from 1 in document order
+ */
+export function loadLabelledFiles(documents) {
+  const files = documents.map(([filename, xml], index) => ({ id: index + 1, filename, fields: extractFields(parseXML(xml)) }));
+  const labels = resolveNamespaceLabels(collectNamespaces(files));
+  return files.map(file => ({ ...file, fields: applyNamespaceLabels(file.fields, labels) }));
+}
@@ -0,0 +1,168 @@
+/**
+ * Data Type Inference Utility
+ * Guesses what a field holds from the values collected at its path
+ */
+
+export const DATA_TYPES = {
+  INTEGER: 'integer',
+  DECIMAL: 'decimal',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  DATETIME: 'datetime',
+  UUID: 'uuid',
+  EMAIL: 'email',
+  ENUMERATION: 'enumeration',
+  TEXT: 'text',
+  EMPTY: 'empty', // No non-empty values seen (container elements, always-empty leaves)
+};
+
+// A specific type wins when at least this share of the values match it
+const MIN_TYPE_SHARE = 0.5;
+
+// Free text with this few distinct, repeating values is reported as an enumeration
+const MAX_ENUMERATION_VALUES = 20;
+
+const INTEGER_REGEX = /^[+-]?\d+$/;
+const DECIMAL_REGEX = /^[+-]?(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?$/;
+const BOOLEAN_VALUES = new Set(['true', 'false']);
+const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(Z|[+-]\d{2}:\d{2})?$/;
+const DATETIME_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Types a value of the key type also satisfies (an integer is a valid decimal)
+const WIDER_TYPES = {
+  [DATA_TYPES.INTEGER]: [DATA_TYPES.DECIMAL],
+};
+
+// Order in which equally good candidates are preferred: the most specific first
+const SPECIFIC_TYPES = [
+  DATA_TYPES.BOOLEAN,
+  DATA_TYPES.INTEGER,
+  DATA_TYPES.DECIMAL,
+  DATA_TYPES.DATE,
+  DATA_TYPES.DATETIME,
+  DATA_TYPES.UUID,
+  DATA_TYPES.EMAIL,
+];
+
+/**
+ * Detect the type of a single value
+ * @param {string} value - Text value as found in the XML
+ * @returns {string|null} One of the scalar DATA_TYPES, or null for an empty value
+ */
+export function detectValueType(value) {
+  const text = typeof value === 'string' ? value.trim() : String(value ?? '');
+  if (text === '') {
+    return null;
+  }
+  if (BOOLEAN_VALUES.has(text.toLowerCase())) {
+    return DATA_TYPES.BOOLEAN;
+  }
+  if (INTEGER_REGEX.test(text)) {
+    return DATA_TYPES.INTEGER;
+  }
+  if (DECIMAL_REGEX.test(text)) {
+    return DATA_TYPES.DECIMAL;
+  }
+  if (DATE_REGEX.test(text)) {
+    return DATA_TYPES.DATE;
+  }
+  if (DATETIME_REGEX.test(text)) {
+    return DATA_TYPES.DATETIME;
+  }
+  if (UUID_REGEX.test(text)) {
+    return DATA_TYPES.UUID;
+  }
+  if (EMAIL_REGEX.test(text)) {
+    return DATA_TYPES.EMAIL;
+  }
+  return DATA_TYPES.TEXT;
+}
+
+/**
+ * Infer the type of a field from its value counts
+ * Every occurrence counts, so a path where 99 of 100 values are integers is an integer
+ * with 99% confidence; the confidence of an enumeration is how much its values repeat,
+ * and that of free text is the share of values no specific type accounts for.
+ * @param {Object} valueCounts - { value: count } as collected by extractFields
+ * @returns {{type: string, confidence: number, sampleSize: number, typeCounts: Object}}
+ *   Inferred type, confidence between 0 and 1, number of non-empty values and occurrences per detected type
+ */
+export function inferFieldType(valueCounts = {}) {
+  const typeCounts = {};
+  let sampleSize = 0;
+  let distinctValues = 0;
+
+  Object.entries(valueCounts).forEach(([value, count]) => {
+    const valueType = detectValueType(value);
+    if (valueType === null || !(count > 0)) {
+      return;
+    }
+    sampleSize += count;
+    distinctValues += 1;
+    typeCounts[valueType] = (typeCounts[valueType] || 0) + count;
+  });
+
+  if (sampleSize === 0) {
+    return { type: DATA_TYPES.EMPTY, confidence: 0, sampleSize, typeCounts };
+  }
+
+  // Occurrences each specific type accounts for, narrower types included
+  const matchCounts = {};
+  Object.entries(typeCounts).forEach(([valueType, count]) => {
+    [valueType, ...(WIDER_TYPES[valueType] || [])].forEach(candidate => {
+      matchCounts[candidate] = (matchCounts[candidate] || 0) + count;
+    });
+  });
+
+  const bestSpecificType = SPECIFIC_TYPES.reduce((best, candidate) => {
+    const count = matchCounts[candidate] || 0;
+    return count > (matchCounts[best] || 0) ? candidate : best;
+  }, null);
+  const bestShare = bestSpecificType ? matchCounts[bestSpecificType] / sampleSize : 0;
+
+  if (bestSpecificType && bestShare >= MIN_TYPE_SHARE) {
+    return { type: bestSpecificType, confidence: bestShare, sampleSize, typeCounts };
+  }
+
+  const repetition = 1 - distinctValues / sampleSize;
+  if (distinctValues <= MAX_ENUMERATION_VALUES && repetition >= 0.5) {
+    return { type: DATA_TYPES.ENUMERATION, confidence: repetition, sampleSize, typeCounts };
+  }
+
+  return { type: DATA_TYPES.TEXT, confidence: 1 - bestShare, sampleSize, typeCounts };
+}
+
+// Types that describe the same kind of value, so files inferring either one agree:
+// integers are valid decimals, and dates and date-times are both points in time
+const COMPATIBLE_TYPES = {
+  [DATA_TYPES.INTEGER]: DATA_TYPES.DECIMAL,
+  [DATA_TYPES.DATETIME]: DATA_TYPES.DATE,
+};
+
+/**
+ * Check whether files disagree on a path's type
+ * Files without values at the path have no say, and compatible types (integer and decimal,
+ * date and date-time) are not a conflict
+ * @param {Object} typesByFile - { filename: type }
+ * @returns {boolean} True if at least two files inferred incompatible types
+ */
+export function hasTypeConflict(typesByFile = {}) {
+  const types = new Set(Object.values(typesByFile)
+    .filter(type => type !== DATA_TYPES.EMPTY)
+    .map(type => COMPATIBLE_TYPES[type] || type));
+  return types.size > 1;
+}
+
+/**
+ * Format an inferred type for display and exports
+ * @param {Object} inference - Result of inferFieldType
+ * @returns {string} e.g. "integer (98%)", or "" when there were no values
+ */
+export function formatInferredType(inference) {
+  if (!inference || inference.type === DATA_TYPES.EMPTY) {
+    return '';
+  }
+  return `${inference.type} (${Math.round(inference.confidence * 100)}%)`;
+}
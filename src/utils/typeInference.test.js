@@ -0,0 +1,45 @@
+import { DATA_TYPES, detectValueType, inferFieldType, hasTypeConflict } from './typeInference';
+
+describe('detectValueType', () => {
+  test('recognizes the specific types', () => {
+    expect(detectValueType('42')).toBe(DATA_TYPES.INTEGER);
+    expect(detectValueType('-4.20')).toBe(DATA_TYPES.DECIMAL);
+    expect(detectValueType('TRUE')).toBe(DATA_TYPES.BOOLEAN);
+    expect(detectValueType('2024-02-29')).toBe(DATA_TYPES.DATE);
+    expect(detectValueType('2024-02-29T10:15:00Z')).toBe(DATA_TYPES.DATETIME);
+    expect(detectValueType('hello')).toBe(DATA_TYPES.TEXT);
+    expect(detectValueType('  ')).toBeNull();
+  });
+});
+
+describe('inferFieldType', () => {
+  test('counts integers towards decimal', () => {
+    const inference = inferFieldType({ 1: 2, '1.5': 1, 3: 1 });
+    expect(inference.type).toBe(DATA_TYPES.DECIMAL);
+    expect(inference.confidence).toBe(1);
+  });
+
+  test('reports repeating free text as an enumeration', () => {
+    expect(inferFieldType({ open: 5, closed: 3 }).type).toBe(DATA_TYPES.ENUMERATION);
+  });
+
+  test('is empty without values', () => {
+    expect(inferFieldType({ '': 3 }).type).toBe(DATA_TYPES.EMPTY);
+  });
+});
+
+describe('hasTypeConflict', () => {
+  test('flags incompatible types', () => {
+    expect(hasTypeConflict({ 'a.xml': DATA_TYPES.INTEGER, 'b.xml': DATA_TYPES.TEXT })).toBe(true);
+    expect(hasTypeConflict({ 'a.xml': DATA_TYPES.DATE, 'b.xml': DATA_TYPES.BOOLEAN })).toBe(true);
+  });
+
+  test('treats integer and decimal, and date and date-time, as compatible', () => {
+    expect(hasTypeConflict({ 'a.xml': DATA_TYPES.INTEGER, 'b.xml': DATA_TYPES.DECIMAL })).toBe(false);
+    expect(hasTypeConflict({ 'a.xml': DATA_TYPES.DATE, 'b.xml': DATA_TYPES.DATETIME })).toBe(false);
+  });
+
+  test('ignores files without values', () => {
+    expect(hasTypeConflict({ 'a.xml': DATA_TYPES.INTEGER, 'b.xml': DATA_TYPES.EMPTY })).toBe(false);
+  });
+});
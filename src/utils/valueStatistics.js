@@ -0,0 +1,139 @@
+/**
+ * Value Statistics Utility
+ * Numeric and string-length statistics computed from a field's value counts
+ */
+
+import { DATA_TYPES, inferFieldType } from './typeInference';
+
+const NUMERIC_REGEX = /^[+-]?(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?$/;
+
+// Percentiles reported next to the median
+export const REPORTED_PERCENTILES = [5, 25, 75, 95];
+
+/**
+ * Value at a percentile of a sorted, weighted sample (linear interpolation between ranks)
+ * @param {Array} sorted - [{ value, count }] sorted by value
+ * @param {number} total - Sum of counts
+ * @param {number} percentile - 0 to 100
+ * @returns {number} Interpolated value
+ */
+function weightedPercentile(sorted, total, percentile) {
+  const rank = (percentile / 100) * (total - 1);
+  const lowerRank = Math.floor(rank);
+  const fraction = rank - lowerRank;
+
+  let seen = 0;
+  let lower = null;
+  for (let index = 0; index < sorted.length; index++) {
+    const { value, count } = sorted[index];
+    if (lower === null && lowerRank < seen + count) {
+      lower = value;
+    }
+    // The next rank up may still fall on the same value
+    if (lower !== null && lowerRank + 1 < seen + count) {
+      return lower + (value - lower) * fraction;
+    }
+    seen += count;
+  }
+  return lower;
+}
+
+/**
+ * Compute statistics over the numeric values of a field
+ * Values that are not numbers (e.g. empty values) are left out
+ * @param {Object} valueCounts - { value: count }
+ * @returns {Object|null} { count, min, max, mean, median, standardDeviation, percentiles: { p5, p25, p75, p95 } },
+ *   or null when there are no numeric values
+ */
+export function computeNumericStatistics(valueCounts = {}) {
+  const sorted = [];
+  let count = 0;
+  let sum = 0;
+
+  Object.entries(valueCounts).forEach(([value, occurrences]) => {
+    const text = value.trim();
+    if (!NUMERIC_REGEX.test(text) || !(occurrences > 0)) {
+      return;
+    }
+    const number = Number(text);
+    sorted.push({ value: number, count: occurrences });
+    count += occurrences;
+    sum += number * occurrences;
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  sorted.sort((a, b) => a.value - b.value);
+  const mean = sum / count;
+  const variance = sorted.reduce((total, { value, count: occurrences }) => (
+    total + (value - mean) * (value - mean) * occurrences
+  ), 0) / count;
+
+  return {
+    count,
+    min: sorted[0].value,
+    max: sorted[sorted.length - 1].value,
+    mean,
+    median: weightedPercentile(sorted, count, 50),
+    standardDeviation: Math.sqrt(variance),
+    percentiles: Object.fromEntries(
+      REPORTED_PERCENTILES.map(percentile => [`p${percentile}`, weightedPercentile(sorted, count, percentile)])
+    ),
+  };
+}
+
+/**
+ * Compute string-length statistics over all values of a field, empty values included
+ * @param {Object} valueCounts - { value: count }
+ * @returns {Object|null} { count, min, max, average }, or null when there are no values
+ */
+export function computeLengthStatistics(valueCounts = {}) {
+  let count = 0;
+  let totalLength = 0;
+  let min = Infinity;
+  let max = 0;
+
+  Object.entries(valueCounts).forEach(([value, occurrences]) => {
+    if (!(occurrences > 0)) {
+      return;
+    }
+    count += occurrences;
+    totalLength += value.length * occurrences;
+    min = Math.min(min, value.length);
+    max = Math.max(max, value.length);
+  });
+
+  if (count === 0) {
+    return null;
+  }
+  return { count, min, max, average: totalLength / count };
+}
+
+/**
+ * Statistics that fit a field's values: numeric statistics for numeric fields,
+ * length statistics for the others
+ * @param {Object} valueCounts - { value: count }
+ * @returns {{numeric: Object|null, length: Object|null}} Statistics (null when not applicable)
+ */
+export function computeValueStatistics(valueCounts = {}) {
+  const { type } = inferFieldType(valueCounts);
+  const isNumeric = type === DATA_TYPES.INTEGER || type === DATA_TYPES.DECIMAL;
+  return {
+    numeric: isNumeric ? computeNumericStatistics(valueCounts) : null,
+    length: isNumeric ? null : computeLengthStatistics(valueCounts),
+  };
+}
+
+/**
+ * Format a statistic for display
+ * @param {number} value - Statistic value
+ * @returns {string} Number with at most 4 decimals, or '—'
+ */
+export function formatStatistic(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return '—';
+  }
+  return value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+}
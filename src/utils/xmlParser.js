@@ -4,6 +4,10 @@
  */
 
 import * as XLSX from 'xlsx';
+import { splitQualifiedName, extendNamespaceScope, resolveNamespacePrefix, toClarkName } from './namespaces';
+import { DATA_TYPES, inferFieldType, hasTypeConflict } from './typeInference';
+import { computeValueStatistics, REPORTED_PERCENTILES } from './valueStatistics';
+import { createSaxParser, createSourceSnippet } from './saxParser';
 
 /**
  * Remove prefix from field name if it matches exactly
@@ -19,6 +23,11 @@ export function removePrefixFromFieldName(fieldName, prefix) {
   if (fieldName.startsWith(prefix)) {
     return fieldName.substring(prefix.length);
   }
+
+  // Attribute pseudo-fields ("@ns0:type") carry the prefix after the "@"
+  if (fieldName.startsWith('@') && fieldName.startsWith(prefix, 1)) {
+    return `@${fieldName.substring(prefix.length + 1)}`;
+  }
   
   return fieldName;
 }
@@ -89,113 +98,543 @@ export function extractXMLContent(content) {
   return content;
 }
 
+// Where the browser's parser error message says the error is:
+// "line 3 at column 7" (Chrome/Safari), "Line Number 3, Column 7" (Firefox) or "3:7:" (jsdom)
+const PARSER_ERROR_POSITION_PATTERNS = [
+  /line (\d+) at column (\d+)/i,
+  /Line Number (\d+), Column (\d+)/i,
+  /^(\d+):(\d+):/m,
+];
+
+/**
+ * Read the message and position out of a DOMParser parsererror element
+ * @param {Element} parserError - The parsererror element
+ * @returns {Object} { message, line, column } (line and column are null when not reported)
+ */
+function readParserError(parserError) {
+  const text = parserError.textContent || '';
+  for (const pattern of PARSER_ERROR_POSITION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      // Keep just the reason, without the browser's "This page contains the following errors" framing
+      const reason = text.slice(match.index + match[0].length).split('\n')[0].replace(/^[\s:]+/, '').trim();
+      return { message: reason || 'Invalid XML format', line: Number(match[1]), column: Number(match[2]) };
+    }
+  }
+  return { message: 'Invalid XML format', line: null, column: null };
+}
+
 /**
  * Parse XML string and extract field information
+ * Parse errors carry the line and column in the original string and a source snippet
+ * (see createSourceSnippet)
  * @param {string} xmlString - The XML content as a string (may contain leading non-XML text)
  * @returns {Object} Parsed XML data with field information
  */
 export function parseXML(xmlString) {
+  // Extract clean XML content, ignoring any leading non-XML text
+  const cleanXMLString = extractXMLContent(xmlString);
+  let xmlDoc;
   try {
-    // Extract clean XML content, ignoring any leading non-XML text
-    const cleanXMLString = extractXMLContent(xmlString);
     const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(cleanXMLString, 'text/xml');
+    xmlDoc = parser.parseFromString(cleanXMLString, 'text/xml');
+  } catch (error) {
+    throw new Error(`XML Parse Error: ${error.message}`);
+  }
+
+  const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+  if (!parserError) {
+    return xmlDoc;
+  }
 
-    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
-      throw new Error('Invalid XML format');
+  let { message, line, column } = readParserError(parserError);
+  if (line !== null) {
+    // Positions are relative to the cleaned string; shift them past the skipped leading text
+    const skipped = xmlString.slice(0, xmlString.length - cleanXMLString.length);
+    const skippedLines = skipped.split('\n');
+    if (line === 1) {
+      column += skippedLines[skippedLines.length - 1].length;
     }
+    line += skippedLines.length - 1;
+  }
 
-    return xmlDoc;
+  const position = line !== null ? ` (line ${line}, column ${column})` : '';
+  const error = new Error(`XML Parse Error: ${message}${position}`);
+  error.line = line;
+  error.column = column;
+  error.snippet = line !== null ? createSourceSnippet(xmlString, line, column) : null;
+  throw error;
+}
+
+const XMLNS_NAMESPACE_URI = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Parse an XML string into a DOM, recovering from well-formedness errors
+ * The document is built from the streaming tokenizer in lenient mode, so it holds what the
+ * fields of a file loaded with recovery were collected from
+ * @param {string} xmlString - The XML content (may contain leading non-XML text)
+ * @returns {Document} The recovered document
+ */
+export function parseXMLLenient(xmlString) {
+  const xmlDoc = document.implementation.createDocument(null, null, null);
+  const stack = [{ node: xmlDoc, namespaceScope: new Map() }];
+  const current = () => stack[stack.length - 1];
+
+  // Names with a prefix nobody declared can't be namespaced, so they keep the prefix in their local name
+  const qualify = (name, namespaceScope, isAttribute) => {
+    const { prefix } = splitQualifiedName(name);
+    if (name === 'xmlns' || prefix === 'xmlns') {
+      return XMLNS_NAMESPACE_URI;
+    }
+    return prefix || !isAttribute ? resolveNamespacePrefix(namespaceScope, prefix) : null;
+  };
+
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes }) => {
+      const parent = current();
+      const namespaceScope = extendNamespaceScope(parent.namespaceScope, attributes);
+      const namespaceURI = qualify(name, namespaceScope, false);
+      const element = namespaceURI || !name.includes(':')
+        ? xmlDoc.createElementNS(namespaceURI, name)
+        : xmlDoc.createElement(name);
+      attributes.forEach(attribute => {
+        const attributeNamespaceURI = qualify(attribute.name, namespaceScope, true);
+        if (attributeNamespaceURI || !attribute.name.includes(':')) {
+          element.setAttributeNS(attributeNamespaceURI, attribute.name, attribute.value);
+        } else {
+          element.setAttribute(attribute.name, attribute.value);
+        }
+      });
+      // A second root element can't join the document; its subtree is left out
+      if (parent.node !== xmlDoc || !xmlDoc.documentElement) {
+        parent.node.appendChild(element);
+      }
+      stack.push({ node: element, namespaceScope });
+    },
+    onCloseTag: () => {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    },
+    onText: (text) => {
+      if (current().node !== xmlDoc) {
+        current().node.appendChild(xmlDoc.createTextNode(text));
+      }
+    },
+    onCData: (text) => {
+      if (current().node !== xmlDoc) {
+        current().node.appendChild(xmlDoc.createCDATASection(text));
+      }
+    },
+    onComment: (text) => current().node.appendChild(xmlDoc.createComment(text)),
+  }, { lenient: true });
+
+  try {
+    parser.write(xmlString);
+    parser.close();
   } catch (error) {
     throw new Error(`XML Parse Error: ${error.message}`);
   }
+  return xmlDoc;
 }
 
+// Container text (descendant text of elements with children) is only used for
+// previews, so it is capped to keep memory bounded on very large documents
+export const MAX_CONTAINER_TEXT_LENGTH = 32000;
+
+// Distinct comments kept per field as samples; the rest are only counted
+export const MAX_RECORDED_COMMENTS = 10;
+
+// Distinct child element orders kept per field; instances in further orders still count
+// towards childOrderVaries
+export const MAX_RECORDED_CHILD_SEQUENCES = 20;
+
 /**
- * Extract all fields from an XML document with nesting information
- * @param {XMLDocument} xmlDoc - Parsed XML document
- * @returns {Array} Array of field objects with nesting info
+ * Create an incremental field collector
+ * Element events are fed in document order (openElement, addText, addCData, addComment,
+ * closeElement) and the collector aggregates them into the same field list extractFields returns.
+ * The DOM walker and the streaming parser both drive a collector, so the rest of the
+ * app sees identical fields whichever path parsed the file.
+ * @returns {Object} Collector with openElement, addText, addCData, addComment, closeElement and getFields
  */
-export function extractFields(xmlDoc) {
+export function createFieldCollector() {
   const fields = [];
-  const fieldMap = new Map();
-  const parentOrderCounters = new Map(); // Track order counter per parent path
-
-  function traverseNode(node, depth = 0, parentPath = '') {
-    if (node.nodeType === Node.ELEMENT_NODE) {
-      const nodeName = node.nodeName;
-      const path = parentPath ? `${parentPath} > ${nodeName}` : nodeName;
-
-      // Create field key for deduplication
-      const fieldKey = `${nodeName}|${depth}`;
-      const isLeafNode = node.children.length === 0;
-      const trimmedTextContent = node.textContent ? node.textContent.trim() : '';
-      const leafTextContent = isLeafNode ? trimmedTextContent : null;
-
-      if (!fieldMap.has(fieldKey)) {
-        // Get or create order counter for this parent
-        if (!parentOrderCounters.has(parentPath)) {
-          parentOrderCounters.set(parentPath, 0);
+  const fieldMap = new Map(); // qualifiedPath -> field
+  // parent qualified path -> child fields (elements and attributes), in order; a child's orderIndex is its position here
+  const childFieldsByParent = new Map();
+  const openFrames = [];
+  const rootNamespaceScope = new Map();
+
+  // Look up a field by qualified path, creating it on first sight. A new child is ordered right
+  // after the sibling it follows in this instance of the parent (first when it leads), so a child
+  // first seen in a later instance still lands between the siblings it appears between.
+  const getOrCreateField = (qualifiedPath, parentField, previousSibling, createField) => {
+    let field = fieldMap.get(qualifiedPath);
+    if (field) {
+      // Increment occurrence count for duplicate fields
+      field.occurrences += 1;
+      return { field, isFirstOccurrence: false };
+    }
+
+    const parentQualifiedPath = parentField ? parentField.qualifiedPath : '';
+    if (!childFieldsByParent.has(parentQualifiedPath)) {
+      childFieldsByParent.set(parentQualifiedPath, []);
+    }
+    const siblings = childFieldsByParent.get(parentQualifiedPath);
+    const position = previousSibling ? siblings.indexOf(previousSibling) + 1 : 0;
+
+    field = createField(position);
+    siblings.splice(position, 0, field);
+    for (let index = position + 1; index < siblings.length; index++) {
+      siblings[index].orderIndex = index;
+    }
+    if (!parentField) {
+      // The root element occurs exactly once
+      field.minOccurs = 1;
+      field.maxOccurs = 1;
+    } else if (parentField.occurrences > 1) {
+      // First seen in a later instance of its parent, so the earlier instances had none
+      field.minOccurs = 0;
+    }
+    fieldMap.set(qualifiedPath, field);
+    fields.push(field);
+    return { field, isFirstOccurrence: true };
+  };
+
+  // Attributes become "@name" pseudo-fields under their element, with their own
+  // path, occurrences and values; namespace declarations are not data and are skipped
+  // Returns the attribute fields found on this element
+  const collectAttributes = (elementField, attributes, namespaceScope) => {
+    const attributeFields = [];
+    attributes.forEach(({ name, value }) => {
+      if (!elementField.attributes.includes(name)) {
+        elementField.attributes.push(name);
+      }
+      if (name === 'xmlns' || name.startsWith('xmlns:')) {
+        return;
+      }
+
+      // Unprefixed attributes are in no namespace, whatever the default namespace is
+      const { prefix, localName } = splitQualifiedName(name);
+      const namespaceURI = prefix ? resolveNamespacePrefix(namespaceScope, prefix) : null;
+      const qualifiedPath = `${elementField.qualifiedPath} > @${toClarkName(namespaceURI, localName)}`;
+
+      const previousAttribute = attributeFields[attributeFields.length - 1] || null;
+      const { field } = getOrCreateField(qualifiedPath, elementField, previousAttribute, orderIndex => ({
+        name: `@${name}`,
+        localName: localName,
+        prefix: prefix,
+        namespaceURI: namespaceURI,
+        depth: elementField.depth + 1,
+        path: `${elementField.path} > @${name}`,
+        qualifiedPath: qualifiedPath,
+        isNested: true,
+        isAttribute: true,
+        hasChildren: false,
+        childCount: 0,
+        hasText: value.length > 0,
+        textContent: value,
+        descendantText: value,
+        isMixedContent: false,
+        cdataSections: 0,
+        commentCount: 0,
+        comments: [],
+        attributes: [],
+        occurrences: 1,
+        minOccurs: null,
+        maxOccurs: 0,
+        orderIndex: orderIndex,
+        parentPath: elementField.path,
+        valueCounts: {},
+        uniqueValues: 0,
+      }));
+
+      field.valueCounts[value] = (field.valueCounts[value] || 0) + 1;
+      field.uniqueValues = Object.keys(field.valueCounts).length;
+      attributeFields.push(field);
+    });
+    return attributeFields;
+  };
+
+  const appendText = (text) => {
+    const currentFrame = openFrames[openFrames.length - 1];
+    if (!currentFrame || !text) {
+      return;
+    }
+    // Leaf text is kept whole (it is the value); text between child elements is capped
+    if (currentFrame.childCount === 0 || currentFrame.directText.length <= MAX_CONTAINER_TEXT_LENGTH) {
+      currentFrame.directText += text;
+    }
+    openFrames.forEach(frame => {
+      if (frame.text === null || frame.text.length > MAX_CONTAINER_TEXT_LENGTH) {
+        return;
+      }
+      frame.text += frame.text.length === 0 ? text.trimStart() : text;
+    });
+  };
+
+  return {
+    /**
+     * @param {string} nodeName - Element name as written (including any prefix)
+     * @param {Array} attributes - Array of { name, value } objects
+     */
+    openElement(nodeName, attributes = []) {
+      const parentFrame = openFrames[openFrames.length - 1];
+      if (parentFrame) {
+        parentFrame.childCount += 1;
+        // Direct text runs on either side of a child element are separate words
+        if (parentFrame.directText.length > 0 && !/\s$/.test(parentFrame.directText)) {
+          parentFrame.directText += ' ';
         }
-        const orderIndex = parentOrderCounters.get(parentPath);
-        parentOrderCounters.set(parentPath, orderIndex + 1);
+      }
 
-        const initialValueCounts = {};
-        if (isLeafNode) {
-          const valueKey = leafTextContent !== null && leafTextContent !== undefined ? leafTextContent : '';
-          initialValueCounts[valueKey] = 1;
+      const depth = openFrames.length;
+      const parentField = parentFrame ? parentFrame.field : null;
+      const parentPath = parentField ? parentField.path : '';
+      const parentQualifiedPath = parentField ? parentField.qualifiedPath : '';
+
+      // Resolve the element's namespace from the xmlns declarations in scope
+      const namespaceScope = extendNamespaceScope(
+        parentFrame ? parentFrame.namespaceScope : rootNamespaceScope,
+        attributes
+      );
+      const { prefix, localName } = splitQualifiedName(nodeName);
+      const namespaceURI = resolveNamespacePrefix(namespaceScope, prefix);
+      const clarkName = toClarkName(namespaceURI, localName);
+      const qualifiedPath = parentQualifiedPath ? `${parentQualifiedPath} > ${clarkName}` : clarkName;
+
+      // Fields are identified by their full (namespace URI, local name) path, so elements that
+      // share a name and depth under different parents (Order > Address > City vs
+      // Customer > Address > City) are kept apart, each with its own occurrences and values,
+      // while the same element written with different prefixes is one field.
+      // hasChildren, childCount, hasText, textContent, descendantText and valueCounts are
+      // filled in when the element closes
+      const previousSibling = parentFrame ? parentFrame.lastChildField : null;
+      const { field, isFirstOccurrence } = getOrCreateField(qualifiedPath, parentField, previousSibling, orderIndex => ({
+        name: nodeName,
+        localName: localName,
+        prefix: prefix,
+        namespaceURI: namespaceURI,
+        depth: depth,
+        path: parentPath ? `${parentPath} > ${nodeName}` : nodeName,
+        qualifiedPath: qualifiedPath,
+        isNested: depth > 0,
+        hasChildren: false,
+        childCount: 0,
+        hasText: false, // Whether the element has text of its own (not only inside child elements)
+        textContent: '', // Direct text: the element's own text nodes and CDATA sections
+        descendantText: '', // All text inside the element, children included
+        isMixedContent: false, // Text and child elements side by side in at least one occurrence
+        cdataSections: 0,
+        commentCount: 0,
+        comments: [], // Sample of distinct comment texts found directly inside the element
+        attributes: [],
+        occurrences: 1,
+        // Fewest and most times the element appears inside one instance of its parent,
+        // updated each time a parent instance closes
+        minOccurs: null,
+        maxOccurs: 0,
+        orderIndex: orderIndex, // Position among the children of this parent (see getOrCreateField)
+        parentPath: parentPath, // Store parent path for ordering children
+        // Whether instances put their child elements in orders that contradict one another
+        // (or repeat an element after another one), so no single sequence describes them
+        childOrderVaries: false,
+        // Distinct orders of the child elements in the instances: [{ names, count }], names relative
+        // to this element as Clark names, repeats in a row collapsed
+        childSequences: [],
+        valueCounts: {},
+        uniqueValues: 0,
+      }));
+
+      if (parentFrame) {
+        parentFrame.childOccurrences.set(field, (parentFrame.childOccurrences.get(field) || 0) + 1);
+        parentFrame.lastChildField = field;
+        const { childSequence } = parentFrame;
+        if (childSequence[childSequence.length - 1] !== field) {
+          childSequence.push(field);
         }
-        
-        const field = {
-          name: nodeName,
-          depth: depth,
-          path: path,
-          isNested: depth > 0,
-          hasChildren: node.children.length > 0,
-          childCount: node.children.length,
-          hasText: node.textContent && node.textContent.trim().length > 0,
-          textContent: node.textContent ? node.textContent.trim() : '',
-          attributes: Array.from(node.attributes || []).map(attr => attr.name),
-          occurrences: 1,
-          orderIndex: orderIndex, // Track order of first appearance under this parent
-          parentPath: parentPath, // Store parent path for ordering children
-          valueCounts: initialValueCounts,
-          uniqueValues: Object.keys(initialValueCounts).length,
-        };
+      }
 
-        fieldMap.set(fieldKey, field);
-        fields.push(field);
-      } else {
-        // Increment occurrence count for duplicate fields
-        const existingField = fieldMap.get(fieldKey);
-        existingField.occurrences += 1;
-        if (isLeafNode) {
-          const valueKey = leafTextContent !== null && leafTextContent !== undefined ? leafTextContent : '';
-          existingField.valueCounts = existingField.valueCounts || {};
-          existingField.valueCounts[valueKey] = (existingField.valueCounts[valueKey] || 0) + 1;
-          existingField.uniqueValues = Object.keys(existingField.valueCounts).length;
+      const attributeFields = collectAttributes(field, attributes, namespaceScope);
+      openFrames.push({
+        field,
+        namespaceScope,
+        childCount: 0,
+        // Occurrences of each child field (elements and attributes) in this instance
+        childOccurrences: new Map(attributeFields.map(attributeField => [attributeField, 1])),
+        // Child elements in the order they come, repeats in a row collapsed
+        childSequence: [],
+        lastChildField: attributeFields[attributeFields.length - 1] || null,
+        directText: '',
+        // Full descendant text is only needed for the first occurrence's descendantText
+        text: isFirstOccurrence ? '' : null,
+      });
+    },
+
+    /**
+     * @param {string} text - Character data (text nodes and CDATA sections)
+     */
+    addText(text) {
+      appendText(text);
+    },
+
+    /**
+     * @param {string} text - Content of a CDATA section
+     */
+    addCData(text) {
+      const currentFrame = openFrames[openFrames.length - 1];
+      if (!currentFrame) {
+        return;
+      }
+      currentFrame.field.cdataSections += 1;
+      appendText(text);
+    },
+
+    /**
+     * Comments outside the root element are not attached to any field
+     * @param {string} text - Content of a comment
+     */
+    addComment(text) {
+      const currentFrame = openFrames[openFrames.length - 1];
+      if (!currentFrame) {
+        return;
+      }
+      const { field } = currentFrame;
+      const comment = text.trim();
+      field.commentCount += 1;
+      if (field.comments.length < MAX_RECORDED_COMMENTS && !field.comments.includes(comment)) {
+        field.comments.push(comment);
+      }
+    },
+
+    closeElement() {
+      const frame = openFrames.pop();
+      if (!frame) {
+        return;
+      }
+      const { field } = frame;
+      const isLeafNode = frame.childCount === 0;
+      // A leaf's text is its value and is kept as written; the text runs of a
+      // mixed-content element are joined with their whitespace collapsed
+      const directText = isLeafNode
+        ? frame.directText.trim()
+        : frame.directText.replace(/\s+/g, ' ').trim().slice(0, MAX_CONTAINER_TEXT_LENGTH);
+      const isMixedContent = !isLeafNode && directText.length > 0;
+
+      if (frame.text !== null) {
+        field.hasChildren = frame.childCount > 0;
+        field.childCount = frame.childCount;
+        field.hasText = directText.length > 0;
+        field.textContent = directText;
+        field.descendantText = isLeafNode
+          ? directText
+          : frame.text.trimEnd().slice(0, MAX_CONTAINER_TEXT_LENGTH);
+      }
+      if (isMixedContent) {
+        field.isMixedContent = true;
+      }
+
+      const { childSequence } = frame;
+      for (let index = 1; index < childSequence.length && !field.childOrderVaries; index++) {
+        if (childSequence[index].orderIndex <= childSequence[index - 1].orderIndex) {
+          field.childOrderVaries = true;
+        }
+      }
+      if (childSequence.length > 0) {
+        const names = childSequence.map(child => child.qualifiedPath.slice(field.qualifiedPath.length + 3));
+        const key = names.join(' > ');
+        const recorded = field.childSequences.find(entry => entry.names.join(' > ') === key);
+        if (recorded) {
+          recorded.count += 1;
+        } else if (field.childSequences.length < MAX_RECORDED_CHILD_SEQUENCES) {
+          field.childSequences.push({ names, count: 1 });
         }
       }
 
-      // Traverse children in order
-      for (let child of node.children) {
-        traverseNode(child, depth + 1, path);
+      // Children known from any instance of this element; those missing here occurred 0 times
+      (childFieldsByParent.get(field.qualifiedPath) || []).forEach(child => {
+        const count = frame.childOccurrences.get(child) || 0;
+        child.minOccurs = child.minOccurs === null ? count : Math.min(child.minOccurs, count);
+        child.maxOccurs = Math.max(child.maxOccurs, count);
+      });
+
+      // Leaves always have a value (possibly empty); containers only when they carry text of their own
+      if (isLeafNode || isMixedContent) {
+        field.valueCounts[directText] = (field.valueCounts[directText] || 0) + 1;
+        field.uniqueValues = Object.keys(field.valueCounts).length;
+      }
+    },
+
+    /**
+     * @returns {Array} Array of field objects with nesting info, in structural order
+     */
+    getFields() {
+      return sortFieldsByStructure(fields);
+    },
+  };
+}
+
+/**
+ * Sort fields by depth, then by the position of their parent, then by order index
+ * (maintaining XML order). Parents sit one level up, so ranking level by level
+ * means each parent's rank is known before its children are sorted.
+ * @param {Array} fields - Field objects with depth, path, parentPath and orderIndex
+ * @returns {Array} A new, sorted array
+ */
+export function sortFieldsByStructure(fields) {
+  const rankByPath = new Map([['', 0]]);
+  const levels = [];
+  fields.forEach(field => {
+    (levels[field.depth] = levels[field.depth] || []).push(field);
+  });
+
+  return levels.reduce((sorted, level = []) => {
+    level.sort((a, b) => {
+      if (a.parentPath !== b.parentPath) {
+        return rankByPath.get(a.parentPath) - rankByPath.get(b.parentPath);
+      }
+      return (a.orderIndex || 0) - (b.orderIndex || 0);
+    });
+    level.forEach(field => {
+      rankByPath.set(field.path, rankByPath.size);
+    });
+    return sorted.concat(level);
+  }, []);
+}
+
+/**
+ * Extract all fields from an XML document with nesting information
+ * @param {XMLDocument} xmlDoc - Parsed XML document
+ * @returns {Array} Array of field objects with nesting info
+ */
+export function extractFields(xmlDoc) {
+  const collector = createFieldCollector();
+
+  function traverseNode(node) {
+    collector.openElement(
+      node.nodeName,
+      Array.from(node.attributes || []).map(attr => ({ name: attr.name, value: attr.value }))
+    );
+
+    // Traverse children in order
+    for (let child of node.childNodes) {
+      if (child.nodeType === Node.ELEMENT_NODE) {
+        traverseNode(child);
+      } else if (child.nodeType === Node.TEXT_NODE) {
+        collector.addText(child.nodeValue);
+      } else if (child.nodeType === Node.CDATA_SECTION_NODE) {
+        collector.addCData(child.nodeValue);
+      } else if (child.nodeType === Node.COMMENT_NODE) {
+        collector.addComment(child.nodeValue);
       }
     }
+
+    collector.closeElement();
   }
 
   traverseNode(xmlDoc.documentElement);
 
-  // Sort fields by depth, then by order index (maintaining XML order)
-  return fields.sort((a, b) => {
-    if (a.depth !== b.depth) return a.depth - b.depth;
-    // If same depth and same parent, sort by order index
-    if (a.parentPath === b.parentPath) {
-      return (a.orderIndex || 0) - (b.orderIndex || 0);
-    }
-    // Otherwise maintain alphabetical for different parents at same depth
-    return a.name.localeCompare(b.name);
-  });
+  return collector.getFields();
 }
 
 /**
@@ -232,13 +671,50 @@ export function createFieldTree(xmlDoc) {
   return tree;
 }
 
+/**
+ * Find the file the others are compared against
+ * Files are matched by id, as files with the same name can come from different folders or archives
+ * @param {Array} files - Array of {id, filename, fields} objects
+ * @param {*} baselineId - Id of the chosen baseline file, or null
+ * @returns {Object|undefined} The baseline file, or the first file when none is chosen or it is not among the files
+ */
+export function findBaselineFile(files, baselineId = null) {
+  return (baselineId !== null && files.find(file => file.id === baselineId)) || files[0];
+}
+
+/**
+ * Extend a sequence of names with the names it lacks from other sequences
+ * Each missing name is placed right after the nearest name before it (in the sequence that
+ * has it) that is already placed, or first when there is none
+ * @param {Array} base - Names in the preferred order
+ * @param {Array} sequences - Further name sequences, in order of preference
+ * @returns {Array} A new array of names
+ */
+export function extendSequence(base, sequences) {
+  const result = [...base];
+  const placed = new Set(result);
+  sequences.forEach(sequence => {
+    sequence.forEach((name, index) => {
+      if (placed.has(name)) {
+        return;
+      }
+      const previous = sequence.slice(0, index).reverse().find(item => placed.has(item));
+      result.splice(previous === undefined ? 0 : result.indexOf(previous) + 1, 0, name);
+      placed.add(name);
+    });
+  });
+  return result;
+}
+
 /**
  * Compare fields from multiple XML files
- * @param {Array} fileDataArray - Array of {filename, fields} objects
+ * @param {Array} fileDataArray - Array of {id, filename, fields} objects
  * @param {string} prefixToRemove - Optional prefix to remove from field names for comparison
+ * @param {*} baselineId - Id of the file whose structure and order the common fields follow
+ *   (the first file when null or not among the files)
  * @returns {Object} Comparison results
  */
-export function compareFields(fileDataArray, prefixToRemove = '') {
+export function compareFields(fileDataArray, prefixToRemove = '', baselineId = null) {
   if (fileDataArray.length === 0) {
     return {
       commonFields: [],
@@ -292,9 +768,13 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
         paths: new Set(),
         depths: new Set(),
         valueCounts: new Map(),
+        typesByFile: {},
+        statisticsByFile: {},
       });
     }
     const entry = fieldNameStats.get(normalizedName);
+    entry.minOccurs = minOfOccurs(entry.minOccurs, field.minOccurs);
+    entry.maxOccurs = maxOfOccurs(entry.maxOccurs, field.maxOccurs);
     const normalizedPath = removePrefixFromPath(field.path, prefixToRemove);
     entry.paths.add(normalizedPath);
     entry.depths.add(field.depth);
@@ -317,12 +797,19 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
         occurrencesPerFile: {},
         hasChildren: field.hasChildren,
         childCount: field.childCount,
+        isAttribute: field.isAttribute || false,
         orderIndex: field.orderIndex !== undefined ? field.orderIndex : 999999,
+        minOccurs: field.minOccurs,
+        maxOccurs: field.maxOccurs,
         valueCounts: new Map(),
+        typesByFile: {},
+        statisticsByFile: {},
       });
     } else {
       const existingEntry = fieldPathStats.get(normalizedPath);
       existingEntry.hasChildren = existingEntry.hasChildren || field.hasChildren;
+      existingEntry.minOccurs = minOfOccurs(existingEntry.minOccurs, field.minOccurs);
+      existingEntry.maxOccurs = maxOfOccurs(existingEntry.maxOccurs, field.maxOccurs);
       if (typeof field.childCount === 'number') {
         const existingCount = typeof existingEntry.childCount === 'number' ? existingEntry.childCount : 0;
         existingEntry.childCount = Math.max(existingCount, field.childCount);
@@ -335,9 +822,23 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
     return fieldPathStats.get(normalizedPath);
   };
 
+  // Add one field's values to the per-file values of a name or path
+  const addPerFileValues = (perFileValues, key, valueCounts) => {
+    if (!perFileValues.has(key)) {
+      perFileValues.set(key, {});
+    }
+    const values = perFileValues.get(key);
+    Object.entries(valueCounts || {}).forEach(([value, count]) => {
+      values[value] = (values[value] || 0) + count;
+    });
+  };
+
   fileDataArray.forEach(fileData => {
     const perFileNameCounts = new Map();
     const perFilePathCounts = new Map();
+    // Values per name and path in this file, to infer each file's own type
+    const perFileNameValues = new Map();
+    const perFilePathValues = new Map();
 
     fileData.fields.forEach(field => {
       const occurrences = field.occurrences || 1;
@@ -387,8 +888,24 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
         normalizedFieldPath,
         (perFilePathCounts.get(normalizedFieldPath) || 0) + occurrences
       );
+
+      addPerFileValues(perFileNameValues, normalizedFieldName, field.valueCounts);
+      addPerFileValues(perFilePathValues, normalizedFieldPath, field.valueCounts);
     });
 
+    // Files without values for a name or path have no type or statistics to compare
+    const recordFileProfile = (entry, values) => {
+      const { type } = inferFieldType(values);
+      if (type !== DATA_TYPES.EMPTY) {
+        entry.typesByFile[fileData.filename] = type;
+      }
+      if (Object.keys(values).length > 0) {
+        entry.statisticsByFile[fileData.filename] = computeValueStatistics(values);
+      }
+    };
+    perFileNameValues.forEach((values, fieldName) => recordFileProfile(fieldNameStats.get(fieldName), values));
+    perFilePathValues.forEach((values, fieldPath) => recordFileProfile(fieldPathStats.get(fieldPath), values));
+
     perFileNameCounts.forEach((occurrences, fieldName) => {
       const entry = fieldNameStats.get(fieldName);
       if (entry) {
@@ -442,7 +959,7 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
 
   // Build common fields using reference file structure
   // Include fields that exist in all files (by name), using reference file structure for display
-  const referenceFile = fileDataArray[0];
+  const referenceFile = findBaselineFile(fileDataArray, baselineId);
   
   let commonFields = [];
   
@@ -474,7 +991,7 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
       // Build alternative paths with file information
       let alternativePathsWithFiles = [];
       if (structuralInfo) {
-        const currentPath = field.path;
+        const currentPath = normalizedFieldPath;
         structuralInfo.paths.forEach(altPath => {
           if (altPath !== currentPath) {
             // Find which files have this alternative path
@@ -509,7 +1026,9 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
         })),
         orderIndex: field.orderIndex !== undefined ? field.orderIndex : 999999,
         parentPath: removePrefixFromPath(field.parentPath || '', prefixToRemove),
-        attributes: field.attributes || []
+        attributes: field.attributes || [],
+        isAttribute: field.isAttribute || false,
+        isMixedContent: field.isMixedContent || false,
       };
     });
   }
@@ -532,7 +1051,8 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
     uniqueFields[fileData.filename] = uniqueToThisFile.map(f => ({
       name: removePrefixFromFieldName(f.name, prefixToRemove),
       path: removePrefixFromPath(f.path, prefixToRemove),
-      depth: f.depth
+      depth: f.depth,
+      isAttribute: f.isAttribute || false,
     }));
   });
 
@@ -548,13 +1068,16 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
     };
 
     fileDataArray.forEach(fileData => {
-      const fieldData = fileData.fields.find(f => removePrefixFromFieldName(f.name, prefixToRemove) === fieldName);
-      if (fieldData) {
+      // A name can live at several paths in one file, possibly at different depths
+      const matchingFields = fileData.fields.filter(f => removePrefixFromFieldName(f.name, prefixToRemove) === fieldName);
+      if (matchingFields.length > 0) {
         differences.presentIn.push(fileData.filename);
-        if (!differences.depthVariations[fieldData.depth]) {
-          differences.depthVariations[fieldData.depth] = [];
-        }
-        differences.depthVariations[fieldData.depth].push(fileData.filename);
+        new Set(matchingFields.map(f => f.depth)).forEach(depth => {
+          if (!differences.depthVariations[depth]) {
+            differences.depthVariations[depth] = [];
+          }
+          differences.depthVariations[depth].push(fileData.filename);
+        });
       } else {
         differences.absentIn.push(fileData.filename);
       }
@@ -563,6 +1086,12 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
     fieldDifferences[fieldName] = differences;
   });
 
+  // Files that have a path's parent but not the path itself had it 0 times
+  const isMissingUnderParent = (entry) => {
+    const parentEntry = fieldPathStats.get(entry.parentPath);
+    return !!parentEntry && parentEntry.filesWithPath.size > entry.filesWithPath.size;
+  };
+
   return {
     commonFields,
     uniqueFields,
@@ -609,6 +1138,10 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
           })(),
           valueCounts: sortedValueCounts,
           uniqueValuesCount: sortedValueCounts.length,
+          minOccurs: entry.minOccurs,
+          maxOccurs: entry.maxOccurs,
+          ...summarizeInferredType(entry),
+          ...summarizeValueStatistics(entry),
         };
       }),
       fieldPathSummary: Array.from(fieldPathStats.values()).map(entry => {
@@ -632,7 +1165,10 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
           parentPath: entry.parentPath || '',
           hasChildren: entry.hasChildren,
           childCount: entry.childCount,
+          isAttribute: entry.isAttribute,
           orderIndex: entry.orderIndex,
+          minOccurs: isMissingUnderParent(entry) ? 0 : entry.minOccurs,
+          maxOccurs: entry.maxOccurs,
           pathSegments: entry.path.split(' > '),
           filesWithPath: entry.filesWithPath.size,
           filesMissingPath: totalFiles - entry.filesWithPath.size,
@@ -641,12 +1177,63 @@ export function compareFields(fileDataArray, prefixToRemove = '') {
           averageOccurrencesPerFile: entry.filesWithPath.size > 0 ? entry.totalOccurrences / entry.filesWithPath.size : 0,
           valueCounts: sortedValueCounts,
           uniqueValuesCount: sortedValueCounts.length,
+          ...summarizeInferredType(entry),
+          ...summarizeValueStatistics(entry),
         };
       }),
     },
   };
 }
 
+/**
+ * Inferred type of an aggregated name or path entry, across files and per file
+ * @param {Object} entry - Field name or path stats with valueCounts (Map) and typesByFile
+ * @returns {Object} { inferredType, typeConfidence, typesByFile, hasTypeConflict }
+ */
+function summarizeInferredType(entry) {
+  const inference = inferFieldType(Object.fromEntries(entry.valueCounts));
+  return {
+    inferredType: inference.type,
+    typeConfidence: inference.confidence,
+    typesByFile: entry.typesByFile,
+    hasTypeConflict: hasTypeConflict(entry.typesByFile),
+  };
+}
+
+/**
+ * Numeric and length statistics of an aggregated name or path entry, across files and per file
+ * @param {Object} entry - Field name or path stats with valueCounts (Map) and statisticsByFile
+ * @returns {Object} { numericStats, lengthStats, statisticsByFile }
+ */
+function summarizeValueStatistics(entry) {
+  const { numeric, length } = computeValueStatistics(Object.fromEntries(entry.valueCounts));
+  return {
+    numericStats: numeric,
+    lengthStats: length,
+    statisticsByFile: entry.statisticsByFile,
+  };
+}
+
+/**
+ * Per-file types of a summary entry, for exports
+ * @param {Object} entry - Field name or path summary entry
+ * @returns {string} e.g. "a.xml: integer; b.xml: text"
+ */
+function formatTypesByFile(entry) {
+  return Object.entries(entry.typesByFile || {})
+    .map(([filename, type]) => `${filename}: ${type}`)
+    .join('; ');
+}
+
+/**
+ * Label for the Field Type column of exports
+ * @param {Object|string} field - Field object (strings are legacy element names)
+ * @returns {string} 'Attribute' or 'Element'
+ */
+function getFieldType(field) {
+  return typeof field === 'object' && field.isAttribute ? 'Attribute' : 'Element';
+}
+
 /**
  * Export fields to CSV format
  * @param {Array} fields - Array of field objects
@@ -666,20 +1253,41 @@ export function fieldsToCSV(fields, filename = 'fields.csv', prefixToRemove = ''
     'Text Content',
     'Attributes',
     'Occurrences',
+    'Field Type',
+    'Namespace URI',
+    'Mixed Content',
+    'CDATA Sections',
+    'Comments',
+    'Inferred Type',
+    'Type Confidence %',
+    'Min Occurs',
+    'Max Occurs',
   ];
 
-  const rows = fields.map(field => [
-    removePrefixFromFieldName(field.name, prefixToRemove),
-    field.depth,
-    removePrefixFromPath(field.path, prefixToRemove),
-    field.isNested ? 'Yes' : 'No',
-    field.hasChildren ? 'Yes' : 'No',
-    field.childCount,
-    field.hasText ? 'Yes' : 'No',
-    `"${field.textContent.replace(/"/g, '""')}"`,
-    field.attributes.join('; '),
-    field.occurrences,
-  ]);
+  const rows = fields.map(field => {
+    const inference = inferFieldType(field.valueCounts);
+    return [
+      removePrefixFromFieldName(field.name, prefixToRemove),
+      field.depth,
+      removePrefixFromPath(field.path, prefixToRemove),
+      field.isNested ? 'Yes' : 'No',
+      field.hasChildren ? 'Yes' : 'No',
+      field.childCount,
+      field.hasText ? 'Yes' : 'No',
+      `"${field.textContent.replace(/"/g, '""')}"`,
+      field.attributes.join('; '),
+      field.occurrences,
+      getFieldType(field),
+      field.namespaceURI || '',
+      field.isMixedContent ? 'Yes' : 'No',
+      field.cdataSections || 0,
+      `"${(field.comments || []).join('; ').replace(/"/g, '""')}"`,
+      inference.sampleSize > 0 ? inference.type : '',
+      inference.sampleSize > 0 ? Math.round(inference.confidence * 100) : '',
+      field.minOccurs ?? '',
+      field.maxOccurs ?? '',
+    ];
+  });
 
   const csvContent = [
     headers.join(','),
@@ -702,38 +1310,38 @@ export function comparisonToCSV(comparison, mergedFields = null, prefixToRemove
   // Merged View section (if provided)
   if (mergedFields && mergedFields.length > 0) {
     csvContent += 'Merged View (All Fields from All Files)\n';
-    csvContent += 'Field Name,Path,Depth,Present In Files,Files Count\n';
+    csvContent += 'Field Name,Field Type,Path,Depth,Present In Files,Files Count,Min Occurs,Max Occurs\n';
     mergedFields.forEach(field => {
       const fieldName = removePrefixFromFieldName(field.name || '', prefixToRemove);
       const fieldPath = removePrefixFromPath(field.path || '', prefixToRemove);
       const fieldDepth = field.depth !== undefined ? field.depth : 0;
       const presentInFiles = field.presentInFiles ? field.presentInFiles.join('; ') : '';
       const filesCount = field.presentInFiles ? `${field.presentInFiles.length}` : '0';
-      csvContent += `"${fieldName}","${fieldPath}",${fieldDepth},"${presentInFiles}","${filesCount}"\n`;
+      csvContent += `"${fieldName}","${getFieldType(field)}","${fieldPath}",${fieldDepth},"${presentInFiles}","${filesCount}",${field.minOccurs ?? ''},${field.maxOccurs ?? ''}\n`;
     });
     csvContent += '\n\n';
   }
 
   // Common fields section
   csvContent += 'Common Fields (Present in All Files)\n';
-  csvContent += 'Field Name,Path,Depth,Structural Difference,Alternative Paths\n';
+  csvContent += 'Field Name,Field Type,Path,Depth,Structural Difference,Alternative Paths\n';
   comparison.commonFields.forEach(field => {
     const fieldName = typeof field === 'string' ? field : field.name;
     const fieldPath = typeof field === 'string' ? field : field.path;
     const fieldDepth = typeof field === 'string' ? 0 : field.depth;
     const hasStructuralDiff = typeof field === 'object' && field.structuralDifference ? 'Yes' : 'No';
     const altPaths = typeof field === 'object' && field.alternativePaths ? field.alternativePaths.map(p => removePrefixFromPath(p, prefixToRemove)).join('; ') : '';
-    csvContent += `"${removePrefixFromFieldName(fieldName, prefixToRemove)}","${removePrefixFromPath(fieldPath, prefixToRemove)}",${fieldDepth},"${hasStructuralDiff}","${altPaths}"\n`;
+    csvContent += `"${removePrefixFromFieldName(fieldName, prefixToRemove)}","${getFieldType(field)}","${removePrefixFromPath(fieldPath, prefixToRemove)}",${fieldDepth},"${hasStructuralDiff}","${altPaths}"\n`;
   });
 
   csvContent += '\n\nUnique Fields\n';
-  csvContent += 'File Name,Field Name,Path,Depth\n';
+  csvContent += 'File Name,Field Name,Field Type,Path,Depth\n';
   Object.entries(comparison.uniqueFields).forEach(([filename, fields]) => {
     fields.forEach(field => {
       const fieldName = typeof field === 'string' ? field : field.name;
       const fieldPath = typeof field === 'string' ? field : field.path;
       const fieldDepth = typeof field === 'string' ? 0 : field.depth;
-      csvContent += `"${filename}","${removePrefixFromFieldName(fieldName, prefixToRemove)}","${removePrefixFromPath(fieldPath, prefixToRemove)}",${fieldDepth}\n`;
+      csvContent += `"${filename}","${removePrefixFromFieldName(fieldName, prefixToRemove)}","${getFieldType(field)}","${removePrefixFromPath(fieldPath, prefixToRemove)}",${fieldDepth}\n`;
     });
   });
 
@@ -744,6 +1352,15 @@ export function comparisonToCSV(comparison, mergedFields = null, prefixToRemove
     csvContent += `"${removePrefixFromFieldName(diff.fieldName, prefixToRemove)}","${diff.presentIn.join('; ')}","${diff.absentIn.join('; ')}"\n`;
   });
 
+  const pathSummary = comparison.aggregation ? comparison.aggregation.fieldPathSummary || [] : [];
+  if (pathSummary.length > 0) {
+    csvContent += '\n\nInferred Types\n';
+    csvContent += 'Path,Inferred Type,Type Confidence %,Type Conflict,Types By File\n';
+    pathSummary.forEach(entry => {
+      csvContent += `"${removePrefixFromPath(entry.path, prefixToRemove)}","${entry.inferredType}",${Math.round((entry.typeConfidence || 0) * 100)},"${entry.hasTypeConflict ? 'Yes' : 'No'}","${formatTypesByFile(entry)}"\n`;
+    });
+  }
+
   return csvContent;
 }
 
@@ -820,6 +1437,8 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
       'Presence %',
       'Total Occurrences',
       'Avg Occurrences per File',
+      'Inferred Type',
+      'Type Conflict',
     ]);
   }
 
@@ -830,10 +1449,12 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
       entry.presencePercent ? Number(entry.presencePercent.toFixed(1)) : 0,
       entry.totalOccurrences ?? 0,
       entry.averageOccurrencesPerFile ? Number(entry.averageOccurrencesPerFile.toFixed(2)) : 0,
+      entry.inferredType || '',
+      entry.hasTypeConflict ? 'Yes' : 'No',
     ]));
 
   if (fieldCoverageRows.length === 0) {
-    summarySheetData.push(['(no data)', '', '', '', '', '']);
+    summarySheetData.push(['(no data)', '', '', '', '', '', '', '']);
   } else {
     summarySheetData.push(...fieldCoverageRows);
   }
@@ -857,9 +1478,12 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
   if (mergedFields && mergedFields.length > 0) {
     const mergedData = mergedFields.map(field => ({
       'Field Name': clampExcelText(removePrefixFromFieldName(field.name || '', prefixToRemove)),
+      'Field Type': getFieldType(field),
       'Path': clampExcelText(removePrefixFromPath(field.path || '', prefixToRemove)),
       'Depth': field.depth !== undefined ? field.depth : 0,
       'Files Count': field.presentInFiles ? field.presentInFiles.length : 0,
+      'Min Occurs': field.minOccurs ?? '',
+      'Max Occurs': field.maxOccurs ?? '',
     }));
     createWorksheet(mergedData, 'Merged View');
   }
@@ -873,6 +1497,7 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
       : '';
     return {
       'Field Name': clampExcelText(removePrefixFromFieldName(fieldName, prefixToRemove)),
+      'Field Type': getFieldType(field),
       'Path': clampExcelText(removePrefixFromPath(fieldPath, prefixToRemove)),
       'Depth': typeof field === 'string' ? 0 : field.depth,
       'Structural Difference': typeof field === 'object' && field.structuralDifference ? 'Yes' : 'No',
@@ -894,6 +1519,7 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
       uniqueData.push({
         'File Group #': uniqueGroupIndex,
         'Field Name': clampExcelText(removePrefixFromFieldName(fieldName, prefixToRemove)),
+        'Field Type': getFieldType(field),
         'Path': clampExcelText(removePrefixFromPath(fieldPath, prefixToRemove)),
         'Depth': typeof field === 'string' ? 0 : field.depth,
       });
@@ -902,6 +1528,63 @@ export function comparisonToExcel(comparison, mergedFields = null, options = {})
   });
   createWorksheet(uniqueData, 'Unique Fields');
 
+  // Path Coverage sheet: presence and values per path, elements and attributes alike
+  const pathCoverageData = (aggregation.fieldPathSummary || []).map(entry => ({
+    'Path': clampExcelText(removePrefixFromPath(entry.path || '', prefixToRemove)),
+    'Field Type': getFieldType(entry),
+    'Files With Path': entry.filesWithPath ?? 0,
+    'Files Missing': entry.filesMissingPath ?? 0,
+    'Presence %': entry.presencePercent ? Number(entry.presencePercent.toFixed(1)) : 0,
+    'Total Occurrences': entry.totalOccurrences ?? 0,
+    'Min Occurs': entry.minOccurs ?? '',
+    'Max Occurs': entry.maxOccurs ?? '',
+    'Distinct Values': entry.uniqueValuesCount ?? 0,
+    'Top Values': clampExcelText(
+      (entry.valueCounts || []).slice(0, 10).map(({ value, count }) => `${value} (${count})`).join('; ')
+    ),
+    'Inferred Type': entry.inferredType || '',
+    'Type Confidence %': Math.round((entry.typeConfidence || 0) * 100),
+    'Type Conflict': entry.hasTypeConflict ? 'Yes' : 'No',
+    'Types By File': clampExcelText(formatTypesByFile(entry)),
+  }));
+  createWorksheet(pathCoverageData, 'Path Coverage');
+
+  // Statistics sheet: numeric and length statistics per path, across all files and per file
+  const statisticsRow = (path, scope, statistics) => {
+    const numeric = statistics.numeric || {};
+    const length = statistics.length || {};
+    const round = (value) => (typeof value === 'number' ? Number(value.toFixed(4)) : '');
+    return {
+      'Path': clampExcelText(removePrefixFromPath(path || '', prefixToRemove)),
+      'Scope': clampExcelText(scope),
+      'Numeric Values': numeric.count ?? '',
+      'Min': round(numeric.min),
+      'Max': round(numeric.max),
+      'Mean': round(numeric.mean),
+      'Median': round(numeric.median),
+      'Std Dev': round(numeric.standardDeviation),
+      ...Object.fromEntries(REPORTED_PERCENTILES.map(percentile => [
+        `P${percentile}`,
+        round(numeric.percentiles ? numeric.percentiles[`p${percentile}`] : undefined),
+      ])),
+      'Text Values': length.count ?? '',
+      'Min Length': length.min ?? '',
+      'Max Length': length.max ?? '',
+      'Avg Length': round(length.average),
+    };
+  };
+  const statisticsData = [];
+  (aggregation.fieldPathSummary || []).forEach(entry => {
+    if (!entry.numericStats && !entry.lengthStats) {
+      return;
+    }
+    statisticsData.push(statisticsRow(entry.path, 'All files', { numeric: entry.numericStats, length: entry.lengthStats }));
+    Object.entries(entry.statisticsByFile || {}).forEach(([filename, statistics]) => {
+      statisticsData.push(statisticsRow(entry.path, filename, statistics));
+    });
+  });
+  createWorksheet(statisticsData, 'Statistics');
+
   // Generate Excel file
   const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
   return new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -921,29 +1604,70 @@ export function getXMLStatistics(fields) {
     fieldsWithChildren: fields.filter(f => f.hasChildren).length,
     fieldsWithText: fields.filter(f => f.hasText).length,
     fieldsWithAttributes: fields.filter(f => f.attributes.length > 0).length,
+    attributeFields: fields.filter(f => f.isAttribute).length,
+    mixedContentFields: fields.filter(f => f.isMixedContent).length,
   };
 
   return stats;
 }
 
+// Combine the per-parent cardinality of the same path from several sources;
+// sources without a recorded value (undefined/null) don't narrow the range
+function minOfOccurs(a, b) {
+  if (typeof a !== 'number') return typeof b === 'number' ? b : a;
+  return typeof b === 'number' ? Math.min(a, b) : a;
+}
+
+function maxOfOccurs(a, b) {
+  if (typeof a !== 'number') return typeof b === 'number' ? b : a;
+  return typeof b === 'number' ? Math.max(a, b) : a;
+}
+
+/**
+ * Format a minOccurs/maxOccurs range
+ * @param {Object} field - Field or summary entry with minOccurs and maxOccurs
+ * @returns {string} e.g. "0..1" or "1..50", or '' when unknown
+ */
+export function formatOccursRange(field) {
+  if (!field || typeof field.minOccurs !== 'number' || typeof field.maxOccurs !== 'number') {
+    return '';
+  }
+  return `${field.minOccurs}..${field.maxOccurs}`;
+}
+
 /**
  * Merge fields from multiple files, grouping by similar structure
  * @param {Array} files - Array of file objects with fields
+ * @param {string} prefixToRemove - Optional prefix to remove from field names
+ * @param {*} baselineId - Id of the file whose order siblings follow (the first file when null)
  * @returns {Array} Merged fields array
  */
-export function mergeFieldsFromFiles(files, prefixToRemove = '') {
+export function mergeFieldsFromFiles(files, prefixToRemove = '', baselineId = null) {
   if (!files || files.length === 0) return [];
 
   // Track all unique field names under each parent path
   // parentPath -> Map of fieldName -> { field info, presentInFiles }
   const parentFieldMap = new Map();
+  // file -> Map of parentPath -> the file's children there, in its order
+  const childOrdersByFile = new Map();
   
   // First pass: collect all fields grouped by parent path and field name
   files.forEach(file => {
+    const childOrders = new Map();
+    childOrdersByFile.set(file, childOrders);
     file.fields.forEach(field => {
       const normalizedParentPath = removePrefixFromPath(field.parentPath || '', prefixToRemove);
       const normalizedFieldName = removePrefixFromFieldName(field.name, prefixToRemove);
       const normalizedPath = removePrefixFromPath(field.path, prefixToRemove);
+
+      if (!childOrders.has(normalizedParentPath)) {
+        childOrders.set(normalizedParentPath, []);
+      }
+      childOrders.get(normalizedParentPath).push({
+        name: normalizedFieldName,
+        isAttribute: !!field.isAttribute,
+        orderIndex: field.orderIndex ?? Infinity,
+      });
       
       if (!parentFieldMap.has(normalizedParentPath)) {
         parentFieldMap.set(normalizedParentPath, new Map());
@@ -965,10 +1689,19 @@ export function mergeFieldsFromFiles(files, prefixToRemove = '') {
           hasText: field.hasText,
           textContent: field.textContent,
           attributes: field.attributes,
+          isAttribute: field.isAttribute || false,
+          namespaceURI: field.namespaceURI ?? null,
+          isMixedContent: field.isMixedContent || false,
+          childOrderVaries: !!field.childOrderVaries,
           occurrences: field.occurrences,
+          minOccurs: field.minOccurs,
+          maxOccurs: field.maxOccurs,
+          valueCounts: { ...(field.valueCounts || {}) },
+          uniqueValues: Object.keys(field.valueCounts || {}).length,
         });
       } else {
-        // Normalized field name already exists under this normalized parent, just add to presentInFiles
+        // Normalized field name already exists under this normalized parent, add this file's
+        // occurrences and values to the same path
         const existing = fieldsAtParent.get(normalizedFieldName);
         if (!existing.presentInFiles.includes(file.filename)) {
           existing.presentInFiles.push(file.filename);
@@ -977,47 +1710,76 @@ export function mergeFieldsFromFiles(files, prefixToRemove = '') {
         if (field.hasChildren) {
           existing.hasChildren = true;
         }
+        if (field.isMixedContent) {
+          existing.isMixedContent = true;
+        }
+        if (field.childOrderVaries) {
+          existing.childOrderVaries = true;
+        }
+        existing.occurrences += field.occurrences || 0;
+        existing.minOccurs = minOfOccurs(existing.minOccurs, field.minOccurs);
+        existing.maxOccurs = maxOfOccurs(existing.maxOccurs, field.maxOccurs);
+        Object.entries(field.valueCounts || {}).forEach(([value, count]) => {
+          existing.valueCounts[value] = (existing.valueCounts[value] || 0) + count;
+        });
+        existing.uniqueValues = Object.keys(existing.valueCounts).length;
       }
     });
+    childOrders.forEach((children, parentPath) => {
+      // Names that became equal once the prefix was removed count once, where first seen
+      const sorted = children.sort((a, b) => a.orderIndex - b.orderIndex);
+      childOrders.set(parentPath, sorted.filter((child, index) => sorted.findIndex(other => other.name === child.name) === index));
+    });
   });
 
   // Second pass: build the merged field list maintaining structure
-  // Use reference file (first file) to determine the order and structure
+  // Use reference file (the baseline, or the first file) to determine the order and structure;
+  // children it lacks follow the sibling they come after in the other files
+  const refFile = findBaselineFile(files, baselineId);
+  const filesInOrderOfPreference = [refFile, ...files.filter(file => file !== refFile)];
   const merged = [];
   const processedFieldKeys = new Set(); // Track parentPath + fieldName combinations
   
   // Build a function to recursively process fields
-  const processFieldsAtDepth = (depth, parentPath) => {
+  const processFieldsAtDepth = (depth, parentPath, parentInfo = null) => {
     const fieldsAtParent = parentFieldMap.get(parentPath) || new Map();
     const fieldEntries = Array.from(fieldsAtParent.entries());
+    const fileOrders = filesInOrderOfPreference
+      .map(file => childOrdersByFile.get(file).get(parentPath))
+      .filter(Boolean);
+    const order = extendSequence([], fileOrders.map(children => children.map(child => child.name)));
     
-    // Sort by order index from reference file if available
-    fieldEntries.sort(([nameA, fieldA], [nameB, fieldB]) => {
-      // Try to get order from reference file (using normalized names/paths for comparison)
-      const refFile = files[0];
-      const refFieldA = refFile.fields.find(f => 
-        removePrefixFromFieldName(f.name, prefixToRemove) === nameA && removePrefixFromPath(f.parentPath || '', prefixToRemove) === parentPath
-      );
-      const refFieldB = refFile.fields.find(f => 
-        removePrefixFromFieldName(f.name, prefixToRemove) === nameB && removePrefixFromPath(f.parentPath || '', prefixToRemove) === parentPath
-      );
-      
-      const orderA = refFieldA?.orderIndex ?? fieldA.orderIndex;
-      const orderB = refFieldB?.orderIndex ?? fieldB.orderIndex;
-      
-      if (orderA !== orderB) return orderA - orderB;
-      return nameA.localeCompare(nameB);
+    fieldEntries.sort(([nameA], [nameB]) => order.indexOf(nameA) - order.indexOf(nameB));
+    fieldEntries.forEach(([, fieldInfo], index) => {
+      fieldInfo.orderIndex = index;
     });
+
+    // The merged order must fit every file's order of child elements, or no single sequence describes them
+    if (parentInfo) {
+      const elementOrder = fieldEntries.filter(([, fieldInfo]) => !fieldInfo.isAttribute).map(([fieldName]) => fieldName);
+      fileOrders.forEach(children => {
+        const fileOrder = children.filter(child => !child.isAttribute).map(child => child.name);
+        const present = new Set(fileOrder);
+        if (elementOrder.filter(name => present.has(name)).join('\u0000') !== fileOrder.join('\u0000')) {
+          parentInfo.childOrderVaries = true;
+        }
+      });
+    }
     
     fieldEntries.forEach(([fieldName, fieldInfo]) => {
       const key = `${parentPath}|${fieldName}`;
       if (!processedFieldKeys.has(key)) {
         processedFieldKeys.add(key);
+        // Files that have the parent but not this field had it 0 times
+        if (parentInfo && fieldInfo.presentInFiles.length < parentInfo.presentInFiles.length) {
+          fieldInfo.minOccurs = 0;
+        }
         merged.push(fieldInfo);
         
-        // Recursively process children if this field has children
-        if (fieldInfo.hasChildren) {
-          processFieldsAtDepth(depth + 1, fieldInfo.path);
+        // Recursively process children if this field has children (child elements or
+        // attribute pseudo-fields, which leaf elements can have too)
+        if (fieldInfo.hasChildren || parentFieldMap.has(fieldInfo.path)) {
+          processFieldsAtDepth(depth + 1, fieldInfo.path, fieldInfo);
         }
       }
     });
@@ -1057,11 +1819,16 @@ export function getFieldValuesFromFiles(files, fieldName, parentPath, prefixToRe
       // Match by field name and parent path
       if (normalizedFieldNameFromFile === normalizedFieldName && 
           normalizedParentPathFromFile === normalizedParentPath) {
-        // Collect text content (trimmed, non-empty)
-        const textValue = field.textContent ? field.textContent.trim() : '';
-        if (textValue.length > 0) {
-          valueSet.add(textValue);
-        }
+        // Collect every value seen at this path (trimmed, non-empty), not just the first occurrence
+        const values = field.valueCounts && typeof field.valueCounts === 'object'
+          ? Object.keys(field.valueCounts)
+          : [field.textContent || ''];
+        values.forEach(value => {
+          const textValue = value ? value.trim() : '';
+          if (textValue.length > 0) {
+            valueSet.add(textValue);
+          }
+        });
       }
     });
   });
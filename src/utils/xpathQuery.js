@@ -0,0 +1,221 @@
+/**
+ * XPath Query
+ * Evaluates XPath 1.0 expressions with the browser's document.evaluate and describes the
+ * matching nodes so they can be listed, exported and traced back to fields.
+ */
+
+import * as XLSX from 'xlsx';
+import { clampExcelText, workbookToBlob } from './fileExport';
+
+// Matches listed per file; the count still includes the rest
+export const MAX_MATCHES_PER_FILE = 1000;
+
+// Longest value shown for a matching element (its text content)
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Create the namespace resolver for an expression evaluated against one document
+ * Prefixes are looked up in the canonical labels of the namespace panel first, so one expression
+ * works across files whatever prefix each file declared (and for elements in a default namespace),
+ * then in the namespace declarations of the document itself.
+ * @param {Document} xmlDoc - The document
+ * @param {Map} namespaceLabels - Result of resolveNamespaceLabels (uri -> { uri, label })
+ * @returns {Function} (prefix) => namespace URI or null
+ */
+export function createNamespaceResolver(xmlDoc, namespaceLabels = new Map()) {
+  const labelled = new Map();
+  namespaceLabels.forEach(({ uri, label }, sourceUri) => {
+    if (label && !labelled.has(label)) {
+      labelled.set(label, uri || sourceUri);
+    }
+  });
+
+  let declared = null;
+  const collectDeclarations = () => {
+    declared = new Map();
+    Array.from(xmlDoc.getElementsByTagName('*')).forEach(element => {
+      Array.from(element.attributes).forEach(attribute => {
+        if (attribute.name.startsWith('xmlns:') && !declared.has(attribute.localName)) {
+          declared.set(attribute.localName, attribute.value);
+        }
+      });
+    });
+  };
+
+  return (prefix) => {
+    if (labelled.has(prefix)) {
+      return labelled.get(prefix);
+    }
+    if (!declared) {
+      collectDeclarations();
+    }
+    return declared.get(prefix) || null;
+  };
+}
+
+// Position of an element among its same-named siblings, or null when it is the only one
+function siblingPosition(element) {
+  const parent = element.parentNode;
+  if (!parent || parent.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  let position = 0;
+  let total = 0;
+  Array.from(parent.children).forEach(sibling => {
+    if (sibling.nodeName === element.nodeName) {
+      total += 1;
+      if (sibling === element) {
+        position = total;
+      }
+    }
+  });
+  return total > 1 ? position : null;
+}
+
+// Location steps ("/Orders/Order[2]") and field path ("Orders > Order") of an element
+function describeElement(element) {
+  const locationSteps = [];
+  const pathSegments = [];
+  for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+    const position = siblingPosition(node);
+    locationSteps.unshift(position ? `${node.nodeName}[${position}]` : node.nodeName);
+    pathSegments.unshift(node.nodeName);
+  }
+  return { location: `/${locationSteps.join('/')}`, fieldPath: pathSegments.join(' > ') };
+}
+
+const truncate = (value) => (value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value);
+
+/**
+ * Describe a matching node
+ * @param {Node} node - A node from an XPath result
+ * @returns {Object} { nodeType, location (XPath to the node), fieldPath (path of the field it belongs to, or null), value }
+ */
+export function describeNode(node) {
+  switch (node.nodeType) {
+    case Node.ELEMENT_NODE:
+      return { nodeType: 'element', ...describeElement(node), value: truncate(node.textContent.trim()) };
+    case Node.ATTRIBUTE_NODE: {
+      const owner = describeElement(node.ownerElement);
+      return {
+        nodeType: 'attribute',
+        location: `${owner.location}/@${node.name}`,
+        fieldPath: `${owner.fieldPath} > @${node.name}`,
+        value: truncate(node.value),
+      };
+    }
+    case Node.TEXT_NODE:
+    case Node.CDATA_SECTION_NODE:
+    case Node.COMMENT_NODE:
+    case Node.PROCESSING_INSTRUCTION_NODE: {
+      const step = {
+        [Node.TEXT_NODE]: 'text()',
+        [Node.CDATA_SECTION_NODE]: 'text()',
+        [Node.COMMENT_NODE]: 'comment()',
+        [Node.PROCESSING_INSTRUCTION_NODE]: `processing-instruction('${node.nodeName}')`,
+      }[node.nodeType];
+      const parent = node.parentNode && node.parentNode.nodeType === Node.ELEMENT_NODE
+        ? describeElement(node.parentNode)
+        : { location: '', fieldPath: null };
+      return { nodeType: step.replace(/\(.*\)$/, ''), location: `${parent.location}/${step}`, fieldPath: parent.fieldPath, value: truncate(node.nodeValue) };
+    }
+    default:
+      return { nodeType: 'document', location: '/', fieldPath: null, value: truncate((node.textContent || '').trim()) };
+  }
+}
+
+/**
+ * Check an expression's syntax before it is run against any file
+ * Every prefix is accepted here; unknown prefixes are reported per document by evaluateXPath.
+ * @param {string} expression - XPath expression
+ * @throws {Error} The browser's error for an invalid expression
+ */
+export function checkXPathSyntax(expression) {
+  document.createExpression(expression, () => 'urn:x-prefix-check');
+}
+
+/**
+ * Evaluate an XPath 1.0 expression against a document
+ * Syntax errors and unknown prefixes are thrown as the browser reports them.
+ * @param {Document} xmlDoc - The document
+ * @param {string} expression - XPath expression
+ * @param {Function} resolveNamespace - (prefix) => URI, see createNamespaceResolver
+ * @returns {Object} { kind: 'nodes' | 'number' | 'string' | 'boolean', count, matches: [describeNode results] }
+ *   where scalar results are a single match with the value
+ */
+export function evaluateXPath(xmlDoc, expression, resolveNamespace) {
+  const result = xmlDoc.evaluate(expression, xmlDoc, resolveNamespace, XPathResult.ANY_TYPE, null);
+  const scalarKinds = {
+    [XPathResult.NUMBER_TYPE]: ['number', () => String(result.numberValue)],
+    [XPathResult.STRING_TYPE]: ['string', () => result.stringValue],
+    [XPathResult.BOOLEAN_TYPE]: ['boolean', () => String(result.booleanValue)],
+  };
+  if (scalarKinds[result.resultType]) {
+    const [kind, getValue] = scalarKinds[result.resultType];
+    return { kind, count: 1, matches: [{ nodeType: kind, location: '', fieldPath: null, value: getValue() }] };
+  }
+
+  // Node sets come back as iterators in arbitrary order; a snapshot gives the count and document order
+  const snapshot = xmlDoc.evaluate(expression, xmlDoc, resolveNamespace, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+  const matches = [];
+  for (let index = 0; index < snapshot.snapshotLength && index < MAX_MATCHES_PER_FILE; index++) {
+    matches.push(describeNode(snapshot.snapshotItem(index)));
+  }
+  return { kind: 'nodes', count: snapshot.snapshotLength, matches };
+}
+
+// One row per match (or per file without matches), shared by the CSV and Excel exports
+function toRows(results) {
+  const rows = [];
+  results.forEach(result => {
+    if (result.error) {
+      rows.push([result.filename, 0, '', '', '', `Error: ${result.error}`]);
+      return;
+    }
+    if (result.matches.length === 0) {
+      rows.push([result.filename, result.count, '', '', '', '']);
+    }
+    result.matches.forEach(match => {
+      rows.push([result.filename, result.count, match.nodeType, match.location, match.fieldPath || '', match.value]);
+    });
+  });
+  return rows;
+}
+
+const EXPORT_HEADERS = ['File', 'Matches in File', 'Node Type', 'Location', 'Field Path', 'Value'];
+
+/**
+ * Export query results to CSV
+ * @param {Array} results - [{ filename, count, matches, error }]
+ * @returns {string} CSV content
+ */
+export function queryResultsToCSV(results) {
+  const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  return [
+    EXPORT_HEADERS.join(','),
+    ...toRows(results).map(row => row.map(escape).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Export query results to Excel
+ * @param {Array} results - [{ filename, count, matches, error }]
+ * @param {string} expression - The XPath expression, recorded on the summary sheet
+ * @returns {Blob} Excel file blob
+ */
+export function queryResultsToExcel(results, expression) {
+  const workbook = XLSX.utils.book_new();
+
+  const summary = [
+    ['XPath', clampExcelText(expression)],
+    [],
+    ['File', 'Matches', 'Error'],
+    ...results.map(result => [result.filename, result.error ? '' : result.count, result.error || '']),
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Summary');
+
+  const matches = [EXPORT_HEADERS, ...toRows(results).map(row => row.map(clampExcelText))];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(matches), 'Matches');
+
+  return workbookToBlob(workbook);
+}
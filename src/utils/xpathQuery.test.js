@@ -0,0 +1,49 @@
+import { parseXML, parseXMLLenient } from './xmlParser';
+import { createNamespaceResolver, evaluateXPath } from './xpathQuery';
+
+const query = (xmlDoc, expression, namespaceLabels) => (
+  evaluateXPath(xmlDoc, expression, createNamespaceResolver(xmlDoc, namespaceLabels))
+);
+
+describe('evaluateXPath', () => {
+  const xmlDoc = parseXML(`<o:Orders xmlns:o="urn:orders">
+    <o:Order id="1"><o:Status>FAILED</o:Status></o:Order>
+    <o:Order id="2"><o:Status>OK</o:Status></o:Order>
+  </o:Orders>`);
+
+  test('returns matching nodes with their values', () => {
+    const result = query(xmlDoc, "//o:Order[o:Status='FAILED']/@id");
+    expect(result.kind).toBe('nodes');
+    expect(result.count).toBe(1);
+    expect(result.matches[0].value).toBe('1');
+  });
+
+  test('returns scalar results as a single value', () => {
+    expect(query(xmlDoc, 'count(//o:Order)')).toMatchObject({ kind: 'number', count: 1, matches: [{ value: '2' }] });
+  });
+
+  test('resolves the namespace labels first, then the prefixes the document declares', () => {
+    const labels = new Map([['urn:orders', { uri: 'urn:orders', label: 'ord' }]]);
+    const resolve = createNamespaceResolver(xmlDoc, labels);
+    expect(resolve('ord')).toBe('urn:orders');
+    expect(resolve('o')).toBe('urn:orders');
+    expect(resolve('x')).toBeNull();
+  });
+});
+
+describe('parseXMLLenient', () => {
+  test('recovers a document the strict parser rejects, with its namespaces', () => {
+    const text = '<o:Orders xmlns:o="urn:orders"><o:Order id=3><o:Note>Fish & Chips</o:Order></o:Orders>';
+    expect(() => parseXML(text)).toThrow();
+    const xmlDoc = parseXMLLenient(text);
+    expect(xmlDoc.documentElement.namespaceURI).toBe('urn:orders');
+    const result = query(xmlDoc, '//o:Order[@id=3]/o:Note');
+    expect(result.count).toBe(1);
+    expect(result.matches[0].value).toBe('Fish & Chips');
+  });
+
+  test('keeps elements with an undeclared prefix', () => {
+    const xmlDoc = parseXMLLenient('<Root><x:Item>1</x:Item></Root>');
+    expect(xmlDoc.documentElement.firstChild.nodeName).toBe('x:Item');
+  });
+});
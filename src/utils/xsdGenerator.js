@@ -0,0 +1,247 @@
+/**
+ * XSD Generator Utility
+ * Builds an XML Schema from the merged field structure of the loaded files
+ */
+
+import { DATA_TYPES, inferFieldType } from './typeInference';
+import { splitQualifiedName, XML_NAMESPACE_URI } from './namespaces';
+import { withoutEmbeddedXML } from './embeddedXml';
+
+export const XSD_NAMESPACE_URI = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NAMESPACE_URI = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Lexical forms each built-in type accepts, checked against every observed value
+// so the schema never rejects the files it was generated from (and neither does the content
+// model: see renderElement)
+const XSD_LEXICAL_FORMS = {
+  'xs:integer': /^[+-]?\d+$/,
+  'xs:decimal': /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  'xs:double': /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/,
+  'xs:boolean': /^(true|false|1|0)$/,
+  'xs:date': /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/,
+  'xs:dateTime': /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+};
+
+const UUID_PATTERN = '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}';
+
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\t/g, '&#9;')
+  .replace(/\n/g, '&#10;')
+  .replace(/\r/g, '&#13;');
+
+// Field names carry the display prefix; schemas declare local names
+const localNameOf = (field) => {
+  const name = field.isAttribute || field.name.startsWith('@') ? field.name.slice(1) : field.name;
+  return splitQualifiedName(name).localName;
+};
+
+const isAttributeField = (field) => field.isAttribute || field.name.startsWith('@');
+
+/**
+ * Pick the simple type for a field's values
+ * Specific types are only used when every observed value is valid for them; anything
+ * uncertain (mixed types, empty values next to numbers, ...) falls back to xs:string
+ * @param {Object} field - Merged field with valueCounts
+ * @returns {{type: string}|{enumeration: Array}|{pattern: string}} Built-in type name or a restriction of xs:string
+ */
+function chooseSimpleType(field) {
+  const valueCounts = field.valueCounts || {};
+  const values = Object.keys(valueCounts);
+  const inference = inferFieldType(valueCounts);
+  const hasEmptyValues = values.some(value => value.trim() === '');
+
+  const allMatch = (typeName) => values.every(value => XSD_LEXICAL_FORMS[typeName].test(value.trim()));
+
+  if (hasEmptyValues || inference.confidence < 1) {
+    return inference.type === DATA_TYPES.ENUMERATION ? { enumeration: values } : { type: 'xs:string' };
+  }
+
+  switch (inference.type) {
+    case DATA_TYPES.INTEGER:
+      return { type: 'xs:integer' };
+    case DATA_TYPES.DECIMAL:
+      return { type: allMatch('xs:decimal') ? 'xs:decimal' : 'xs:double' };
+    case DATA_TYPES.BOOLEAN:
+      return { type: allMatch('xs:boolean') ? 'xs:boolean' : 'xs:string' };
+    case DATA_TYPES.DATE:
+      return { type: allMatch('xs:date') ? 'xs:date' : 'xs:string' };
+    case DATA_TYPES.DATETIME:
+      return { type: allMatch('xs:dateTime') ? 'xs:dateTime' : 'xs:string' };
+    case DATA_TYPES.UUID:
+      return { pattern: UUID_PATTERN };
+    default:
+      return { type: 'xs:string' };
+  }
+}
+
+/**
+ * Write a simple type either as a type attribute or as an anonymous xs:simpleType
+ * @returns {{typeAttribute: string, body: Array}} ' type="..."' or the lines of an xs:simpleType
+ */
+function renderSimpleType(simpleType, indent) {
+  if (simpleType.type) {
+    return { typeAttribute: ` type="${simpleType.type}"`, body: [] };
+  }
+  const facets = simpleType.enumeration
+    ? simpleType.enumeration.map(value => `${indent}    <xs:enumeration value="${escapeAttribute(value)}"/>`)
+    : [`${indent}    <xs:pattern value="${escapeAttribute(simpleType.pattern)}"/>`];
+  return {
+    typeAttribute: '',
+    body: [
+      `${indent}<xs:simpleType>`,
+      `${indent}  <xs:restriction base="xs:string">`,
+      ...facets,
+      `${indent}  </xs:restriction>`,
+      `${indent}</xs:simpleType>`,
+    ],
+  };
+}
+
+// minOccurs/maxOccurs attributes; the observed maximum is only a sample, so any repetition is unbounded
+function occursAttributes(field) {
+  let result = '';
+  if (field.minOccurs === 0) {
+    result += ' minOccurs="0"';
+  }
+  if (field.maxOccurs > 1) {
+    result += ' maxOccurs="unbounded"';
+  }
+  return result;
+}
+
+/**
+ * Generate an XSD from merged fields
+ * Elements are declared locally (nested anonymous types), so elements that share a name
+ * under different parents keep their own structure. Siblings are declared as a sequence in
+ * the merged order; optionality and repetition come from the per-parent minOccurs/maxOccurs
+ * observed across files, and leaf types from the inferred value types. Where instances or
+ * files order the children differently, no sequence fits them all, so the children become a
+ * repeated choice instead.
+ * Elements from other namespaces than the root's are allowed as xs:any, attributes from
+ * other namespaces as xs:anyAttribute.
+ * @param {Array} mergedFields - Result of mergeFieldsFromFiles
+ * @param {Object} options - { comment } text written as a documentation annotation
+ * @returns {string} XSD document
+ */
+export function generateXSD(mergedFields, options = {}) {
+  const { comment = '' } = options;
+  const childrenByParent = new Map();
+  // Embedded documents are the text of their field, typed as a string
+  withoutEmbeddedXML(mergedFields).forEach(field => {
+    const parentPath = field.parentPath || '';
+    if (!childrenByParent.has(parentPath)) {
+      childrenByParent.set(parentPath, []);
+    }
+    childrenByParent.get(parentPath).push(field);
+  });
+
+  const roots = childrenByParent.get('') || [];
+  const targetNamespace = roots.length > 0 ? roots[0].namespaceURI || null : null;
+
+  const renderAttributes = (attributeFields, indent) => {
+    const lines = [];
+    const foreignNamespaces = new Set();
+
+    attributeFields.forEach(field => {
+      const namespaceURI = field.namespaceURI || null;
+      if (namespaceURI === XSI_NAMESPACE_URI) {
+        // xsi:type, xsi:nil and schema locations are allowed on every element
+        return;
+      }
+      if (namespaceURI) {
+        foreignNamespaces.add(namespaceURI === XML_NAMESPACE_URI ? XML_NAMESPACE_URI : namespaceURI);
+        return;
+      }
+      const { typeAttribute, body } = renderSimpleType(chooseSimpleType(field), `${indent}  `);
+      const use = field.minOccurs >= 1 ? ' use="required"' : '';
+      if (body.length === 0) {
+        lines.push(`${indent}<xs:attribute name="${escapeAttribute(localNameOf(field))}"${typeAttribute}${use}/>`);
+      } else {
+        lines.push(`${indent}<xs:attribute name="${escapeAttribute(localNameOf(field))}"${use}>`, ...body, `${indent}</xs:attribute>`);
+      }
+    });
+
+    if (foreignNamespaces.size > 0) {
+      lines.push(`${indent}<xs:anyAttribute namespace="${escapeAttribute(Array.from(foreignNamespaces).join(' '))}" processContents="lax"/>`);
+    }
+    return lines;
+  };
+
+  // Children of a repeated choice take their repetition from the choice
+  const renderElement = (field, indent, isGlobal, inChoice = false) => {
+    const occurs = isGlobal || inChoice ? '' : occursAttributes(field);
+    const namespaceURI = field.namespaceURI || null;
+
+    if (!isGlobal && namespaceURI !== targetNamespace) {
+      // Declarations can only name elements of the target namespace
+      return [`${indent}<xs:any namespace="${escapeAttribute(namespaceURI || '##local')}" processContents="lax"${occurs}/>`];
+    }
+
+    const name = escapeAttribute(localNameOf(field));
+    const children = childrenByParent.get(field.path) || [];
+    const elementChildren = children.filter(child => !isAttributeField(child));
+    const attributeLines = renderAttributes(children.filter(isAttributeField), `${indent}    `);
+
+    if (elementChildren.length === 0) {
+      const { typeAttribute, body } = renderSimpleType(chooseSimpleType(field), `${indent}  `);
+      if (attributeLines.length === 0) {
+        return body.length === 0
+          ? [`${indent}<xs:element name="${name}"${typeAttribute}${occurs}/>`]
+          : [`${indent}<xs:element name="${name}"${occurs}>`, ...body, `${indent}</xs:element>`];
+      }
+      // Text with attributes: extend the simple type (restrictions can't carry attributes, so they become xs:string)
+      const base = typeAttribute ? typeAttribute.slice(7, -1) : 'xs:string';
+      return [
+        `${indent}<xs:element name="${name}"${occurs}>`,
+        `${indent}  <xs:complexType>`,
+        `${indent}    <xs:simpleContent>`,
+        `${indent}      <xs:extension base="${base}">`,
+        ...attributeLines.map(line => `    ${line}`),
+        `${indent}      </xs:extension>`,
+        `${indent}    </xs:simpleContent>`,
+        `${indent}  </xs:complexType>`,
+        `${indent}</xs:element>`,
+      ];
+    }
+
+    // A repeated choice is only required when some child always occurs
+    const group = field.childOrderVaries
+      ? `xs:choice${elementChildren.every(child => child.minOccurs === 0) ? ' minOccurs="0"' : ''} maxOccurs="unbounded"`
+      : 'xs:sequence';
+    return [
+      `${indent}<xs:element name="${name}"${occurs}>`,
+      `${indent}  <xs:complexType${field.isMixedContent ? ' mixed="true"' : ''}>`,
+      `${indent}    <${group}>`,
+      ...elementChildren.flatMap(child => renderElement(child, `${indent}      `, false, field.childOrderVaries)),
+      `${indent}    </${group.split(' ')[0]}>`,
+      ...attributeLines,
+      `${indent}  </xs:complexType>`,
+      `${indent}</xs:element>`,
+    ];
+  };
+
+  const schemaAttributes = targetNamespace
+    ? ` targetNamespace="${escapeAttribute(targetNamespace)}" xmlns="${escapeAttribute(targetNamespace)}" elementFormDefault="qualified"`
+    : '';
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xs:schema xmlns:xs="${XSD_NAMESPACE_URI}"${schemaAttributes}>`,
+  ];
+  if (comment) {
+    lines.push(
+      '  <xs:annotation>',
+      `    <xs:documentation>${comment.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</xs:documentation>`,
+      '  </xs:annotation>'
+    );
+  }
+  roots
+    .filter(root => (root.namespaceURI || null) === targetNamespace)
+    .forEach(root => lines.push(...renderElement(root, '  ', true)));
+  lines.push('</xs:schema>', '');
+
+  return lines.join('\n');
+}
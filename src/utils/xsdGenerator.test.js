@@ -0,0 +1,99 @@
+import { extractFields, mergeFieldsFromFiles, parseXML } from './xmlParser';
+import { applyNamespaceLabels, collectNamespaces, resolveNamespaceLabels } from './namespaces';
+import { compileSchemas } from './xsdSchema';
+import { validateXMLText } from './xsdValidator';
+import { generateXSD } from './xsdGenerator';
+
+// Load documents the way the app does (namespace labels, merge) and generate their schema
+const generateFrom = (documents) => {
+  const files = Object.entries(documents).map(([filename, xml]) => ({ filename, fields: extractFields(parseXML(xml)) }));
+  const labels = resolveNamespaceLabels(collectNamespaces(files));
+  const labelled = files.map(file => ({ ...file, fields: applyNamespaceLabels(file.fields, labels) }));
+  return generateXSD(mergeFieldsFromFiles(labelled));
+};
+
+const validate = (xml, xsd) => validateXMLText(xml, compileSchemas([{ filename: 'generated.xsd', content: xsd }]));
+
+// Every source document must be valid against the schema generated from it
+const expectSourcesValid = (documents, xsd) => {
+  Object.entries(documents).forEach(([filename, xml]) => {
+    const result = validate(xml, xsd);
+    expect({ filename, errors: result.errors.map(error => error.message) }).toEqual({ filename, errors: [] });
+  });
+};
+
+const INVOICES = {
+  'invoice-1.xml': `<inv:Invoice xmlns:inv="urn:inv" number="1">
+    <inv:Line><inv:Sku>A</inv:Sku><inv:Qty>1</inv:Qty></inv:Line>
+    <inv:Line><inv:Sku>B</inv:Sku><inv:Note>fragile</inv:Note><inv:Qty>2</inv:Qty></inv:Line>
+  </inv:Invoice>`,
+  'invoice-2.xml': `<Invoice xmlns="urn:inv" number="2">
+    <Line><Sku>C</Sku><Note>gift</Note><Qty>5</Qty></Line>
+  </Invoice>`,
+  'invoice-3.xml': `<i:Invoice xmlns:i="urn:inv" number="3" currency="EUR">
+    <i:Line><i:Sku>D</i:Sku><i:Qty>3</i:Qty></i:Line>
+  </i:Invoice>`,
+};
+
+describe('generateXSD', () => {
+  test('places an optional child between the siblings it appears between', () => {
+    const xsd = generateFrom(INVOICES);
+    expect(xsd).toMatch(/name="Sku"[\s\S]*name="Note" type="xs:string" minOccurs="0"[\s\S]*name="Qty" type="xs:integer"/);
+    expect(xsd).toContain('<xs:sequence>');
+    expect(xsd).toContain('targetNamespace="urn:inv"');
+    expect(xsd).toContain('<xs:attribute name="number" type="xs:integer" use="required"/>');
+    expect(xsd).toContain('<xs:attribute name="currency" type="xs:string"/>');
+    expectSourcesValid(INVOICES, xsd);
+  });
+
+  test('still rejects documents that do not fit', () => {
+    const xsd = generateFrom(INVOICES);
+    expect(validate('<Invoice xmlns="urn:inv" number="4"><Line><Qty>1</Qty><Sku>A</Sku></Line></Invoice>', xsd).isValid).toBe(false);
+    expect(validate('<Invoice xmlns="urn:inv"><Line><Sku>A</Sku><Qty>x</Qty></Line></Invoice>', xsd).isValid).toBe(false);
+    expect(validate('<Invoice xmlns="urn:inv" number="4"><Line><Sku>A</Sku><Qty>1</Qty><Extra/></Line></Invoice>', xsd).isValid).toBe(false);
+  });
+
+  test('uses a repeated choice when files order the children differently', () => {
+    const documents = {
+      'a.xml': '<Order><Id>1</Id><Customer>Ann</Customer></Order>',
+      'b.xml': '<Order><Customer>Bob</Customer><Id>2</Id></Order>',
+    };
+    const xsd = generateFrom(documents);
+    expect(xsd).toContain('<xs:choice maxOccurs="unbounded">');
+    expectSourcesValid(documents, xsd);
+  });
+
+  test('uses a repeated choice when instances in one file disagree or interleave', () => {
+    const documents = {
+      'orders.xml': `<Orders>
+        <Order><Id>1</Id><Customer>Ann</Customer></Order>
+        <Order><Customer>Bob</Customer><Id>2</Id></Order>
+        <Order><Item>x</Item><Gift>y</Gift><Item>z</Item></Order>
+      </Orders>`,
+    };
+    const xsd = generateFrom(documents);
+    expect(xsd).toContain('<xs:choice minOccurs="0" maxOccurs="unbounded">');
+    expectSourcesValid(documents, xsd);
+  });
+
+  test('follows the order of the baseline chosen by id among files with the same name', () => {
+    const files = [
+      { id: 1, filename: 'order.xml', fields: extractFields(parseXML('<Order><A>1</A><C>3</C></Order>')) },
+      { id: 2, filename: 'order.xml', fields: extractFields(parseXML('<Order><B>2</B><C>3</C></Order>')) },
+    ];
+    expect(generateXSD(mergeFieldsFromFiles(files, '', 1))).toMatch(/name="B"[\s\S]*name="A"[\s\S]*name="C"/);
+    expect(generateXSD(mergeFieldsFromFiles(files, '', 2))).toMatch(/name="A"[\s\S]*name="B"[\s\S]*name="C"/);
+  });
+
+  test('accepts mixed content, empty values and repeated leaves of its sources', () => {
+    const documents = {
+      'notes.xml': `<Notes>
+        <Note lang="en">Call <b>now</b> please</Note>
+        <Tag>1</Tag><Tag></Tag><Tag>3.5</Tag>
+        <When>2024-01-02</When>
+      </Notes>`,
+      'more.xml': '<Notes><Note>Plain</Note><When>2024-03-04T10:00:00Z</When></Notes>',
+    };
+    expectSourcesValid(documents, generateFrom(documents));
+  });
+});
@@ -0,0 +1,1005 @@
+/**
+ * XML Schema Compiler
+ * Reads .xsd files into element declarations, complex types and simple types the
+ * validator can check documents against, without any network access or native library.
+ * Covers the structures schemas commonly use: global and local elements, named and
+ * anonymous types, sequence/choice/all, groups, attribute groups, wildcards, simple and
+ * complex content derivation, substitution groups and the simple type facets.
+ * Identity constraints (key/keyref/unique) are not checked.
+ */
+
+import { createSaxParser } from './saxParser';
+import {
+  splitQualifiedName,
+  extendNamespaceScope,
+  resolveNamespacePrefix,
+  toClarkName,
+  parseClarkName,
+  XML_NAMESPACE_URI,
+} from './namespaces';
+import { XSD_NAMESPACE_URI } from './xsdGenerator';
+
+const UNBOUNDED = Infinity;
+
+const DATE_TIMEZONE = '(Z|[+-](0\\d|1[0-4]):[0-5]\\d)?';
+const YEAR = '-?([1-9]\\d{4,}|\\d{4})';
+const MONTH = '(0[1-9]|1[0-2])';
+const DAY = '(0[1-9]|[12]\\d|3[01])';
+const TIME = '(([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(\\.\\d+)?|24:00:00(\\.0+)?)';
+const NAME_START = 'A-Za-z_:\\u00C0-\\uFFFF';
+const NAME_CHAR = `${NAME_START}\\-.0-9\\u00B7`;
+
+const anchored = (source) => new RegExp(`^(${source})$`);
+
+const DECIMAL_LEXICAL = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const INTEGER_LEXICAL = /^[+-]?\d+$/;
+const FLOAT_LEXICAL = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/;
+const NCNAME_LEXICAL = anchored(`[${NAME_START.replace(':', '')}][${NAME_CHAR.replace(':', '')}]*`);
+const NAME_LEXICAL = anchored(`[${NAME_START}][${NAME_CHAR}]*`);
+const NMTOKEN_LEXICAL = anchored(`[${NAME_CHAR}]+`);
+
+// Integer types and their value ranges (as strings, so 64-bit limits stay exact)
+const INTEGER_RANGES = {
+  integer: [null, null],
+  long: ['-9223372036854775808', '9223372036854775807'],
+  int: ['-2147483648', '2147483647'],
+  short: ['-32768', '32767'],
+  byte: ['-128', '127'],
+  nonNegativeInteger: ['0', null],
+  positiveInteger: ['1', null],
+  nonPositiveInteger: [null, '0'],
+  negativeInteger: [null, '-1'],
+  unsignedLong: ['0', '18446744073709551615'],
+  unsignedInt: ['0', '4294967295'],
+  unsignedShort: ['0', '65535'],
+  unsignedByte: ['0', '255'],
+};
+
+const NUMERIC_BUILTINS = new Set(['decimal', 'float', 'double', ...Object.keys(INTEGER_RANGES)]);
+
+// Lexical space of the built-in simple types; types not listed accept any string
+const BUILTIN_LEXICAL = {
+  boolean: /^(true|false|1|0)$/,
+  decimal: DECIMAL_LEXICAL,
+  float: FLOAT_LEXICAL,
+  double: FLOAT_LEXICAL,
+  duration: /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/,
+  dateTime: anchored(`${YEAR}-${MONTH}-${DAY}T${TIME}${DATE_TIMEZONE}`),
+  date: anchored(`${YEAR}-${MONTH}-${DAY}${DATE_TIMEZONE}`),
+  time: anchored(`${TIME}${DATE_TIMEZONE}`),
+  gYear: anchored(`${YEAR}${DATE_TIMEZONE}`),
+  gYearMonth: anchored(`${YEAR}-${MONTH}${DATE_TIMEZONE}`),
+  gMonth: anchored(`--${MONTH}${DATE_TIMEZONE}`),
+  gMonthDay: anchored(`--${MONTH}-${DAY}${DATE_TIMEZONE}`),
+  gDay: anchored(`---${DAY}${DATE_TIMEZONE}`),
+  hexBinary: /^([0-9a-fA-F]{2})*$/,
+  base64Binary: /^(([A-Za-z0-9+/] ?){4})*(([A-Za-z0-9+/] ?){2}([AEIMQUYcgkosw048] ?)= ?|[A-Za-z0-9+/] ?[AQgw] ?= ?= ?)?$/,
+  QName: anchored(`([${NAME_START.replace(':', '')}][${NAME_CHAR.replace(':', '')}]*:)?[${NAME_START.replace(':', '')}][${NAME_CHAR.replace(':', '')}]*`),
+  NOTATION: /^\S+$/,
+  language: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/,
+  Name: NAME_LEXICAL,
+  NCName: NCNAME_LEXICAL,
+  ID: NCNAME_LEXICAL,
+  IDREF: NCNAME_LEXICAL,
+  ENTITY: NCNAME_LEXICAL,
+  NMTOKEN: NMTOKEN_LEXICAL,
+  ...Object.fromEntries(Object.keys(INTEGER_RANGES).map(name => [name, INTEGER_LEXICAL])),
+};
+
+// Built-in list types and their item types
+const BUILTIN_LISTS = {
+  IDREFS: 'IDREF',
+  ENTITIES: 'ENTITY',
+  NMTOKENS: 'NMTOKEN',
+};
+
+const PRESERVED_WHITESPACE = new Set(['string', 'anySimpleType']);
+
+/**
+ * Error in a schema document (not in a validated instance)
+ */
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+/**
+ * Apply a whiteSpace facet to a value
+ * @param {string} value - Raw value
+ * @param {string} whiteSpace - 'preserve', 'replace' or 'collapse'
+ * @returns {string} Normalized value
+ */
+function normalizeWhiteSpace(value, whiteSpace) {
+  if (whiteSpace === 'preserve') {
+    return value;
+  }
+  const replaced = value.replace(/[\t\n\r]/g, ' ');
+  return whiteSpace === 'replace' ? replaced : replaced.replace(/ +/g, ' ').trim();
+}
+
+/**
+ * Translate an XML Schema regular expression into a JavaScript one
+ * XSD patterns are implicitly anchored and add the \i and \c name-character escapes
+ * @param {string} pattern - XSD pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function compilePattern(pattern) {
+  let source = '';
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\' && index + 1 < pattern.length) {
+      const escaped = pattern[index + 1];
+      index += 1;
+      if (escaped === 'i' || escaped === 'c') {
+        const range = escaped === 'i' ? NAME_START : NAME_CHAR;
+        source += inClass ? range : `[${range}]`;
+      } else if ((escaped === 'I' || escaped === 'C') && !inClass) {
+        source += `[^${escaped === 'I' ? NAME_START : NAME_CHAR}]`;
+      } else {
+        source += `\\${escaped}`;
+      }
+      continue;
+    }
+    if (char === '[' && !inClass) {
+      inClass = true;
+    } else if (char === ']' && inClass) {
+      inClass = false;
+    } else if ((char === '^' || char === '$') && !inClass) {
+      // Not anchors in XSD
+      source += `\\${char}`;
+      continue;
+    }
+    source += char;
+  }
+
+  try {
+    return new RegExp(`^(?:${source})$`, 'u');
+  } catch (unicodeError) {
+    try {
+      return new RegExp(`^(?:${source})$`);
+    } catch (error) {
+      throw new SchemaError(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+  }
+}
+
+// Number of digits in a decimal, without leading and trailing zeros: [total, fraction]
+function countDigits(value) {
+  const [integerPart, fractionPart = ''] = value.replace(/^[+-]/, '').split('.');
+  const integerDigits = integerPart.replace(/^0+/, '');
+  const fractionDigits = fractionPart.replace(/0+$/, '');
+  return [Math.max(integerDigits.length + fractionDigits.length, 1), fractionDigits.length];
+}
+
+// Order two integers of any size given as strings
+function compareIntegers(a, b) {
+  const parse = (value) => {
+    const negative = value.startsWith('-');
+    const digits = value.replace(/^[+-]/, '').replace(/^0+(?=\d)/, '');
+    return { negative: negative && digits !== '0', digits };
+  };
+  const left = parse(a);
+  const right = parse(b);
+  if (left.negative !== right.negative) {
+    return left.negative ? -1 : 1;
+  }
+  let order = left.digits.length - right.digits.length;
+  if (order === 0) {
+    order = left.digits < right.digits ? -1 : (left.digits > right.digits ? 1 : 0);
+  }
+  return left.negative ? -order : order;
+}
+
+// Whether the day of a date exists in its month (the lexical patterns allow up to 31 in every month)
+function isExistingDay(builtin, value) {
+  const match = builtin === 'gMonthDay'
+    ? /^--(\d{2})-(\d{2})/.exec(value)
+    : (builtin === 'date' || builtin === 'dateTime') && /^-?(\d+)-(\d{2})-(\d{2})/.exec(value);
+  if (!match) {
+    return true;
+  }
+  // A month and day without a year may fall in a leap year
+  const [year, month, day] = builtin === 'gMonthDay'
+    ? [null, Number(match[1]), Number(match[2])]
+    : [Number(match[1]), Number(match[2]), Number(match[3])];
+  const isLeapYear = year === null || (year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0));
+  const daysInMonth = [31, isLeapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  return day <= daysInMonth;
+}
+
+// Order two values of a primitive type; numbers numerically, dates and times lexically
+function compareValues(builtin, a, b) {
+  if (NUMERIC_BUILTINS.has(builtin)) {
+    if (INTEGER_LEXICAL.test(a) && INTEGER_LEXICAL.test(b)) {
+      return compareIntegers(a, b);
+    }
+    return Number(a) - Number(b);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Length of a value as the length facets count it
+function valueLength(builtin, value) {
+  if (builtin === 'hexBinary') {
+    return value.length / 2;
+  }
+  if (builtin === 'base64Binary') {
+    const compact = value.replace(/ /g, '');
+    return (compact.length * 3) / 4 - (compact.match(/=*$/)[0].length);
+  }
+  return Array.from(value).length;
+}
+
+const describeType = (type) => (type.name ? `type '${type.name}'` : 'local simple type');
+
+/**
+ * Check a value against the facets one derivation step adds
+ * @returns {string|null} Problem description, or null when the value is valid
+ */
+function checkFacets(type, value, length) {
+  const { facets, builtin } = type;
+  const quoted = `'${value}'`;
+
+  if (facets.enumeration && !facets.enumeration.includes(value)) {
+    return `${quoted} is not one of the allowed values { ${facets.enumeration.map(item => `'${item}'`).join(', ')} }`;
+  }
+  if (facets.patterns && !facets.patterns.some(pattern => pattern.regex.test(value))) {
+    return `${quoted} does not match the pattern '${facets.patterns.map(pattern => pattern.source).join("' or '")}'`;
+  }
+  if (facets.length !== undefined && length !== facets.length) {
+    return `${quoted} has length ${length}, but exactly ${facets.length} is required`;
+  }
+  if (facets.minLength !== undefined && length < facets.minLength) {
+    return `${quoted} has length ${length}, but at least ${facets.minLength} is required`;
+  }
+  if (facets.maxLength !== undefined && length > facets.maxLength) {
+    return `${quoted} has length ${length}, but at most ${facets.maxLength} is allowed`;
+  }
+  if (type.variety !== 'atomic') {
+    return null;
+  }
+  if (facets.minInclusive !== undefined && compareValues(builtin, value, facets.minInclusive) < 0) {
+    return `${quoted} is less than the minimum value '${facets.minInclusive}'`;
+  }
+  if (facets.minExclusive !== undefined && compareValues(builtin, value, facets.minExclusive) <= 0) {
+    return `${quoted} must be greater than '${facets.minExclusive}'`;
+  }
+  if (facets.maxInclusive !== undefined && compareValues(builtin, value, facets.maxInclusive) > 0) {
+    return `${quoted} is greater than the maximum value '${facets.maxInclusive}'`;
+  }
+  if (facets.maxExclusive !== undefined && compareValues(builtin, value, facets.maxExclusive) >= 0) {
+    return `${quoted} must be less than '${facets.maxExclusive}'`;
+  }
+  if (facets.totalDigits !== undefined || facets.fractionDigits !== undefined) {
+    const [totalDigits, fractionDigits] = countDigits(value);
+    if (facets.totalDigits !== undefined && totalDigits > facets.totalDigits) {
+      return `${quoted} has ${totalDigits} digits, but at most ${facets.totalDigits} are allowed`;
+    }
+    if (facets.fractionDigits !== undefined && fractionDigits > facets.fractionDigits) {
+      return `${quoted} has ${fractionDigits} fraction digits, but at most ${facets.fractionDigits} are allowed`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a text value against a simple type
+ * @param {Object} type - Compiled simple type
+ * @param {string} rawValue - Value as it appears in the document
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export function checkSimpleValue(type, rawValue) {
+  if (type.variety === 'union') {
+    const valid = type.memberTypes.some(member => checkSimpleValue(member, rawValue) === null);
+    if (!valid) {
+      return `'${rawValue.trim()}' is not valid for any member type of the union (${describeType(type)})`;
+    }
+    const value = normalizeWhiteSpace(rawValue, 'collapse');
+    for (let step = type; step && step.variety === 'union'; step = step.base) {
+      const problem = checkFacets(step, value, Array.from(value).length);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+
+  const value = normalizeWhiteSpace(rawValue, type.whiteSpace);
+
+  if (type.variety === 'list') {
+    const items = value === '' ? [] : value.split(' ');
+    for (const item of items) {
+      const problem = checkSimpleValue(type.itemType, item);
+      if (problem) {
+        return problem;
+      }
+    }
+    for (let step = type; step && step.variety === 'list'; step = step.base) {
+      const problem = checkFacets(step, value, items.length);
+      if (problem) {
+        return problem;
+      }
+    }
+    return null;
+  }
+
+  const lexical = BUILTIN_LEXICAL[type.builtin];
+  if (lexical && (!lexical.test(value) || !isExistingDay(type.builtin, value))) {
+    return `'${value}' is not a valid value of the atomic type 'xs:${type.builtin}'`;
+  }
+  const range = INTEGER_RANGES[type.builtin];
+  if (range) {
+    if ((range[0] !== null && compareIntegers(value, range[0]) < 0) || (range[1] !== null && compareIntegers(value, range[1]) > 0)) {
+      return `'${value}' is out of range for the type 'xs:${type.builtin}'`;
+    }
+  }
+
+  const length = valueLength(type.builtin, value);
+  for (let step = type; step; step = step.base) {
+    const problem = checkFacets(step, value, length);
+    if (problem) {
+      return `${problem} (${describeType(type)})`;
+    }
+  }
+  return null;
+}
+
+// Built-in simple types, created on first use
+const builtinTypes = new Map();
+
+function getBuiltinType(localName) {
+  if (builtinTypes.has(localName)) {
+    return builtinTypes.get(localName);
+  }
+  let type;
+  if (BUILTIN_LISTS[localName]) {
+    type = {
+      kind: 'simple',
+      name: `xs:${localName}`,
+      variety: 'list',
+      whiteSpace: 'collapse',
+      itemType: getBuiltinType(BUILTIN_LISTS[localName]),
+      facets: { minLength: 1 },
+      base: null,
+    };
+  } else {
+    type = {
+      kind: 'simple',
+      name: `xs:${localName}`,
+      variety: 'atomic',
+      builtin: localName,
+      whiteSpace: PRESERVED_WHITESPACE.has(localName) ? 'preserve' : (localName === 'normalizedString' ? 'replace' : 'collapse'),
+      facets: {},
+      base: null,
+    };
+  }
+  builtinTypes.set(localName, type);
+  return type;
+}
+
+const isBuiltinTypeName = (localName) => (
+  localName === 'anySimpleType' ||
+  localName === 'string' ||
+  localName === 'normalizedString' ||
+  localName === 'token' ||
+  localName === 'anyURI' ||
+  Object.prototype.hasOwnProperty.call(BUILTIN_LEXICAL, localName) ||
+  Object.prototype.hasOwnProperty.call(BUILTIN_LISTS, localName)
+);
+
+// Wildcard allowing anything, used by xs:anyType
+const ANY_WILDCARD = { namespaces: null, notNamespaces: [], processContents: 'lax' };
+
+export const ANY_TYPE = {
+  kind: 'complex',
+  name: 'xs:anyType',
+  mixed: true,
+  particle: { kind: 'any', wildcard: ANY_WILDCARD, min: 0, max: UNBOUNDED },
+  simpleType: null,
+  attributeUses: new Map(),
+  anyAttribute: ANY_WILDCARD,
+};
+
+/**
+ * Check whether a wildcard accepts a namespace
+ * @param {Object} wildcard - { namespaces: Array|null (null = any), notNamespaces: Array }
+ * @param {string|null} namespaceURI - Namespace of the element or attribute
+ * @returns {boolean} True if the wildcard allows it
+ */
+export function wildcardAllows(wildcard, namespaceURI) {
+  const uri = namespaceURI || null;
+  if (wildcard.notNamespaces.includes(uri)) {
+    return false;
+  }
+  return wildcard.namespaces === null || wildcard.namespaces.includes(uri);
+}
+
+/**
+ * Read schema text into a light element tree with resolved namespaces
+ * @param {string} content - Schema document
+ * @param {string} filename - Used in error messages
+ * @returns {Object} The xs:schema node
+ */
+function parseSchemaDocument(content, filename) {
+  const root = { children: [], scope: new Map() };
+  const stack = [root];
+
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes }) => {
+      const parent = stack[stack.length - 1];
+      const scope = extendNamespaceScope(parent.scope, attributes);
+      const { prefix, localName } = splitQualifiedName(name);
+      const node = {
+        namespaceURI: resolveNamespacePrefix(scope, prefix),
+        localName,
+        attributes: {},
+        scope,
+        children: [],
+      };
+      attributes.forEach(attribute => {
+        if (attribute.name !== 'xmlns' && !attribute.name.startsWith('xmlns:')) {
+          node.attributes[attribute.name] = attribute.value;
+        }
+      });
+      parent.children.push(node);
+      stack.push(node);
+    },
+    onCloseTag: () => {
+      stack.pop();
+    },
+  });
+
+  try {
+    parser.write(content);
+    parser.close();
+  } catch (error) {
+    throw new SchemaError(`${filename}: ${error.message}`);
+  }
+
+  const schemaNode = root.children[0];
+  if (!schemaNode || schemaNode.namespaceURI !== XSD_NAMESPACE_URI || schemaNode.localName !== 'schema') {
+    throw new SchemaError(`${filename}: the document element is not xs:schema`);
+  }
+  return schemaNode;
+}
+
+// Schema children in the XSD namespace, annotations left out
+const schemaChildren = (node) => node.children.filter(child => (
+  child.namespaceURI === XSD_NAMESPACE_URI && child.localName !== 'annotation'
+));
+
+const firstChild = (node, ...localNames) => schemaChildren(node).find(child => localNames.includes(child.localName));
+
+const parseOccurs = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  return value === 'unbounded' ? UNBOUNDED : parseInt(value, 10);
+};
+
+/**
+ * Compile a set of schema documents
+ * Documents are combined by target namespace, so xs:include and xs:import are resolved
+ * against the other loaded files rather than fetched
+ * @param {Array} sources - [{ filename, content }]
+ * @returns {Object} Schema set: { getElement(clarkName), getType(clarkName), findChild(type, clarkName), targetNamespaces }
+ * @throws {SchemaError} When a document is not a usable schema
+ */
+export function compileSchemas(sources) {
+  const registries = {
+    element: new Map(),
+    type: new Map(),
+    group: new Map(),
+    attributeGroup: new Map(),
+    attribute: new Map(),
+  };
+  const substitutionMembers = new Map(); // head clark name -> [member declarations]
+  const compiled = new Map(); // schema node -> compiled component
+  const targetNamespaces = new Set();
+
+  // Register the global components of every document
+  sources.forEach(({ filename, content }) => {
+    const schemaNode = parseSchemaDocument(content, filename);
+    const schema = {
+      filename,
+      targetNamespace: schemaNode.attributes.targetNamespace || null,
+      elementFormDefault: schemaNode.attributes.elementFormDefault || 'unqualified',
+      attributeFormDefault: schemaNode.attributes.attributeFormDefault || 'unqualified',
+    };
+    targetNamespaces.add(schema.targetNamespace);
+
+    schemaChildren(schemaNode).forEach(node => {
+      const registryName = node.localName === 'complexType' || node.localName === 'simpleType' ? 'type' : node.localName;
+      const registry = registries[registryName];
+      if (!registry || !node.attributes.name) {
+        return;
+      }
+      const clarkName = toClarkName(schema.targetNamespace, node.attributes.name);
+      // The first declaration wins when the same schema is loaded twice
+      if (!registry.has(clarkName)) {
+        registry.set(clarkName, { node, schema });
+      }
+    });
+  });
+
+  const fail = (schema, message) => {
+    throw new SchemaError(`${schema.filename}: ${message}`);
+  };
+
+  const resolveQName = (node, schema, value) => {
+    const { prefix, localName } = splitQualifiedName(value.trim());
+    const namespaceURI = resolveNamespacePrefix(node.scope, prefix);
+    if (prefix && !namespaceURI) {
+      fail(schema, `undeclared namespace prefix "${prefix}" in "${value}"`);
+    }
+    return { namespaceURI, localName, clarkName: toClarkName(namespaceURI, localName) };
+  };
+
+  const lookup = (registryName, node, schema, qname, description) => {
+    const { clarkName } = resolveQName(node, schema, qname);
+    const entry = registries[registryName].get(clarkName);
+    if (!entry) {
+      fail(schema, `${description} "${qname}" is not declared in the loaded schemas`);
+    }
+    return entry;
+  };
+
+  // Type named by a QName attribute (type, base, itemType, memberTypes)
+  const resolveTypeName = (node, schema, qname) => {
+    const { namespaceURI, localName } = resolveQName(node, schema, qname);
+    if (namespaceURI === XSD_NAMESPACE_URI) {
+      if (localName === 'anyType') {
+        return ANY_TYPE;
+      }
+      if (isBuiltinTypeName(localName)) {
+        return getBuiltinType(localName);
+      }
+      fail(schema, `unknown built-in type "${qname}"`);
+    }
+    const entry = lookup('type', node, schema, qname, 'Type');
+    return compileType(entry.node, entry.schema);
+  };
+
+  const compileType = (node, schema) => (
+    node.localName === 'simpleType' ? compileSimpleType(node, schema) : compileComplexType(node, schema)
+  );
+
+  const readFacets = (restrictionNode, schema) => {
+    const facets = {};
+    schemaChildren(restrictionNode).forEach(child => {
+      const { value } = child.attributes;
+      switch (child.localName) {
+        case 'enumeration':
+          facets.enumeration = [...(facets.enumeration || []), value];
+          break;
+        case 'pattern':
+          // Patterns of one step are alternatives
+          facets.patterns = [...(facets.patterns || []), { source: value, regex: compilePattern(value) }];
+          break;
+        case 'length':
+        case 'minLength':
+        case 'maxLength':
+        case 'totalDigits':
+        case 'fractionDigits':
+          facets[child.localName] = parseInt(value, 10);
+          break;
+        case 'minInclusive':
+        case 'minExclusive':
+        case 'maxInclusive':
+        case 'maxExclusive':
+        case 'whiteSpace':
+          facets[child.localName] = value.trim();
+          break;
+        default:
+          break;
+      }
+    });
+    return facets;
+  };
+
+  // Derive a simple type by restriction
+  const restrictSimpleType = (base, facets, name) => {
+    const { whiteSpace, ...otherFacets } = facets;
+    return {
+      kind: 'simple',
+      name,
+      variety: base.variety,
+      builtin: base.builtin,
+      whiteSpace: whiteSpace || base.whiteSpace,
+      itemType: base.itemType,
+      memberTypes: base.memberTypes,
+      facets: otherFacets,
+      base,
+    };
+  };
+
+  const compileSimpleType = (node, schema) => {
+    if (compiled.has(node)) {
+      return compiled.get(node);
+    }
+    const name = node.attributes.name || null;
+    const restriction = firstChild(node, 'restriction');
+    const list = firstChild(node, 'list');
+    const union = firstChild(node, 'union');
+    let type;
+
+    if (restriction) {
+      const base = restriction.attributes.base
+        ? resolveTypeName(restriction, schema, restriction.attributes.base)
+        : compileSimpleType(firstChild(restriction, 'simpleType'), schema);
+      if (!base || base.kind !== 'simple') {
+        fail(schema, `simple type ${name || ''} must restrict a simple type`);
+      }
+      type = restrictSimpleType(base, readFacets(restriction, schema), name);
+    } else if (list) {
+      const itemType = list.attributes.itemType
+        ? resolveTypeName(list, schema, list.attributes.itemType)
+        : compileSimpleType(firstChild(list, 'simpleType'), schema);
+      type = { kind: 'simple', name, variety: 'list', whiteSpace: 'collapse', itemType, facets: {}, base: null };
+    } else if (union) {
+      const memberTypes = [
+        ...(union.attributes.memberTypes || '').split(/\s+/).filter(Boolean)
+          .map(qname => resolveTypeName(union, schema, qname)),
+        ...schemaChildren(union).filter(child => child.localName === 'simpleType')
+          .map(child => compileSimpleType(child, schema)),
+      ];
+      type = { kind: 'simple', name, variety: 'union', whiteSpace: 'collapse', memberTypes, facets: {}, base: null };
+    } else {
+      fail(schema, `simple type ${name || ''} has no restriction, list or union`);
+    }
+
+    compiled.set(node, type);
+    return type;
+  };
+
+  // Attribute declarations and wildcard of a type, attribute group or derivation step
+  const collectAttributes = (node, schema, target) => {
+    schemaChildren(node).forEach(child => {
+      if (child.localName === 'attribute') {
+        const use = compileAttributeUse(child, schema);
+        if (use.use === 'prohibited') {
+          target.attributeUses.delete(use.clarkName);
+        } else {
+          target.attributeUses.set(use.clarkName, use);
+        }
+      } else if (child.localName === 'attributeGroup' && child.attributes.ref) {
+        const entry = lookup('attributeGroup', child, schema, child.attributes.ref, 'Attribute group');
+        collectAttributes(entry.node, entry.schema, target);
+      } else if (child.localName === 'anyAttribute') {
+        target.anyAttribute = compileWildcard(child, schema);
+      }
+    });
+  };
+
+  const compileAttributeUse = (node, schema) => {
+    const { ref, name, use = 'optional', fixed, form } = node.attributes;
+    let declarationNode = node;
+    let declarationSchema = schema;
+    let namespaceURI;
+    let localName;
+
+    if (ref) {
+      const resolved = resolveQName(node, schema, ref);
+      if (resolved.namespaceURI === XML_NAMESPACE_URI) {
+        // xml:lang, xml:space and friends need no declaration of their own
+        return { clarkName: resolved.clarkName, localName: resolved.localName, use, type: getBuiltinType('string'), fixed };
+      }
+      const entry = lookup('attribute', node, schema, ref, 'Attribute');
+      declarationNode = entry.node;
+      declarationSchema = entry.schema;
+      namespaceURI = entry.schema.targetNamespace;
+      localName = entry.node.attributes.name;
+    } else {
+      namespaceURI = (form || schema.attributeFormDefault) === 'qualified' ? schema.targetNamespace : null;
+      localName = name;
+    }
+
+    const inlineType = firstChild(declarationNode, 'simpleType');
+    const typeName = declarationNode.attributes.type;
+    let simpleType = getBuiltinType('anySimpleType');
+    if (inlineType) {
+      simpleType = compileSimpleType(inlineType, declarationSchema);
+    } else if (typeName) {
+      simpleType = resolveTypeName(declarationNode, declarationSchema, typeName);
+    }
+
+    return {
+      clarkName: toClarkName(namespaceURI, localName),
+      localName,
+      use,
+      type: simpleType,
+      fixed: fixed !== undefined ? fixed : declarationNode.attributes.fixed,
+    };
+  };
+
+  const compileWildcard = (node, schema) => {
+    const { namespace = '##any', processContents = 'strict' } = node.attributes;
+    const tokens = namespace.trim().split(/\s+/);
+    if (tokens.includes('##any')) {
+      return { namespaces: null, notNamespaces: [], processContents };
+    }
+    if (tokens.includes('##other')) {
+      return { namespaces: null, notNamespaces: [schema.targetNamespace, null], processContents };
+    }
+    return {
+      namespaces: tokens.map(token => {
+        if (token === '##targetNamespace') {
+          return schema.targetNamespace;
+        }
+        return token === '##local' ? null : token;
+      }),
+      notNamespaces: [],
+      processContents,
+    };
+  };
+
+  const compileElementDeclaration = (node, schema, isGlobal) => {
+    if (compiled.has(node)) {
+      return compiled.get(node);
+    }
+    const { name, type, nillable, fixed, abstract, form } = node.attributes;
+    const qualified = isGlobal || (form || schema.elementFormDefault) === 'qualified';
+    const namespaceURI = qualified ? schema.targetNamespace : null;
+    let resolvedType = null;
+
+    const declaration = {
+      clarkName: toClarkName(namespaceURI, name),
+      name,
+      nillable: nillable === 'true',
+      abstract: abstract === 'true',
+      fixed,
+      defaultValue: node.attributes.default,
+      // Types are resolved on first use so recursive structures compile
+      getType: () => {
+        if (resolvedType) {
+          return resolvedType;
+        }
+        const inlineType = firstChild(node, 'complexType', 'simpleType');
+        if (inlineType) {
+          resolvedType = compileType(inlineType, schema);
+        } else if (type) {
+          resolvedType = resolveTypeName(node, schema, type);
+        } else if (node.attributes.substitutionGroup) {
+          const head = lookup('element', node, schema, node.attributes.substitutionGroup, 'Element');
+          resolvedType = compileElementDeclaration(head.node, head.schema, true).getType();
+        } else {
+          resolvedType = ANY_TYPE;
+        }
+        return resolvedType;
+      },
+    };
+    compiled.set(node, declaration);
+    return declaration;
+  };
+
+  const compileParticle = (node, schema) => {
+    const min = parseOccurs(node.attributes.minOccurs, 1);
+    const max = parseOccurs(node.attributes.maxOccurs, 1);
+
+    switch (node.localName) {
+      case 'element': {
+        if (node.attributes.ref) {
+          const entry = lookup('element', node, schema, node.attributes.ref, 'Element');
+          return { kind: 'element', declaration: compileElementDeclaration(entry.node, entry.schema, true), min, max };
+        }
+        return { kind: 'element', declaration: compileElementDeclaration(node, schema, false), min, max };
+      }
+      case 'any':
+        return { kind: 'any', wildcard: compileWildcard(node, schema), min, max };
+      case 'group': {
+        const entry = lookup('group', node, schema, node.attributes.ref, 'Group');
+        const modelGroup = firstChild(entry.node, 'sequence', 'choice', 'all');
+        if (!modelGroup) {
+          return { kind: 'sequence', particles: [], min, max };
+        }
+        return { ...compileParticle(modelGroup, entry.schema), min, max };
+      }
+      case 'sequence':
+      case 'choice':
+      case 'all':
+        return {
+          kind: node.localName,
+          particles: schemaChildren(node)
+            .filter(child => ['element', 'any', 'group', 'sequence', 'choice'].includes(child.localName))
+            .map(child => compileParticle(child, schema)),
+          min,
+          max,
+        };
+      default:
+        return fail(schema, `unexpected <xs:${node.localName}> in a content model`);
+    }
+  };
+
+  const modelGroupOf = (node, schema) => {
+    const modelNode = firstChild(node, 'sequence', 'choice', 'all', 'group');
+    return modelNode ? compileParticle(modelNode, schema) : null;
+  };
+
+  const compileComplexType = (node, schema) => {
+    if (compiled.has(node)) {
+      return compiled.get(node);
+    }
+    const type = {
+      kind: 'complex',
+      name: node.attributes.name || null,
+      mixed: node.attributes.mixed === 'true',
+      particle: null,
+      simpleType: null,
+      attributeUses: new Map(),
+      anyAttribute: null,
+    };
+    compiled.set(node, type);
+
+    const simpleContent = firstChild(node, 'simpleContent');
+    const complexContent = firstChild(node, 'complexContent');
+
+    if (simpleContent) {
+      const derivation = firstChild(simpleContent, 'extension', 'restriction');
+      const base = resolveTypeName(derivation, schema, derivation.attributes.base);
+      const baseSimpleType = base.kind === 'simple' ? base : base.simpleType;
+      if (!baseSimpleType) {
+        fail(schema, `simple content of type ${type.name || ''} must derive from a simple type or simple content`);
+      }
+      if (base.kind === 'complex') {
+        base.attributeUses.forEach((use, key) => type.attributeUses.set(key, use));
+        type.anyAttribute = base.anyAttribute;
+      }
+      if (derivation.localName === 'restriction') {
+        const inlineBase = firstChild(derivation, 'simpleType');
+        const restrictedBase = inlineBase ? compileSimpleType(inlineBase, schema) : baseSimpleType;
+        type.simpleType = restrictSimpleType(restrictedBase, readFacets(derivation, schema), null);
+      } else {
+        type.simpleType = baseSimpleType;
+      }
+      collectAttributes(derivation, schema, type);
+    } else if (complexContent) {
+      const derivation = firstChild(complexContent, 'extension', 'restriction');
+      const base = resolveTypeName(derivation, schema, derivation.attributes.base);
+      if (base.kind !== 'complex') {
+        fail(schema, `complex content of type ${type.name || ''} must derive from a complex type`);
+      }
+      const ownParticle = modelGroupOf(derivation, schema);
+      type.mixed = type.mixed || complexContent.attributes.mixed === 'true';
+      base.attributeUses.forEach((use, key) => type.attributeUses.set(key, use));
+      type.anyAttribute = base.anyAttribute;
+
+      if (derivation.localName === 'extension' && base !== ANY_TYPE) {
+        type.mixed = type.mixed || base.mixed;
+        if (base.particle && ownParticle) {
+          type.particle = { kind: 'sequence', particles: [base.particle, ownParticle], min: 1, max: 1 };
+        } else {
+          type.particle = base.particle || ownParticle;
+        }
+      } else {
+        type.particle = ownParticle;
+      }
+      if (base === ANY_TYPE) {
+        type.anyAttribute = null;
+      }
+      collectAttributes(derivation, schema, type);
+    } else {
+      type.particle = modelGroupOf(node, schema);
+      collectAttributes(node, schema, type);
+    }
+
+    return type;
+  };
+
+  // Substitution group members, so a head element's particle also accepts them
+  registries.element.forEach(({ node, schema }) => {
+    if (!node.attributes.substitutionGroup) {
+      return;
+    }
+    const head = resolveQName(node, schema, node.attributes.substitutionGroup).clarkName;
+    if (!substitutionMembers.has(head)) {
+      substitutionMembers.set(head, []);
+    }
+    substitutionMembers.get(head).push(compileElementDeclaration(node, schema, true));
+  });
+
+  // Declarations an element particle accepts: the declaration itself and its substitution group
+  const substitutableDeclarations = (declaration) => {
+    const result = [];
+    const visit = (current) => {
+      if (result.includes(current)) {
+        return;
+      }
+      result.push(current);
+      (substitutionMembers.get(current.clarkName) || []).forEach(visit);
+    };
+    visit(declaration);
+    return result.filter(candidate => !candidate.abstract);
+  };
+
+  const childLookups = new Map(); // complex type -> Map(clark name -> lookup result)
+
+  /**
+   * Find how a content model treats a child element
+   * @param {Object} type - Compiled complex type
+   * @param {string} clarkName - The child's namespace-aware name
+   * @returns {{declaration: Object}|{wildcard: Object}|null} Matching declaration, wildcard, or null if not allowed
+   */
+  const findChild = (type, clarkName) => {
+    if (!childLookups.has(type)) {
+      childLookups.set(type, new Map());
+    }
+    const cache = childLookups.get(type);
+    if (cache.has(clarkName)) {
+      return cache.get(clarkName);
+    }
+
+    let declaration = null;
+    let wildcard = null;
+    const visit = (particle) => {
+      if (!particle || declaration) {
+        return;
+      }
+      if (particle.kind === 'element') {
+        declaration = substitutableDeclarations(particle.declaration)
+          .find(candidate => candidate.clarkName === clarkName) || null;
+      } else if (particle.kind === 'any') {
+        const { namespaceURI } = parseClarkName(clarkName);
+        if (!wildcard && wildcardAllows(particle.wildcard, namespaceURI)) {
+          wildcard = particle.wildcard;
+        }
+      } else {
+        particle.particles.forEach(visit);
+      }
+    };
+    visit(type.particle);
+
+    let result = null;
+    if (declaration) {
+      result = { declaration };
+    } else if (wildcard) {
+      result = { wildcard };
+    }
+    cache.set(clarkName, result);
+    return result;
+  };
+
+  /**
+   * Check whether an element particle accepts a child name
+   * @param {Object} particle - Element particle
+   * @param {string} clarkName - The child's namespace-aware name
+   * @returns {boolean} True if it matches the declaration or one of its substitutes
+   */
+  const particleAccepts = (particle, clarkName) => {
+    if (particle.kind === 'any') {
+      return wildcardAllows(particle.wildcard, parseClarkName(clarkName).namespaceURI);
+    }
+    return substitutableDeclarations(particle.declaration).some(candidate => candidate.clarkName === clarkName);
+  };
+
+  const getElement = (clarkName) => {
+    const entry = registries.element.get(clarkName);
+    return entry ? compileElementDeclaration(entry.node, entry.schema, true) : null;
+  };
+
+  const getType = (clarkName) => {
+    const { namespaceURI, localName } = parseClarkName(clarkName);
+    if (namespaceURI === XSD_NAMESPACE_URI) {
+      if (localName === 'anyType') {
+        return ANY_TYPE;
+      }
+      return isBuiltinTypeName(localName) ? getBuiltinType(localName) : null;
+    }
+    const entry = registries.type.get(clarkName);
+    return entry ? compileType(entry.node, entry.schema) : null;
+  };
+
+  // Compile every global component up front so schema mistakes surface when the file is loaded
+  registries.element.forEach(({ node, schema }) => compileElementDeclaration(node, schema, true).getType());
+  registries.type.forEach(({ node, schema }) => compileType(node, schema));
+
+  return {
+    getElement,
+    getType,
+    findChild,
+    particleAccepts,
+    targetNamespaces: Array.from(targetNamespaces),
+  };
+}
@@ -0,0 +1,501 @@
+/**
+ * XML Schema Validator
+ * Checks documents against schemas compiled by xsdSchema.js while they are tokenized,
+ * so files of any size are validated without a DOM
+ */
+
+import { createSaxParser } from './saxParser';
+import {
+  splitQualifiedName,
+  extendNamespaceScope,
+  resolveNamespacePrefix,
+  toClarkName,
+  parseClarkName,
+} from './namespaces';
+import { ANY_TYPE, checkSimpleValue, wildcardAllows } from './xsdSchema';
+import { feedStream } from './streamingParser';
+
+const XSI_NAMESPACE_URI = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// Errors kept per file; the rest are only counted
+export const MAX_VALIDATION_ERRORS = 100;
+
+const EMPTY_PARTICLE = { kind: 'sequence', particles: [], min: 1, max: 1 };
+
+// Display name of a declaration or child in messages: the local name with its namespace, if any
+const describeName = (clarkName) => {
+  const { namespaceURI, localName } = parseClarkName(clarkName);
+  return namespaceURI ? `{${namespaceURI}}${localName}` : localName;
+};
+
+const describeParticle = (particle) => {
+  if (particle.kind === 'any') {
+    return '##any';
+  }
+  return describeName(particle.declaration.clarkName);
+};
+
+/**
+ * Match a sequence of child names against a content model
+ * Tracks every position the model can reach, so optional and repeated particles need no lookahead
+ * @param {Object} particle - Compiled particle
+ * @param {Array} names - Child clark names in document order
+ * @param {Function} accepts - (elementOrAnyParticle, clarkName) => boolean
+ * @returns {{valid: boolean, index: number, expected: Array}} When invalid, the index of the first
+ *   child that does not fit (names.length when children are missing) and what was expected there
+ */
+function matchContentModel(particle, names, accepts) {
+  let furthestIndex = -1;
+  let expected = new Set();
+  let furthestEnd = 0;
+
+  const expect = (index, label) => {
+    if (index > furthestIndex) {
+      furthestIndex = index;
+      expected = new Set([label]);
+    } else if (index === furthestIndex) {
+      expected.add(label);
+    }
+  };
+
+  // End positions of a single occurrence of the particle starting at `start`
+  const matchOnce = (current, start) => {
+    if (current.kind === 'element' || current.kind === 'any') {
+      if (start < names.length && accepts(current, names[start])) {
+        return new Set([start + 1]);
+      }
+      expect(start, describeParticle(current));
+      return new Set();
+    }
+
+    if (current.kind === 'choice') {
+      const ends = new Set();
+      current.particles.forEach(child => match(child, start).forEach(end => ends.add(end)));
+      return ends;
+    }
+
+    if (current.kind === 'all') {
+      // Each member at most once, in any order
+      const used = new Set();
+      let position = start;
+      let found = true;
+      while (found && position < names.length) {
+        found = false;
+        for (const member of current.particles) {
+          if (!used.has(member) && accepts(member, names[position])) {
+            used.add(member);
+            position += 1;
+            found = true;
+            break;
+          }
+        }
+      }
+      const missing = current.particles.filter(member => member.min > 0 && !used.has(member));
+      if (missing.length > 0) {
+        missing.forEach(member => expect(position, describeParticle(member)));
+        return new Set();
+      }
+      current.particles.filter(member => !used.has(member)).forEach(member => expect(position, describeParticle(member)));
+      return new Set([position]);
+    }
+
+    // Sequence
+    let positions = new Set([start]);
+    for (const child of current.particles) {
+      const next = new Set();
+      positions.forEach(position => match(child, position).forEach(end => next.add(end)));
+      positions = next;
+      if (positions.size === 0) {
+        break;
+      }
+    }
+    return positions;
+  };
+
+  // End positions of the particle with its minOccurs/maxOccurs applied
+  const match = (current, start) => {
+    const ends = new Set();
+    if (current.min === 0) {
+      ends.add(start);
+    }
+    const reached = new Set([start]);
+    let frontier = new Set([start]);
+
+    for (let count = 1; count <= current.max && frontier.size > 0; count++) {
+      const next = new Set();
+      frontier.forEach(position => matchOnce(current, position).forEach(end => next.add(end)));
+      if (count >= current.min) {
+        next.forEach(end => ends.add(end));
+        // Positions already reached with fewer occurrences lead nowhere new
+        frontier = new Set(Array.from(next).filter(end => !reached.has(end)));
+        frontier.forEach(end => reached.add(end));
+      } else {
+        frontier = next;
+      }
+    }
+    return ends;
+  };
+
+  const ends = match(particle, 0);
+  if (ends.has(names.length)) {
+    return { valid: true, index: -1, expected: [] };
+  }
+  ends.forEach(end => {
+    furthestEnd = Math.max(furthestEnd, end);
+  });
+
+  // The model was complete before this child and nothing could follow it
+  if (furthestEnd > furthestIndex) {
+    return { valid: false, index: furthestEnd, expected: [] };
+  }
+  return { valid: false, index: furthestIndex, expected: Array.from(expected) };
+}
+
+const formatExpected = (expected) => (
+  expected.length > 0 ? ` Expected is ${expected.length > 1 ? 'one of ' : ''}( ${expected.join(', ')} ).` : ''
+);
+
+/**
+ * Create a validator fed with parse events
+ * Mirrors the field collector API so it can sit behind the same SAX tokenizer
+ * @param {Object} schemaSet - Result of compileSchemas
+ * @param {Object} options - { maxErrors }
+ * @returns {Object} Validator with openElement(), addText(), closeElement(), reportError() and getResult()
+ */
+export function createSchemaValidator(schemaSet, options = {}) {
+  const { maxErrors = MAX_VALIDATION_ERRORS } = options;
+  const stack = [];
+  const errors = [];
+  let errorCount = 0;
+
+  const reportError = (frame, message, position = frame) => {
+    errorCount += 1;
+    if (errors.length < maxErrors) {
+      errors.push({
+        path: frame ? frame.path : '',
+        line: position ? position.line : null,
+        column: position ? position.column : null,
+        message,
+      });
+    }
+  };
+
+  const resolveInstanceQName = (scope, value) => {
+    const { prefix, localName } = splitQualifiedName(value.trim());
+    return toClarkName(resolveNamespacePrefix(scope, prefix), localName);
+  };
+
+  const validateAttributes = (frame, type, attributes) => {
+    const seen = new Set();
+    attributes.forEach(({ name, value }) => {
+      if (name === 'xmlns' || name.startsWith('xmlns:')) {
+        return;
+      }
+      const { prefix, localName } = splitQualifiedName(name);
+      const namespaceURI = prefix ? resolveNamespacePrefix(frame.scope, prefix) : null;
+      if (namespaceURI === XSI_NAMESPACE_URI) {
+        return;
+      }
+      const clarkName = toClarkName(namespaceURI, localName);
+      seen.add(clarkName);
+
+      const use = type.kind === 'complex' ? type.attributeUses.get(clarkName) : null;
+      if (use) {
+        const problem = checkSimpleValue(use.type, value);
+        if (problem) {
+          reportError(frame, `Element '${frame.name}', attribute '${name}': ${problem}.`);
+        } else if (use.fixed !== undefined && value.trim() !== use.fixed.trim()) {
+          reportError(frame, `Element '${frame.name}', attribute '${name}': The value '${value}' does not match the fixed value '${use.fixed}'.`);
+        }
+        return;
+      }
+      if (type.kind === 'complex' && type.anyAttribute && wildcardAllows(type.anyAttribute, namespaceURI)) {
+        return;
+      }
+      reportError(frame, `Element '${frame.name}', attribute '${name}': The attribute '${name}' is not allowed.`);
+    });
+
+    if (type.kind === 'complex') {
+      type.attributeUses.forEach((use, clarkName) => {
+        if (use.use === 'required' && !seen.has(clarkName)) {
+          reportError(frame, `Element '${frame.name}': The attribute '${describeName(clarkName)}' is required but missing.`);
+        }
+      });
+    }
+  };
+
+  // Decide how a child of the current element is validated
+  const resolveChild = (parent, clarkName) => {
+    if (!parent) {
+      const declaration = schemaSet.getElement(clarkName);
+      return declaration ? { declaration, mode: 'strict' } : { mode: 'skip', rootMissing: true };
+    }
+    if (parent.mode === 'skip') {
+      return { mode: 'skip' };
+    }
+    if (!parent.type) {
+      // Lax content: validate what has a global declaration
+      const declaration = schemaSet.getElement(clarkName);
+      return declaration ? { declaration, mode: 'strict' } : { mode: 'lax' };
+    }
+    if (parent.type.kind !== 'complex' || parent.type.simpleType || !parent.type.particle) {
+      // Reported once the parent's content is checked
+      return { mode: 'skip' };
+    }
+    const match = schemaSet.findChild(parent.type, clarkName);
+    if (!match) {
+      return { mode: 'skip' };
+    }
+    if (match.declaration) {
+      return { declaration: match.declaration, mode: 'strict' };
+    }
+    const { processContents } = match.wildcard;
+    if (processContents === 'skip') {
+      return { mode: 'skip' };
+    }
+    const declaration = schemaSet.getElement(clarkName);
+    if (declaration) {
+      return { declaration, mode: 'strict' };
+    }
+    return processContents === 'strict' ? { mode: 'skip', wildcardMissing: true } : { mode: 'lax' };
+  };
+
+  return {
+    /**
+     * Start an element
+     * @param {string} name - Qualified tag name
+     * @param {Array} attributes - [{ name, value }]
+     * @param {Object} position - { line, column } of the start tag
+     */
+    openElement(name, attributes = [], position = {}) {
+      const parent = stack[stack.length - 1] || null;
+      const scope = extendNamespaceScope(parent ? parent.scope : new Map(), attributes);
+      const { prefix, localName } = splitQualifiedName(name);
+      const clarkName = toClarkName(resolveNamespacePrefix(scope, prefix), localName);
+
+      const frame = {
+        name,
+        clarkName,
+        path: parent ? `${parent.path} > ${name}` : name,
+        line: position.line ?? null,
+        column: position.column ?? null,
+        scope,
+        mode: 'skip',
+        declaration: null,
+        type: null,
+        isNil: false,
+        text: '',
+        hasText: false,
+        childNames: [],
+        childTags: [],
+        childLines: [],
+        childColumns: [],
+      };
+
+      if (parent) {
+        parent.childNames.push(clarkName);
+        parent.childTags.push(name);
+        parent.childLines.push(frame.line);
+        parent.childColumns.push(frame.column);
+      }
+
+      const resolved = resolveChild(parent, clarkName);
+      frame.mode = resolved.mode;
+      if (resolved.rootMissing) {
+        reportError(frame, `Element '${name}': No matching global declaration available for the validation root.`);
+      } else if (resolved.wildcardMissing) {
+        reportError(frame, `Element '${name}': No matching global element declaration available, but demanded by the strict wildcard.`);
+      }
+
+      if (resolved.declaration) {
+        frame.declaration = resolved.declaration;
+        frame.type = resolved.declaration.getType();
+
+        const attributeValue = (attributeName) => {
+          const attribute = attributes.find(({ name: candidate }) => {
+            const split = splitQualifiedName(candidate);
+            return split.localName === attributeName && split.prefix && resolveNamespacePrefix(scope, split.prefix) === XSI_NAMESPACE_URI;
+          });
+          return attribute ? attribute.value.trim() : null;
+        };
+
+        const xsiType = attributeValue('type');
+        if (xsiType) {
+          const overridingType = schemaSet.getType(resolveInstanceQName(scope, xsiType));
+          if (overridingType) {
+            frame.type = overridingType;
+          } else {
+            reportError(frame, `Element '${name}', attribute 'xsi:type': The QName value '${xsiType}' does not resolve to a type definition.`);
+          }
+        }
+        if (frame.declaration.abstract) {
+          reportError(frame, `Element '${name}': The element declaration is abstract.`);
+        }
+        const xsiNil = attributeValue('nil');
+        if (xsiNil === 'true' || xsiNil === '1') {
+          if (frame.declaration.nillable) {
+            frame.isNil = true;
+          } else {
+            reportError(frame, `Element '${name}', attribute 'xsi:nil': The element is not nillable.`);
+          }
+        }
+        validateAttributes(frame, frame.type, attributes);
+      }
+
+      stack.push(frame);
+    },
+
+    /**
+     * Add character data (text or CDATA) to the current element
+     * @param {string} text - Decoded text
+     */
+    addText(text) {
+      const frame = stack[stack.length - 1];
+      if (!frame || frame.mode === 'skip' || !frame.type) {
+        return;
+      }
+      const { type } = frame;
+      if (type.kind === 'simple' || type.simpleType) {
+        frame.text += text;
+      } else if (!frame.hasText && text.trim().length > 0) {
+        frame.hasText = true;
+      }
+    },
+
+    /**
+     * End the current element and check its content
+     */
+    closeElement() {
+      const frame = stack.pop();
+      if (!frame || frame.mode === 'skip' || !frame.type) {
+        return;
+      }
+      const { type, declaration } = frame;
+
+      if (frame.isNil) {
+        if (frame.text.length > 0 || frame.hasText || frame.childNames.length > 0) {
+          reportError(frame, `Element '${frame.name}': The element is nil, so it must be empty.`);
+        }
+        return;
+      }
+
+      const simpleType = type.kind === 'simple' ? type : type.simpleType;
+      if (simpleType) {
+        if (frame.childNames.length > 0) {
+          reportError(
+            frame,
+            `Element '${frame.name}': Element content is not allowed, because the content type is a simple type definition.`,
+            { line: frame.childLines[0], column: frame.childColumns[0] }
+          );
+          return;
+        }
+        let value = frame.text;
+        if (value === '' && declaration.defaultValue !== undefined) {
+          value = declaration.defaultValue;
+        }
+        if (declaration.fixed !== undefined && frame.text !== '' && value.trim() !== declaration.fixed.trim()) {
+          reportError(frame, `Element '${frame.name}': The value '${value}' does not match the fixed value '${declaration.fixed}'.`);
+          return;
+        }
+        const problem = checkSimpleValue(simpleType, value);
+        if (problem) {
+          reportError(frame, `Element '${frame.name}': ${problem}.`);
+        }
+        return;
+      }
+
+      if (frame.hasText && !type.mixed) {
+        reportError(frame, `Element '${frame.name}': Character content other than whitespace is not allowed because the content type is 'element-only'.`);
+      }
+
+      const particle = type === ANY_TYPE ? null : (type.particle || EMPTY_PARTICLE);
+      if (!particle) {
+        return;
+      }
+      const result = matchContentModel(particle, frame.childNames, schemaSet.particleAccepts);
+      if (result.valid) {
+        return;
+      }
+      if (result.index >= frame.childNames.length) {
+        reportError(frame, `Element '${frame.name}': Missing child element(s).${formatExpected(result.expected)}`);
+        return;
+      }
+      const childTag = frame.childTags[result.index];
+      const childPosition = { line: frame.childLines[result.index], column: frame.childColumns[result.index] };
+      reportError(
+        { path: `${frame.path} > ${childTag}` },
+        `Element '${describeName(frame.childNames[result.index])}': This element is not expected.${formatExpected(result.expected)}`,
+        childPosition
+      );
+    },
+
+    /**
+     * Record a problem found outside the schema checks (e.g. a well-formedness error)
+     * @param {string} message - Error message
+     * @param {Object} position - { line, column }
+     */
+    reportError(message, position = {}) {
+      reportError(stack[stack.length - 1] || null, message, position);
+    },
+
+    /**
+     * @returns {{isValid: boolean, errorCount: number, errors: Array}} Validation result;
+     *   errors are { path, line, column, message }, at most maxErrors of them
+     */
+    getResult() {
+      return { isValid: errorCount === 0, errorCount, errors };
+    },
+  };
+}
+
+// Wire a SAX tokenizer to a validator
+function createValidatingParser(schemaSet) {
+  const validator = createSchemaValidator(schemaSet);
+  const parser = createSaxParser({
+    onOpenTag: ({ name, attributes, line, column }) => validator.openElement(name, attributes, { line, column }),
+    onCloseTag: () => validator.closeElement(),
+    onText: text => validator.addText(text),
+    onCData: text => validator.addText(text),
+  });
+  return { parser, validator };
+}
+
+// Well-formedness errors end validation; they are reported like schema errors
+function reportParseError(validator, error) {
+  const message = error.message.replace(/ \(line \d+, column \d+\)$/, '');
+  validator.reportError(`The document is not well-formed: ${message}`, { line: error.line, column: error.column });
+}
+
+/**
+ * Validate an XML string
+ * @param {string} xmlString - Document text
+ * @param {Object} schemaSet - Result of compileSchemas
+ * @returns {{isValid: boolean, errorCount: number, errors: Array}} Validation result
+ */
+export function validateXMLText(xmlString, schemaSet) {
+  const { parser, validator } = createValidatingParser(schemaSet);
+  try {
+    parser.write(xmlString);
+    parser.close();
+  } catch (error) {
+    reportParseError(validator, error);
+  }
+  return validator.getResult();
+}
+
+/**
+ * Validate a File/Blob, reading it in chunks
+ * @param {Blob} blob - The file to validate
+ * @param {Object} schemaSet - Result of compileSchemas
+ * @param {Object} options - { chunkSize, onProgress(bytesRead, totalBytes), encoding (override) }
+ * @returns {Promise<Object>} { isValid, errorCount, errors }
+ */
+export async function validateXMLStream(blob, schemaSet, options = {}) {
+  const { parser, validator } = createValidatingParser(schemaSet);
+  try {
+    await feedStream(blob, parser, options);
+  } catch (error) {
+    reportParseError(validator, error);
+  }
+  return validator.getResult();
+}
@@ -0,0 +1,256 @@
+import { compileSchemas, SchemaError } from './xsdSchema';
+import { validateXMLText } from './xsdValidator';
+import { extractFields, mergeFieldsFromFiles, parseXML } from './xmlParser';
+import { generateXSD } from './xsdGenerator';
+
+const schema = (body, attributes = '') => (
+  `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"${attributes}>${body}</xs:schema>`
+);
+
+const compile = (...contents) => compileSchemas(contents.map((content, index) => ({ filename: `schema-${index + 1}.xsd`, content })));
+
+// Error messages of a document, [] when it is valid
+const errorsOf = (xml, schemaSet) => validateXMLText(xml, schemaSet).errors.map(error => error.message);
+
+describe('content models', () => {
+  const schemaSet = compile(schema(`
+    <xs:element name="Order">
+      <xs:complexType>
+        <xs:sequence>
+          <xs:element name="Id" type="xs:string"/>
+          <xs:choice>
+            <xs:element name="Email" type="xs:string"/>
+            <xs:element name="Phone" type="xs:string"/>
+          </xs:choice>
+          <xs:element name="Line" minOccurs="1" maxOccurs="3">
+            <xs:complexType>
+              <xs:all>
+                <xs:element name="Sku" type="xs:string"/>
+                <xs:element name="Qty" type="xs:integer" minOccurs="0"/>
+              </xs:all>
+            </xs:complexType>
+          </xs:element>
+          <xs:element name="Note" type="xs:string" minOccurs="0" maxOccurs="unbounded"/>
+        </xs:sequence>
+      </xs:complexType>
+    </xs:element>`));
+
+  test('accepts documents that follow the sequence, choice and all groups', () => {
+    expect(errorsOf('<Order><Id>1</Id><Email>a@b.c</Email><Line><Sku>A</Sku></Line></Order>', schemaSet)).toEqual([]);
+    expect(errorsOf(`<Order><Id>1</Id><Phone>1</Phone>
+      <Line><Qty>2</Qty><Sku>A</Sku></Line><Line><Sku>B</Sku><Qty>1</Qty></Line>
+      <Note>x</Note><Note>y</Note></Order>`, schemaSet)).toEqual([]);
+  });
+
+  test('rejects children out of sequence', () => {
+    const errors = errorsOf('<Order><Email>a@b.c</Email><Id>1</Id><Line><Sku>A</Sku></Line></Order>', schemaSet);
+    expect(errors).toEqual([expect.stringContaining("Element 'Email': This element is not expected. Expected is ( Id )")]);
+  });
+
+  test('rejects both branches of a choice, and none', () => {
+    expect(errorsOf('<Order><Id>1</Id><Email>a</Email><Phone>1</Phone><Line><Sku>A</Sku></Line></Order>', schemaSet)).toHaveLength(1);
+    expect(errorsOf('<Order><Id>1</Id><Line><Sku>A</Sku></Line></Order>', schemaSet)).toHaveLength(1);
+  });
+
+  test('checks minOccurs and maxOccurs', () => {
+    expect(errorsOf('<Order><Id>1</Id><Email>a</Email></Order>', schemaSet)).toEqual([
+      expect.stringContaining("Element 'Order': Missing child element(s)."),
+    ]);
+    const lines = '<Line><Sku>A</Sku></Line>'.repeat(4);
+    expect(errorsOf(`<Order><Id>1</Id><Email>a</Email>${lines}</Order>`, schemaSet)).toHaveLength(1);
+  });
+
+  test('rejects repeated and missing members of an all group', () => {
+    expect(errorsOf('<Order><Id>1</Id><Email>a</Email><Line><Sku>A</Sku><Sku>B</Sku></Line></Order>', schemaSet)).toHaveLength(1);
+    expect(errorsOf('<Order><Id>1</Id><Email>a</Email><Line><Qty>1</Qty></Line></Order>', schemaSet)).toHaveLength(1);
+  });
+
+  test('accepts a repeated choice in any order', () => {
+    const choiceSet = compile(schema(`
+      <xs:element name="Bag">
+        <xs:complexType>
+          <xs:choice minOccurs="0" maxOccurs="unbounded">
+            <xs:element name="A"/>
+            <xs:element name="B"/>
+          </xs:choice>
+        </xs:complexType>
+      </xs:element>`));
+    expect(errorsOf('<Bag><B/><A/><B/></Bag>', choiceSet)).toEqual([]);
+    expect(errorsOf('<Bag/>', choiceSet)).toEqual([]);
+    expect(errorsOf('<Bag><C/></Bag>', choiceSet)).toHaveLength(1);
+  });
+
+  test('rejects an undeclared root and text in element-only content', () => {
+    expect(errorsOf('<Invoice/>', schemaSet)).toEqual([
+      "Element 'Invoice': No matching global declaration available for the validation root.",
+    ]);
+    expect(errorsOf('<Order>text<Id>1</Id><Email>a</Email><Line><Sku>A</Sku></Line></Order>', schemaSet)).toEqual([
+      expect.stringContaining('content type is \'element-only\''),
+    ]);
+  });
+});
+
+describe('simple types and attributes', () => {
+  const schemaSet = compile(schema(`
+    <xs:simpleType name="Code">
+      <xs:restriction base="xs:string">
+        <xs:pattern value="[A-Z]{3}"/>
+      </xs:restriction>
+    </xs:simpleType>
+    <xs:element name="Item">
+      <xs:complexType>
+        <xs:sequence>
+          <xs:element name="Code" type="Code"/>
+          <xs:element name="Status">
+            <xs:simpleType>
+              <xs:restriction base="xs:string">
+                <xs:enumeration value="open"/>
+                <xs:enumeration value="closed"/>
+              </xs:restriction>
+            </xs:simpleType>
+          </xs:element>
+          <xs:element name="Price">
+            <xs:simpleType>
+              <xs:restriction base="xs:decimal">
+                <xs:minInclusive value="0"/>
+                <xs:maxExclusive value="1000"/>
+                <xs:fractionDigits value="2"/>
+              </xs:restriction>
+            </xs:simpleType>
+          </xs:element>
+          <xs:element name="Name">
+            <xs:simpleType>
+              <xs:restriction base="xs:string">
+                <xs:minLength value="2"/>
+                <xs:maxLength value="5"/>
+              </xs:restriction>
+            </xs:simpleType>
+          </xs:element>
+          <xs:element name="Due" type="xs:date"/>
+        </xs:sequence>
+        <xs:attribute name="id" type="xs:positiveInteger" use="required"/>
+        <xs:attribute name="kind" type="xs:string" fixed="item"/>
+      </xs:complexType>
+    </xs:element>`));
+
+  const item = ({ code = 'ABC', status = 'open', price = '9.99', name = 'Pen', due = '2024-02-29', attributes = 'id="1"' } = {}) => (
+    `<Item ${attributes}><Code>${code}</Code><Status>${status}</Status><Price>${price}</Price><Name>${name}</Name><Due>${due}</Due></Item>`
+  );
+
+  test('accepts values that satisfy every facet', () => {
+    expect(errorsOf(item(), schemaSet)).toEqual([]);
+    expect(errorsOf(item({ attributes: 'id="7" kind="item"' }), schemaSet)).toEqual([]);
+  });
+
+  test.each([
+    ['pattern', { code: 'abc' }],
+    ['enumeration', { status: 'pending' }],
+    ['minInclusive', { price: '-1' }],
+    ['maxExclusive', { price: '1000' }],
+    ['fractionDigits', { price: '1.234' }],
+    ['minLength', { name: 'P' }],
+    ['maxLength', { name: 'Pencil' }],
+    ['built-in date', { due: '2024-02-30' }],
+    ['built-in date (not a leap year)', { due: '2023-02-29' }],
+    ['built-in decimal', { price: 'ten' }],
+  ])('rejects a value breaking the %s facet', (facet, values) => {
+    expect(errorsOf(item(values), schemaSet)).toHaveLength(1);
+  });
+
+  test('checks required, typed, fixed and undeclared attributes', () => {
+    expect(errorsOf(item({ attributes: '' }), schemaSet)).toEqual([
+      "Element 'Item': The attribute 'id' is required but missing.",
+    ]);
+    expect(errorsOf(item({ attributes: 'id="0"' }), schemaSet)).toHaveLength(1);
+    expect(errorsOf(item({ attributes: 'id="1" kind="box"' }), schemaSet)).toEqual([
+      "Element 'Item', attribute 'kind': The value 'box' does not match the fixed value 'item'.",
+    ]);
+    expect(errorsOf(item({ attributes: 'id="1" color="red"' }), schemaSet)).toEqual([
+      "Element 'Item', attribute 'color': The attribute 'color' is not allowed.",
+    ]);
+  });
+});
+
+describe('namespaces', () => {
+  const orders = schema(`
+    <xs:import namespace="urn:common"/>
+    <xs:element name="Order">
+      <xs:complexType>
+        <xs:sequence>
+          <xs:element name="Id" type="xs:string"/>
+          <xs:element ref="c:Address"/>
+          <xs:any namespace="##other" processContents="lax" minOccurs="0"/>
+        </xs:sequence>
+      </xs:complexType>
+    </xs:element>`, ' targetNamespace="urn:orders" xmlns:c="urn:common" elementFormDefault="qualified"');
+  const common = schema(
+    '<xs:element name="Address" type="xs:string"/>',
+    ' targetNamespace="urn:common"'
+  );
+  const schemaSet = compile(orders, common);
+
+  test('matches elements on namespace URI, whatever the prefix', () => {
+    expect(errorsOf('<o:Order xmlns:o="urn:orders" xmlns:c="urn:common"><o:Id>1</o:Id><c:Address>x</c:Address></o:Order>', schemaSet)).toEqual([]);
+    expect(errorsOf('<Order xmlns="urn:orders"><Id>1</Id><Address xmlns="urn:common">x</Address><x:Extra xmlns:x="urn:x"/></Order>', schemaSet)).toEqual([]);
+  });
+
+  test('rejects elements in the wrong namespace', () => {
+    expect(errorsOf('<Order xmlns="urn:orders"><Id>1</Id><Address>x</Address></Order>', schemaSet)).toHaveLength(1);
+    expect(errorsOf('<Order><Id>1</Id></Order>', schemaSet)).toHaveLength(1);
+  });
+
+  test('requires imported schemas to be loaded', () => {
+    expect(() => compile(schema('<xs:element name="A" type="c:Missing"/>', ' xmlns:c="urn:common"'))).toThrow(SchemaError);
+  });
+});
+
+describe('derivation and xsi attributes', () => {
+  const schemaSet = compile(schema(`
+    <xs:complexType name="Party">
+      <xs:sequence><xs:element name="Name" type="xs:string"/></xs:sequence>
+    </xs:complexType>
+    <xs:complexType name="Company">
+      <xs:complexContent>
+        <xs:extension base="Party">
+          <xs:sequence><xs:element name="VatId" type="xs:string"/></xs:sequence>
+        </xs:extension>
+      </xs:complexContent>
+    </xs:complexType>
+    <xs:element name="Parties">
+      <xs:complexType>
+        <xs:sequence>
+          <xs:element name="Party" type="Party" maxOccurs="unbounded"/>
+          <xs:element name="Comment" type="xs:string" nillable="true"/>
+        </xs:sequence>
+      </xs:complexType>
+    </xs:element>`));
+  const xsi = 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"';
+
+  test('validates derived types selected with xsi:type', () => {
+    expect(errorsOf(`<Parties ${xsi}><Party><Name>A</Name></Party><Party xsi:type="Company"><Name>B</Name><VatId>1</VatId></Party><Comment/></Parties>`, schemaSet)).toEqual([]);
+    expect(errorsOf(`<Parties ${xsi}><Party><Name>A</Name><VatId>1</VatId></Party><Comment/></Parties>`, schemaSet)).toHaveLength(1);
+  });
+
+  test('accepts xsi:nil only on nillable, empty elements', () => {
+    expect(errorsOf(`<Parties ${xsi}><Party><Name>A</Name></Party><Comment xsi:nil="true"/></Parties>`, schemaSet)).toEqual([]);
+    expect(errorsOf(`<Parties ${xsi}><Party><Name xsi:nil="true"/></Party><Comment/></Parties>`, schemaSet)).toHaveLength(1);
+    expect(errorsOf(`<Parties ${xsi}><Party><Name>A</Name></Party><Comment xsi:nil="true">x</Comment></Parties>`, schemaSet)).toHaveLength(1);
+  });
+});
+
+test('reports well-formedness errors as validation errors', () => {
+  const schemaSet = compile(schema('<xs:element name="A"/>'));
+  const result = validateXMLText('<A><B></A>', schemaSet);
+  expect(result.isValid).toBe(false);
+  expect(result.errors[result.errors.length - 1].message).toMatch(/^The document is not well-formed/);
+});
+
+test('accepts the files a generated schema was generated from', () => {
+  const documents = [
+    '<Shipment id="1"><Parcel><Weight>1.5</Weight></Parcel><Parcel><Weight>2</Weight><Fragile>true</Fragile></Parcel></Shipment>',
+    '<Shipment id="2" priority="high"><Parcel><Fragile>false</Fragile><Weight>3</Weight></Parcel></Shipment>',
+  ];
+  const files = documents.map((xml, index) => ({ filename: `shipment-${index + 1}.xml`, fields: extractFields(parseXML(xml)) }));
+  const schemaSet = compile(generateXSD(mergeFieldsFromFiles(files)));
+  documents.forEach(xml => expect(errorsOf(xml, schemaSet)).toEqual([]));
+});
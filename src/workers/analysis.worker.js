@@ -0,0 +1,23 @@
+/**
+ * Analysis Web Worker
+ * Receives { id, type, payload } messages and replies with progress, result or error
+ */
+
+import { runAnalysisTask } from './analysisTasks';
+
+const workerScope = globalThis;
+
+workerScope.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const result = await runAnalysisTask(type, payload, progress => {
+      workerScope.postMessage({ id, status: 'progress', progress });
+    });
+    workerScope.postMessage({ id, status: 'done', result });
+  } catch (error) {
+    // Errors don't survive structured cloning; send the message and parse error position instead
+    const { line, column, snippet } = error;
+    workerScope.postMessage({ id, status: 'error', error: error.message, errorDetails: { line, column, snippet } });
+  }
+};
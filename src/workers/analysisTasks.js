@@ -0,0 +1,198 @@
+/**
+ * Analysis Tasks
+ * The heavy lifting behind the worker pool: parsing files and aggregating fields.
+ * Runs inside a Web Worker, or inline on the main thread where workers are unavailable.
+ */
+
+import { compareFields, mergeFieldsFromFiles, hasXMLContent } from '../utils/xmlParser';
+import { parseFieldsFromStream, parseFieldsFromText, shouldStreamFile } from '../utils/streamingParser';
+import { compileSchemas } from '../utils/xsdSchema';
+import { validateXMLStream } from '../utils/xsdValidator';
+import { splitXMLDocuments } from '../utils/documentSplitter';
+import { readTextFile } from '../utils/encoding';
+import { extractArchive } from '../utils/archive';
+import { flattenRecordsFromStream } from '../utils/recordFlattener';
+import { convertXMLStreamToJSON } from '../utils/jsonConverter';
+import { isJsonFile, parseFieldsFromJSON } from '../utils/jsonParser';
+import { diffFilesFromStream } from '../utils/documentDiff';
+
+// Schemas compiled for the last validation, reused while the same schema files are loaded
+let compiledSchemaCache = { sources: null, schemaSet: null };
+
+function getCompiledSchemas(schemas) {
+  const { sources } = compiledSchemaCache;
+  const isSame = sources && sources.length === schemas.length && sources.every((source, index) => (
+    source.filename === schemas[index].filename && source.content === schemas[index].content
+  ));
+  if (!isSame) {
+    compiledSchemaCache = { sources: schemas, schemaSet: compileSchemas(schemas) };
+  }
+  return compiledSchemaCache.schemaSet;
+}
+
+/**
+ * Parse a File into fields
+ * DOMParser does not exist in workers, so every XML file goes through the SAX parser
+ * @param {Object} payload - { file, lenient, encoding } - lenient recovers from well-formedness errors;
+ *   encoding overrides the detected one
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { fields, warnings, warningCount, encoding }
+ */
+async function parseFileTask({ file, lenient = false, encoding = null }, reportProgress) {
+  // JSON documents are mapped onto the same field model (see jsonParser)
+  if (isJsonFile(file)) {
+    const { text, encoding: usedEncoding } = await readTextFile(file, encoding);
+    reportProgress({ loaded: file.size, total: file.size });
+    return { ...parseFieldsFromJSON(text), encoding: usedEncoding };
+  }
+
+  // Check if it's a .txt file and validate it contains XML
+  if (file.name.endsWith('.txt') && !shouldStreamFile(file)) {
+    const { text: content, encoding: usedEncoding } = await readTextFile(file, encoding);
+    if (!hasXMLContent(content)) {
+      throw new Error(`${file.name} does not contain any XML content. Please upload a file with XML elements.`);
+    }
+    reportProgress({ loaded: file.size, total: file.size });
+    return { ...parseFieldsFromText(content, { lenient }), encoding: usedEncoding };
+  }
+
+  return parseFieldsFromStream(file, {
+    lenient,
+    encoding,
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+}
+
+/**
+ * Find the XML documents embedded in a text file (e.g. a log with many payloads)
+ * @param {Object} payload - { file, encoding } - encoding overrides the detected one
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { documents: [{ content, line, logLine }], encoding }
+ */
+async function splitDocumentsTask({ file, encoding = null }, reportProgress) {
+  const { text: content, encoding: usedEncoding } = await readTextFile(file, encoding);
+  if (!hasXMLContent(content)) {
+    throw new Error(`${file.name} does not contain any XML content. Please upload a file with XML elements.`);
+  }
+  reportProgress({ loaded: file.size, total: file.size });
+  return { documents: splitXMLDocuments(content), encoding: usedEncoding };
+}
+
+/**
+ * Expand a .zip or .gz file into the XML and text files it holds
+ * @param {Object} payload - { file, include, exclude } - globs selecting the entries to load
+ * @param {Function} reportProgress - Called with { loaded, total } in entries
+ * @returns {Promise<Object>} { files: [File], skipped: [{ path, reason }] }
+ */
+async function extractArchiveTask({ file, include, exclude }, reportProgress) {
+  return extractArchive(file, {
+    include,
+    exclude,
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+}
+
+/**
+ * Flatten every instance of a repeating element in a File into rows
+ * @param {Object} payload - { file, recordPath, namespaceLabels, lenient, encoding }
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { columns, rows: [{ index, values }], recordCount }
+ */
+async function flattenRecordsTask({ file, recordPath, namespaceLabels, lenient = false, encoding = null }, reportProgress) {
+  if (isJsonFile(file)) {
+    throw new Error('Records are flattened from XML files only');
+  }
+  return flattenRecordsFromStream(file, recordPath, {
+    namespaceLabels,
+    lenient,
+    encoding,
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+}
+
+/**
+ * Convert a File to JSON
+ * @param {Object} payload - { file, options (see createJsonBuilder), lenient, encoding }
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { json } - the JSON text
+ */
+async function convertToJsonTask({ file, options, lenient = false, encoding = null }, reportProgress) {
+  // JSON files are exported as they are, indented like the converted ones
+  if (isJsonFile(file)) {
+    const { text } = await readTextFile(file, encoding);
+    return { json: JSON.stringify(JSON.parse(text), null, options.pretty ? 2 : 0) };
+  }
+  const json = await convertXMLStreamToJSON(file, {
+    ...options,
+    lenient,
+    encoding,
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+  return { json };
+}
+
+/**
+ * Diff the values of two Files
+ * @param {Object} payload - { before: { file, lenient, encoding }, after: { file, lenient, encoding },
+ *   keys, namespaceLabels }
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { nodes, changes } (see diffDocuments)
+ */
+async function diffFilesTask({ before, after, keys, namespaceLabels }, reportProgress) {
+  return diffFilesFromStream(before.file, after.file, {
+    keys,
+    namespaceLabels,
+    before: { lenient: before.lenient, encoding: before.encoding },
+    after: { lenient: after.lenient, encoding: after.encoding },
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+}
+
+/**
+ * Validate a File against the loaded schemas
+ * @param {Object} payload - { file, schemas: [{ filename, content }], encoding } - encoding overrides the detected one
+ * @param {Function} reportProgress - Called with { loaded, total }
+ * @returns {Promise<Object>} { isValid, errorCount, errors }
+ */
+async function validateFileTask({ file, schemas, encoding = null }, reportProgress) {
+  if (isJsonFile(file)) {
+    throw new Error('JSON files cannot be validated against an XML Schema');
+  }
+  return validateXMLStream(file, getCompiledSchemas(schemas), {
+    encoding,
+    onProgress: (loaded, total) => reportProgress({ loaded, total }),
+  });
+}
+
+/**
+ * Run an analysis task by type
+ * @param {string} type - 'parseFile', 'splitDocuments', 'extractArchive', 'flattenRecords', 'convertToJson',
+ *   'diffFiles', 'validateFile', 'compare' or 'merge'
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Promise<*>} Task result (structured-cloneable)
+ */
+export async function runAnalysisTask(type, payload, reportProgress = () => {}) {
+  switch (type) {
+    case 'parseFile':
+      return parseFileTask(payload, reportProgress);
+    case 'splitDocuments':
+      return splitDocumentsTask(payload, reportProgress);
+    case 'extractArchive':
+      return extractArchiveTask(payload, reportProgress);
+    case 'flattenRecords':
+      return flattenRecordsTask(payload, reportProgress);
+    case 'convertToJson':
+      return convertToJsonTask(payload, reportProgress);
+    case 'diffFiles':
+      return diffFilesTask(payload, reportProgress);
+    case 'validateFile':
+      return validateFileTask(payload, reportProgress);
+    case 'compare':
+      return compareFields(payload.files, payload.prefixToRemove, payload.baseline);
+    case 'merge':
+      return mergeFieldsFromFiles(payload.files, payload.prefixToRemove, payload.baseline);
+    default:
+      throw new Error(`Unknown analysis task: ${type}`);
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * Analysis Worker Factory
+ * Kept in its own module and loaded on demand: bundlers resolve the worker URL here,
+ * while environments without Web Workers (e.g. Jest) never have to load it
+ */
+
+export default function createAnalysisWorker() {
+  return new Worker(new URL('./analysis.worker.js', import.meta.url));
+}
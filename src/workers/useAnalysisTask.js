@@ -0,0 +1,62 @@
+/**
+ * React hook running an analysis task in the worker pool
+ */
+
+import { useState, useEffect } from 'react';
+import { runInAnalysisPool, isAbortError } from './workerPool';
+
+/**
+ * Reduce loaded files to what the aggregation tasks read, so the File handles
+ * and other UI-only data are not copied into the worker on every run
+ * @param {Array} files - Loaded file data
+ * @returns {Array} [{ id, filename, fields }]
+ */
+export function toTaskFiles(files) {
+  return files.map(({ id, filename, fields }) => ({ id, filename, fields }));
+}
+
+/**
+ * Run a task whenever its payload changes, cancelling the previous run
+ * The previous result is kept while a new one is computed, so views don't flicker
+ * @param {string} type - Task type (see runAnalysisTask)
+ * @param {Object|null} payload - Memoized task input; null skips the task and clears the result
+ * @returns {{result: *, isLoading: boolean, progress: Object|null, error: string|null}} Task state
+ */
+export function useAnalysisTask(type, payload) {
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (payload === null || payload === undefined) {
+      setResult(null);
+      setIsLoading(false);
+      setProgress(null);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setProgress(null);
+
+    runInAnalysisPool(type, payload, { onProgress: setProgress, signal: controller.signal })
+      .then((taskResult) => {
+        setResult(taskResult);
+        setError(null);
+        setIsLoading(false);
+      })
+      .catch((taskError) => {
+        if (isAbortError(taskError)) {
+          return;
+        }
+        setError(taskError.message);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [type, payload]);
+
+  return { result, isLoading, progress, error };
+}
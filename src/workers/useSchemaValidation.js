@@ -0,0 +1,97 @@
+/**
+ * React hook validating loaded files against the loaded schemas in the worker pool
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { runInAnalysisPool, isAbortError } from './workerPool';
+import { isJsonFile } from '../utils/jsonParser';
+
+/**
+ * Validate every file once per set of schemas
+ * Files added later are validated as they arrive; loading or removing a schema revalidates all files.
+ * JSON files have no XML Schema to fit and are not sent to the validator.
+ * @param {Array} files - Loaded file data (with id, filename and source File)
+ * @param {Array} schemas - Loaded schemas [{ id, filename, content }]
+ * @returns {Object} Results by file id: { status: 'running' } | { status: 'done', isValid, errorCount, errors }
+ *   | { status: 'error', error } when the file could not be read | { status: 'notApplicable' } for JSON files
+ */
+export function useSchemaValidation(files, schemas) {
+  const [results, setResults] = useState({});
+  const runningTasks = useRef(new Map()); // file id -> AbortController
+  const validatedFiles = useRef(new Set());
+  const validatedSchemas = useRef(schemas);
+
+  useEffect(() => {
+    const running = runningTasks.current;
+
+    if (validatedSchemas.current !== schemas) {
+      validatedSchemas.current = schemas;
+      running.forEach(controller => controller.abort());
+      running.clear();
+      validatedFiles.current.clear();
+      setResults({});
+    }
+
+    // Files that were removed don't need their validation any more
+    const fileIds = new Set(files.map(file => file.id));
+    running.forEach((controller, fileId) => {
+      if (!fileIds.has(fileId)) {
+        controller.abort();
+        running.delete(fileId);
+      }
+    });
+
+    if (schemas.length === 0) {
+      return;
+    }
+
+    const schemaSources = schemas.map(({ filename, content }) => ({ filename, content }));
+    files.forEach(file => {
+      if (validatedFiles.current.has(file.id) || running.has(file.id)) {
+        return;
+      }
+      if (isJsonFile(file.source)) {
+        validatedFiles.current.add(file.id);
+        setResults(prev => ({ ...prev, [file.id]: { status: 'notApplicable' } }));
+        return;
+      }
+      const controller = new AbortController();
+      running.set(file.id, controller);
+      setResults(prev => ({ ...prev, [file.id]: { status: 'running' } }));
+
+      runInAnalysisPool('validateFile', {
+        file: file.source,
+        schemas: schemaSources,
+        encoding: file.encodingOverride || null,
+      }, { signal: controller.signal })
+        .then((result) => {
+          setResults(prev => ({ ...prev, [file.id]: { status: 'done', ...result } }));
+        })
+        .catch((error) => {
+          if (isAbortError(error)) {
+            return;
+          }
+          setResults(prev => ({ ...prev, [file.id]: { status: 'error', error: error.message } }));
+        })
+        .finally(() => {
+          if (running.get(file.id) === controller) {
+            running.delete(file.id);
+            if (!controller.signal.aborted) {
+              validatedFiles.current.add(file.id);
+            }
+          }
+        });
+    });
+  }, [files, schemas]);
+
+  // Cancel whatever is still running when the app goes away
+  useEffect(() => {
+    const running = runningTasks.current;
+    return () => {
+      running.forEach(controller => controller.abort());
+      running.clear();
+    };
+  }, []);
+
+  return results;
+}
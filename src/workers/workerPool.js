@@ -0,0 +1,214 @@
+/**
+ * Web Worker Pool
+ * Queues analysis tasks across a fixed set of workers, with progress events and cancellation
+ */
+
+import { runAnalysisTask } from './analysisTasks';
+
+const MAX_POOL_SIZE = 4;
+
+/**
+ * Create the error used to reject cancelled tasks
+ * @returns {Error} Error with name 'AbortError'
+ */
+export function createAbortError() {
+  const error = new Error('Task cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from a cancelled task
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the task was cancelled
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Create a pool of workers
+ * @param {Function} createWorker - Factory returning a new Worker
+ * @param {number} size - Number of workers
+ * @returns {{run: Function, terminate: Function}} Pool handle
+ */
+export function createWorkerPool(createWorker, size) {
+  const idleWorkers = [];
+  const runningTasks = new Map(); // worker -> task
+  const queue = [];
+  let nextTaskId = 1;
+
+  const settle = (worker, task) => {
+    runningTasks.delete(worker);
+    if (task.signal && task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+    idleWorkers.push(worker);
+    dispatch();
+  };
+
+  const spawnWorker = () => {
+    const worker = createWorker();
+
+    worker.onmessage = (event) => {
+      const task = runningTasks.get(worker);
+      const { id, status, progress, result, error, errorDetails } = event.data;
+      if (!task || task.id !== id) {
+        return;
+      }
+      if (status === 'progress') {
+        if (task.onProgress) {
+          task.onProgress(progress);
+        }
+        return;
+      }
+      settle(worker, task);
+      if (status === 'done') {
+        task.resolve(result);
+      } else {
+        task.reject(Object.assign(new Error(error), errorDetails));
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const task = runningTasks.get(worker);
+      // A crashed worker is replaced rather than reused
+      replaceWorker(worker);
+      if (task) {
+        task.reject(new Error(event.message || 'Worker crashed'));
+      }
+    };
+
+    return worker;
+  };
+
+  const replaceWorker = (worker) => {
+    worker.terminate();
+    runningTasks.delete(worker);
+    const idleIndex = idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) {
+      idleWorkers.splice(idleIndex, 1);
+    }
+    idleWorkers.push(spawnWorker());
+    dispatch();
+  };
+
+  const dispatch = () => {
+    while (idleWorkers.length > 0 && queue.length > 0) {
+      const task = queue.shift();
+      const worker = idleWorkers.pop();
+      runningTasks.set(worker, task);
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    idleWorkers.push(spawnWorker());
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {string} type - Task type (see runAnalysisTask)
+     * @param {Object} payload - Task input
+     * @param {Object} options - { onProgress, signal (AbortSignal) }
+     * @returns {Promise<*>} Resolves with the task result, rejects with an AbortError when cancelled
+     */
+    run(type, payload, options = {}) {
+      const { onProgress = null, signal = null } = options;
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const task = { id: nextTaskId++, type, payload, onProgress, signal, resolve, reject };
+
+        if (signal) {
+          task.onAbort = () => {
+            const queueIndex = queue.indexOf(task);
+            if (queueIndex !== -1) {
+              queue.splice(queueIndex, 1);
+            } else {
+              // Already running: the only way to stop a worker is to terminate it
+              runningTasks.forEach((runningTask, worker) => {
+                if (runningTask === task) {
+                  replaceWorker(worker);
+                }
+              });
+            }
+            reject(createAbortError());
+          };
+          signal.addEventListener('abort', task.onAbort, { once: true });
+        }
+
+        queue.push(task);
+        dispatch();
+      });
+    },
+
+    terminate() {
+      idleWorkers.forEach(worker => worker.terminate());
+      runningTasks.forEach((task, worker) => {
+        worker.terminate();
+        task.reject(createAbortError());
+      });
+      idleWorkers.length = 0;
+      runningTasks.clear();
+      queue.splice(0).forEach(task => task.reject(createAbortError()));
+    },
+  };
+}
+
+/**
+ * Fallback used where Web Workers are not available (e.g. tests): same API, runs inline
+ * @returns {{run: Function, terminate: Function}} Pool handle
+ */
+function createInlinePool() {
+  return {
+    async run(type, payload, options = {}) {
+      const { onProgress = null, signal = null } = options;
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+      const result = await runAnalysisTask(type, payload, onProgress || undefined);
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+      return result;
+    },
+    terminate() {},
+  };
+}
+
+let analysisPoolPromise = null;
+
+// Create the shared pool on first use
+function loadAnalysisPool() {
+  if (!analysisPoolPromise) {
+    if (typeof Worker === 'undefined') {
+      analysisPoolPromise = Promise.resolve(createInlinePool());
+    } else {
+      const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+      const size = Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+      analysisPoolPromise = import('./createAnalysisWorker').then(
+        ({ default: createAnalysisWorker }) => createWorkerPool(createAnalysisWorker, size)
+      );
+    }
+  }
+  return analysisPoolPromise;
+}
+
+/**
+ * Run a task in the shared analysis pool
+ * @param {string} type - Task type (see runAnalysisTask)
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Object} options - { onProgress, signal (AbortSignal) }
+ * @returns {Promise<*>} Resolves with the task result, rejects with an AbortError when cancelled
+ */
+export async function runInAnalysisPool(type, payload, options = {}) {
+  const pool = await loadAnalysisPool();
+  return pool.run(type, payload, options);
+}